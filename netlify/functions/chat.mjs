@@ -0,0 +1,7 @@
+import { createChatHandlerFromEnv } from '../../server/chatProxy.mjs';
+
+// Netlify Function wrapper around the chat proxy. Set GEMINI_API_KEY and
+// FIREBASE_SERVICE_ACCOUNT in the site's environment variables.
+export default createChatHandlerFromEnv();
+
+export const config = { path: '/api/chat' };
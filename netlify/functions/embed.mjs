@@ -0,0 +1,7 @@
+import { createEmbedHandlerFromEnv } from '../../server/embedProxy.mjs';
+
+// Netlify Function wrapper around the embedding proxy for the knowledge base.
+// Uses the same GEMINI_API_KEY and FIREBASE_SERVICE_ACCOUNT as the chat proxy.
+export default createEmbedHandlerFromEnv();
+
+export const config = { path: '/api/embed' };
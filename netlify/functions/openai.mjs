@@ -0,0 +1,7 @@
+import { createOpenAiHandlerFromEnv } from '../../server/openaiProxy.mjs';
+
+// Netlify Function wrapper around the OpenAI proxy. Set OPENAI_API_KEY,
+// OPENAI_BASE_URL and OPENAI_MODELS in the site's environment variables.
+export default createOpenAiHandlerFromEnv();
+
+export const config = { path: '/api/openai' };
@@ -0,0 +1,7 @@
+import { createPiAuthHandlerFromEnv } from '../../server/piAuth.mjs';
+
+// Netlify Function wrapper around the Pi sign-in exchange. Needs
+// FIREBASE_SERVICE_ACCOUNT (to sign custom tokens) in the site's environment.
+export default createPiAuthHandlerFromEnv();
+
+export const config = { path: '/api/pi-auth' };
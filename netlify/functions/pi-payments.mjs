@@ -0,0 +1,7 @@
+import { createPiPaymentsHandlerFromEnv } from '../../server/piPayments.mjs';
+
+// Netlify Function wrapper around the Pi payment approval and completion
+// callbacks. Needs PI_API_KEY, APP_ID and FIREBASE_SERVICE_ACCOUNT.
+export default createPiPaymentsHandlerFromEnv();
+
+export const config = { path: ['/api/pi-payments/approve', '/api/pi-payments/complete'] };
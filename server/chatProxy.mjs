@@ -0,0 +1,147 @@
+import { activeTier, createEntitlementStoreFromEnv } from './entitlements.mjs';
+import { verifyIdToken } from './firebaseAdmin.mjs';
+import { bearerToken, jsonError, numberFromEnv, readJsonBody } from './http.mjs';
+import { allowedModelsForTier, dailyMessageLimit, historyCharBudget } from './plans.mjs';
+import { createRateLimiter } from './rateLimiter.mjs';
+import { MEMORY_PURPOSE, TOOL_PURPOSE, createUsageStoreFromEnv, isKnownPurpose, msUntilNextDay, usageDay } from './usage.mjs';
+
+// Forwards chat requests from signed-in users to Gemini so the API key never
+// reaches the browser. Written against the Fetch API Request/Response types so
+// the same handler runs as a Netlify Function and under server/index.mjs.
+// The caller's plan (see src/config/plans.json) decides which models they may
+// use, how much earlier conversation each request may carry and how many
+// messages a day they get. The daily count is kept in
+// Firestore (server/usage.mjs) and checked before Gemini is called; a message
+// whose request to Gemini fails is given back. Requests with
+// `purpose: 'memory'` (the app's own memory updates) or `purpose: 'tool'` (a
+// reply continuing with the results of its function calls) are allowed a few
+// per message sent rather than counted as messages.
+
+export const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+// Room for attachments sent as inline data (Netlify Functions accept 6 MB)
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// Request fields passed through to Gemini; anything else is dropped.
+const FORWARDED_FIELDS = ['contents', 'systemInstruction', 'generationConfig', 'safetySettings', 'tools', 'toolConfig'];
+
+// The client condenses turns beyond the budget into a recap of up to 2000
+// characters (src/chat/history.js); this leaves room for it and its framing.
+const RECAP_ALLOWANCE = 3000;
+
+const textLength = (content) => (Array.isArray(content?.parts) ? content.parts : [])
+  .reduce((total, part) => total + (typeof part?.text === 'string' ? part.text.length : 0), 0);
+
+const isUserMessage = (content) => content?.role === 'user'
+  && Array.isArray(content.parts) && content.parts.some((part) => part?.text !== undefined || part?.inlineData);
+
+// Characters of text in the turns before the newest user message, counted
+// like the client's budget: inline files don't count, and neither do the
+// tool-call turns that follow the newest message.
+function historyLength(contents) {
+  let newest = contents.length - 1;
+  while (newest > 0 && !isUserMessage(contents[newest])) newest--;
+  return contents.slice(0, newest).reduce((total, content) => total + textLength(content), 0);
+}
+
+const QUOTA_MESSAGES = {
+  [MEMORY_PURPOSE]: 'No memory updates left for the messages sent today',
+  [TOOL_PURPOSE]: 'No tool calls left for the messages sent today',
+};
+
+export function createChatHandler({ apiKey, verifyIdToken, getTier, rateLimiter, usage, now = Date.now, fetchImpl = fetch }) {
+  return async function handleChat(request) {
+    if (request.method !== 'POST') return jsonError(405, 'METHOD_NOT_ALLOWED', 'Use POST');
+    if (!apiKey) return jsonError(500, 'INTERNAL', 'The chat proxy is missing GEMINI_API_KEY');
+
+    const idToken = bearerToken(request);
+    if (!idToken) return jsonError(401, 'UNAUTHENTICATED', 'Missing Firebase ID token');
+
+    let user;
+    try {
+      user = await verifyIdToken(idToken);
+    } catch (error) {
+      return jsonError(401, 'UNAUTHENTICATED', 'Invalid or expired Firebase ID token');
+    }
+
+    const tier = await getTier(user.uid);
+    const limit = rateLimiter(user.uid);
+    if (!limit.allowed) {
+      return jsonError(429, 'RESOURCE_EXHAUSTED', 'Too many messages. Please wait a moment and try again.', {
+        'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000)),
+      });
+    }
+
+    const { body, errorResponse } = await readJsonBody(request, MAX_BODY_BYTES);
+    if (errorResponse) return errorResponse;
+
+    const allowedModels = allowedModelsForTier(tier);
+    const { model = allowedModels[0], stream = false } = body;
+    if (!allowedModels.includes(model)) return jsonError(403, 'PERMISSION_DENIED', `Model ${model} is not available on your plan`);
+    if (!Array.isArray(body.contents) || body.contents.length === 0) {
+      return jsonError(400, 'INVALID_ARGUMENT', 'contents must be a non-empty array');
+    }
+    if (historyLength(body.contents) > historyCharBudget(tier) + RECAP_ALLOWANCE) {
+      return jsonError(413, 'INVALID_ARGUMENT', 'The conversation history is longer than your plan allows');
+    }
+
+    // Only well-formed requests count towards the day's messages
+    const day = usageDay(now());
+    const purpose = isKnownPurpose(body.purpose) ? body.purpose : undefined;
+    let quota;
+    try {
+      quota = await usage.consume(user.uid, { day, purpose, limit: dailyMessageLimit(tier, { isPiUser: Boolean(user.piUid) }) });
+    } catch (error) {
+      console.error('Daily quota check failed:', error);
+      return jsonError(503, 'UNAVAILABLE', 'Could not check your daily message quota');
+    }
+    if (!quota.allowed) {
+      const message = purpose ? QUOTA_MESSAGES[purpose] : `You have used all ${quota.limit} messages for today`;
+      return jsonError(429, 'RESOURCE_EXHAUSTED', message, {
+        'Retry-After': String(Math.ceil(msUntilNextDay(now()) / 1000)),
+      });
+    }
+    const refund = () => usage.refund(user.uid, { day, purpose }).catch((error) => console.error('Daily quota refund failed:', error));
+
+    const payload = {};
+    FORWARDED_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) payload[field] = body[field];
+    });
+
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    let upstream;
+    try {
+      upstream = await fetchImpl(`${GEMINI_BASE_URL}/${model}:${method}key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: request.signal,
+      });
+    } catch (error) {
+      console.error('Gemini request failed:', error);
+      await refund();
+      return jsonError(502, 'UNAVAILABLE', 'Could not reach Gemini');
+    }
+    if (!upstream.ok) await refund();
+
+    return new Response(upstream.body, {
+      status: upstream.status,
+      headers: {
+        'Content-Type': upstream.headers.get('Content-Type') || 'application/json',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  };
+}
+
+export function createChatHandlerFromEnv(entitlements = createEntitlementStoreFromEnv(), usage = createUsageStoreFromEnv()) {
+  return createChatHandler({
+    apiKey: process.env.GEMINI_API_KEY,
+    verifyIdToken,
+    getTier: async (uid) => activeTier(await entitlements.get(uid)),
+    // Bursts are limited per instance in memory; the daily quota is in Firestore
+    rateLimiter: createRateLimiter({
+      limits: [{ windowMs: 60 * 1000, max: numberFromEnv('CHAT_RATE_LIMIT_PER_MINUTE', 10) }],
+    }),
+    usage,
+  });
+}
@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { GEMINI_BASE_URL, createChatHandler } from './chatProxy.mjs';
+import { FREE_TIER, PLANS, PREMIUM_TIER } from './plans.mjs';
+import { createRateLimiter } from './rateLimiter.mjs';
+import { TOOL_ROUNDS_PER_MESSAGE, createMemoryUsageStore, msUntilNextDay, usageDay } from './usage.mjs';
+
+const NOW = Date.parse('2026-03-14T22:00:00Z');
+
+// Tokens are `<uid>` or `pi:<Pi uid>`, decoded the way Firebase would;
+// `expired` fails verification.
+const verifyIdToken = async (token) => {
+  if (token === 'expired') throw new Error('Firebase ID token has expired');
+  return token.startsWith('pi:') ? { uid: token, piUid: token.slice(3) } : { uid: token };
+};
+
+function createHandler({ tier = FREE_TIER, upstreamStatus = 200, rateLimiter = () => ({ allowed: true }) } = {}) {
+  const usage = createMemoryUsageStore();
+  const upstreamCalls = [];
+  const upstreamBodies = [];
+  const handle = createChatHandler({
+    apiKey: 'test-key',
+    verifyIdToken,
+    getTier: async () => tier,
+    rateLimiter,
+    usage,
+    now: () => NOW,
+    fetchImpl: async (url, init) => {
+      upstreamCalls.push(url);
+      upstreamBodies.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ candidates: [] }), { status: upstreamStatus, headers: { 'Content-Type': 'application/json' } });
+    },
+  });
+  return { handle, usage, upstreamCalls, upstreamBodies };
+}
+
+const hello = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+
+const chat = (handle, idToken, body = hello) =>
+  handle(new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: idToken ? { Authorization: `Bearer ${idToken}` } : {},
+    body: JSON.stringify(body),
+  }));
+
+test('refuses requests without a valid ID token', async () => {
+  const { handle, upstreamCalls } = createHandler();
+
+  for (const idToken of [null, 'expired']) {
+    const response = await chat(handle, idToken);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.status, 'UNAUTHENTICATED');
+  }
+  assert.equal(upstreamCalls.length, 0);
+});
+
+test('forwards Gemini fields only, with the server key, to the requested model', async () => {
+  const { handle, upstreamCalls, upstreamBodies } = createHandler();
+
+  const response = await chat(handle, 'guest', { ...hello, model: PLANS.free.geminiModel, stream: true, cachedContent: 'x' });
+
+  assert.equal(response.status, 200);
+  assert.equal(upstreamCalls[0], `${GEMINI_BASE_URL}/${PLANS.free.geminiModel}:streamGenerateContent?alt=sse&key=test-key`);
+  assert.deepEqual(upstreamBodies[0], hello);
+});
+
+test('allows only the models on the caller\'s plan', async () => {
+  const free = createHandler();
+  const refused = await chat(free.handle, 'guest', { ...hello, model: PLANS.premium.geminiModel });
+  assert.equal(refused.status, 403);
+  assert.equal((await refused.json()).error.status, 'PERMISSION_DENIED');
+  assert.equal((await chat(free.handle, 'guest', { ...hello, model: 'gemini-ultra' })).status, 403);
+  assert.equal(free.upstreamCalls.length, 0);
+
+  const premium = createHandler({ tier: PREMIUM_TIER });
+  assert.equal((await chat(premium.handle, 'guest', { ...hello, model: PLANS.premium.geminiModel })).status, 200);
+  assert.equal((await chat(premium.handle, 'guest', { ...hello, model: PLANS.free.geminiModel })).status, 200);
+});
+
+test('limits the earlier turns to the plan\'s history budget', async () => {
+  const turns = (chars) => [
+    { role: 'user', parts: [{ text: 'x'.repeat(chars) }] },
+    { role: 'model', parts: [{ text: 'Noted.' }] },
+  ];
+  const longHistory = { contents: [...turns(PLANS.premium.historyCharBudget), ...hello.contents] };
+
+  const free = createHandler();
+  const refused = await chat(free.handle, 'guest', longHistory);
+  assert.equal(refused.status, 413);
+  assert.match((await refused.json()).error.message, /history/);
+  assert.equal(free.upstreamCalls.length, 0);
+  assert.equal(free.usage.counts.size, 0);
+
+  // A long newest message and the tool turns after it aren't history
+  const longMessage = { contents: [...turns(100), { role: 'user', parts: [{ text: 'y'.repeat(50000) }] }] };
+  assert.equal((await chat(free.handle, 'guest', longMessage)).status, 200);
+  const toolRound = {
+    purpose: 'tool',
+    contents: [
+      ...hello.contents,
+      { role: 'model', parts: [{ functionCall: { name: 'search', args: {} } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'search', response: { text: 'z'.repeat(50000) } } }] },
+    ],
+  };
+  assert.equal((await chat(free.handle, 'guest', toolRound)).status, 200);
+
+  const premium = createHandler({ tier: PREMIUM_TIER });
+  assert.equal((await chat(premium.handle, 'guest', longHistory)).status, 200);
+});
+
+test('refuses bursts over the rate limit without counting them', async () => {
+  const rateLimiter = createRateLimiter({ limits: [{ windowMs: 60 * 1000, max: 2 }], now: () => NOW });
+  const { handle, usage, upstreamCalls } = createHandler({ rateLimiter });
+
+  await chat(handle, 'guest');
+  await chat(handle, 'guest');
+  const response = await chat(handle, 'guest');
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('Retry-After'), '60');
+  assert.equal(upstreamCalls.length, 2);
+  assert.equal(usage.counts.get(`guest/${usageDay(NOW)}`).messages, 2);
+});
+
+async function sendUntilRefused(handle, idToken) {
+  for (let sent = 0; sent < 1000; sent++) {
+    const response = await chat(handle, idToken);
+    if (response.status === 429) return { sent, response };
+  }
+  throw new Error('Never refused');
+}
+
+test('refuses messages over the daily quota before calling Gemini', async () => {
+  const { handle, usage, upstreamCalls } = createHandler();
+
+  const { sent, response } = await sendUntilRefused(handle, 'guest');
+
+  assert.equal(sent, PLANS.free.messagesPerDay);
+  assert.equal(upstreamCalls.length, PLANS.free.messagesPerDay);
+  assert.equal(usage.counts.get(`guest/${usageDay(NOW)}`).messages, PLANS.free.messagesPerDay);
+  assert.equal(response.headers.get('Retry-After'), String(msUntilNextDay(NOW) / 1000));
+  assert.equal((await response.json()).error.status, 'RESOURCE_EXHAUSTED');
+});
+
+test('gives Pi users and premium users their own limits', async () => {
+  assert.equal((await sendUntilRefused(createHandler().handle, 'pi:pioneer')).sent, PLANS.free.piMessagesPerDay);
+  assert.equal((await sendUntilRefused(createHandler({ tier: PREMIUM_TIER }).handle, 'pi:pioneer')).sent, PLANS.premium.messagesPerDay);
+});
+
+test('counts each user separately and starts again the next day', async () => {
+  const { handle, usage } = createHandler();
+  await sendUntilRefused(handle, 'guest');
+
+  assert.equal((await chat(handle, 'someone-else')).status, 200);
+
+  usage.counts.clear();
+  assert.equal((await chat(handle, 'guest')).status, 200);
+});
+
+test('does not count malformed requests or failed replies', async () => {
+  const { handle, usage } = createHandler({ upstreamStatus: 503 });
+
+  assert.equal((await chat(handle, 'guest', { contents: [] })).status, 400);
+  assert.equal((await chat(handle, 'guest')).status, 503);
+
+  assert.equal(usage.counts.get(`guest/${usageDay(NOW)}`).messages, 0);
+});
+
+test('allows one memory update per message without counting it', async () => {
+  const { handle, usage } = createHandler();
+  const memoryRequest = { purpose: 'memory', contents: [{ role: 'user', parts: [{ text: 'My name is Ada' }] }] };
+
+  assert.equal((await chat(handle, 'guest', memoryRequest)).status, 429);
+  assert.equal((await chat(handle, 'guest')).status, 200);
+  assert.equal((await chat(handle, 'guest', memoryRequest)).status, 200);
+  assert.equal((await chat(handle, 'guest', memoryRequest)).status, 429);
+
+  assert.deepEqual(usage.counts.get(`guest/${usageDay(NOW)}`), { messages: 1, memoryUpdates: 1 });
+});
+
+test('allows a few tool rounds per message without counting them', async () => {
+  const { handle, usage } = createHandler();
+  const toolRound = {
+    purpose: 'tool',
+    contents: [
+      { role: 'user', parts: [{ text: 'What is 2+2?' }] },
+      { role: 'model', parts: [{ functionCall: { name: 'calculate', args: { expression: '2+2' } } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { result: 4 } } }] },
+    ],
+  };
+
+  assert.equal((await chat(handle, 'guest', toolRound)).status, 429);
+  assert.equal((await chat(handle, 'guest')).status, 200);
+  for (let round = 0; round < TOOL_ROUNDS_PER_MESSAGE; round++) {
+    assert.equal((await chat(handle, 'guest', toolRound)).status, 200);
+  }
+  assert.equal((await chat(handle, 'guest', toolRound)).status, 429);
+
+  assert.deepEqual(usage.counts.get(`guest/${usageDay(NOW)}`), { messages: 1, toolRounds: TOOL_ROUNDS_PER_MESSAGE });
+});
+
+test('msUntilNextDay counts to midnight UTC', () => {
+  assert.equal(usageDay(NOW), '2026-03-14');
+  assert.equal(msUntilNextDay(NOW), 2 * 60 * 60 * 1000);
+  assert.equal(usageDay(NOW + msUntilNextDay(NOW)), '2026-03-15');
+});
@@ -0,0 +1,89 @@
+import { GEMINI_BASE_URL } from './chatProxy.mjs';
+import { verifyIdToken } from './firebaseAdmin.mjs';
+import { bearerToken, jsonError, jsonResponse, numberFromEnv, readJsonBody } from './http.mjs';
+import { createRateLimiter } from './rateLimiter.mjs';
+
+// Embeds text for the knowledge base (src/knowledge) with Gemini's embedding
+// model, keeping the API key on the server like the chat proxy. Signed-in
+// users POST { texts, taskType } and get back { model, embeddings }, one
+// vector per text. `taskType` is RETRIEVAL_DOCUMENT for document chunks and
+// RETRIEVAL_QUERY for questions.
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+// Gemini's batchEmbedContents takes at most 100 texts
+export const MAX_TEXTS = 100;
+export const MAX_TEXT_LENGTH = 8000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const TASK_TYPES = ['RETRIEVAL_DOCUMENT', 'RETRIEVAL_QUERY'];
+
+export function createEmbedHandler({ apiKey, verifyIdToken, rateLimiter, model = DEFAULT_EMBEDDING_MODEL, fetchImpl = fetch }) {
+  return async function handleEmbed(request) {
+    if (request.method !== 'POST') return jsonError(405, 'METHOD_NOT_ALLOWED', 'Use POST');
+    if (!apiKey) return jsonError(500, 'INTERNAL', 'The embedding proxy is missing GEMINI_API_KEY');
+
+    const idToken = bearerToken(request);
+    if (!idToken) return jsonError(401, 'UNAUTHENTICATED', 'Missing Firebase ID token');
+
+    let user;
+    try {
+      user = await verifyIdToken(idToken);
+    } catch (error) {
+      return jsonError(401, 'UNAUTHENTICATED', 'Invalid or expired Firebase ID token');
+    }
+
+    const limit = rateLimiter(user.uid);
+    if (!limit.allowed) {
+      return jsonError(429, 'RESOURCE_EXHAUSTED', 'Too many requests. Please wait a moment and try again.', {
+        'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000)),
+      });
+    }
+
+    const { body, errorResponse } = await readJsonBody(request, MAX_BODY_BYTES);
+    if (errorResponse) return errorResponse;
+
+    const { texts, taskType = 'RETRIEVAL_DOCUMENT' } = body;
+    if (!Array.isArray(texts) || texts.length === 0 || texts.length > MAX_TEXTS) {
+      return jsonError(400, 'INVALID_ARGUMENT', `texts must be an array of 1 to ${MAX_TEXTS} strings`);
+    }
+    if (!texts.every((text) => typeof text === 'string' && text.length > 0 && text.length <= MAX_TEXT_LENGTH)) {
+      return jsonError(400, 'INVALID_ARGUMENT', `Each text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (!TASK_TYPES.includes(taskType)) return jsonError(400, 'INVALID_ARGUMENT', `taskType must be one of ${TASK_TYPES.join(', ')}`);
+
+    let upstream;
+    try {
+      upstream = await fetchImpl(`${GEMINI_BASE_URL}/${model}:batchEmbedContents?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: texts.map((text) => ({ model: `models/${model}`, content: { parts: [{ text }] }, taskType })),
+        }),
+        signal: request.signal,
+      });
+    } catch (error) {
+      console.error('Gemini embedding request failed:', error);
+      return jsonError(502, 'UNAVAILABLE', 'Could not reach Gemini');
+    }
+
+    if (!upstream.ok) {
+      return new Response(upstream.body, {
+        status: upstream.status,
+        headers: { 'Content-Type': upstream.headers.get('Content-Type') || 'application/json' },
+      });
+    }
+    const result = await upstream.json();
+    return jsonResponse({ model, embeddings: (result.embeddings || []).map((embedding) => embedding.values) });
+  };
+}
+
+export function createEmbedHandlerFromEnv() {
+  return createEmbedHandler({
+    apiKey: process.env.GEMINI_API_KEY,
+    verifyIdToken,
+    // A document of a few hundred chunks takes a few requests
+    rateLimiter: createRateLimiter({
+      limits: [{ windowMs: 60 * 1000, max: numberFromEnv('EMBED_RATE_LIMIT_PER_MINUTE', 30) }],
+    }),
+    model: process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+  });
+}
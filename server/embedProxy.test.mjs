@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { MAX_TEXTS, createEmbedHandler } from './embedProxy.mjs';
+
+function createHandler({ upstreamStatus = 200 } = {}) {
+  const upstreamCalls = [];
+  const handle = createEmbedHandler({
+    apiKey: 'test-key',
+    verifyIdToken: async (token) => ({ uid: token }),
+    rateLimiter: () => ({ allowed: true }),
+    model: 'test-embedding',
+    fetchImpl: async (url, init) => {
+      const body = JSON.parse(init.body);
+      upstreamCalls.push({ url, body });
+      const response = upstreamStatus === 200
+        ? { embeddings: body.requests.map((_, index) => ({ values: [index, 1] })) }
+        : { error: { code: upstreamStatus, status: 'UNAVAILABLE', message: 'Overloaded' } };
+      return new Response(JSON.stringify(response), { status: upstreamStatus, headers: { 'Content-Type': 'application/json' } });
+    },
+  });
+  return { handle, upstreamCalls };
+}
+
+const embed = (handle, body, idToken = 'guest') =>
+  handle(new Request('http://localhost/api/embed', {
+    method: 'POST',
+    headers: idToken ? { Authorization: `Bearer ${idToken}` } : {},
+    body: JSON.stringify(body),
+  }));
+
+test('embeds a batch of texts with one Gemini request', async () => {
+  const { handle, upstreamCalls } = createHandler();
+
+  const response = await embed(handle, { texts: ['Pi mining', 'KYC'], taskType: 'RETRIEVAL_QUERY' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { model: 'test-embedding', embeddings: [[0, 1], [1, 1]] });
+  assert.match(upstreamCalls[0].url, /\/test-embedding:batchEmbedContents\?key=test-key$/);
+  assert.deepEqual(upstreamCalls[0].body.requests[1], {
+    model: 'models/test-embedding',
+    content: { parts: [{ text: 'KYC' }] },
+    taskType: 'RETRIEVAL_QUERY',
+  });
+});
+
+test('refuses unsigned and malformed requests before calling Gemini', async () => {
+  const { handle, upstreamCalls } = createHandler();
+
+  assert.equal((await embed(handle, { texts: ['Hi'] }, null)).status, 401);
+  assert.equal((await embed(handle, { texts: [] })).status, 400);
+  assert.equal((await embed(handle, { texts: Array(MAX_TEXTS + 1).fill('Hi') })).status, 400);
+  assert.equal((await embed(handle, { texts: ['Hi', 42] })).status, 400);
+  assert.equal((await embed(handle, { texts: ['Hi'], taskType: 'CLUSTERING' })).status, 400);
+  assert.equal(upstreamCalls.length, 0);
+});
+
+test('passes Gemini errors through', async () => {
+  const { handle } = createHandler({ upstreamStatus: 503 });
+
+  const response = await embed(handle, { texts: ['Hi'] });
+
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).error.status, 'UNAVAILABLE');
+});
@@ -0,0 +1,87 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getDb } from './firebaseAdmin.mjs';
+import { FREE_TIER, PREMIUM_TIER } from './plans.mjs';
+
+// Per-user entitlements, written only by the server once a Pi payment has been
+// completed. Clients read artifacts/{appId}/users/{uid}/entitlements/current.
+//
+// A store exposes:
+//   get(uid)                                 -> { tier, expiresAt (ms) } | null
+//   grant(uid, { tier, days, paymentId })    -> the updated entitlement; granting
+//                                               the same paymentId twice is a no-op
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const entitlementsPath = (appId, uid) => `artifacts/${appId}/users/${uid}/entitlements/current`;
+const paymentPath = (appId, uid, paymentId) => `artifacts/${appId}/users/${uid}/payments/${paymentId}`;
+
+export const activeTier = (entitlement, now = Date.now()) =>
+  entitlement?.tier === PREMIUM_TIER && entitlement.expiresAt > now ? PREMIUM_TIER : FREE_TIER;
+
+// Extends an unexpired entitlement instead of restarting it.
+const extendedExpiry = (current, days, now) => Math.max(current?.expiresAt || 0, now) + days * DAY_MS;
+
+export function createFirestoreEntitlementStore(db, appId) {
+  const fromDoc = (snapshot) => {
+    if (!snapshot.exists) return null;
+    const data = snapshot.data();
+    return { tier: data.tier, expiresAt: data.expiresAt?.toMillis() || 0 };
+  };
+
+  return {
+    async get(uid) {
+      return fromDoc(await db.doc(entitlementsPath(appId, uid)).get());
+    },
+
+    grant(uid, { tier, days, paymentId }) {
+      const entitlementRef = db.doc(entitlementsPath(appId, uid));
+      const paymentRef = db.doc(paymentPath(appId, uid, paymentId));
+
+      return db.runTransaction(async (transaction) => {
+        const [entitlementSnapshot, paymentSnapshot] = await Promise.all([
+          transaction.get(entitlementRef),
+          transaction.get(paymentRef),
+        ]);
+        const current = fromDoc(entitlementSnapshot);
+        if (paymentSnapshot.exists) return current;
+
+        const expiresAt = extendedExpiry(current, days, Date.now());
+        transaction.set(entitlementRef, {
+          tier,
+          expiresAt: Timestamp.fromMillis(expiresAt),
+          lastPaymentId: paymentId,
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        transaction.set(paymentRef, { tier, days, completedAt: FieldValue.serverTimestamp() });
+        return { tier, expiresAt };
+      });
+    },
+  };
+}
+
+// In-memory store for tests and local runs without Firestore.
+export function createMemoryEntitlementStore({ now = Date.now } = {}) {
+  const entitlements = new Map();
+  const payments = new Set();
+
+  return {
+    async get(uid) {
+      return entitlements.get(uid) || null;
+    },
+
+    async grant(uid, { tier, days, paymentId }) {
+      if (payments.has(paymentId)) return entitlements.get(uid) || null;
+      payments.add(paymentId);
+      const entitlement = { tier, expiresAt: extendedExpiry(entitlements.get(uid), days, now()) };
+      entitlements.set(uid, entitlement);
+      return entitlement;
+    },
+  };
+}
+
+// Without APP_ID there is no Firestore path to keep entitlements under, so
+// they only live as long as the process (fine for local testing).
+export function createEntitlementStoreFromEnv() {
+  const appId = process.env.APP_ID;
+  return appId ? createFirestoreEntitlementStore(getDb(), appId) : createMemoryEntitlementStore();
+}
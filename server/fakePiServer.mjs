@@ -0,0 +1,144 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+// A fake Pi Platform API for local development and tests. It implements the
+// /v2 endpoints the server uses, plus /fake endpoints that play the part of the
+// Pi Browser (creating a payment, signing its transaction) for the mock SDK.
+//
+//   node server/fakePiServer.mjs           # listens on FAKE_PI_PORT or 8788
+//   PI_API_BASE_URL=http://localhost:8788/v2 PI_MOCK=true npm run server
+
+const FAKE_API_KEY = 'fake-pi-api-key';
+
+function newPayment({ amount, memo, metadata, user_uid: userUid }) {
+  return {
+    identifier: randomUUID(),
+    user_uid: userUid,
+    amount,
+    memo,
+    metadata,
+    from_address: `wallet-${userUid}`,
+    to_address: 'wallet-app',
+    direction: 'user_to_app',
+    network: 'Pi Testnet',
+    created_at: new Date().toISOString(),
+    status: {
+      developer_approved: false,
+      transaction_verified: false,
+      developer_completed: false,
+      cancelled: false,
+      user_cancelled: false,
+    },
+    transaction: null,
+  };
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+
+// Returns { server, payments, listen(port) -> Promise<baseUrl>, close() }.
+// `payments` is the live Map of payments by identifier, for assertions.
+export function createFakePiServer({ apiKey = FAKE_API_KEY } = {}) {
+  const payments = new Map();
+
+  const routes = [
+    // Pi Platform API
+    ['GET', /^\/v2\/me$/, (req) => {
+      const match = /^Bearer mock-pi-token:([^:]+):(.+)$/.exec(req.headers.authorization || '');
+      return match ? [200, { uid: match[1], username: match[2] }] : [401, { error: 'invalid_token' }];
+    }],
+    ['GET', /^\/v2\/payments\/([^/]+)$/, (req, payment) => [200, payment], { apiKey: true }],
+    ['POST', /^\/v2\/payments\/([^/]+)\/approve$/, (req, payment) => {
+      payment.status.developer_approved = true;
+      return [200, payment];
+    }, { apiKey: true }],
+    ['POST', /^\/v2\/payments\/([^/]+)\/complete$/, (req, payment, body) => {
+      if (!payment.transaction || payment.transaction.txid !== body.txid) return [400, { error: 'txid_mismatch' }];
+      payment.status.developer_completed = true;
+      return [200, payment];
+    }, { apiKey: true }],
+    ['POST', /^\/v2\/payments\/([^/]+)\/cancel$/, (req, payment) => {
+      payment.status.cancelled = true;
+      return [200, payment];
+    }, { apiKey: true }],
+
+    // Pi Browser stand-ins used by the mock SDK
+    ['POST', /^\/fake\/payments$/, (req, payment, body) => {
+      const created = newPayment(body);
+      payments.set(created.identifier, created);
+      return [201, created];
+    }],
+    ['GET', /^\/fake\/payments\/([^/]+)$/, (req, payment) => [200, payment]],
+    // `{ "verified": false }` leaves the transaction waiting for the blockchain
+    ['POST', /^\/fake\/payments\/([^/]+)\/transaction$/, (req, payment, body) => {
+      if (!payment.status.developer_approved) return [409, { error: 'not_approved' }];
+      const verified = body.verified !== false;
+      payment.transaction = { txid: randomUUID(), verified, _link: 'https://fake.pi/tx' };
+      payment.status.transaction_verified = verified;
+      return [200, payment.transaction];
+    }],
+    ['POST', /^\/fake\/payments\/([^/]+)\/user-cancel$/, (req, payment) => {
+      payment.status.user_cancelled = true;
+      return [200, payment];
+    }],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    for (const [method, pattern, handler, options = {}] of routes) {
+      const match = method === req.method && pattern.exec(path);
+      if (!match) continue;
+
+      if (options.apiKey && req.headers.authorization !== `Key ${apiKey}`) {
+        return send(res, 401, { error: 'invalid_api_key' });
+      }
+      const payment = match[1] ? payments.get(match[1]) : undefined;
+      if (match[1] && !payment) return send(res, 404, { error: 'payment_not_found' });
+
+      const [status, body] = handler(req, payment, await readBody(req));
+      return send(res, status, body);
+    }
+    send(res, 404, { error: 'not_found' });
+  });
+
+  return {
+    server,
+    payments,
+    listen: (port = 0) =>
+      new Promise((resolve) => {
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+      }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = createFakePiServer({ apiKey: process.env.PI_API_KEY || FAKE_API_KEY });
+  fake.listen(Number(process.env.FAKE_PI_PORT) || 8788).then((url) => {
+    console.log(`Fake Pi Platform API on ${url}/v2 (mock SDK endpoints under ${url}/fake)`);
+  });
+}
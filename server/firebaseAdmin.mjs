@@ -0,0 +1,27 @@
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// The Admin SDK picks up credentials from FIREBASE_SERVICE_ACCOUNT (the JSON
+// key as a string, handy for Netlify env vars) or, failing that, from
+// GOOGLE_APPLICATION_CREDENTIALS / the Firebase Functions runtime.
+export function getAdminApp() {
+  if (getApps().length > 0) return getApps()[0];
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  return initializeApp(serviceAccount ? { credential: cert(JSON.parse(serviceAccount)) } : undefined);
+}
+
+// Resolves with the decoded token, or rejects if it is missing, expired or
+// issued for another project.
+export function verifyIdToken(idToken) {
+  return getAuth(getAdminApp()).verifyIdToken(idToken);
+}
+
+// Signs a token the client passes to signInWithCustomToken. `claims` end up
+// in the user's ID token (request.auth.token in security rules).
+export function createCustomToken(uid, claims) {
+  return getAuth(getAdminApp()).createCustomToken(uid, claims);
+}
+
+export const getDb = () => getFirestore(getAdminApp());
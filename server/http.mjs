@@ -0,0 +1,70 @@
+// Small Fetch API helpers shared by the server handlers.
+
+// Errors use Gemini's error shape ({ error: { code, status, message } }) so the
+// client maps proxy and upstream failures the same way.
+export const jsonError = (status, code, message, headers = {}) =>
+  new Response(JSON.stringify({ error: { code: status, status: code, message } }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+
+export const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+export const bearerToken = (request) => {
+  const match = /^Bearer (.+)$/.exec(request.headers.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+const tooLarge = () => jsonError(413, 'INVALID_ARGUMENT', 'Request is too large');
+
+// The body's bytes, or null as soon as there are more than `maxBytes`, so an
+// oversized upload is never held in memory whole.
+async function readLimited(request, maxBytes) {
+  if (Number(request.headers.get('Content-Length')) > maxBytes) return null;
+  if (!request.body) return new Uint8Array();
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+// Resolves with the parsed body, which is always a JSON object, or with an
+// error Response to return as-is.
+export async function readJsonBody(request, maxBytes) {
+  const bytes = await readLimited(request, maxBytes);
+  if (!bytes) return { errorResponse: tooLarge() };
+  let body;
+  try {
+    body = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return { errorResponse: jsonError(400, 'INVALID_ARGUMENT', 'Request body must be JSON') };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errorResponse: jsonError(400, 'INVALID_ARGUMENT', 'Request body must be a JSON object') };
+  }
+  return { body };
+}
+
+// A positive number from the environment, e.g. a rate limit, or `fallback`.
+export const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { readJsonBody } from './http.mjs';
+
+const post = (body, headers = {}) =>
+  new Request('http://localhost/api/chat', { method: 'POST', headers, body, duplex: 'half' });
+
+async function errorOf(request, maxBytes = 100) {
+  const { body, errorResponse } = await readJsonBody(request, maxBytes);
+  assert.equal(body, undefined);
+  return { status: errorResponse.status, message: (await errorResponse.json()).error.message };
+}
+
+test('reads a JSON object', async () => {
+  assert.deepEqual(await readJsonBody(post('{"contents":[]}'), 100), { body: { contents: [] } });
+});
+
+test('refuses bodies that are not JSON objects', async () => {
+  for (const raw of ['null', '[]', '"text"', '42', 'not json', '']) {
+    assert.equal((await errorOf(post(raw))).status, 400, raw);
+  }
+});
+
+test('stops reading once the body is over the limit', async () => {
+  let pulls = 0;
+  const endless = new ReadableStream({
+    pull(controller) {
+      pulls += 1;
+      controller.enqueue(new TextEncoder().encode('x'.repeat(40)));
+    },
+  });
+
+  assert.equal((await errorOf(post(endless))).status, 413);
+  assert.ok(pulls <= 4, `read ${pulls} chunks`);
+  assert.equal((await errorOf(post('x', { 'Content-Length': '101' }))).status, 413);
+  // Multi-byte characters count as bytes
+  assert.equal((await errorOf(post(JSON.stringify({ text: 'π'.repeat(60) })))).status, 413);
+});
@@ -0,0 +1,68 @@
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { createChatHandlerFromEnv } from './chatProxy.mjs';
+import { createEmbedHandlerFromEnv } from './embedProxy.mjs';
+import { createEntitlementStoreFromEnv } from './entitlements.mjs';
+import { createOpenAiHandlerFromEnv } from './openaiProxy.mjs';
+import { createPiAuthHandlerFromEnv } from './piAuth.mjs';
+import { createPiPaymentsHandlerFromEnv } from './piPayments.mjs';
+
+// Local development server for the /api functions. `npm start` forwards /api
+// requests here through the "proxy" setting in package.json.
+//
+//   GEMINI_API_KEY=... GOOGLE_APPLICATION_CREDENTIALS=./service-account.json npm run server
+
+const PORT = Number(process.env.PORT) || 8787;
+// One entitlement store for every route, so that without APP_ID a premium
+// purchase is still visible to the chat proxy in the same process.
+const entitlements = createEntitlementStoreFromEnv();
+const handlePiPayments = createPiPaymentsHandlerFromEnv(entitlements);
+
+const routes = {
+  '/api/chat': createChatHandlerFromEnv(entitlements),
+  '/api/embed': createEmbedHandlerFromEnv(),
+  '/api/openai': createOpenAiHandlerFromEnv(),
+  '/api/pi-auth': createPiAuthHandlerFromEnv(),
+  '/api/pi-payments/approve': handlePiPayments,
+  '/api/pi-payments/complete': handlePiPayments,
+};
+
+const server = http.createServer(async (req, res) => {
+  const handler = routes[req.url];
+  if (!handler) {
+    res.writeHead(404).end();
+    return;
+  }
+
+  // Abort upstream requests when the browser goes away (e.g. the Stop button)
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const request = new Request(`http://localhost:${PORT}${req.url}`, {
+      method: req.method,
+      headers: req.headers,
+      body: req.method === 'POST' ? Readable.toWeb(req) : undefined,
+      duplex: 'half',
+      signal: controller.signal,
+    });
+
+    const response = await handler(request);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body) {
+      res.end();
+      return;
+    }
+    Readable.fromWeb(response.body)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  } catch (error) {
+    console.error(`Error handling ${req.url}:`, error);
+    if (!res.headersSent) res.writeHead(500);
+    res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`API server listening on http://localhost:${PORT} (${Object.keys(routes).join(', ')})`);
+});
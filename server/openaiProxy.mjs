@@ -0,0 +1,91 @@
+import { verifyIdToken } from './firebaseAdmin.mjs';
+import { bearerToken, jsonError, numberFromEnv, readJsonBody } from './http.mjs';
+import { createRateLimiter } from './rateLimiter.mjs';
+
+// Forwards Chat Completions requests from signed-in users to an
+// OpenAI-compatible API (OpenAI, OpenRouter, Groq, vLLM, ...), keeping its key
+// on the server like the chat proxy does for Gemini. Only the models in
+// OPENAI_MODELS may be used.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+// Room for images sent as data URLs, like the chat proxy
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// Request fields passed through; anything else is dropped.
+const FORWARDED_FIELDS = ['messages', 'temperature', 'max_tokens', 'stream'];
+
+export function createOpenAiHandler({ apiKey, baseUrl = DEFAULT_BASE_URL, models = [DEFAULT_MODEL], verifyIdToken, rateLimiter, fetchImpl = fetch }) {
+  return async function handleOpenAi(request) {
+    if (request.method !== 'POST') return jsonError(405, 'METHOD_NOT_ALLOWED', 'Use POST');
+
+    const idToken = bearerToken(request);
+    if (!idToken) return jsonError(401, 'UNAUTHENTICATED', 'Missing Firebase ID token');
+
+    let user;
+    try {
+      user = await verifyIdToken(idToken);
+    } catch (error) {
+      return jsonError(401, 'UNAUTHENTICATED', 'Invalid or expired Firebase ID token');
+    }
+
+    const limit = rateLimiter(user.uid);
+    if (!limit.allowed) {
+      return jsonError(429, 'RESOURCE_EXHAUSTED', 'Too many messages. Please wait a moment and try again.', {
+        'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000)),
+      });
+    }
+
+    const { body, errorResponse } = await readJsonBody(request, MAX_BODY_BYTES);
+    if (errorResponse) return errorResponse;
+
+    const { model = models[0] } = body;
+    if (!models.includes(model)) return jsonError(403, 'PERMISSION_DENIED', `Model ${model} is not available`);
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      return jsonError(400, 'INVALID_ARGUMENT', 'messages must be a non-empty array');
+    }
+
+    const payload = { model };
+    FORWARDED_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) payload[field] = body[field];
+    });
+
+    let upstream;
+    try {
+      upstream = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          // Servers without keys (vLLM, LM Studio) need no Authorization
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify(payload),
+        signal: request.signal,
+      });
+    } catch (error) {
+      console.error('Chat completion request failed:', error);
+      return jsonError(502, 'UNAVAILABLE', 'Could not reach the chat completion API');
+    }
+
+    return new Response(upstream.body, {
+      status: upstream.status,
+      headers: {
+        'Content-Type': upstream.headers.get('Content-Type') || 'application/json',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  };
+}
+
+export function createOpenAiHandlerFromEnv() {
+  const models = (process.env.OPENAI_MODELS || DEFAULT_MODEL).split(',').map((model) => model.trim()).filter(Boolean);
+  return createOpenAiHandler({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+    models,
+    verifyIdToken,
+    rateLimiter: createRateLimiter({
+      limits: [{ windowMs: 60 * 1000, max: numberFromEnv('CHAT_RATE_LIMIT_PER_MINUTE', 10) }],
+    }),
+  });
+}
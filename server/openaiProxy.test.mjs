@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createOpenAiHandler } from './openaiProxy.mjs';
+
+function createHandler({ apiKey = 'sk-test' } = {}) {
+  const upstreamCalls = [];
+  const handle = createOpenAiHandler({
+    apiKey,
+    baseUrl: 'https://llm.example/v1/',
+    models: ['small', 'large'],
+    verifyIdToken: async (token) => {
+      if (token === 'expired') throw new Error('expired');
+      return { uid: token };
+    },
+    rateLimiter: () => ({ allowed: true }),
+    fetchImpl: async (url, init) => {
+      upstreamCalls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+      return new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }), { headers: { 'Content-Type': 'application/json' } });
+    },
+  });
+  return { handle, upstreamCalls };
+}
+
+const complete = (handle, body, idToken = 'guest') =>
+  handle(new Request('http://localhost/api/openai', {
+    method: 'POST',
+    headers: idToken ? { Authorization: `Bearer ${idToken}` } : {},
+    body: JSON.stringify(body),
+  }));
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+test('adds the server key and forwards only known fields', async () => {
+  const { handle, upstreamCalls } = createHandler();
+
+  const response = await complete(handle, { model: 'large', messages, temperature: 0.5, stream: true, user: 'spoofed' });
+
+  assert.equal(response.status, 200);
+  assert.equal(upstreamCalls[0].url, 'https://llm.example/v1/chat/completions');
+  assert.equal(upstreamCalls[0].headers.Authorization, 'Bearer sk-test');
+  assert.deepEqual(upstreamCalls[0].body, { model: 'large', messages, temperature: 0.5, stream: true });
+});
+
+test('uses the first model by default and sends no key when there is none', async () => {
+  const { handle, upstreamCalls } = createHandler({ apiKey: '' });
+
+  await complete(handle, { messages });
+
+  assert.equal(upstreamCalls[0].body.model, 'small');
+  assert.equal(upstreamCalls[0].headers.Authorization, undefined);
+});
+
+test('refuses unsigned, unknown-model and malformed requests', async () => {
+  const { handle, upstreamCalls } = createHandler();
+
+  assert.equal((await complete(handle, { messages }, null)).status, 401);
+  assert.equal((await complete(handle, { messages }, 'expired')).status, 401);
+  assert.equal((await complete(handle, { model: 'gpt-5', messages })).status, 403);
+  assert.equal((await complete(handle, { messages: [] })).status, 400);
+  assert.equal(upstreamCalls.length, 0);
+});
@@ -0,0 +1,48 @@
+import { createCustomToken } from './firebaseAdmin.mjs';
+import { jsonError, jsonResponse, readJsonBody } from './http.mjs';
+import { PiApiError, getPiUser } from './piPlatform.mjs';
+
+// Exchanges a Pi access token for a Firebase custom token. The Firebase uid is
+// derived from the Pi uid, so a Pioneer gets the same chat history on every
+// device they open the app on in the Pi Browser.
+
+const MAX_BODY_BYTES = 8 * 1024;
+
+export const firebaseUidForPiUser = (piUid) => `pi:${piUid}`;
+
+export function createPiAuthHandler({ getPiUser, createCustomToken }) {
+  return async function handlePiAuth(request) {
+    if (request.method !== 'POST') return jsonError(405, 'METHOD_NOT_ALLOWED', 'Use POST');
+
+    const { body, errorResponse } = await readJsonBody(request, MAX_BODY_BYTES);
+    if (errorResponse) return errorResponse;
+    if (typeof body.accessToken !== 'string' || body.accessToken === '') {
+      return jsonError(400, 'INVALID_ARGUMENT', 'accessToken is required');
+    }
+
+    let piUser;
+    try {
+      piUser = await getPiUser(body.accessToken);
+    } catch (error) {
+      if (error instanceof PiApiError && error.status === 401) {
+        return jsonError(401, 'UNAUTHENTICATED', 'Pi access token was rejected');
+      }
+      console.error('Pi user lookup failed:', error);
+      return jsonError(502, 'UNAVAILABLE', 'Could not verify the Pi access token');
+    }
+
+    let customToken;
+    try {
+      customToken = await createCustomToken(firebaseUidForPiUser(piUser.uid), {
+        piUid: piUser.uid,
+        piUsername: piUser.username,
+      });
+    } catch (error) {
+      console.error('Firebase custom token creation failed:', error);
+      return jsonError(500, 'INTERNAL', 'Could not create a Firebase sign-in token');
+    }
+    return jsonResponse({ customToken, user: piUser });
+  };
+}
+
+export const createPiAuthHandlerFromEnv = () => createPiAuthHandler({ getPiUser, createCustomToken });
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createFakePiServer } from './fakePiServer.mjs';
+import { createPiAuthHandler } from './piAuth.mjs';
+import { getPiUser } from './piPlatform.mjs';
+
+// The Pi API is the fake server, which accepts `mock-pi-token:<uid>:<username>`
+const fakePi = createFakePiServer();
+
+before(async () => {
+  process.env.PI_API_BASE_URL = `${await fakePi.listen()}/v2`;
+  process.env.PI_MOCK = 'false';
+});
+
+after(() => fakePi.close());
+
+function createHandler({ createCustomToken = async (uid) => `custom-token-for-${uid}` } = {}) {
+  const customTokens = [];
+  const handle = createPiAuthHandler({
+    getPiUser,
+    createCustomToken: async (uid, claims) => {
+      customTokens.push({ uid, claims });
+      return createCustomToken(uid);
+    },
+  });
+  return { handle, customTokens };
+}
+
+const signIn = (handle, body) =>
+  handle(new Request('http://localhost/api/pi-auth', {
+    method: 'POST',
+    ...(body !== undefined && { body: JSON.stringify(body) }),
+  }));
+
+test('exchanges a valid Pi access token for a custom token', async () => {
+  const { handle, customTokens } = createHandler();
+
+  const response = await signIn(handle, { accessToken: 'mock-pi-token:pioneer-1:ada' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), {
+    customToken: 'custom-token-for-pi:pioneer-1',
+    user: { uid: 'pioneer-1', username: 'ada' },
+  });
+  assert.deepEqual(customTokens, [{ uid: 'pi:pioneer-1', claims: { piUid: 'pioneer-1', piUsername: 'ada' } }]);
+});
+
+test('refuses an access token Pi rejects', async () => {
+  const { handle, customTokens } = createHandler();
+
+  const response = await signIn(handle, { accessToken: 'forged' });
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error.status, 'UNAUTHENTICATED');
+  assert.equal(customTokens.length, 0);
+});
+
+test('requires a body with an access token', async () => {
+  const { handle, customTokens } = createHandler();
+
+  assert.equal((await signIn(handle)).status, 400);
+  assert.equal((await signIn(handle, null)).status, 400);
+  assert.equal((await signIn(handle, {})).status, 400);
+  assert.equal((await signIn(handle, { accessToken: '' })).status, 400);
+  assert.equal(customTokens.length, 0);
+});
+
+test('answers with an error when Firebase cannot create the custom token', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { handle } = createHandler({
+    createCustomToken: async () => {
+      throw new Error('Missing service account credentials');
+    },
+  });
+
+  const response = await signIn(handle, { accessToken: 'mock-pi-token:pioneer-1:ada' });
+
+  assert.equal(response.status, 500);
+  assert.equal((await response.json()).error.status, 'INTERNAL');
+});
@@ -0,0 +1,104 @@
+import { createEntitlementStoreFromEnv } from './entitlements.mjs';
+import { verifyIdToken } from './firebaseAdmin.mjs';
+import { bearerToken, jsonError, jsonResponse, readJsonBody } from './http.mjs';
+import { firebaseUidForPiUser } from './piAuth.mjs';
+import { PiApiError, approvePayment, completePayment, getPayment } from './piPlatform.mjs';
+import { PLANS, PREMIUM_TIER } from './plans.mjs';
+
+// Server side of Pi payments for the premium plan:
+//   POST /api/pi-payments/approve  { paymentId }        (Firebase ID token required)
+//   POST /api/pi-payments/complete { paymentId, txid }
+// The SDK calls the client's onReadyForServerApproval / onReadyForServerCompletion
+// callbacks, which forward here. Completion grants the entitlement once Pi
+// reports a verified transaction with the given txid; it needs no ID token
+// because the payment itself (fetched from Pi) says who paid, which also lets
+// incomplete payments found at sign-in be finished.
+
+const MAX_BODY_BYTES = 8 * 1024;
+
+// Rejects payments that don't match the premium plan exactly.
+function validatePremiumPayment(payment) {
+  const plan = PLANS.premium;
+  if (payment.metadata?.plan !== PREMIUM_TIER) return 'Payment is not for the premium plan';
+  if (Number(payment.amount) !== plan.priceInPi) return 'Payment amount does not match the premium price';
+  if (payment.status?.cancelled || payment.status?.user_cancelled) return 'Payment was cancelled';
+  return null;
+}
+
+export function createPiPaymentsHandler({ verifyIdToken, pi, entitlements }) {
+  async function approve(request, body) {
+    const idToken = bearerToken(request);
+    if (!idToken) return jsonError(401, 'UNAUTHENTICATED', 'Missing Firebase ID token');
+
+    let caller;
+    try {
+      caller = await verifyIdToken(idToken);
+    } catch (error) {
+      return jsonError(401, 'UNAUTHENTICATED', 'Invalid or expired Firebase ID token');
+    }
+    if (!caller.piUid) return jsonError(403, 'PERMISSION_DENIED', 'Sign in with Pi to make payments');
+
+    const payment = await pi.getPayment(body.paymentId);
+    if (payment.user_uid !== caller.piUid) return jsonError(403, 'PERMISSION_DENIED', 'Payment belongs to another user');
+
+    const invalid = validatePremiumPayment(payment);
+    if (invalid) return jsonError(400, 'FAILED_PRECONDITION', invalid);
+
+    if (!payment.status?.developer_approved) await pi.approvePayment(body.paymentId);
+    return jsonResponse({ approved: true });
+  }
+
+  async function complete(body) {
+    if (typeof body.txid !== 'string' || body.txid === '') return jsonError(400, 'INVALID_ARGUMENT', 'txid is required');
+
+    const payment = await pi.getPayment(body.paymentId);
+    const invalid = validatePremiumPayment(payment);
+    if (invalid) return jsonError(400, 'FAILED_PRECONDITION', invalid);
+    // Premium is only granted for a transaction Pi has verified on the blockchain
+    if (!payment.transaction || payment.transaction.txid !== body.txid) {
+      return jsonError(400, 'FAILED_PRECONDITION', 'txid does not match the payment');
+    }
+    if (!payment.status?.transaction_verified) {
+      return jsonError(400, 'FAILED_PRECONDITION', 'The payment\'s transaction is not verified yet');
+    }
+
+    if (!payment.status?.developer_completed) await pi.completePayment(body.paymentId, body.txid);
+
+    const entitlement = await entitlements.grant(firebaseUidForPiUser(payment.user_uid), {
+      tier: PREMIUM_TIER,
+      days: PLANS.premium.durationDays,
+      paymentId: body.paymentId,
+    });
+    return jsonResponse({ entitlement });
+  }
+
+  return async function handlePiPayments(request) {
+    if (request.method !== 'POST') return jsonError(405, 'METHOD_NOT_ALLOWED', 'Use POST');
+
+    const { body, errorResponse } = await readJsonBody(request, MAX_BODY_BYTES);
+    if (errorResponse) return errorResponse;
+    if (typeof body.paymentId !== 'string' || body.paymentId === '') {
+      return jsonError(400, 'INVALID_ARGUMENT', 'paymentId is required');
+    }
+
+    const action = new URL(request.url).pathname.split('/').pop();
+    try {
+      if (action === 'approve') return await approve(request, body);
+      if (action === 'complete') return await complete(body);
+      return jsonError(404, 'NOT_FOUND', `Unknown payment action ${action}`);
+    } catch (error) {
+      if (error instanceof PiApiError && error.status === 404) {
+        return jsonError(404, 'NOT_FOUND', 'Unknown payment');
+      }
+      console.error(`Pi payment ${action} failed:`, error);
+      return jsonError(502, 'UNAVAILABLE', 'Could not reach the Pi payment service');
+    }
+  };
+}
+
+export const createPiPaymentsHandlerFromEnv = (entitlements = createEntitlementStoreFromEnv()) =>
+  createPiPaymentsHandler({
+    verifyIdToken,
+    pi: { getPayment, approvePayment, completePayment },
+    entitlements,
+  });
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { createMemoryEntitlementStore } from './entitlements.mjs';
+import { createFakePiServer } from './fakePiServer.mjs';
+import { createPiPaymentsHandler } from './piPayments.mjs';
+import { approvePayment, completePayment, getPayment } from './piPlatform.mjs';
+import { PLANS } from './plans.mjs';
+
+const fakePi = createFakePiServer({ apiKey: 'test-key' });
+let fakeUrl;
+
+before(async () => {
+  fakeUrl = await fakePi.listen();
+  process.env.PI_API_BASE_URL = `${fakeUrl}/v2`;
+  process.env.PI_API_KEY = 'test-key';
+});
+
+after(() => fakePi.close());
+
+const createHandler = (entitlements = createMemoryEntitlementStore()) => ({
+  entitlements,
+  handle: createPiPaymentsHandler({
+    verifyIdToken: async (token) => ({ uid: `pi:${token}`, piUid: token }),
+    pi: { getPayment, approvePayment, completePayment },
+    entitlements,
+  }),
+});
+
+const post = (handle, action, body, idToken) =>
+  handle(new Request(`http://localhost/api/pi-payments/${action}`, {
+    method: 'POST',
+    headers: idToken ? { Authorization: `Bearer ${idToken}` } : {},
+    body: JSON.stringify(body),
+  }));
+
+async function createPayment(overrides = {}) {
+  const response = await fetch(`${fakeUrl}/fake/payments`, {
+    method: 'POST',
+    body: JSON.stringify({
+      amount: PLANS.premium.priceInPi,
+      memo: PLANS.premium.memo,
+      metadata: { plan: 'premium' },
+      user_uid: 'pioneer-1',
+      ...overrides,
+    }),
+  });
+  return response.json();
+}
+
+const signTransaction = async (paymentId, body = {}) =>
+  (await fetch(`${fakeUrl}/fake/payments/${paymentId}/transaction`, { method: 'POST', body: JSON.stringify(body) })).json();
+
+test('approves, completes and grants premium once', async () => {
+  const { handle, entitlements } = createHandler();
+  const payment = await createPayment();
+
+  const approved = await post(handle, 'approve', { paymentId: payment.identifier }, 'pioneer-1');
+  assert.equal(approved.status, 200);
+  assert.equal(fakePi.payments.get(payment.identifier).status.developer_approved, true);
+
+  const { txid } = await signTransaction(payment.identifier);
+  const completed = await post(handle, 'complete', { paymentId: payment.identifier, txid });
+  assert.equal(completed.status, 200);
+  assert.equal(fakePi.payments.get(payment.identifier).status.developer_completed, true);
+
+  const first = await entitlements.get('pi:pioneer-1');
+  assert.equal(first.tier, 'premium');
+
+  // Completing again (e.g. as an incomplete payment at next sign-in) changes nothing
+  await post(handle, 'complete', { paymentId: payment.identifier, txid });
+  assert.deepEqual(await entitlements.get('pi:pioneer-1'), first);
+});
+
+test('refuses to approve another user\'s payment', async () => {
+  const { handle } = createHandler();
+  const payment = await createPayment({ user_uid: 'pioneer-2' });
+
+  const response = await post(handle, 'approve', { paymentId: payment.identifier }, 'pioneer-1');
+  assert.equal(response.status, 403);
+  assert.equal(fakePi.payments.get(payment.identifier).status.developer_approved, false);
+});
+
+test('refuses payments with the wrong amount', async () => {
+  const { handle } = createHandler();
+  const payment = await createPayment({ amount: 0.01 });
+
+  const response = await post(handle, 'approve', { paymentId: payment.identifier }, 'pioneer-1');
+  assert.equal(response.status, 400);
+});
+
+test('refuses a txid that does not belong to the payment', async () => {
+  const { handle, entitlements } = createHandler();
+  const payment = await createPayment();
+  await post(handle, 'approve', { paymentId: payment.identifier }, 'pioneer-1');
+  await signTransaction(payment.identifier);
+
+  const response = await post(handle, 'complete', { paymentId: payment.identifier, txid: 'forged' });
+  assert.equal(response.status, 400);
+  assert.equal(await entitlements.get('pi:pioneer-1'), null);
+});
+
+test('grants nothing before there is a verified transaction', async () => {
+  const { handle, entitlements } = createHandler();
+  const payment = await createPayment();
+  await post(handle, 'approve', { paymentId: payment.identifier }, 'pioneer-1');
+
+  const unsigned = await post(handle, 'complete', { paymentId: payment.identifier, txid: 'made-up' });
+  assert.equal(unsigned.status, 400);
+
+  const { txid } = await signTransaction(payment.identifier, { verified: false });
+  const unverified = await post(handle, 'complete', { paymentId: payment.identifier, txid });
+  assert.equal(unverified.status, 400);
+  assert.match((await unverified.json()).error.message, /not verified/);
+
+  assert.equal(fakePi.payments.get(payment.identifier).status.developer_completed, false);
+  assert.equal(await entitlements.get('pi:pioneer-1'), null);
+});
+
+test('requires an ID token to approve', async () => {
+  const { handle } = createHandler();
+  const payment = await createPayment();
+
+  const response = await post(handle, 'approve', { paymentId: payment.identifier });
+  assert.equal(response.status, 401);
+});
+
+test('answers 404 for unknown payments', async () => {
+  const { handle } = createHandler();
+
+  const response = await post(handle, 'complete', { paymentId: 'missing', txid: 'x' });
+  assert.equal(response.status, 404);
+});
+
+test('answers 400 for bodies that are not objects', async () => {
+  const { handle } = createHandler();
+
+  for (const body of [null, [], 'pay']) {
+    assert.equal((await post(handle, 'complete', body)).status, 400);
+  }
+});
@@ -0,0 +1,55 @@
+// Client for the Pi Platform API (https://github.com/pi-apps/pi-platform-docs).
+//
+// With PI_MOCK=true the server accepts the access tokens issued by the mock
+// SDK (src/pi/mockPiSdk.js) instead of calling Pi, for local development.
+// PI_API_BASE_URL can point at server/fakePiServer.mjs to exercise payments.
+
+const piApiBaseUrl = () => (process.env.PI_API_BASE_URL || 'https://api.minepi.com/v2').replace(/\/$/, '');
+const MOCK_TOKEN_PREFIX = 'mock-pi-token:';
+
+export const isPiMock = () => process.env.PI_MOCK === 'true';
+
+export class PiApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PiApiError';
+    this.status = status;
+  }
+}
+
+async function piRequest(path, { accessToken, method = 'GET', body } = {}) {
+  const headers = accessToken
+    ? { Authorization: `Bearer ${accessToken}` }
+    : { Authorization: `Key ${process.env.PI_API_KEY}` };
+
+  const response = await fetch(`${piApiBaseUrl()}${path}`, {
+    method,
+    headers: { ...headers, ...(body && { 'Content-Type': 'application/json' }) },
+    body: body && JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new PiApiError(`Pi API ${method} ${path} failed with status ${response.status}`, response.status);
+  }
+  return response.json();
+}
+
+// Resolves with { uid, username } for a valid user access token.
+export async function getPiUser(accessToken) {
+  if (isPiMock() && accessToken.startsWith(MOCK_TOKEN_PREFIX)) {
+    const [uid, username] = accessToken.slice(MOCK_TOKEN_PREFIX.length).split(':');
+    return { uid, username };
+  }
+
+  const me = await piRequest('/me', { accessToken });
+  return { uid: me.uid, username: me.username };
+}
+
+// Payment endpoints use the app's server API key (PI_API_KEY).
+export const getPayment = (paymentId) => piRequest(`/payments/${encodeURIComponent(paymentId)}`);
+
+export const approvePayment = (paymentId) =>
+  piRequest(`/payments/${encodeURIComponent(paymentId)}/approve`, { method: 'POST' });
+
+export const completePayment = (paymentId, txid) =>
+  piRequest(`/payments/${encodeURIComponent(paymentId)}/complete`, { method: 'POST', body: { txid } });
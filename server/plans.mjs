@@ -0,0 +1,23 @@
+import { createRequire } from 'node:module';
+import { dailyMessageLimit as planMessageLimit } from '../src/config/quota.mjs';
+
+// The plan definitions are shared with the client (src/config/plans.json).
+const require = createRequire(import.meta.url);
+export const PLANS = require('../src/config/plans.json');
+
+export const PREMIUM_TIER = 'premium';
+export const FREE_TIER = 'free';
+
+// Models a tier may ask the chat proxy for; premium users keep the free model too.
+export const allowedModelsForTier = (tier) =>
+  tier === PREMIUM_TIER ? [PLANS.premium.geminiModel, PLANS.free.geminiModel] : [PLANS.free.geminiModel];
+
+const planOf = (tier) => (tier === PREMIUM_TIER ? PLANS.premium : PLANS.free);
+
+// Characters of earlier turns a tier may send with each message (the plan's
+// historyCharBudget, which the client trims the history to).
+export const historyCharBudget = (tier) => planOf(tier).historyCharBudget;
+
+// Gemini messages a day through the chat proxy, the same limit the client's
+// meter shows.
+export const dailyMessageLimit = (tier, options) => planMessageLimit(planOf(tier), options);
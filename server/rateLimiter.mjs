@@ -0,0 +1,43 @@
+// Fixed-window request counters per user, kept in memory. Each serverless
+// instance keeps its own counters, so the limits are per instance; that is
+// enough to stop a single client hammering the proxy.
+
+const PRUNE_THRESHOLD = 10000;
+
+export function createRateLimiter({ limits, now = Date.now }) {
+  // limits: [{ windowMs, max }]
+  const windows = new Map();
+
+  const prune = (time) => {
+    windows.forEach((entry, id) => {
+      if (time >= entry.resetAt) windows.delete(id);
+    });
+  };
+
+  // Records one request for `key` and reports whether it is allowed. When it
+  // is not, `retryAfterMs` says when the exhausted window resets.
+  return function consume(key) {
+    const time = now();
+    if (windows.size > PRUNE_THRESHOLD) prune(time);
+
+    const entries = limits.map(({ windowMs, max }) => {
+      const id = `${key}:${windowMs}`;
+      let entry = windows.get(id);
+      if (!entry || time >= entry.resetAt) {
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(id, entry);
+      }
+      return { entry, max };
+    });
+
+    const exhausted = entries.find(({ entry, max }) => entry.count >= max);
+    if (exhausted) {
+      return { allowed: false, retryAfterMs: exhausted.entry.resetAt - time };
+    }
+
+    entries.forEach(({ entry }) => {
+      entry.count++;
+    });
+    return { allowed: true };
+  };
+}
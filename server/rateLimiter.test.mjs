@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRateLimiter } from './rateLimiter.mjs';
+
+function clock(start = 0) {
+  let time = start;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+test('allows up to max requests per window and says when to retry', () => {
+  const { now, advance } = clock();
+  const consume = createRateLimiter({ limits: [{ windowMs: 1000, max: 2 }], now });
+
+  assert.deepEqual(consume('alice'), { allowed: true });
+  assert.deepEqual(consume('alice'), { allowed: true });
+  advance(400);
+  assert.deepEqual(consume('alice'), { allowed: false, retryAfterMs: 600 });
+
+  advance(600);
+  assert.deepEqual(consume('alice'), { allowed: true });
+});
+
+test('counts each key separately', () => {
+  const consume = createRateLimiter({ limits: [{ windowMs: 1000, max: 1 }], now: () => 0 });
+
+  assert.equal(consume('alice').allowed, true);
+  assert.equal(consume('alice').allowed, false);
+  assert.equal(consume('bob').allowed, true);
+});
+
+test('applies every limit and counts refused requests in none', () => {
+  const { now, advance } = clock();
+  const consume = createRateLimiter({ limits: [{ windowMs: 1000, max: 2 }, { windowMs: 10000, max: 3 }], now });
+
+  consume('alice');
+  consume('alice');
+  assert.equal(consume('alice').allowed, false);
+  advance(1000);
+  assert.equal(consume('alice').allowed, true);
+  // The long window is now full: three allowed, the refused one not counted
+  assert.deepEqual(consume('alice'), { allowed: false, retryAfterMs: 9000 });
+});
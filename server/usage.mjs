@@ -0,0 +1,102 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getDb } from './firebaseAdmin.mjs';
+
+// Daily message counts per user, kept by the chat proxy and read by the
+// client's usage meter at artifacts/{appId}/users/{uid}/usage/{day}. Days are
+// UTC dates (YYYY-MM-DD), so every quota resets at midnight UTC (see
+// src/config/quota.mjs, shared with the client).
+//
+// A store exposes:
+//   consume(uid, { day, limit, purpose }) -> { allowed, used, limit }; counts
+//                                            the request only when it is allowed
+//   refund(uid, { day, purpose })         -> gives back a request that failed
+//
+// Requests with purpose 'memory' (the app updating its memory of the user
+// after a reply) and 'tool' (a reply continuing after the tools it called)
+// don't use up messages; instead each message sent that day allows one memory
+// update and TOOL_ROUNDS_PER_MESSAGE tool rounds.
+
+export { msUntilNextDay, usageDay } from '../src/config/quota.mjs';
+
+export const usagePath = (appId, uid, day) => `artifacts/${appId}/users/${uid}/usage/${day}`;
+
+export const MEMORY_PURPOSE = 'memory';
+export const TOOL_PURPOSE = 'tool';
+// MAX_TOOL_ROUNDS in src/tools/index.js
+export const TOOL_ROUNDS_PER_MESSAGE = 4;
+
+const PURPOSES = {
+  [MEMORY_PURPOSE]: { field: 'memoryUpdates', perMessage: 1 },
+  [TOOL_PURPOSE]: { field: 'toolRounds', perMessage: TOOL_ROUNDS_PER_MESSAGE },
+};
+
+export const isKnownPurpose = (purpose) => Object.hasOwn(PURPOSES, purpose ?? '');
+
+// The field each purpose is counted in, and what it may not exceed.
+const countField = (purpose) => (isKnownPurpose(purpose) ? PURPOSES[purpose].field : 'messages');
+const limitOf = (purpose, counts, limit) =>
+  (isKnownPurpose(purpose) ? (counts.messages || 0) * PURPOSES[purpose].perMessage : limit);
+
+export function createFirestoreUsageStore(db, appId) {
+  return {
+    consume(uid, { day, limit, purpose }) {
+      const usageRef = db.doc(usagePath(appId, uid, day));
+      const field = countField(purpose);
+      return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(usageRef);
+        const counts = snapshot.exists ? snapshot.data() : {};
+        const used = counts[field] || 0;
+        const allowance = limitOf(purpose, counts, limit);
+        if (used >= allowance) return { allowed: false, used, limit: allowance };
+
+        transaction.set(usageRef, {
+          [field]: used + 1,
+          ...(field === 'messages' && { limit }),
+          updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        return { allowed: true, used: used + 1, limit: allowance };
+      });
+    },
+
+    async refund(uid, { day, purpose }) {
+      await db.doc(usagePath(appId, uid, day)).update({ [countField(purpose)]: FieldValue.increment(-1) });
+    },
+  };
+}
+
+// In-memory store for tests and local runs without Firestore.
+export function createMemoryUsageStore() {
+  const counts = new Map(); // `${uid}/${day}` -> { messages, memoryUpdates, toolRounds }
+
+  const countsOf = (uid, day) => {
+    if (!counts.has(`${uid}/${day}`)) counts.set(`${uid}/${day}`, {});
+    return counts.get(`${uid}/${day}`);
+  };
+
+  return {
+    counts,
+
+    async consume(uid, { day, limit, purpose }) {
+      const dayCounts = countsOf(uid, day);
+      const field = countField(purpose);
+      const used = dayCounts[field] || 0;
+      const allowance = limitOf(purpose, dayCounts, limit);
+      if (used >= allowance) return { allowed: false, used, limit: allowance };
+      dayCounts[field] = used + 1;
+      return { allowed: true, used: used + 1, limit: allowance };
+    },
+
+    async refund(uid, { day, purpose }) {
+      const dayCounts = countsOf(uid, day);
+      const field = countField(purpose);
+      if (dayCounts[field] > 0) dayCounts[field] -= 1;
+    },
+  };
+}
+
+// Without APP_ID the counts only live as long as the process, like
+// createEntitlementStoreFromEnv.
+export function createUsageStoreFromEnv() {
+  const appId = process.env.APP_ID;
+  return appId ? createFirestoreUsageStore(getDb(), appId) : createMemoryUsageStore();
+}
@@ -1,242 +1,414 @@
-// src/ChatbotApp.jsx
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, orderBy, onSnapshot, serverTimestamp } from 'firebase/firestore';
-
-// Global variables provided by the Canvas environment (these might be passed as props in a real app)
-const appId = process.env.REACT_APP_APP_ID;
-
-
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID,
-  // measurementId: process.env.REACT_APP_FIREBASE_MEASUREMENT_ID // If you added this
-};
-
-
-
-const initialAuthToken = process.env.REACT_APP_INITIAL_AUTH_TOKEN;
-
-// Initialize Firebase App and Services
-let firebaseApp;
-let db;
-let auth;
-
-try {
-  firebaseApp = initializeApp(firebaseConfig);
-  db = getFirestore(firebaseApp);
-  auth = getAuth(firebaseApp);
-} catch (error) {
-  console.error("Firebase initialization error:", error);
-}
+import React, { useEffect, useMemo, useState } from 'react';
+import branding from './config/branding';
+import { appId, db, storage } from './firebase';
+import { activePath, selectBranchField, selectPathFields } from './chat/branches';
+import {
+  createConversation,
+  deleteConversation,
+  renameConversation,
+  updateConversation,
+} from './chat/conversations';
+import { createPersona, deletePersona, findPersona, updatePersona } from './chat/personas';
+import { DEFAULT_PROVIDER_ID } from './providers';
+import { PREMIUM_TIER, activePlan, activeTier, plans } from './pi/entitlements';
+import { dailyMessageLimit } from './chat/usage';
+import { useAccount } from './hooks/useAccount';
+import { useAttachmentDraft } from './hooks/useAttachmentDraft';
+import { useConversationTransfer } from './hooks/useConversationTransfer';
+import { useDailyQuota } from './hooks/useDailyQuota';
+import { useMessageCache } from './hooks/useMessageCache';
+import { useMessageSearch } from './hooks/useMessageSearch';
+import { useFirebaseAuth } from './hooks/useFirebaseAuth';
+import { useKnowledgeBase } from './hooks/useKnowledgeBase';
+import { useMemories } from './hooks/useMemories';
+import { useOnlineStatus } from './hooks/useOnlineStatus';
+import { useConversations } from './hooks/useConversations';
+import { useChatMessages } from './hooks/useChatMessages';
+import { useChatTools } from './hooks/useChatTools';
+import { useEntitlements } from './hooks/useEntitlements';
+import { usePersonas } from './hooks/usePersonas';
+import { usePremiumPurchase } from './hooks/usePremiumPurchase';
+import { useSendMessage } from './hooks/useSendMessage';
+import { useSpeechRecognition } from './hooks/useSpeechRecognition';
+import { useSpeechSynthesis } from './hooks/useSpeechSynthesis';
+import AccountButton from './components/AccountButton';
+import AccountPanel from './components/AccountPanel';
+import ChatInput from './components/ChatInput';
+import ConversationSidebar from './components/ConversationSidebar';
+import KnowledgePanel from './components/KnowledgePanel';
+import MemoryPanel from './components/MemoryPanel';
+import MessageList from './components/MessageList';
+import PersonaManager from './components/PersonaManager';
+import PersonaSelect from './components/PersonaSelect';
+import PrintableConversations from './components/PrintableConversations';
+import PremiumButton from './components/PremiumButton';
+import ProviderSelect from './components/ProviderSelect';
+import SearchPanel from './components/SearchPanel';
+import TransferPanel from './components/TransferPanel';
+import UsageMeter from './components/UsageMeter';
+import VoiceSettingsPanel from './components/VoiceSettingsPanel';
+
+const { features } = branding;
 
 function App() {
-  const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const messagesEndRef = useRef(null);
-
-  // Scroll to the latest message
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  };
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [isPersonaManagerOpen, setIsPersonaManagerOpen] = useState(false);
+  const [isAccountPanelOpen, setIsAccountPanelOpen] = useState(false);
+  const [isTransferPanelOpen, setIsTransferPanelOpen] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isVoiceSettingsOpen, setIsVoiceSettingsOpen] = useState(false);
+  const [isMemoryPanelOpen, setIsMemoryPanelOpen] = useState(false);
+  const [isKnowledgePanelOpen, setIsKnowledgePanelOpen] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+
+  const isOnline = useOnlineStatus();
+  const { userId, isAuthReady, piUser, account, refreshAccount } = useFirebaseAuth({ piSignIn: features.piSignIn });
+  const accountActions = useAccount({ onLinked: refreshAccount });
+  const { conversations, activeConversation, activeConversationId, setActiveConversationId } =
+    useConversations(userId, isAuthReady);
+  const { messages, hasOlder, isLoadingOlder, loadOlder } = useChatMessages(userId, activeConversationId);
+  const path = useMemo(() => activePath(messages, activeConversation?.branches), [messages, activeConversation?.branches]);
+  const thread = useMemo(() => path.map((entry) => entry.message), [path]);
+  const personas = usePersonas(userId, isAuthReady);
+  const memory = useMemories(userId, isAuthReady);
+  const messageCache = useMessageCache(userId); // Shared by search and the chat history tool
+  const chatTools = useChatTools({ cache: messageCache, conversations });
+  const knowledge = useKnowledgeBase(userId, isAuthReady);
+  const persona = findPersona(personas, activeConversation?.personaId, branding.defaultPersonaId);
+  const entitlements = useEntitlements(userId, isAuthReady, features.premium);
+  const plan = activePlan(entitlements); // Context size and model for the user's tier
+  const quota = useDailyQuota(userId, isAuthReady, dailyMessageLimit(plan, { isPiUser: Boolean(piUser) }));
+  const providerId = activeConversation?.provider || DEFAULT_PROVIDER_ID;
+  const premiumPurchase = usePremiumPurchase();
+  const transfer = useConversationTransfer({ userId, activeConversation, setActiveConversationId });
+  const search = useMessageSearch({
+    cache: messageCache,
+    userId,
+    conversations,
+    activeConversationId,
+    activeMessages: messages,
+    enabled: isSearchOpen,
+  });
+  const draft = useAttachmentDraft();
+  const speech = useSpeechSynthesis();
+  // Each phrase heard is appended to whatever is already typed
+  const dictation = useSpeechRecognition({
+    onFinal: (text) => setInput((current) => (current.trim() ? `${current.trimEnd()} ${text}` : text)),
+  });
+  const {
+    sendMessage,
+    editMessage,
+    regenerateMessage,
+    retryMessage,
+    stopStreaming,
+    isLoading,
+    streamingText,
+    streamingToolCalls,
+  } = useSendMessage({
+    userId,
+    piUser,
+    conversations,
+    activeConversationId,
+    setActiveConversationId,
+    thread,
+    hasOlderMessages: hasOlder,
+    plan,
+    persona,
+    isOnline,
+    quota,
+    memories: memory.memories,
+    onReplied: memory.learnFrom,
+    tools: chatTools.tools,
+    toolContext: chatTools.context,
+    knowledge,
+  });
 
   useEffect(() => {
-    // Firebase Authentication
-    const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
-      if (user) {
-        setUserId(user.uid);
-      } else {
-        // Sign in anonymously if no token is provided or user is not signed in
-        if (!initialAuthToken) {
-          try {
-            await signInAnonymously(auth);
-            console.log("Signed in anonymously");
-          } catch (error) {
-            console.error("Anonymous sign-in failed:", error);
-          }
-        }
-      }
-      setIsAuthReady(true);
-    });
-
-    if (initialAuthToken) {
-      // Use custom token if provided
-      signInWithCustomToken(auth, initialAuthToken)
-        .then((userCredential) => {
-          console.log("Signed in with custom token:", userCredential.user.uid);
-        })
-        .catch((error) => {
-          console.error("Custom token sign-in failed:", error);
-          // Fallback to anonymous sign-in if custom token fails
-          signInAnonymously(auth)
-            .then(() => console.log("Signed in anonymously after custom token failure"))
-            .catch((anonError) => console.error("Anonymous sign-in fallback failed:", anonError));
-        });
-    }
-
-    return () => unsubscribeAuth();
+    document.title = branding.title;
   }, []);
 
+  // A reply being read aloud stops when its conversation is left
+  const stopSpeech = speech.stop;
   useEffect(() => {
-    if (!isAuthReady || !db || !userId) return;
-
-    const chatCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/messages`);
-    const q = query(chatCollectionRef, orderBy('timestamp', 'asc'));
-
-    const unsubscribeSnapshot = onSnapshot(q, (snapshot) => {
-      const fetchedMessages = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setMessages(fetchedMessages);
-      scrollToBottom();
-    }, (error) => {
-      console.error("Error fetching messages:", error);
-    });
-
-    return () => unsubscribeSnapshot();
-  }, [isAuthReady, userId]);
-
-  // Scroll to bottom whenever messages update
+    return () => stopSpeech();
+  }, [activeConversationId, stopSpeech]);
+
+  // A search result may be older than the pages loaded so far: load more
+  // until it shows up. Once on screen its outline fades after a few seconds.
+  const isHighlightLoaded = Boolean(highlightedMessageId) && messages.some((m) => m.id === highlightedMessageId);
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (!highlightedMessageId) return;
+    if (isHighlightLoaded) {
+      const timeout = setTimeout(() => setHighlightedMessageId(null), 4000);
+      return () => clearTimeout(timeout);
+    }
+    if (hasOlder && !isLoadingOlder) loadOlder();
+  }, [highlightedMessageId, isHighlightLoaded, hasOlder, isLoadingOlder, loadOlder]);
 
-  const sendMessage = async () => {
-    if (input.trim() === '' || isLoading || !userId) return;
+  const handleSend = () => sendMessage(input, {
+    attachments: draft.attachments,
+    onSaved: () => {
+      setInput('');
+      draft.clear();
+    },
+  });
 
-    const userMessage = {
-      text: input,
-      sender: 'user',
-      timestamp: serverTimestamp(),
-      userId: userId
-    };
+  const handleProviderChange = async (providerId) => {
+    try {
+      if (activeConversationId) {
+        await updateConversation(db, appId, userId, activeConversationId, { provider: providerId });
+      } else if (userId) {
+        setActiveConversationId(await createConversation(db, appId, userId, { provider: providerId }));
+      }
+    } catch (error) {
+      console.error("Error changing provider:", error);
+    }
+  };
 
+  const handlePersonaChange = async (personaId) => {
     try {
-      setIsLoading(true);
-      const chatCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/messages`);
-      await setDoc(doc(chatCollectionRef), userMessage); // Use setDoc with an auto-generated ID
+      if (activeConversationId) {
+        await updateConversation(db, appId, userId, activeConversationId, { personaId });
+      } else if (userId) {
+        setActiveConversationId(await createConversation(db, appId, userId, { personaId }));
+      }
+    } catch (error) {
+      console.error("Error changing persona:", error);
+    }
+  };
 
-      setInput('');
+  // Resolves with the persona's id so the manager can keep it selected
+  const handleSavePersona = async (personaId, fields) => {
+    if (personaId) {
+      await updatePersona(db, appId, userId, personaId, fields);
+      return personaId;
+    }
+    return createPersona(db, appId, userId, fields);
+  };
 
-      // Call the Gemini API for the AI response
-      const chatHistory = [{ role: "user", parts: [{ text: input }] }];
-      const payload = { contents: chatHistory };
-      const apiKey = ""; // API key is provided by the Canvas runtime
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      const result = await response.json();
-
-      let aiResponseText = "Sorry, I couldn't get a response. Please try again.";
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        aiResponseText = result.candidates[0].content.parts[0].text;
-      }
+  const handleDeletePersona = (personaId) => {
+    deletePersona(db, appId, userId, personaId)
+      .catch((error) => console.error("Error deleting persona:", error));
+  };
 
-      const aiMessage = {
-        text: aiResponseText,
-        sender: 'ai',
-        timestamp: serverTimestamp(),
-        userId: userId
-      };
+  const handleSelectBranch = (message, siblingId) => {
+    updateConversation(db, appId, userId, activeConversationId, selectBranchField(message.parentId, siblingId))
+      .catch((error) => console.error("Error switching branch:", error));
+  };
 
-      await setDoc(doc(chatCollectionRef), aiMessage); // Use setDoc with an auto-generated ID
+  // Opens the result's conversation on the branch that contains it
+  const handleOpenSearchResult = ({ conversationId, message }) => {
+    setIsSearchOpen(false);
+    if (conversationId !== activeConversationId) stopStreaming();
+    setActiveConversationId(conversationId);
+    const fields = selectPathFields(search.messagesOf(conversationId), message.id);
+    if (Object.keys(fields).length > 0) {
+      updateConversation(db, appId, userId, conversationId, fields)
+        .catch((error) => console.error("Error showing search result:", error));
+    }
+    setHighlightedMessageId(message.id);
+  };
 
+  const handleNewConversation = async () => {
+    setIsSidebarOpen(false);
+    if (!userId || (activeConversationId && messages.length === 0)) return; // Already on an empty chat
+    try {
+      // New chats keep the persona of the one being left
+      setActiveConversationId(await createConversation(db, appId, userId, { personaId: persona.id }));
     } catch (error) {
-      console.error("Error sending message or getting AI response:", error);
-      const errorMessage = {
-        text: "There was an error processing your request. Please try again.",
-        sender: 'ai',
-        timestamp: serverTimestamp(),
-        userId: userId
-      };
-      await setDoc(doc(collection(db, `artifacts/${appId}/users/${userId}/messages`)), errorMessage);
-    } finally {
-      setIsLoading(false);
+      console.error("Error creating conversation:", error);
     }
   };
 
+  const handleSelectConversation = (conversationId) => {
+    // A reply still streaming is stopped and saved to the conversation it belongs to
+    if (conversationId !== activeConversationId) stopStreaming();
+    setActiveConversationId(conversationId);
+    setIsSidebarOpen(false);
+  };
+
+  const handleRenameConversation = (conversationId, title) => {
+    renameConversation(db, appId, userId, conversationId, title)
+      .catch((error) => console.error("Error renaming conversation:", error));
+  };
+
+  const handleDeleteConversation = (conversationId) => {
+    if (conversationId === activeConversationId) stopStreaming();
+    deleteConversation(db, storage, appId, userId, conversationId)
+      .catch((error) => console.error("Error deleting conversation:", error));
+  };
+
   return (
-    <div className="flex flex-col h-screen bg-gray-100 font-inter antialiased">
-      <header className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white p-4 shadow-md rounded-b-lg">
-        <h1 className="text-3xl font-bold text-center">AI Chatbot</h1>
-        <p className="text-sm text-center opacity-80 mt-1">Your personal conversational agent</p>
-        {userId && (
-          <div className="text-xs text-center mt-2 opacity-70">
-            User ID: {userId}
-          </div>
-        )}
-      </header>
-
-      <main className="flex-1 overflow-y-auto p-4 space-y-4">
-        {messages.map((message, index) => (
-          <div
-            key={message.id || index} // Use message.id if available, fallback to index
-            className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}
-          >
-            <div
-              className={`max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-lg shadow-md break-words ${
-                message.sender === 'user'
-                  ? 'bg-blue-500 text-white rounded-br-none'
-                  : 'bg-white text-gray-800 rounded-bl-none'
+    <>
+      <div className="flex h-screen bg-gray-100 font-inter antialiased print:hidden">
+        <ConversationSidebar
+          conversations={conversations}
+          activeConversationId={activeConversationId}
+          isOpen={isSidebarOpen}
+          onClose={() => setIsSidebarOpen(false)}
+          onSelect={handleSelectConversation}
+          onCreate={handleNewConversation}
+          onRename={handleRenameConversation}
+          onDelete={handleDeleteConversation}
+          onSearch={() => {
+            setIsSidebarOpen(false);
+            setIsSearchOpen(true);
+          }}
+          onTransfer={() => {
+            setIsSidebarOpen(false);
+            setIsTransferPanelOpen(true);
+          }}
+          onMemory={() => {
+            setIsSidebarOpen(false);
+            setIsMemoryPanelOpen(true);
+          }}
+          onKnowledge={() => {
+            setIsSidebarOpen(false);
+            setIsKnowledgePanelOpen(true);
+          }}
+          onVoiceSettings={speech.isSupported ? () => {
+            setIsSidebarOpen(false);
+            setIsVoiceSettingsOpen(true);
+          } : undefined}
+        />
+        <div className="flex flex-col flex-1 min-w-0">
+          <header className="relative bg-gradient-to-r from-blue-600 to-indigo-700 text-white p-4 shadow-md rounded-b-lg">
+            <button
+              className="md:hidden absolute left-4 top-4 text-2xl leading-none"
+              onClick={() => setIsSidebarOpen(true)}
+              aria-label="Show conversations"
+            >
+              ☰
+            </button>
+            <span
+              className={`absolute right-4 top-4 flex items-center gap-1 text-xs px-2 py-0.5 rounded-full ${
+                isOnline ? 'bg-white bg-opacity-20' : 'bg-yellow-300 text-yellow-900 font-semibold'
               }`}
+              title={isOnline ? 'Connected' : 'Messages are saved and sent when the connection is back'}
             >
-              {message.text}
+              <span className={`h-2 w-2 rounded-full ${isOnline ? 'bg-green-400' : 'bg-yellow-700'}`} />
+              {isOnline ? 'Online' : 'Offline'}
+            </span>
+            <h1 className="text-3xl font-bold text-center">{branding.title}</h1>
+            <p className="text-sm text-center opacity-80 mt-1">{branding.subtitle}</p>
+            <div className="flex flex-wrap justify-center items-center gap-2 mt-2">
+              <PersonaSelect
+                personas={personas}
+                value={persona.id}
+                onChange={handlePersonaChange}
+                onManage={() => setIsPersonaManagerOpen(true)}
+                disabled={isLoading || !userId}
+              />
+              <ProviderSelect
+                value={providerId}
+                onChange={handleProviderChange}
+                disabled={isLoading || !userId}
+              />
             </div>
-          </div>
-        ))}
-        <div ref={messagesEndRef} />
-      </main>
-
-      <footer className="bg-white p-4 shadow-t-lg rounded-t-lg">
-        <div className="flex items-center space-x-3">
-          <input
-            type="text"
-            className="flex-1 p-3 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200"
-            placeholder="Type your message..."
+            {quota && providerId === 'gemini' && <UsageMeter quota={quota} />}
+            {account && (
+              <div className="flex justify-center mt-2">
+                <AccountButton account={account} piUser={piUser} onClick={() => setIsAccountPanelOpen(true)} />
+              </div>
+            )}
+            {features.premium && piUser && (
+              <PremiumButton
+                plan={plans.premium}
+                isPremium={activeTier(entitlements) === PREMIUM_TIER}
+                expiresAt={entitlements?.expiresAt}
+                isPurchasing={premiumPurchase.isPurchasing}
+                error={premiumPurchase.error}
+                onPurchase={premiumPurchase.purchase}
+              />
+            )}
+            {!isAuthReady && (
+              <div className="text-sm text-center mt-2 text-yellow-300">
+                Initializing app...
+              </div>
+            )}
+          </header>
+
+          <MessageList
+            key={activeConversationId}
+            path={path}
+            streamingText={streamingText}
+            streamingToolCalls={streamingToolCalls}
+            isLoading={isLoading}
+            isOnline={isOnline}
+            hasOlder={hasOlder}
+            highlightedMessageId={highlightedMessageId}
+            onLoadOlder={loadOlder}
+            onRetry={retryMessage}
+            onEdit={editMessage}
+            onRegenerate={regenerateMessage}
+            onSelectBranch={handleSelectBranch}
+            speech={speech}
+          />
+
+          <ChatInput
             value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyPress={(e) => {
-              if (e.key === 'Enter') sendMessage();
-            }}
-            disabled={isLoading || !isAuthReady}
+            onChange={setInput}
+            onSend={handleSend}
+            onStop={stopStreaming}
+            placeholder={branding.placeholder}
+            isLoading={isLoading}
+            isStreaming={streamingText !== null}
+            disabled={!isAuthReady}
+            attachments={draft.attachments}
+            onAddFiles={draft.addFiles}
+            onRemoveAttachment={draft.remove}
+            attachmentError={draft.error}
+            isPreparing={draft.isPreparing}
+            canAttach={isOnline}
+            dictation={dictation}
           />
-          <button
-            onClick={sendMessage}
-            className={`px-6 py-3 rounded-full font-semibold transition duration-300 transform ${
-              input.trim() === '' || isLoading || !isAuthReady
-                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                : 'bg-blue-600 hover:bg-blue-700 text-white shadow-lg hover:scale-105'
-            }`}
-            disabled={input.trim() === '' || isLoading || !isAuthReady}
-          >
-            {isLoading ? (
-              <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-              </svg>
-            ) : (
-              'Send'
-            )}
-          </button>
         </div>
-      </footer>
-    </div>
+        {isAccountPanelOpen && account && (
+          <AccountPanel
+            account={account}
+            piUser={piUser}
+            userIdLabel={branding.userIdLabel}
+            accountActions={accountActions}
+            onClose={() => setIsAccountPanelOpen(false)}
+          />
+        )}
+        {isPersonaManagerOpen && (
+          <PersonaManager
+            personas={personas}
+            initialPersonaId={persona.id}
+            onClose={() => setIsPersonaManagerOpen(false)}
+            onSave={handleSavePersona}
+            onDelete={handleDeletePersona}
+          />
+        )}
+        {isSearchOpen && (
+          <SearchPanel
+            index={search.index}
+            isIndexing={search.isIndexing}
+            onOpenResult={handleOpenSearchResult}
+            onClose={() => setIsSearchOpen(false)}
+          />
+        )}
+        {isTransferPanelOpen && (
+          <TransferPanel
+            hasActiveConversation={Boolean(activeConversation)}
+            transfer={transfer}
+            onClose={() => setIsTransferPanelOpen(false)}
+          />
+        )}
+        {isMemoryPanelOpen && (
+          <MemoryPanel memory={memory} onClose={() => setIsMemoryPanelOpen(false)} />
+        )}
+        {isKnowledgePanelOpen && (
+          <KnowledgePanel knowledge={knowledge} onClose={() => setIsKnowledgePanelOpen(false)} />
+        )}
+        {isVoiceSettingsOpen && (
+          <VoiceSettingsPanel speech={speech} onClose={() => setIsVoiceSettingsOpen(false)} />
+        )}
+      </div>
+      {transfer.printItems && <PrintableConversations items={transfer.printItems} />}
+    </>
   );
 }
 
@@ -1,8 +1,351 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Timestamp } from 'firebase/firestore';
+import { VirtuosoMockContext } from 'react-virtuoso';
 import App from './App';
+import { conversationsPath, messagesPath } from './chat/conversations';
+import { memoriesPath } from './chat/memories';
+import { usageDay } from './chat/usage';
+import plans from './config/plans.json';
+import { appId } from './firebase';
+import { fakeFirebase } from './testing/fakeFirebase';
+import { createMockGemini, functionCallChunk, textChunk } from './testing/mockGemini';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('firebase/app', () => require('./testing/fakeFirebase').appModule);
+jest.mock('firebase/auth', () => require('./testing/fakeFirebase').authModule);
+jest.mock('firebase/firestore', () => require('./testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('./testing/fakeFirebase').storageModule);
+
+const gemini = createMockGemini();
+
+// jsdom has no layout. The virtualized message list only scrolls to its last
+// message once its scroller has a height, and only renders the items that fit
+// the viewport given by VirtuosoMockContext.
+const offsetHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+
+beforeAll(() => {
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+    configurable: true,
+    get() {
+      return this.dataset.virtuosoScroller ? 2000 : 0;
+    },
+  });
+});
+
+afterAll(() => Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeight));
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  gemini.reset();
+  jest.spyOn(global, 'fetch').mockImplementation(gemini.fetch);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const renderApp = () => render(
+  <VirtuosoMockContext.Provider value={{ viewportHeight: 2000, itemHeight: 80 }}>
+    <App />
+  </VirtuosoMockContext.Provider>
+);
+
+const messageBox = () => screen.getByPlaceholderText('Type your message...');
+
+async function send(text) {
+  await waitFor(() => expect(messageBox()).toBeEnabled());
+  userEvent.type(messageBox(), text);
+  userEvent.click(screen.getByRole('button', { name: 'Send' }));
+  // Lets the new conversation's listeners settle
+  await screen.findByText(text);
+}
+
+// The stored conversations and the messages of the first one, oldest first
+function storedChat() {
+  const userId = fakeFirebase.currentUser.uid;
+  const conversations = fakeFirebase.getDocuments(conversationsPath(appId, userId));
+  const messages = conversations.length > 0 ? fakeFirebase.getDocuments(messagesPath(appId, userId, conversations[0].id)) : [];
+  return { userId, conversations, messages };
+}
+
+test('signs in anonymously and enables the message box', async () => {
+  renderApp();
+
+  await waitFor(() => expect(messageBox()).toBeEnabled());
+  expect(fakeFirebase.currentUser.isAnonymous).toBe(true);
+  expect(screen.getByRole('button', { name: /Guest · Sign in/ })).toBeInTheDocument();
+  expect(screen.queryByText('Initializing app...')).not.toBeInTheDocument();
+});
+
+test('sends a message to Gemini and saves the streamed reply', async () => {
+  gemini.reply('Pi is a cryptocurrency you mine on your phone.');
+  renderApp();
+
+  await send('What is Pi?');
+
+  expect(await screen.findByText('Pi is a cryptocurrency you mine on your phone.')).toBeInTheDocument();
+  expect(messageBox()).toHaveValue('');
+
+  const [request] = gemini.requests;
+  expect(request.url).toBe('/api/chat');
+  expect(request.headers.authorization).toBe(`Bearer id-token-${fakeFirebase.currentUser.uid}`);
+  expect(request.body).toMatchObject({ stream: true, contents: [{ role: 'user', parts: [{ text: 'What is Pi?' }] }] });
+
+  await waitFor(() => expect(storedChat().messages).toHaveLength(2));
+  const { userId, conversations, messages: [question, answer] } = storedChat();
+  expect(conversations).toEqual([expect.objectContaining({ title: 'What is Pi', autoTitle: false })]);
+  expect(question).toMatchObject({ text: 'What is Pi?', sender: 'user', parentId: null, userId });
+  expect(answer).toMatchObject({ text: 'Pi is a cryptocurrency you mine on your phone.', sender: 'ai', parentId: question.id, userId });
+  expect(question.timestamp.toMillis()).toBeLessThan(answer.timestamp.toMillis());
+});
+
+test('sends the earlier turns as history', async () => {
+  gemini.reply('Hi Ada!').reply('Your name is Ada.');
+  renderApp();
+
+  await send('My name is Ada');
+  await screen.findByText('Hi Ada!');
+  await send('What is my name?');
+  await screen.findByText('Your name is Ada.');
+
+  expect(gemini.lastContents).toEqual([
+    { role: 'user', parts: [{ text: 'My name is Ada' }] },
+    { role: 'model', parts: [{ text: 'Hi Ada!' }] },
+    { role: 'user', parts: [{ text: 'What is my name?' }] },
+  ]);
+});
+
+// Switches the browser's connection, as the online and offline events would
+function setOnline(isOnline) {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(isOnline);
+  act(() => {
+    window.dispatchEvent(new Event(isOnline ? 'online' : 'offline'));
+  });
+}
+
+test('queues messages sent offline and answers them once, after reconnecting', async () => {
+  gemini.reply('Hi Ada, I like maths too.');
+  renderApp();
+  await waitFor(() => expect(messageBox()).toBeEnabled());
+
+  setOnline(false);
+  expect(screen.getByText('Offline')).toHaveAttribute('title', 'Messages are saved and sent when the connection is back');
+  await send('My name is Ada');
+  await send('I like maths');
+
+  await waitFor(() => expect(storedChat().messages).toHaveLength(2));
+  expect(storedChat().messages).toEqual([
+    expect.objectContaining({ text: 'My name is Ada', pending: true }),
+    expect.objectContaining({ text: 'I like maths', pending: true }),
+  ]);
+  expect(gemini.requests).toHaveLength(0);
+
+  setOnline(true);
+  expect(screen.getByText('Online')).toBeInTheDocument();
+  expect(await screen.findByText('Hi Ada, I like maths too.')).toBeInTheDocument();
+
+  await waitFor(() => expect(storedChat().messages).toHaveLength(3));
+  const [first, second, reply] = storedChat().messages;
+  expect([first.pending, second.pending]).toEqual([false, false]);
+  expect(reply).toMatchObject({ sender: 'ai', parentId: second.id });
+  // Both questions, as one turn
+  expect(gemini.lastContents).toEqual([{ role: 'user', parts: [{ text: 'My name is Ada\n\nI like maths' }] }]);
+
+  // Answered messages aren't sent again on the next reconnection
+  setOnline(false);
+  setOnline(true);
+  await act(() => new Promise((resolve) => setTimeout(resolve, 50)));
+  expect(gemini.requests).toHaveLength(1);
+  expect(storedChat().messages).toHaveLength(3);
+});
+
+test('saves malformed candidates as an error that can be retried', async () => {
+  gemini
+    .replyWithChunks([{ candidates: 'not a list' }, { candidates: [{ content: { parts: null } }] }, '{not json', { candidates: [] }])
+    .reply('Here is a proper answer.');
+  renderApp();
+
+  await send('Hello?');
+
+  const alert = await screen.findByRole('alert');
+  expect(alert).toHaveTextContent('The AI sent back an empty or unreadable reply. Please retry.');
+  await waitFor(() => expect(storedChat().messages).toHaveLength(2));
+  const [, error] = storedChat().messages;
+  expect(error).toMatchObject({ sender: 'system', type: 'error', errorCode: 'bad_response' });
+
+  userEvent.click(within(alert).getByRole('button', { name: 'Retry' }));
+
+  expect(await screen.findByText('Here is a proper answer.')).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  // The reply takes the error's place
+  await waitFor(() => expect(storedChat().messages[1]).toMatchObject({ id: error.id, sender: 'ai', text: 'Here is a proper answer.' }));
+});
+
+test('shows a quota error without retrying', async () => {
+  gemini.fail(429, 'Resource has been exhausted');
+  renderApp();
+
+  await send('Hello?');
+
+  expect(await screen.findByRole('alert')).toHaveTextContent("You've reached the usage limit for now.");
+  expect(gemini.requests).toHaveLength(1);
+  await waitFor(() => expect(storedChat().messages[1]).toMatchObject({ type: 'error', errorCode: 'quota' }));
+});
+
+test('retries a server error before giving up', async () => {
+  gemini.fail(503).reply('Back again.');
+  renderApp();
+
+  await send('Are you there?');
+
+  expect(await screen.findByText('Back again.', {}, { timeout: 3000 })).toBeInTheDocument();
+  expect(gemini.requests).toHaveLength(2);
+});
+
+test('keeps text that streamed in before a block', async () => {
+  gemini.replyWithChunks([textChunk('Part of an answer'), { candidates: [{ finishReason: 'SAFETY' }] }]);
+  renderApp();
+
+  await send('Tell me something');
+
+  expect(await screen.findByText('Part of an answer')).toBeInTheDocument();
+  await waitFor(() => expect(storedChat().messages[1]).toMatchObject({ sender: 'ai', text: 'Part of an answer' }));
+});
+
+test('keeps the partial reply when Stop is pressed', async () => {
+  gemini.replyUntilStopped('Pi is a cryptocurrency');
+  renderApp();
+
+  await send('What is Pi?');
+  expect(await screen.findByText('Pi is a cryptocurrency')).toBeInTheDocument();
+  expect(messageBox()).toBeDisabled();
+
+  userEvent.click(screen.getByRole('button', { name: 'Stop' }));
+
+  expect(await screen.findByText('Response stopped')).toBeInTheDocument();
+  await waitFor(() => expect(messageBox()).toBeEnabled());
+  expect(screen.queryByRole('button', { name: 'Stop' })).not.toBeInTheDocument();
+  await waitFor(() => expect(storedChat().messages).toHaveLength(2));
+  expect(storedChat().messages[1]).toMatchObject({ sender: 'ai', text: 'Pi is a cryptocurrency', interrupted: true });
+});
+
+test('saves the tokens a reply took', async () => {
+  gemini.replyWithChunks([
+    textChunk('Hello'),
+    { ...textChunk(' there', 'STOP'), usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2, totalTokenCount: 10 } },
+  ]);
+  renderApp();
+
+  await send('Hi');
+
+  await waitFor(() => expect(storedChat().messages[1]).toMatchObject({
+    text: 'Hello there',
+    usage: { promptTokens: 8, responseTokens: 2, totalTokens: 10 },
+  }));
+});
+
+test('shows the messages left today and stops at the daily limit', async () => {
+  const limit = plans.free.messagesPerDay;
+  const usagePath = `artifacts/${appId}/users/guest/usage/${usageDay()}`;
+  fakeFirebase.signIn('guest', { isAnonymous: true });
+  // The proxy keeps the count; here the test does
+  await fakeFirebase.setDocument(usagePath, { messages: limit - 1, limit });
+  renderApp();
+
+  expect(await screen.findByText(`1 of ${limit} messages left today`)).toBeInTheDocument();
+  await send('One more');
+  await screen.findByText('Hello from the mock Gemini!');
+
+  await act(() => fakeFirebase.setDocument(usagePath, { messages: limit, limit }));
+  expect(await screen.findByText('No messages left today')).toBeInTheDocument();
+  await send('And another');
+
+  expect(await screen.findByRole('alert')).toHaveTextContent("You've used all of today's messages.");
+  expect(gemini.requests).toHaveLength(1);
+});
+
+test('remembers facts from a message and uses them in later replies', async () => {
+  gemini.remember([{ category: 'profile', text: 'The user is called Ada.' }]);
+  renderApp();
+
+  await send('My name is Ada');
+  await screen.findByText('Hello from the mock Gemini!');
+
+  await waitFor(() => expect(fakeFirebase.getDocuments(memoriesPath(appId, storedChat().userId))).toEqual([
+    expect.objectContaining({ text: 'The user is called Ada.', category: 'profile' }),
+  ]));
+  expect(gemini.memoryRequests[0].body.contents[0].parts[0].text).toContain('My name is Ada');
+
+  await send('Hi');
+  await waitFor(() => expect(gemini.requests).toHaveLength(2));
+  expect(gemini.requests[1].body.systemInstruction.parts[0].text).toContain('- The user is called Ada.');
+});
+
+test('edits and deletes memories in the memory panel', async () => {
+  fakeFirebase.signIn('guest', { isAnonymous: true });
+  const path = memoriesPath(appId, 'guest');
+  await fakeFirebase.setDocument(`${path}/m1`, { text: 'Likes chess.', category: 'interest', createdAt: Timestamp.fromMillis(1), updatedAt: Timestamp.fromMillis(1) });
+  await fakeFirebase.setDocument(`${path}/m2`, { text: 'Wants 1000 Pi.', category: 'goal', createdAt: Timestamp.fromMillis(2), updatedAt: Timestamp.fromMillis(2) });
+  renderApp();
+
+  userEvent.click(await screen.findByRole('button', { name: /Memory/ }));
+  const panel = screen.getByRole('dialog', { name: 'Memory' });
+  userEvent.click(await within(panel).findByRole('button', { name: 'Edit "Likes chess."' }));
+  userEvent.clear(within(panel).getByRole('textbox', { name: 'Memory' }));
+  userEvent.type(within(panel).getByRole('textbox', { name: 'Memory' }), 'Plays chess on Sundays.');
+  userEvent.click(within(panel).getByRole('button', { name: 'Save' }));
+  await waitFor(() => expect(within(panel).queryByRole('textbox', { name: 'Memory' })).not.toBeInTheDocument());
+  expect(within(panel).getByText('Plays chess on Sundays.')).toBeInTheDocument();
+
+  userEvent.click(within(panel).getByRole('button', { name: 'Delete "Wants 1000 Pi."' }));
+  await waitFor(() => expect(within(panel).queryByText('Wants 1000 Pi.')).not.toBeInTheDocument());
+  expect(fakeFirebase.getDocuments(path)).toEqual([
+    expect.objectContaining({ id: 'm1', text: 'Plays chess on Sundays.', category: 'interest' }),
+  ]);
+});
+
+test('runs the tools a reply calls and shows them as cards', async () => {
+  gemini.replyWithChunks([functionCallChunk('calculate', { expression: '1234 * 5678' })]).reply('That is 7,006,652.');
+  renderApp();
+
+  await send('What is 1234 * 5678?');
+
+  expect(await screen.findByText('That is 7,006,652.')).toBeInTheDocument();
+  const [first, second] = gemini.requests;
+  expect(first.body.tools[0].functionDeclarations.map((declaration) => declaration.name)).toContain('calculate');
+  expect(second.body.purpose).toBe('tool');
+  expect(second.body.contents.slice(1)).toEqual([
+    { role: 'model', parts: [{ functionCall: { name: 'calculate', args: { expression: '1234 * 5678' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { expression: '1234 * 5678', result: 7006652 } } }] },
+  ]);
+
+  expect(await screen.findByText('🔧 Calculator')).toBeInTheDocument();
+  expect(screen.getByText(/"result": 7006652/)).toBeInTheDocument();
+  await waitFor(() => expect(storedChat().messages[1]).toMatchObject({
+    text: 'That is 7,006,652.',
+    toolCalls: [{ name: 'calculate', args: { expression: '1234 * 5678' }, response: { result: 7006652 } }],
+  }));
+});
+
+test('answers from the knowledge base and cites the sources', async () => {
+  renderApp();
+
+  userEvent.click(await screen.findByRole('button', { name: /Knowledge base/ }));
+  const panel = screen.getByRole('dialog', { name: 'Knowledge base' });
+  const text = '# Pi guide\n\n## Mining\n\nOpen the app once every 24 hours and tap the mining button.';
+  const guide = new File([text], 'guide.md', { type: 'text/markdown' });
+  guide.text = async () => text; // jsdom's files can't be read as text
+  userEvent.upload(within(panel).getByLabelText(/Add files/), guide);
+  expect(await within(panel).findByText('Pi guide')).toBeInTheDocument();
+  userEvent.click(within(panel).getByRole('button', { name: 'Done' }));
+
+  await send('How often should I tap the mining button?');
+
+  expect(await screen.findByText('Hello from the mock Gemini!')).toBeInTheDocument();
+  expect(gemini.requests[0].body.systemInstruction.parts[0].text).toContain('[1] Pi guide › Mining\nOpen the app once every 24 hours');
+  expect(screen.getByText('Sources')).toBeInTheDocument();
+  expect(screen.getByText('[1] Pi guide › Mining')).toBeInTheDocument();
+  await waitFor(() => expect(storedChat().messages[1].sources).toEqual([
+    expect.objectContaining({ title: 'Pi guide', heading: 'Mining', excerpt: expect.stringContaining('tap the mining button') }),
+  ]));
 });
@@ -0,0 +1,95 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithCredential,
+} from 'firebase/auth';
+import { readUserData, writeUserData } from '../chat/userData';
+
+// Everyone starts on an anonymous Firebase account so they can chat at once.
+// Linking adds Google or email/password sign-in to that same account: the uid,
+// and with it everything under artifacts/{appId}/users/{uid}, stays the same.
+// When the Google or email account already exists, linking fails with an
+// AccountConflictError instead; the user can then switch to that account and
+// bring this device's chats along.
+
+const CONFLICT_CODES = [
+  'auth/credential-already-in-use',
+  'auth/email-already-in-use',
+  'auth/account-exists-with-different-credential',
+];
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': "That email address doesn't look right.",
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/weak-password': 'Passwords need at least 6 characters.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/popup-blocked': 'The sign-in window was blocked. Allow pop-ups and try again.',
+  'auth/network-request-failed': "Couldn't reach the sign-in service. Check your connection.",
+};
+
+// Linking was refused because `credential` belongs to another account.
+export class AccountConflictError extends Error {
+  constructor(credential, email) {
+    super('This sign-in already belongs to another account');
+    this.name = 'AccountConflictError';
+    this.credential = credential;
+    this.email = email || null;
+  }
+}
+
+// The parts of a Firebase user the UI shows.
+export function toAccount(user) {
+  if (!user) return null;
+  return {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || null,
+    displayName: user.displayName || null,
+    providerIds: user.providerData.map((profile) => profile.providerId),
+  };
+}
+
+// Closing the Google window is not worth an error message.
+export const isCancelledSignIn = (error) =>
+  error?.code === 'auth/popup-closed-by-user' || error?.code === 'auth/cancelled-popup-request';
+
+export const describeAuthError = (error) =>
+  AUTH_ERROR_MESSAGES[error?.code] || 'Sign-in failed. Please try again.';
+
+const isConflict = (error) => CONFLICT_CODES.includes(error?.code);
+
+export async function linkGoogle(auth) {
+  try {
+    const { user } = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+    return user;
+  } catch (error) {
+    const credential = isConflict(error) && GoogleAuthProvider.credentialFromError(error);
+    if (!credential) throw error;
+    throw new AccountConflictError(credential, error.customData?.email);
+  }
+}
+
+export async function linkEmail(auth, email, password) {
+  const credential = EmailAuthProvider.credential(email.trim(), password);
+  try {
+    const { user } = await linkWithCredential(auth.currentUser, credential);
+    return user;
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    throw new AccountConflictError(credential, email.trim());
+  }
+}
+
+// Signs in to the account a conflict pointed at. With `bringData`, the current
+// account's conversations and personas are copied into it; they are read
+// before switching, while this account may still read them. The originals are
+// left where they are.
+export async function switchToExistingAccount(auth, db, appId, conflict, { bringData = false } = {}) {
+  const data = bringData ? await readUserData(db, appId, auth.currentUser.uid) : null;
+  const { user } = await signInWithCredential(auth, conflict.credential);
+  if (data) await writeUserData(db, appId, user.uid, data);
+  return user;
+}
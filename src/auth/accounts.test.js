@@ -0,0 +1,111 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithCredential,
+} from 'firebase/auth';
+import { readUserData, writeUserData } from '../chat/userData';
+import {
+  AccountConflictError,
+  describeAuthError,
+  linkEmail,
+  linkGoogle,
+  switchToExistingAccount,
+  toAccount,
+} from './accounts';
+
+jest.mock('firebase/auth', () => {
+  const GoogleAuthProvider = jest.fn();
+  GoogleAuthProvider.credentialFromError = jest.fn();
+  return {
+    EmailAuthProvider: { credential: jest.fn() },
+    GoogleAuthProvider,
+    linkWithCredential: jest.fn(),
+    linkWithPopup: jest.fn(),
+    signInWithCredential: jest.fn(),
+  };
+});
+jest.mock('../chat/userData', () => ({ readUserData: jest.fn(), writeUserData: jest.fn() }));
+
+const guest = { uid: 'guest-uid', isAnonymous: true, providerData: [] };
+const auth = { currentUser: guest };
+const db = {};
+
+const authError = (code, customData) => Object.assign(new Error(code), { code, customData });
+
+beforeEach(() => {
+  EmailAuthProvider.credential.mockImplementation((email, password) => ({ email, password }));
+});
+
+test('keeps only the account details the UI shows', () => {
+  const user = { ...guest, isAnonymous: false, email: 'a@example.com', providerData: [{ providerId: 'password' }] };
+
+  expect(toAccount(user)).toEqual({
+    uid: 'guest-uid',
+    isAnonymous: false,
+    email: 'a@example.com',
+    displayName: null,
+    providerIds: ['password'],
+  });
+  expect(toAccount(null)).toBeNull();
+});
+
+test('links Google to the anonymous account, keeping its uid', async () => {
+  linkWithPopup.mockResolvedValue({ user: { ...guest, isAnonymous: false } });
+
+  await expect(linkGoogle(auth)).resolves.toMatchObject({ uid: 'guest-uid', isAnonymous: false });
+  expect(linkWithPopup).toHaveBeenCalledWith(guest, expect.any(GoogleAuthProvider));
+});
+
+test('reports a Google account that already exists as a conflict', async () => {
+  linkWithPopup.mockRejectedValue(authError('auth/credential-already-in-use', { email: 'a@example.com' }));
+  GoogleAuthProvider.credentialFromError.mockReturnValue({ idToken: 'google' });
+
+  const error = await linkGoogle(auth).catch((e) => e);
+
+  expect(error).toBeInstanceOf(AccountConflictError);
+  expect(error.credential).toEqual({ idToken: 'google' });
+  expect(error.email).toBe('a@example.com');
+});
+
+test('reports an email that already has an account as a conflict', async () => {
+  linkWithCredential.mockRejectedValue(authError('auth/email-already-in-use'));
+
+  const error = await linkEmail(auth, ' a@example.com ', 'secret1').catch((e) => e);
+
+  expect(EmailAuthProvider.credential).toHaveBeenCalledWith('a@example.com', 'secret1');
+  expect(error).toBeInstanceOf(AccountConflictError);
+  expect(error.credential).toEqual({ email: 'a@example.com', password: 'secret1' });
+});
+
+test('passes other sign-in errors through', async () => {
+  linkWithCredential.mockRejectedValue(authError('auth/weak-password'));
+
+  const error = await linkEmail(auth, 'a@example.com', '123').catch((e) => e);
+
+  expect(error).not.toBeInstanceOf(AccountConflictError);
+  expect(describeAuthError(error)).toBe('Passwords need at least 6 characters.');
+});
+
+test("copies the guest's chats into the existing account when asked", async () => {
+  const data = { conversations: [{ id: 'c1', data: {}, messages: [] }], personas: [] };
+  readUserData.mockResolvedValue(data);
+  signInWithCredential.mockResolvedValue({ user: { uid: 'existing-uid' } });
+  const conflict = new AccountConflictError({ idToken: 'google' }, 'a@example.com');
+
+  await switchToExistingAccount(auth, db, 'app', conflict, { bringData: true });
+
+  expect(readUserData).toHaveBeenCalledWith(db, 'app', 'guest-uid');
+  expect(readUserData.mock.invocationCallOrder[0]).toBeLessThan(signInWithCredential.mock.invocationCallOrder[0]);
+  expect(writeUserData).toHaveBeenCalledWith(db, 'app', 'existing-uid', data);
+});
+
+test('switches without copying anything otherwise', async () => {
+  signInWithCredential.mockResolvedValue({ user: { uid: 'existing-uid' } });
+
+  await switchToExistingAccount(auth, db, 'app', new AccountConflictError({}), { bringData: false });
+
+  expect(readUserData).not.toHaveBeenCalled();
+  expect(writeUserData).not.toHaveBeenCalled();
+});
@@ -0,0 +1,156 @@
+import { deleteObject, getBytes, getDownloadURL, listAll, ref, uploadBytes } from 'firebase/storage';
+
+// Files sent with a user message. The file goes to Firebase Storage at
+//   artifacts/{appId}/users/{userId}/attachments/{conversationId}/{fileName}
+// and the message keeps `attachments: [{ name, mimeType, size, storagePath,
+// url, thumbnail }]`, where `thumbnail` is a small JPEG data URL for images.
+// Gemini gets the files as `inlineData` parts; see withAttachmentData.
+
+export const MAX_ATTACHMENTS = 4;
+export const MAX_FILE_BYTES = 4 * 1024 * 1024;
+// Images are scaled down to this many pixels on their longer side before upload
+const MAX_IMAGE_DIMENSION = 1536;
+const THUMBNAIL_DIMENSION = 256;
+const JPEG_QUALITY = 0.85;
+// Inline data sent with one request. The chat proxy accepts 6 MB of JSON and
+// base64 adds a third, so older attachments beyond this are only named.
+export const ATTACHMENT_BYTES_BUDGET = 4 * 1024 * 1024;
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+export const DOCUMENT_TYPES = ['application/pdf', 'text/plain', 'text/markdown', 'text/csv'];
+export const ACCEPTED_TYPES = [...IMAGE_TYPES, ...DOCUMENT_TYPES];
+
+export const isImage = (attachment) => IMAGE_TYPES.includes(attachment.mimeType);
+
+export class AttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentError';
+  }
+}
+
+export const attachmentsPath = (appId, userId, conversationId) =>
+  `artifacts/${appId}/users/${userId}/attachments/${conversationId}`;
+
+// Deletes every file sent in the conversation.
+export async function deleteAttachments(storage, appId, userId, conversationId) {
+  const { items } = await listAll(ref(storage, attachmentsPath(appId, userId, conversationId)));
+  await Promise.all(items.map((item) => deleteObject(item)));
+}
+
+// Some systems report Markdown files without a type.
+const mimeTypeOf = (file) => file.type || (/\.(md|markdown)$/i.test(file.name) ? 'text/markdown' : '');
+
+// Throws AttachmentError when `file` can't be sent; images may be any size
+// since they are scaled down.
+export function checkFile(file) {
+  const mimeType = mimeTypeOf(file);
+  if (!ACCEPTED_TYPES.includes(mimeType)) {
+    throw new AttachmentError(`${file.name} can't be attached. Use an image, a PDF or a text file.`);
+  }
+  if (!IMAGE_TYPES.includes(mimeType) && file.size > MAX_FILE_BYTES) {
+    throw new AttachmentError(`${file.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`);
+  }
+  return mimeType;
+}
+
+// Width and height that fit in a `max` square, keeping the aspect ratio.
+export function fitWithin(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+function drawScaled(image, max) {
+  const { width, height } = fitWithin(image.width, image.height, max);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff'; // JPEG has no transparency
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new AttachmentError('The image could not be processed.'))), type, quality);
+  });
+
+// Scales images down (to JPEG) and makes their thumbnail. Returns
+// { name, mimeType, size, blob, thumbnail } ready for uploadAttachment.
+export async function prepareAttachment(file) {
+  const mimeType = checkFile(file);
+  if (!IMAGE_TYPES.includes(mimeType)) {
+    return { name: file.name, mimeType, size: file.size, blob: file, thumbnail: null };
+  }
+
+  let image;
+  try {
+    image = await createImageBitmap(file);
+  } catch (error) {
+    throw new AttachmentError(`${file.name} could not be read as an image.`);
+  }
+  try {
+    const blob = await canvasToBlob(drawScaled(image, MAX_IMAGE_DIMENSION), 'image/jpeg', JPEG_QUALITY);
+    const thumbnail = drawScaled(image, THUMBNAIL_DIMENSION).toDataURL('image/jpeg', 0.7);
+    const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    return { name, mimeType: 'image/jpeg', size: blob.size, blob, thumbnail };
+  } finally {
+    image.close?.();
+  }
+}
+
+// Uploads a prepared attachment and returns what the message stores.
+export async function uploadAttachment(storage, appId, userId, conversationId, attachment) {
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${attachment.name.replace(/[^\w.-]+/g, '_')}`;
+  const fileRef = ref(storage, `${attachmentsPath(appId, userId, conversationId)}/${fileName}`);
+  await uploadBytes(fileRef, attachment.blob, { contentType: attachment.mimeType });
+  return {
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    storagePath: fileRef.fullPath,
+    url: await getDownloadURL(fileRef),
+    thumbnail: attachment.thumbnail,
+  };
+}
+
+export function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunk = 0x8000; // String.fromCharCode takes limited arguments
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+// Reads a stored attachment back as base64.
+export async function downloadAttachment(storage, attachment) {
+  return arrayBufferToBase64(await getBytes(ref(storage, attachment.storagePath), MAX_FILE_BYTES));
+}
+
+// Copies of `messages` whose attachments carry `data` (base64, from
+// `loadData(attachment)`), newest first until `maxBytes` is used up. The
+// others stay without data and are sent by name only.
+export async function withAttachmentData(messages, loadData, { maxBytes = ATTACHMENT_BYTES_BUDGET } = {}) {
+  const toLoad = new Set();
+  let used = 0;
+  const newestFirst = messages.flatMap((message) => message.attachments || []).reverse();
+  for (const attachment of newestFirst) {
+    if (used + attachment.size > maxBytes) continue;
+    used += attachment.size;
+    toLoad.add(attachment);
+  }
+
+  return Promise.all(messages.map(async (message) => {
+    if (!message.attachments?.some((attachment) => toLoad.has(attachment))) return message;
+    return {
+      ...message,
+      attachments: await Promise.all(message.attachments.map(async (attachment) => (
+        toLoad.has(attachment) ? { ...attachment, data: await loadData(attachment) } : attachment
+      ))),
+    };
+  }));
+}
@@ -0,0 +1,37 @@
+import { AttachmentError, arrayBufferToBase64, checkFile, fitWithin, withAttachmentData } from './attachments';
+
+const file = (name, type, size = 1000) => ({ name, type, size });
+
+test('accepts images of any size and small documents', () => {
+  expect(checkFile(file('photo.png', 'image/png', 50 * 1024 * 1024))).toBe('image/png');
+  expect(checkFile(file('notes.md', ''))).toBe('text/markdown');
+  expect(() => checkFile(file('big.pdf', 'application/pdf', 5 * 1024 * 1024))).toThrow(AttachmentError);
+  expect(() => checkFile(file('app.exe', 'application/octet-stream'))).toThrow("app.exe can't be attached");
+});
+
+test('scales down to the longer side, never up', () => {
+  expect(fitWithin(4000, 3000, 1536)).toEqual({ width: 1536, height: 1152 });
+  expect(fitWithin(1000, 4000, 256)).toEqual({ width: 64, height: 256 });
+  expect(fitWithin(800, 600, 1536)).toEqual({ width: 800, height: 600 });
+});
+
+test('encodes bytes as base64', () => {
+  expect(arrayBufferToBase64(new TextEncoder().encode('hello').buffer)).toBe('aGVsbG8=');
+});
+
+test('loads the newest attachments that fit the budget', async () => {
+  const attachment = (name, size) => ({ name, size, mimeType: 'image/jpeg', storagePath: name });
+  const messages = [
+    { id: 'm1', sender: 'user', attachments: [attachment('old.jpg', 600)] },
+    { id: 'm2', sender: 'ai', text: 'Nice' },
+    { id: 'm3', sender: 'user', attachments: [attachment('a.jpg', 300), attachment('b.jpg', 300)] },
+  ];
+  const loadData = jest.fn(async (a) => `data:${a.name}`);
+
+  const result = await withAttachmentData(messages, loadData, { maxBytes: 1000 });
+
+  expect(result[2].attachments.map((a) => a.data)).toEqual(['data:a.jpg', 'data:b.jpg']);
+  expect(result[0].attachments[0].data).toBeUndefined();
+  expect(result[1]).toBe(messages[1]);
+  expect(loadData).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,74 @@
+// Conversations are trees: editing a user message or regenerating a reply adds
+// a sibling instead of overwriting, so every alternative is kept. Each message
+// stores `parentId` (null for the first message). The conversation document
+// remembers which child is shown under each parent:
+//   branches: { [parentId or ROOT_KEY]: childId }
+// Without an entry the newest child is shown. Messages written before
+// branching existed have no `parentId` and simply follow the one before them.
+
+export const ROOT_KEY = 'root';
+
+export const branchKey = (parentId) => parentId || ROOT_KEY;
+
+// The update that shows `childId` under `parentId`, for updateConversation.
+export const selectBranchField = (parentId, childId) => ({ [`branches.${branchKey(parentId)}`]: childId });
+
+// `messages` must be in timestamp order, as the conversation query returns them.
+function childrenByParent(messages) {
+  const children = new Map();
+  let previousId = null;
+  messages.forEach((message) => {
+    const parentId = message.parentId === undefined ? previousId : message.parentId;
+    const key = branchKey(parentId);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push({ ...message, parentId });
+    previousId = message.id;
+  });
+  return children;
+}
+
+// The `branches` update that brings `messageId` on screen: every message on
+// its way from the first one is selected under its parent.
+export function selectPathFields(messages, messageId) {
+  const parentOf = new Map();
+  childrenByParent(messages).forEach((siblings) => siblings.forEach((m) => parentOf.set(m.id, m.parentId)));
+
+  const fields = {};
+  const visited = new Set();
+  for (let id = messageId; parentOf.has(id) && !visited.has(id); id = parentOf.get(id)) {
+    visited.add(id);
+    Object.assign(fields, selectBranchField(parentOf.get(id), id));
+  }
+  return fields;
+}
+
+// Where the path starts when only the latest messages are loaded (see
+// useChatMessages): under the parent, not loaded, of the oldest message.
+function startKey(messages, children) {
+  if (children.has(ROOT_KEY) || messages.length === 0) return ROOT_KEY;
+  const loadedIds = new Set(messages.map((m) => m.id));
+  const [firstKey] = [...children.keys()].filter((key) => !loadedIds.has(key));
+  return firstKey;
+}
+
+// Follows the selected branch from the first message to the last. Each entry
+// is { message, siblingIds, siblingIndex } so the UI can offer `< 2/3 >`.
+// A selected id that doesn't exist yet (a reply still streaming) ends the path.
+export function activePath(messages, branches = {}) {
+  const children = childrenByParent(messages);
+  const path = [];
+  let key = startKey(messages, children);
+
+  while (children.has(key)) {
+    const siblings = children.get(key);
+    const selectedId = branches[key];
+    const index = selectedId ? siblings.findIndex((m) => m.id === selectedId) : siblings.length - 1;
+    if (index === -1) break;
+
+    const message = siblings[index];
+    path.push({ message, siblingIds: siblings.map((m) => m.id), siblingIndex: index });
+    key = message.id;
+  }
+
+  return path;
+}
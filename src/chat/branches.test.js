@@ -0,0 +1,62 @@
+import { activePath, selectBranchField, selectPathFields } from './branches';
+
+const ids = (path) => path.map((entry) => entry.message.id);
+
+// u1 -> a1 -> u2 -> a2, then u2 edited as u2b (answered by a3) and a3 regenerated as a4
+const messages = [
+  { id: 'u1', parentId: null, sender: 'user' },
+  { id: 'a1', parentId: 'u1', sender: 'ai' },
+  { id: 'u2', parentId: 'a1', sender: 'user' },
+  { id: 'a2', parentId: 'u2', sender: 'ai' },
+  { id: 'u2b', parentId: 'a1', sender: 'user' },
+  { id: 'a3', parentId: 'u2b', sender: 'ai' },
+  { id: 'a4', parentId: 'u2b', sender: 'ai' },
+];
+
+test('shows the newest alternative when nothing is selected', () => {
+  const path = activePath(messages);
+
+  expect(ids(path)).toEqual(['u1', 'a1', 'u2b', 'a4']);
+  expect(path[2]).toMatchObject({ siblingIds: ['u2', 'u2b'], siblingIndex: 1 });
+  expect(path[3]).toMatchObject({ siblingIds: ['a3', 'a4'], siblingIndex: 1 });
+});
+
+test('follows the selected branches', () => {
+  expect(ids(activePath(messages, { a1: 'u2' }))).toEqual(['u1', 'a1', 'u2', 'a2']);
+  expect(ids(activePath(messages, { u2b: 'a3' }))).toEqual(['u1', 'a1', 'u2b', 'a3']);
+});
+
+test('stops at a selected reply that is still being written', () => {
+  expect(ids(activePath(messages, { u2b: 'streaming' }))).toEqual(['u1', 'a1', 'u2b']);
+});
+
+test('chains messages from before branching in order', () => {
+  const legacy = [
+    { id: 'old1', sender: 'user' },
+    { id: 'old2', sender: 'ai' },
+    { id: 'new1', parentId: 'old2', sender: 'user' },
+  ];
+
+  expect(ids(activePath(legacy))).toEqual(['old1', 'old2', 'new1']);
+  expect(activePath(legacy)[1].message.parentId).toBe('old1');
+  expect(activePath([])).toEqual([]);
+});
+
+test('selects branches with a nested field update', () => {
+  expect(selectBranchField(null, 'u1')).toEqual({ 'branches.root': 'u1' });
+  expect(selectBranchField('a1', 'u2')).toEqual({ 'branches.a1': 'u2' });
+});
+
+test('selects every branch on the way to a message', () => {
+  const fields = selectPathFields(messages, 'a3');
+
+  expect(fields).toEqual({ 'branches.root': 'u1', 'branches.u1': 'a1', 'branches.a1': 'u2b', 'branches.u2b': 'a3' });
+  expect(ids(activePath(messages, { a1: 'u2b', u2b: 'a3' }))).toEqual(['u1', 'a1', 'u2b', 'a3']);
+});
+
+test('starts at the oldest loaded message when earlier pages are not loaded', () => {
+  const latestPage = messages.filter((m) => !['u1', 'a1'].includes(m.id));
+
+  expect(ids(activePath(latestPage))).toEqual(['u2b', 'a4']);
+  expect(ids(activePath(latestPage, { a1: 'u2' }))).toEqual(['u2', 'a2']);
+});
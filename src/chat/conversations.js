@@ -0,0 +1,210 @@
+import {
+  collection,
+  doc,
+  endBefore,
+  getDoc,
+  getDocs,
+  limit,
+  limitToLast,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore';
+import { deleteAttachments } from './attachments';
+
+// Firestore layout:
+//   artifacts/{appId}/users/{userId}/conversations/{conversationId}
+//   artifacts/{appId}/users/{userId}/conversations/{conversationId}/messages/{messageId}
+// Before conversations existed every message lived in the flat
+// artifacts/{appId}/users/{userId}/messages collection; see migrateLegacyMessages.
+
+export const DEFAULT_CONVERSATION_TITLE = 'New chat';
+export const LEGACY_CONVERSATION_ID = 'legacy';
+const LEGACY_CONVERSATION_TITLE = 'Legacy';
+const MAX_TITLE_LENGTH = 48;
+// Longest title and message text firestore.rules accept
+export const MAX_CUSTOM_TITLE_LENGTH = 200;
+export const MAX_MESSAGE_LENGTH = 100000;
+
+// Firestore caps a batch at 500 writes.
+export const BATCH_SIZE = 500;
+// firestore.rules look up the original of each migrated legacy message, and
+// the rules may look up 20 documents per batch.
+const LEGACY_BATCH_SIZE = 10;
+
+export const conversationsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/conversations`;
+
+export const messagesPath = (appId, userId, conversationId) =>
+  `${conversationsPath(appId, userId)}/${conversationId}/messages`;
+
+const legacyMessagesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/messages`;
+
+// Listens to the user's conversations, most recently active first.
+export function subscribeToConversations(db, appId, userId, onChange, onError) {
+  const q = query(collection(db, conversationsPath(appId, userId)), orderBy('updatedAt', 'desc'));
+  return onSnapshot(
+    q,
+    (snapshot) => onChange(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+// One-off read of a conversation's messages, oldest first.
+export async function fetchMessages(db, appId, userId, conversationId) {
+  const snapshot = await getDocs(query(collection(db, messagesPath(appId, userId, conversationId)), orderBy('timestamp', 'asc')));
+  return snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// The messages before `messageId` on its branch, oldest first: its parent,
+// the parent's parent and so on. They are read a page at a time, going back
+// from it, until their text reaches `maxChars` or the first message. Messages
+// without `parentId` follow the one before them (see branches.js).
+export async function fetchEarlierMessages(db, appId, userId, conversationId, messageId, { maxChars, pageSize }) {
+  const messagesRef = collection(db, messagesPath(appId, userId, conversationId));
+  const before = []; // Everything older than the message read so far, oldest first
+  const byId = new Map();
+  let cursor = await getDoc(doc(messagesRef, messageId));
+  const message = cursor.data();
+  let hasReadAll = false;
+
+  const readPage = async () => {
+    const page = await getDocs(query(messagesRef, orderBy('timestamp', 'asc'), endBefore(cursor), limitToLast(pageSize)));
+    const messages = page.docs.map((d) => ({ id: d.id, ...d.data() }));
+    messages.forEach((m) => byId.set(m.id, m));
+    before.unshift(...messages);
+    cursor = page.docs[0];
+    hasReadAll = page.size < pageSize;
+  };
+
+  const earlier = [];
+  let chars = 0;
+  let current = message;
+  while (current.parentId !== null && chars < maxChars) {
+    const index = current === message ? before.length : before.indexOf(current);
+    const parent = current.parentId === undefined ? before[index - 1] : byId.get(current.parentId);
+    if (!parent) {
+      if (hasReadAll) break;
+      await readPage();
+      continue;
+    }
+    earlier.unshift(parent);
+    chars += (parent.text || '').length;
+    current = parent;
+  }
+  return earlier;
+}
+
+// New conversation ids are made on the client, so a conversation started
+// offline can be used right away while its write waits for the network.
+export const newConversationId = (db, appId, userId) => doc(collection(db, conversationsPath(appId, userId))).id;
+
+// `settings` holds per-conversation choices such as the LLM provider.
+export async function createConversation(db, appId, userId, {
+  id = newConversationId(db, appId, userId),
+  title = DEFAULT_CONVERSATION_TITLE,
+  ...settings
+} = {}) {
+  const conversationRef = doc(db, conversationsPath(appId, userId), id);
+  await setDoc(conversationRef, {
+    ...settings,
+    title,
+    autoTitle: title === DEFAULT_CONVERSATION_TITLE, // Replaced by a generated title after the first exchange
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return conversationRef.id;
+}
+
+export function renameConversation(db, appId, userId, conversationId, title) {
+  return updateDoc(doc(db, conversationsPath(appId, userId), conversationId), {
+    title: title.trim() || DEFAULT_CONVERSATION_TITLE,
+    autoTitle: false,
+  });
+}
+
+export function updateConversation(db, appId, userId, conversationId, fields) {
+  return updateDoc(doc(db, conversationsPath(appId, userId), conversationId), fields);
+}
+
+// Bumps the conversation to the top of the sidebar.
+export function touchConversation(db, appId, userId, conversationId, fields = {}) {
+  return updateDoc(doc(db, conversationsPath(appId, userId), conversationId), {
+    ...fields,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// Deletes every document in the collection at `path`, a batch at a time.
+export async function deleteCollection(db, path) {
+  const collectionRef = collection(db, path);
+  while (true) {
+    const snapshot = await getDocs(query(collectionRef, limit(BATCH_SIZE)));
+    if (snapshot.empty) return;
+
+    const batch = writeBatch(db);
+    snapshot.docs.forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+}
+
+// Deletes the conversation, its messages and their attachments. Firestore
+// doesn't remove subcollections with their parent, so the messages are deleted
+// first; the files go before them so a failed delete can be retried from the
+// sidebar.
+export async function deleteConversation(db, storage, appId, userId, conversationId) {
+  await deleteAttachments(storage, appId, userId, conversationId);
+  await deleteCollection(db, messagesPath(appId, userId, conversationId));
+  const batch = writeBatch(db);
+  batch.delete(doc(db, conversationsPath(appId, userId), conversationId));
+  await batch.commit();
+}
+
+// Derives a short sidebar title from the first user message of a conversation.
+export function generateTitle(text) {
+  const cleaned = (text || '').replace(/\s+/g, ' ').trim().replace(/[?!.:,;]+$/, '');
+  if (cleaned === '') return DEFAULT_CONVERSATION_TITLE;
+  if (cleaned.length <= MAX_TITLE_LENGTH) return cleaned;
+
+  const cut = cleaned.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// Moves messages from the pre-conversations flat collection into a "Legacy"
+// conversation. Messages keep their ids, so an interrupted migration can simply
+// run again. Returns the number of messages moved.
+export async function migrateLegacyMessages(db, appId, userId) {
+  const legacyRef = collection(db, legacyMessagesPath(appId, userId));
+  const snapshot = await getDocs(query(legacyRef, orderBy('timestamp', 'asc')));
+  if (snapshot.empty) return 0;
+
+  const targetPath = messagesPath(appId, userId, LEGACY_CONVERSATION_ID);
+  const lastMessage = snapshot.docs[snapshot.docs.length - 1].data();
+
+  await setDoc(
+    doc(db, conversationsPath(appId, userId), LEGACY_CONVERSATION_ID),
+    {
+      title: LEGACY_CONVERSATION_TITLE,
+      autoTitle: false,
+      createdAt: snapshot.docs[0].data().timestamp || serverTimestamp(),
+      updatedAt: lastMessage.timestamp || serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  // Each message takes two writes: the copy and the delete.
+  for (let i = 0; i < snapshot.docs.length; i += LEGACY_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(i, i + LEGACY_BATCH_SIZE).forEach((d) => {
+      batch.set(doc(db, targetPath, d.id), { ...d.data(), importedAt: serverTimestamp() });
+      batch.delete(d.ref);
+    });
+    await batch.commit();
+  }
+
+  return snapshot.docs.length;
+}
@@ -0,0 +1,51 @@
+import { Timestamp } from 'firebase/firestore';
+import { ref, uploadBytes } from 'firebase/storage';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { attachmentsPath } from './attachments';
+import {
+  DEFAULT_CONVERSATION_TITLE,
+  conversationsPath,
+  deleteConversation,
+  generateTitle,
+  messagesPath,
+} from './conversations';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('../testing/fakeFirebase').storageModule);
+
+test('uses the first message as the title', () => {
+  expect(generateTitle('  What is the   Pi Browser?  ')).toBe('What is the Pi Browser');
+});
+
+test('shortens long titles at a word boundary', () => {
+  const title = generateTitle('Can you explain how Pi Network mining works on a phone and why it matters?');
+
+  expect(title).toBe('Can you explain how Pi Network mining works on…');
+});
+
+test('falls back to the default title for empty text', () => {
+  expect(generateTitle('   ')).toBe(DEFAULT_CONVERSATION_TITLE);
+  expect(generateTitle(undefined)).toBe(DEFAULT_CONVERSATION_TITLE);
+});
+
+test('deletes a conversation with its messages and attachments', async () => {
+  fakeFirebase.reset();
+  fakeFirebase.signIn('ada');
+  const { db, storage } = fakeFirebase;
+  const now = Timestamp.now();
+  for (const conversationId of ['c1', 'c2']) {
+    await fakeFirebase.setDocument(`${conversationsPath('app', 'ada')}/${conversationId}`, { title: 'Photos', createdAt: now, updatedAt: now });
+    await fakeFirebase.setDocument(`${messagesPath('app', 'ada', conversationId)}/m1`, { text: 'Look', sender: 'user', timestamp: now, userId: 'ada' });
+    await uploadBytes(ref(storage, `${attachmentsPath('app', 'ada', conversationId)}/cat.jpg`), new Blob(['cat']));
+    await uploadBytes(ref(storage, `${attachmentsPath('app', 'ada', conversationId)}/notes.txt`), new Blob(['notes']));
+  }
+
+  await deleteConversation(db, storage, 'app', 'ada', 'c1');
+
+  expect(fakeFirebase.getDocuments(conversationsPath('app', 'ada')).map(({ id }) => id)).toEqual(['c2']);
+  expect(fakeFirebase.getDocuments(messagesPath('app', 'ada', 'c1'))).toEqual([]);
+  expect(fakeFirebase.getFilePaths()).toEqual([
+    `${attachmentsPath('app', 'ada', 'c2')}/cat.jpg`,
+    `${attachmentsPath('app', 'ada', 'c2')}/notes.txt`,
+  ]);
+});
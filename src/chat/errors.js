@@ -0,0 +1,55 @@
+import { ERROR_CODES, ProviderError } from '../providers';
+
+// Failed replies are stored as messages of their own so they survive a reload
+// and can be retried:
+//   { sender: 'system', type: 'error', errorCode, text, timestamp, userId }
+// They never reach the model (see toGeminiContents).
+
+export const SYSTEM_SENDER = 'system';
+export const ERROR_MESSAGE_TYPE = 'error';
+
+export const isErrorMessage = (message) => message?.sender === SYSTEM_SENDER && message.type === ERROR_MESSAGE_TYPE;
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const describeWait = (ms) => {
+  const minutes = Math.ceil(ms / (60 * 1000));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// The text shown to the user for a failed reply.
+export function describeError(error) {
+  if (isOffline()) return "You're offline. Check your connection, then retry.";
+  if (!(error instanceof ProviderError)) return 'Something went wrong while getting a reply. Please retry.';
+
+  switch (error.code) {
+    case ERROR_CODES.QUOTA:
+      if (!error.retryAfterMs) return "You've reached the usage limit for now. Please try again later.";
+      // The per-minute limit clears within a minute; the daily quota at midnight UTC
+      if (error.retryAfterMs > 60 * 1000) return `You've used all of today's messages. More in ${describeWait(error.retryAfterMs)}.`;
+      return `Too many messages. Please wait ${Math.ceil(error.retryAfterMs / 1000)} seconds and retry.`;
+    case ERROR_CODES.SAFETY:
+      return 'The reply was blocked by the safety filter. Try rephrasing your message.';
+    case ERROR_CODES.AUTH:
+      return error.status === 401 || /signed in/i.test(error.message)
+        ? 'Your session has expired. Reload the page to sign in again.'
+        : 'The AI service rejected its credentials (invalid or missing API key).';
+    case ERROR_CODES.PLAN:
+      return "This model isn't on your plan. Upgrade to Premium, or reload the page to chat on the free plan.";
+    case ERROR_CODES.NETWORK:
+      return "Couldn't reach the AI service. Check your connection, then retry.";
+    case ERROR_CODES.SERVER:
+      return 'The AI service is having trouble right now. Please retry in a moment.';
+    case ERROR_CODES.BAD_RESPONSE:
+      return 'The AI sent back an empty or unreadable reply. Please retry.';
+    case ERROR_CODES.INVALID_REQUEST:
+      return `The AI service couldn't handle this request: ${error.message}`;
+    default:
+      return 'Something went wrong while getting a reply. Please retry.';
+  }
+}
+
+// The code stored with the error message, for styling and analytics.
+export const errorCodeOf = (error) => (isOffline() ? ERROR_CODES.NETWORK : error?.code || ERROR_CODES.UNKNOWN);
@@ -0,0 +1,38 @@
+import { ERROR_CODES, ProviderError } from '../providers';
+import { describeError, errorCodeOf, isErrorMessage } from './errors';
+
+afterEach(() => jest.restoreAllMocks());
+
+test('describes provider errors by code', () => {
+  const quota = new ProviderError('Too many', { code: ERROR_CODES.QUOTA, retryAfterMs: 4200 });
+  const safety = new ProviderError('Blocked', { code: ERROR_CODES.SAFETY });
+  const badKey = new ProviderError('API key not valid', { code: ERROR_CODES.AUTH, status: 400 });
+  const notOnPlan = new ProviderError('Model gemini-2.5-flash is not available on your plan', { code: ERROR_CODES.PLAN, status: 403 });
+
+  expect(describeError(quota)).toMatch(/wait 5 seconds/);
+  expect(describeError(safety)).toMatch(/safety filter/);
+  expect(describeError(badKey)).toMatch(/API key/);
+  expect(describeError(notOnPlan)).toMatch(/Upgrade to Premium/);
+  expect(describeError(new Error('boom'))).toMatch(/Something went wrong/);
+});
+
+test('tells a used-up daily quota from a short rate limit', () => {
+  const daily = new ProviderError('You have used all 20 messages for today', { code: ERROR_CODES.QUOTA, retryAfterMs: 5.5 * 60 * 60 * 1000 });
+  const soon = new ProviderError('Daily limit', { code: ERROR_CODES.QUOTA, retryAfterMs: 90 * 1000 });
+
+  expect(describeError(daily)).toBe("You've used all of today's messages. More in 6 hours.");
+  expect(describeError(soon)).toBe("You've used all of today's messages. More in 2 minutes.");
+});
+
+test('reports being offline whatever the error was', () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  const error = new ProviderError('Unavailable', { code: ERROR_CODES.SERVER });
+
+  expect(describeError(error)).toMatch(/offline/);
+  expect(errorCodeOf(error)).toBe(ERROR_CODES.NETWORK);
+});
+
+test('recognises stored error messages', () => {
+  expect(isErrorMessage({ sender: 'system', type: 'error', text: 'x' })).toBe(true);
+  expect(isErrorMessage({ sender: 'ai', text: 'x' })).toBe(false);
+});
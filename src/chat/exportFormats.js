@@ -0,0 +1,167 @@
+import { Timestamp } from 'firebase/firestore';
+import { activePath } from './branches';
+import { DEFAULT_CONVERSATION_TITLE, MAX_CUSTOM_TITLE_LENGTH } from './conversations';
+import { isErrorMessage } from './errors';
+
+// Conversations leave the app as Markdown (the branch on screen, for reading),
+// as a printable page (see PrintableConversations) or as JSON. The JSON keeps
+// every message and branch so it can be imported again:
+//   { format: EXPORT_FORMAT, version, exportedAt, conversations: [
+//       { title, provider, personaId, branches, createdAt, updatedAt,
+//         messages: [{ id, parentId, sender, text, timestamp, attachments,
+//                      usage, toolCalls, sources, ... }] } ] }
+// Times are ISO strings. Attachments are kept as references to the files in
+// Storage, not their contents. Readers must reject versions newer than they
+// know.
+
+export const EXPORT_FORMAT = 'ai-chat-export';
+export const EXPORT_VERSION = 1;
+
+const CONVERSATION_FIELDS = ['title', 'provider', 'personaId', 'branches'];
+const MESSAGE_FIELDS = [
+  'parentId', 'type', 'errorCode', 'interrupted', 'piUsername', 'attachments', 'usage', 'toolCalls', 'sources',
+];
+const LIST_FIELDS = ['attachments', 'toolCalls', 'sources'];
+const SENDERS = ['user', 'ai', 'system'];
+export const SENDER_LABELS = { user: 'You', ai: 'AI', system: 'System' };
+
+export class InvalidExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidExportError';
+  }
+}
+
+// Firestore Timestamps, Dates and ISO strings to an ISO string. A message
+// whose server timestamp hasn't been set yet has none.
+export function toIsoString(time) {
+  if (!time) return null;
+  const date = typeof time.toDate === 'function' ? time.toDate() : new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+// `items` is a list of { conversation, messages } as the hooks return them.
+export function toExportDocument(items, { exportedAt = new Date() } = {}) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    conversations: items.map(({ conversation, messages }) => ({
+      ...pick(conversation, CONVERSATION_FIELDS),
+      createdAt: toIsoString(conversation.createdAt),
+      updatedAt: toIsoString(conversation.updatedAt),
+      messages: messages.map((message) => ({
+        id: message.id,
+        sender: message.sender,
+        text: message.text,
+        timestamp: toIsoString(message.timestamp),
+        ...pick(message, MESSAGE_FIELDS),
+      })),
+    })),
+  };
+}
+
+export function toMarkdown(items, { exportedAt = new Date() } = {}) {
+  return items.map(({ conversation, messages }) => {
+    const lines = [`# ${conversation.title || DEFAULT_CONVERSATION_TITLE}`, '', `_Exported ${exportedAt.toLocaleString()}_`];
+    activePath(messages, conversation.branches).forEach(({ message }) => {
+      const time = toIsoString(message.timestamp);
+      const heading = `**${SENDER_LABELS[message.sender] || message.sender}**${time ? ` · ${new Date(time).toLocaleString()}` : ''}`;
+      const text = isErrorMessage(message) ? `> ⚠ ${message.text}` : message.text;
+      lines.push('', heading, '', text);
+      (message.attachments || []).forEach((attachment) => lines.push('', `📎 ${attachment.name}`));
+    });
+    return `${lines.join('\n')}\n`;
+  }).join('\n---\n\n');
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function checkMessage(message, index) {
+  if (
+    !message ||
+    typeof message.id !== 'string' ||
+    message.id === '' ||
+    message.id.includes('/') ||
+    !SENDERS.includes(message.sender) ||
+    typeof message.text !== 'string'
+  ) {
+    throw new InvalidExportError(`Message ${index + 1} is missing its id, sender or text.`);
+  }
+  if (
+    LIST_FIELDS.some((field) => message[field] !== undefined && !Array.isArray(message[field])) ||
+    (message.usage !== undefined && !isObject(message.usage))
+  ) {
+    throw new InvalidExportError(`Message ${index + 1} has invalid attachments, usage, tool calls or sources.`);
+  }
+}
+
+// Parses and checks an exported JSON file. Throws InvalidExportError with a
+// message fit for the user.
+export function parseExportDocument(text) {
+  let exported;
+  try {
+    exported = JSON.parse(text);
+  } catch (error) {
+    throw new InvalidExportError("This file isn't valid JSON.");
+  }
+
+  if (exported?.format !== EXPORT_FORMAT || !Number.isInteger(exported.version)) {
+    throw new InvalidExportError("This file isn't a chat export.");
+  }
+  if (exported.version > EXPORT_VERSION) {
+    throw new InvalidExportError('This export comes from a newer version of the app. Update the app to import it.');
+  }
+  if (!Array.isArray(exported.conversations)) {
+    throw new InvalidExportError('This export has no conversations.');
+  }
+
+  exported.conversations.forEach((conversation) => {
+    if (!Array.isArray(conversation?.messages)) {
+      throw new InvalidExportError('A conversation in this export has no messages.');
+    }
+    if (conversation.branches !== undefined && (typeof conversation.branches !== 'object' || Array.isArray(conversation.branches))) {
+      throw new InvalidExportError('A conversation in this export has invalid branches.');
+    }
+    conversation.messages.forEach(checkMessage);
+  });
+  return exported;
+}
+
+const toTimestamp = (iso, fallback) => (toIsoString(iso) ? Timestamp.fromDate(new Date(iso)) : fallback);
+
+// The parsed export in the shape writeUserData takes. Imported conversations
+// go to the top of the list; messages without a time (never synced before the
+// export) get the time of the one before, so they keep their place.
+export function toUserData(exported, { importedAt = new Date() } = {}) {
+  const now = Timestamp.fromDate(importedAt);
+  return {
+    conversations: exported.conversations.map((conversation) => {
+      let previousTime = toTimestamp(conversation.createdAt, now);
+      return {
+        data: {
+          ...pick(conversation, CONVERSATION_FIELDS),
+          title: (conversation.title || DEFAULT_CONVERSATION_TITLE).slice(0, MAX_CUSTOM_TITLE_LENGTH),
+          autoTitle: false,
+          createdAt: toTimestamp(conversation.createdAt, now),
+          updatedAt: now,
+        },
+        messages: conversation.messages.map((message) => {
+          previousTime = toTimestamp(message.timestamp, previousTime);
+          return {
+            id: message.id,
+            data: {
+              sender: message.sender,
+              text: message.text,
+              timestamp: previousTime,
+              ...pick(message, MESSAGE_FIELDS),
+            },
+          };
+        }),
+      };
+    }),
+  };
+}
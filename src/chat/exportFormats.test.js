@@ -0,0 +1,124 @@
+import { Timestamp } from 'firebase/firestore';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  InvalidExportError,
+  parseExportDocument,
+  toExportDocument,
+  toMarkdown,
+  toUserData,
+} from './exportFormats';
+
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+
+const conversation = {
+  id: 'c1',
+  title: 'Pi wallet',
+  provider: 'gemini',
+  branches: { u1: 'a2' },
+  createdAt: at('2025-01-01T10:00:00Z'),
+  updatedAt: at('2025-01-01T10:05:00Z'),
+  autoTitle: false,
+};
+const messages = [
+  { id: 'u1', parentId: null, sender: 'user', text: 'Hi', timestamp: at('2025-01-01T10:00:00Z'), userId: 'uid' },
+  { id: 'a1', parentId: 'u1', sender: 'ai', text: 'First answer', timestamp: at('2025-01-01T10:01:00Z'), userId: 'uid' },
+  { id: 'a2', parentId: 'u1', sender: 'ai', text: 'Second answer', timestamp: at('2025-01-01T10:02:00Z'), userId: 'uid' },
+  { id: 'u2', parentId: 'a2', sender: 'user', text: 'Thanks', timestamp: null, pending: true, userId: 'uid' },
+];
+const exportedAt = new Date('2025-02-01T00:00:00Z');
+
+test('exports every message and branch as versioned JSON', () => {
+  const exported = toExportDocument([{ conversation, messages }], { exportedAt });
+
+  expect(exported).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: '2025-02-01T00:00:00.000Z' });
+  expect(exported.conversations[0]).toEqual({
+    title: 'Pi wallet',
+    provider: 'gemini',
+    branches: { u1: 'a2' },
+    createdAt: '2025-01-01T10:00:00.000Z',
+    updatedAt: '2025-01-01T10:05:00.000Z',
+    messages: [
+      { id: 'u1', parentId: null, sender: 'user', text: 'Hi', timestamp: '2025-01-01T10:00:00.000Z' },
+      { id: 'a1', parentId: 'u1', sender: 'ai', text: 'First answer', timestamp: '2025-01-01T10:01:00.000Z' },
+      { id: 'a2', parentId: 'u1', sender: 'ai', text: 'Second answer', timestamp: '2025-01-01T10:02:00.000Z' },
+      { id: 'u2', parentId: 'a2', sender: 'user', text: 'Thanks', timestamp: null },
+    ],
+  });
+});
+
+test('writes the branch on screen as Markdown', () => {
+  const markdown = toMarkdown([{ conversation, messages }], { exportedAt });
+
+  expect(markdown).toMatch(/^# Pi wallet\n/);
+  expect(markdown).toContain('Second answer');
+  expect(markdown).not.toContain('First answer');
+  expect(markdown).toContain('**You**');
+});
+
+test('round-trips through JSON into new conversation data', () => {
+  const text = JSON.stringify(toExportDocument([{ conversation, messages }], { exportedAt }));
+  const importedAt = new Date('2025-03-01T00:00:00Z');
+
+  const { conversations } = toUserData(parseExportDocument(text), { importedAt });
+
+  expect(conversations[0].data).toMatchObject({
+    title: 'Pi wallet',
+    branches: { u1: 'a2' },
+    autoTitle: false,
+    createdAt: at('2025-01-01T10:00:00Z'),
+    updatedAt: at('2025-03-01T00:00:00Z'),
+  });
+  expect(conversations[0].messages.map((m) => m.id)).toEqual(['u1', 'a1', 'a2', 'u2']);
+  expect(conversations[0].messages[1].data).toEqual({
+    sender: 'ai',
+    text: 'First answer',
+    parentId: 'u1',
+    timestamp: at('2025-01-01T10:01:00Z'),
+  });
+  // A message exported before its server timestamp arrived follows the one before
+  expect(conversations[0].messages[3].data.timestamp).toEqual(at('2025-01-01T10:02:00Z'));
+});
+
+test('keeps attachments, token usage, tool calls and sources', () => {
+  const attachment = { name: 'receipt.jpg', mimeType: 'image/jpeg', size: 2048, storagePath: 'attachments/uid/c1/receipt.jpg' };
+  const rich = [
+    { id: 'u1', parentId: null, sender: 'user', text: '', attachments: [attachment], timestamp: at('2025-01-01T10:00:00Z') },
+    {
+      id: 'a1',
+      parentId: 'u1',
+      sender: 'ai',
+      text: 'That is 3.14 Pi.',
+      timestamp: at('2025-01-01T10:01:00Z'),
+      usage: { promptTokens: 1200, responseTokens: 8, totalTokens: 1208 },
+      toolCalls: [{ name: 'calculate', args: { expression: '3.14' }, response: { result: 3.14 } }],
+      sources: [{ documentId: 'd1', title: 'Prices', heading: '', excerpt: 'Pi', score: 0.8 }],
+    },
+  ];
+  const text = JSON.stringify(toExportDocument([{ conversation: { ...conversation, branches: {} }, messages: rich }], { exportedAt }));
+
+  const { conversations } = toUserData(parseExportDocument(text));
+
+  expect(conversations[0].messages.map((m) => m.data)).toEqual(rich.map(({ id, ...data }) => data));
+  expect(toMarkdown([{ conversation, messages: rich }], { exportedAt })).toContain('📎 receipt.jpg');
+  const broken = JSON.parse(text);
+  broken.conversations[0].messages[0].attachments = 'receipt.jpg';
+  expect(() => parseExportDocument(JSON.stringify(broken))).toThrow('Message 1 has invalid attachments');
+});
+
+test('rejects files that are not exports', () => {
+  expect(() => parseExportDocument('not json')).toThrow(InvalidExportError);
+  expect(() => parseExportDocument('{"format":"something-else","version":1}')).toThrow("isn't a chat export");
+  expect(() => parseExportDocument(JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, conversations: [] })))
+    .toThrow('newer version');
+});
+
+test('rejects messages without an id, sender or text', () => {
+  const exported = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    conversations: [{ messages: [{ id: 'a/b', sender: 'user', text: 'Hi' }] }],
+  };
+
+  expect(() => parseExportDocument(JSON.stringify(exported))).toThrow('Message 1');
+});
@@ -0,0 +1,119 @@
+// Builds the Gemini `contents` payload from the messages we keep in Firestore.
+
+// Gemini counts tokens, not characters, but ~4 characters per token is close
+// enough for a budget. 24k characters leaves plenty of room for the reply.
+export const DEFAULT_HISTORY_CHAR_BUDGET = 24000;
+
+// Older turns that no longer fit are condensed into a short recap instead of
+// being dropped silently, so the companion still knows what was discussed.
+const SUMMARY_CHAR_BUDGET = 2000;
+const SUMMARY_SNIPPET_LENGTH = 160;
+
+const ROLE_BY_SENDER = {
+  user: 'user',
+  ai: 'model',
+};
+
+// A message's attachments as parts: `inlineData` when withAttachmentData
+// loaded them, otherwise just their name.
+const attachmentParts = (attachments = []) =>
+  attachments.map((attachment) => (attachment.data
+    ? { inlineData: { mimeType: attachment.mimeType, data: attachment.data } }
+    : { text: `[Attached file: ${attachment.name}]` }));
+
+// Appends `parts` to `target`, joining adjacent text parts.
+function appendParts(target, parts) {
+  parts.forEach((part) => {
+    const last = target[target.length - 1];
+    if (part.text !== undefined && last?.text !== undefined) {
+      last.text += `\n\n${part.text}`;
+    } else {
+      target.push({ ...part });
+    }
+  });
+}
+
+// Maps stored messages to Gemini turns. Messages from unknown senders are
+// skipped and consecutive messages from the same side are merged, because
+// Gemini expects user and model turns to alternate.
+export function toGeminiContents(messages) {
+  const contents = [];
+
+  messages.forEach((message) => {
+    const role = ROLE_BY_SENDER[message.sender];
+    const text = typeof message.text === 'string' ? message.text.trim() : '';
+    const parts = [...attachmentParts(message.attachments), ...(text !== '' ? [{ text }] : [])];
+    if (!role || parts.length === 0) return;
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      appendParts(previous.parts, parts);
+    } else {
+      const turn = { role, parts: [] };
+      appendParts(turn.parts, parts);
+      contents.push(turn);
+    }
+  });
+
+  return contents;
+}
+
+// Inline files count against their own budget (see chat/attachments.js), not this one.
+const contentLength = (content) =>
+  content.parts.reduce((total, part) => total + (part.text ? part.text.length : 0), 0);
+
+const contentText = (content) =>
+  content.parts.map((part) => (part.inlineData ? '[Attached file]' : part.text)).join(' ');
+
+const snippet = (text) =>
+  text.length > SUMMARY_SNIPPET_LENGTH ? `${text.slice(0, SUMMARY_SNIPPET_LENGTH)}…` : text;
+
+// Condenses turns that were trimmed from the history into a single recap.
+// The newest dropped turns are kept first when the recap itself runs long.
+function summarizeTurns(turns) {
+  const lines = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const speaker = turns[i].role === 'user' ? 'User' : 'Companion';
+    const line = `- ${speaker}: ${snippet(contentText(turns[i])).replace(/\s+/g, ' ')}`;
+    if (used + line.length > SUMMARY_CHAR_BUDGET) break;
+    lines.unshift(line);
+    used += line.length;
+  }
+
+  if (lines.length === 0) return null;
+  return `(Summary of earlier conversation, for context only)\n${lines.join('\n')}`;
+}
+
+// Returns the `contents` array to send to Gemini for `messages`, newest turns
+// first in priority. The last message is always included, even when it alone
+// exceeds the budget.
+export function buildChatHistory(messages, { maxChars = DEFAULT_HISTORY_CHAR_BUDGET } = {}) {
+  const contents = toGeminiContents(messages);
+  if (contents.length === 0) return contents;
+
+  let start = contents.length - 1;
+  let used = contentLength(contents[start]);
+  while (start > 0 && used + contentLength(contents[start - 1]) <= maxChars) {
+    start--;
+    used += contentLength(contents[start]);
+  }
+
+  // The history has to open with a user turn.
+  while (start < contents.length - 1 && contents[start].role !== 'user') {
+    start++;
+  }
+
+  const kept = contents.slice(start);
+  const summary = start > 0 ? summarizeTurns(contents.slice(0, start)) : null;
+  if (!summary) return kept;
+
+  // The recap is sent as a user turn and answered with a short model turn so
+  // the roles keep alternating in front of the kept history.
+  return [
+    { role: 'user', parts: [{ text: summary }] },
+    { role: 'model', parts: [{ text: 'Understood.' }] },
+    ...kept,
+  ];
+}
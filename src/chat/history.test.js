@@ -0,0 +1,79 @@
+import { buildChatHistory, toGeminiContents } from './history';
+
+test('maps user and ai messages to user and model roles', () => {
+  const contents = toGeminiContents([
+    { text: 'Hi', sender: 'user' },
+    { text: 'Hello!', sender: 'ai' },
+    { text: 'What is Pi?', sender: 'user' },
+  ]);
+
+  expect(contents).toEqual([
+    { role: 'user', parts: [{ text: 'Hi' }] },
+    { role: 'model', parts: [{ text: 'Hello!' }] },
+    { role: 'user', parts: [{ text: 'What is Pi?' }] },
+  ]);
+});
+
+test('merges consecutive turns and skips empty or unknown messages', () => {
+  const contents = toGeminiContents([
+    { text: 'First', sender: 'user' },
+    { text: 'Second', sender: 'user' },
+    { text: '   ', sender: 'ai' },
+    { text: 'Ignored', sender: 'bot' },
+    { text: 'Quota exceeded', sender: 'system', type: 'error' },
+  ]);
+
+  expect(contents).toEqual([{ role: 'user', parts: [{ text: 'First\n\nSecond' }] }]);
+});
+
+test('sends attachments as inline data, or by name when not loaded', () => {
+  const contents = toGeminiContents([
+    { sender: 'user', text: 'What is this?', attachments: [{ name: 'cat.jpg', mimeType: 'image/jpeg', data: 'abc' }] },
+    { sender: 'user', text: '', attachments: [{ name: 'notes.pdf', mimeType: 'application/pdf' }] },
+  ]);
+
+  expect(contents).toEqual([{
+    role: 'user',
+    parts: [
+      { inlineData: { mimeType: 'image/jpeg', data: 'abc' } },
+      { text: 'What is this?\n\n[Attached file: notes.pdf]' },
+    ],
+  }]);
+});
+
+test('keeps the full history when it fits the budget', () => {
+  const messages = [
+    { text: 'a', sender: 'user' },
+    { text: 'b', sender: 'ai' },
+    { text: 'c', sender: 'user' },
+  ];
+
+  expect(buildChatHistory(messages, { maxChars: 100 })).toHaveLength(3);
+});
+
+test('summarizes older turns that exceed the budget', () => {
+  const messages = [
+    { text: 'My name is Ada', sender: 'user' },
+    { text: 'Nice to meet you, Ada', sender: 'ai' },
+    { text: 'x'.repeat(50), sender: 'user' },
+    { text: 'y'.repeat(50), sender: 'ai' },
+    { text: 'And now?', sender: 'user' },
+  ];
+
+  const contents = buildChatHistory(messages, { maxChars: 120 });
+
+  expect(contents[0].role).toBe('user');
+  expect(contents[0].parts[0].text).toContain('User: My name is Ada');
+  expect(contents[1].role).toBe('model');
+  expect(contents.slice(2).map((c) => c.parts[0].text)).toEqual([
+    'x'.repeat(50),
+    'y'.repeat(50),
+    'And now?',
+  ]);
+});
+
+test('always sends the latest message even when it exceeds the budget', () => {
+  const contents = buildChatHistory([{ text: 'z'.repeat(500), sender: 'user' }], { maxChars: 10 });
+
+  expect(contents).toEqual([{ role: 'user', parts: [{ text: 'z'.repeat(500) }] }]);
+});
@@ -0,0 +1,162 @@
+import {
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+import { deleteCollection } from './conversations';
+import { normalize } from './search';
+
+// Long-term memory: short facts about the user that carry over from one
+// conversation to the next, stored at
+//   artifacts/{appId}/users/{userId}/memories/{memoryId}
+//   { text, category, createdAt, updatedAt }
+// After each reply the model is asked for new durable facts in the user's
+// message (extractionRequest); before each reply the memories that matter
+// most for the message are added to the system instruction (withMemories).
+// Users see, edit and delete them in the memory panel.
+
+export const MEMORY_CATEGORIES = {
+  profile: 'About you',
+  interest: 'Interests',
+  goal: 'Goals',
+  other: 'Other',
+};
+
+// Rules can't count a collection, so only the app keeps to MAX_MEMORIES;
+// firestore.rules enforce MAX_MEMORY_LENGTH
+export const MAX_MEMORIES = 100;
+export const MAX_MEMORY_LENGTH = 300;
+// Memories sent with a reply
+const MAX_RELEVANT_MEMORIES = 12;
+// Shorter messages ("thanks!", "go on") rarely say anything about the user
+const MIN_WORDS_TO_EXTRACT = 4;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const words = (text) => normalize(text).match(WORD_PATTERN) || [];
+
+export const memoriesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/memories`;
+
+// Listens to the user's memories, oldest first.
+export function subscribeToMemories(db, appId, userId, onChange, onError) {
+  const q = query(collection(db, memoriesPath(appId, userId)), orderBy('createdAt', 'asc'));
+  return onSnapshot(
+    q,
+    (snapshot) => onChange(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+export const memoryFields = ({ text, category }) => ({
+  text: (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_MEMORY_LENGTH),
+  category: Object.keys(MEMORY_CATEGORIES).includes(category) ? category : 'other',
+});
+
+export async function createMemory(db, appId, userId, memory) {
+  const memoryRef = doc(collection(db, memoriesPath(appId, userId)));
+  await setDoc(memoryRef, {
+    ...memoryFields(memory),
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return memoryRef.id;
+}
+
+export function updateMemory(db, appId, userId, memoryId, memory) {
+  return updateDoc(doc(db, memoriesPath(appId, userId), memoryId), {
+    ...memoryFields(memory),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export function deleteMemory(db, appId, userId, memoryId) {
+  return deleteDoc(doc(db, memoriesPath(appId, userId), memoryId));
+}
+
+export const deleteAllMemories = (db, appId, userId) => deleteCollection(db, memoriesPath(appId, userId));
+
+// Whether `text` says the same as a memory already kept, ignoring case,
+// accents and punctuation.
+export function isKnownMemory(memories, text) {
+  const key = words(text).join(' ');
+  return memories.some((memory) => words(memory.text).join(' ') === key);
+}
+
+// Up to `max` memories for a reply to `text`: everything about who the user
+// is, then the others sharing the most words with the message, newer first.
+export function selectRelevantMemories(memories, text, { max = MAX_RELEVANT_MEMORIES } = {}) {
+  const messageWords = new Set(words(text || ''));
+  const score = (memory) => words(memory.text).filter((word) => word.length > 2 && messageWords.has(word)).length;
+
+  const profile = memories.filter((memory) => memory.category === 'profile');
+  const others = memories
+    .filter((memory) => memory.category !== 'profile')
+    .map((memory, index) => ({ memory, index, score: score(memory) }))
+    .sort((a, b) => b.score - a.score || b.index - a.index)
+    .map(({ memory }) => memory);
+  return [...profile, ...others].slice(0, max);
+}
+
+// The persona's system instruction followed by what the companion remembers.
+export function withMemories(systemInstruction, memories) {
+  if (memories.length === 0) return systemInstruction;
+  const lines = memories.map((memory) => `- ${memory.text}`);
+  const notes = [
+    'What you remember about the user from earlier conversations. Use it where it helps, without reciting it;',
+    'the user may have changed since, and what they say now comes first:',
+    ...lines,
+  ].join('\n');
+  return systemInstruction ? `${systemInstruction}\n\n${notes}` : notes;
+}
+
+export const isWorthExtracting = (text) => words(text || '').length >= MIN_WORDS_TO_EXTRACT;
+
+const EXTRACTION_INSTRUCTION = [
+  'You keep the long-term memory of a personal AI companion.',
+  "From the user's message, pick out durable facts about the user worth remembering in future conversations:",
+  'their name and who they are (profile), their interests (interest), and their goals, for example with',
+  'Pi Network (goal). Leave out questions, passing requests, anything about other people and anything',
+  'already known. Never keep passwords, passphrases, private keys, wallet seeds or payment details.',
+  'Write each fact as one short sentence about "the user", in English.',
+  'Answer with a JSON array, empty when there is nothing new:',
+  '[{"category": "profile" | "interest" | "goal" | "other", "text": "The user is called Ada."}]',
+].join(' ');
+
+// A provider request asking for the new facts in the user's message `text`.
+export function extractionRequest(text, memories) {
+  const known = memories.length > 0 ? memories.map((memory) => `- ${memory.text}`).join('\n') : '(nothing yet)';
+  return {
+    contents: [{ role: 'user', parts: [{ text: `Already known:\n${known}\n\nThe user's message:\n"""\n${text}\n"""` }] }],
+    systemInstruction: EXTRACTION_INSTRUCTION,
+    generationConfig: { temperature: 0, maxOutputTokens: 512, responseMimeType: 'application/json' },
+  };
+}
+
+// The facts in the model's answer to extractionRequest. Anything that isn't
+// a JSON array of { category, text } yields none.
+export function parseExtractedMemories(reply) {
+  const start = (reply || '').indexOf('[');
+  const end = (reply || '').lastIndexOf(']');
+  if (start === -1 || end < start) return [];
+
+  let items;
+  try {
+    items = JSON.parse(reply.slice(start, end + 1));
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  const found = [];
+  items.forEach((item) => {
+    if (typeof item?.text !== 'string') return;
+    const memory = memoryFields(item);
+    if (memory.text !== '' && !isKnownMemory(found, memory.text)) found.push(memory);
+  });
+  return found;
+}
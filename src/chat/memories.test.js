@@ -0,0 +1,77 @@
+import {
+  extractionRequest,
+  isKnownMemory,
+  isWorthExtracting,
+  memoryFields,
+  parseExtractedMemories,
+  selectRelevantMemories,
+  withMemories,
+} from './memories';
+
+const memory = (text, category = 'interest') => ({ id: text, text, category });
+
+test('reads the facts out of a JSON answer', () => {
+  const reply = 'Sure:\n```json\n[{"category": "profile", "text": "The user is called Ada."}, {"category": "hobby", "text": " Likes  chess. "}]\n```';
+
+  expect(parseExtractedMemories(reply)).toEqual([
+    { category: 'profile', text: 'The user is called Ada.' },
+    { category: 'other', text: 'Likes chess.' },
+  ]);
+});
+
+test('finds nothing in answers that are not a list of facts', () => {
+  expect(parseExtractedMemories('')).toEqual([]);
+  expect(parseExtractedMemories('Nothing new.')).toEqual([]);
+  expect(parseExtractedMemories('[{"text": broken]')).toEqual([]);
+  expect(parseExtractedMemories('[{"category": "goal"}, {"text": ""}, 42]')).toEqual([]);
+  expect(parseExtractedMemories('[{"text": "Likes tea."}, {"text": "likes TEA"}]')).toEqual([{ category: 'other', text: 'Likes tea.' }]);
+});
+
+test('cleans up memory fields', () => {
+  expect(memoryFields({ text: 'x'.repeat(400), category: 'goal' }).text).toHaveLength(300);
+  expect(memoryFields({ text: 'Hi', category: 'constructor' }).category).toBe('other');
+});
+
+test('recognizes a memory already kept', () => {
+  const memories = [memory('The user is called Zoé.', 'profile')];
+
+  expect(isKnownMemory(memories, 'the user is called zoe')).toBe(true);
+  expect(isKnownMemory(memories, 'The user is called Ada.')).toBe(false);
+});
+
+test('picks who the user is first, then the memories closest to the message', () => {
+  const memories = [
+    memory('Enjoys baking bread.'),
+    memory('Wants to reach 1000 Pi this year.', 'goal'),
+    memory('The user is called Ada.', 'profile'),
+    memory('Plays chess on weekends.'),
+  ];
+
+  expect(selectRelevantMemories(memories, 'How much Pi can I mine this year?', { max: 3 }).map((m) => m.text)).toEqual([
+    'The user is called Ada.',
+    'Wants to reach 1000 Pi this year.',
+    'Plays chess on weekends.',
+  ]);
+});
+
+test('adds memories after the system instruction', () => {
+  expect(withMemories('Be brief.', [])).toBe('Be brief.');
+
+  const instruction = withMemories('Be brief.', [memory('The user is called Ada.')]);
+  expect(instruction).toMatch(/^Be brief\.\n\n/);
+  expect(instruction).toMatch(/\n- The user is called Ada\.$/);
+  expect(withMemories(undefined, [memory('Likes tea.')])).toMatch(/^What you remember/);
+});
+
+test('only looks for facts in messages with a few words', () => {
+  expect(isWorthExtracting('thanks!')).toBe(false);
+  expect(isWorthExtracting('My name is Ada')).toBe(true);
+});
+
+test('asks for JSON and lists what is already known', () => {
+  const request = extractionRequest('I love chess', [memory('The user is called Ada.')]);
+
+  expect(request.generationConfig).toMatchObject({ temperature: 0, responseMimeType: 'application/json' });
+  expect(request.contents[0].parts[0].text).toContain('- The user is called Ada.');
+  expect(request.contents[0].parts[0].text).toContain('I love chess');
+});
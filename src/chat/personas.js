@@ -0,0 +1,146 @@
+import {
+  collection,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+
+// A persona is a system instruction plus generation settings. The built-in
+// ones ship with the app; users can add their own, stored at
+//   artifacts/{appId}/users/{userId}/personas/{personaId}
+// Conversations remember their persona in `personaId`.
+
+// Gemini's per-category block thresholds, from most to least permissive.
+export const SAFETY_LEVELS = {
+  relaxed: 'BLOCK_ONLY_HIGH',
+  standard: 'BLOCK_MEDIUM_AND_ABOVE',
+  strict: 'BLOCK_LOW_AND_ABOVE',
+};
+
+const HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+export const DEFAULT_SETTINGS = { temperature: 0.7, maxOutputTokens: 2048, safety: 'standard' };
+export const MAX_TEMPERATURE = 2;
+export const MAX_OUTPUT_TOKENS = 8192;
+// Longest name and instruction firestore.rules accept
+export const MAX_NAME_LENGTH = 100;
+export const MAX_INSTRUCTION_LENGTH = 20000;
+
+export const BUILT_IN_PERSONAS = [
+  {
+    id: 'dhelios',
+    name: 'dHelios',
+    builtIn: true,
+    systemInstruction: [
+      'You are dHelios, the AI companion of the dHeliosAI app in the Pi Network ecosystem.',
+      'You know Pi Network well: the Pi Browser, Pi apps, mining through the mobile app, Security Circles,',
+      'KYC, the Pi wallet, migration to the mainnet and the Pi SDK for developers.',
+      'Be friendly, concise and practical. Use markdown when it helps.',
+      'Never ask for passphrases, private keys or wallet seeds, and warn users who share them.',
+      'Do not give financial advice or predict the price of Pi. When you are unsure about Pi Network',
+      'policy or dates, say so and point to the official Pi channels.',
+    ].join(' '),
+    settings: DEFAULT_SETTINGS,
+  },
+  {
+    id: 'assistant',
+    name: 'Assistant',
+    builtIn: true,
+    systemInstruction: 'You are a helpful, friendly assistant. Answer clearly and concisely, and use markdown when it helps.',
+    settings: DEFAULT_SETTINGS,
+  },
+  {
+    id: 'tutor',
+    name: 'Patient tutor',
+    builtIn: true,
+    systemInstruction: [
+      'You are a patient tutor. Explain ideas step by step with small examples, check understanding',
+      'with a short question at the end, and never make the learner feel bad for not knowing something.',
+    ].join(' '),
+    settings: { ...DEFAULT_SETTINGS, temperature: 0.4 },
+  },
+];
+
+export const personasPath = (appId, userId) => `artifacts/${appId}/users/${userId}/personas`;
+
+// Fills in and clamps settings, e.g. from a form or an older document.
+export function normalizeSettings(settings = {}) {
+  const temperature = Number(settings.temperature);
+  const maxOutputTokens = Math.round(Number(settings.maxOutputTokens));
+  return {
+    temperature: Number.isFinite(temperature)
+      ? Math.min(Math.max(temperature, 0), MAX_TEMPERATURE)
+      : DEFAULT_SETTINGS.temperature,
+    maxOutputTokens: Number.isFinite(maxOutputTokens)
+      ? Math.min(Math.max(maxOutputTokens, 1), MAX_OUTPUT_TOKENS)
+      : DEFAULT_SETTINGS.maxOutputTokens,
+    safety: SAFETY_LEVELS[settings.safety] ? settings.safety : DEFAULT_SETTINGS.safety,
+  };
+}
+
+// Listens to the user's own personas, oldest first.
+export function subscribeToPersonas(db, appId, userId, onChange, onError) {
+  const q = query(collection(db, personasPath(appId, userId)), orderBy('createdAt', 'asc'));
+  return onSnapshot(
+    q,
+    (snapshot) => onChange(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+const personaFields = ({ name, systemInstruction, settings }) => ({
+  name: (name || '').trim() || 'Untitled persona',
+  systemInstruction: (systemInstruction || '').trim(),
+  settings: normalizeSettings(settings),
+});
+
+export async function createPersona(db, appId, userId, persona) {
+  const personaRef = doc(collection(db, personasPath(appId, userId)));
+  await setDoc(personaRef, {
+    ...personaFields(persona),
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return personaRef.id;
+}
+
+export function updatePersona(db, appId, userId, personaId, persona) {
+  return updateDoc(doc(db, personasPath(appId, userId), personaId), {
+    ...personaFields(persona),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// Conversations still pointing at a deleted persona fall back to the default.
+export function deletePersona(db, appId, userId, personaId) {
+  return deleteDoc(doc(db, personasPath(appId, userId), personaId));
+}
+
+export function findPersona(personas, personaId, defaultPersonaId) {
+  return (
+    personas.find((persona) => persona.id === personaId) ||
+    personas.find((persona) => persona.id === defaultPersonaId) ||
+    BUILT_IN_PERSONAS[0]
+  );
+}
+
+// The persona's part of a provider request, in Gemini's shape. Gemini takes
+// safety settings next to generationConfig rather than inside it.
+export function toGenerationRequest(persona) {
+  const { temperature, maxOutputTokens, safety } = normalizeSettings(persona?.settings);
+  return {
+    systemInstruction: persona?.systemInstruction || undefined,
+    generationConfig: { temperature, maxOutputTokens },
+    safetySettings: HARM_CATEGORIES.map((category) => ({ category, threshold: SAFETY_LEVELS[safety] })),
+  };
+}
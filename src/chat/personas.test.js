@@ -0,0 +1,31 @@
+import { BUILT_IN_PERSONAS, DEFAULT_SETTINGS, findPersona, normalizeSettings, toGenerationRequest } from './personas';
+
+test('clamps settings and fills in defaults', () => {
+  expect(normalizeSettings({ temperature: '5', maxOutputTokens: 100000, safety: 'none' })).toEqual({
+    temperature: 2,
+    maxOutputTokens: 8192,
+    safety: DEFAULT_SETTINGS.safety,
+  });
+  expect(normalizeSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('builds the Gemini request fields for a persona', () => {
+  const request = toGenerationRequest({
+    systemInstruction: 'Be brief.',
+    settings: { temperature: 0.3, maxOutputTokens: 256, safety: 'strict' },
+  });
+
+  expect(request.systemInstruction).toBe('Be brief.');
+  expect(request.generationConfig).toEqual({ temperature: 0.3, maxOutputTokens: 256 });
+  expect(request.safetySettings).toHaveLength(4);
+  expect(request.safetySettings.every((setting) => setting.threshold === 'BLOCK_LOW_AND_ABOVE')).toBe(true);
+});
+
+test('falls back to the default persona when the chosen one is gone', () => {
+  const custom = { id: 'mine', name: 'Mine' };
+  const personas = [...BUILT_IN_PERSONAS, custom];
+
+  expect(findPersona(personas, 'mine', 'assistant')).toBe(custom);
+  expect(findPersona(personas, 'deleted', 'assistant').id).toBe('assistant');
+  expect(findPersona(personas, undefined, 'unknown')).toBe(BUILT_IN_PERSONAS[0]);
+});
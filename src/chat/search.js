@@ -0,0 +1,124 @@
+// Client-side full-text search over the user's messages. The index is built
+// once from the loaded history; queries then only touch the index, so typing
+// costs no Firestore reads. Words are matched by prefix ("wal" finds
+// "wallet"), case and accents ignored, and every query word must match.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_RADIUS = 60;
+export const DEFAULT_RESULT_LIMIT = 50;
+
+export const normalize = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const words = (text) => normalize(text).match(WORD_PATTERN) || [];
+
+const millisOf = (timestamp) => (typeof timestamp?.toMillis === 'function' ? timestamp.toMillis() : null);
+
+// Messages still waiting for their server timestamp are the newest
+const timeOf = ({ message }) => millisOf(message.timestamp) ?? Number.MAX_SAFE_INTEGER;
+
+// `entries` are { conversationId, conversationTitle, message }. System
+// messages (errors) aren't worth finding and are left out.
+export function buildSearchIndex(entries) {
+  const documents = entries.filter(({ message }) => message.sender !== 'system' && typeof message.text === 'string');
+  const postings = new Map(); // word -> ids of the documents containing it
+
+  documents.forEach(({ message }, id) => {
+    new Set(words(message.text)).forEach((word) => {
+      if (!postings.has(word)) postings.set(word, []);
+      postings.get(word).push(id);
+    });
+  });
+
+  return { documents, postings, vocabulary: [...postings.keys()].sort() };
+}
+
+// Index of the first vocabulary word >= `prefix`.
+function lowerBound(vocabulary, prefix) {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+function documentsWithPrefix(index, prefix) {
+  const ids = new Set();
+  for (let i = lowerBound(index.vocabulary, prefix); i < index.vocabulary.length; i += 1) {
+    const word = index.vocabulary[i];
+    if (!word.startsWith(prefix)) break;
+    index.postings.get(word).forEach((id) => ids.add(id));
+  }
+  return ids;
+}
+
+// `text` normalized, with the offset in `text` of every normalized character
+// (and of the end), since stripping accents can change the length.
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  for (let i = 0; i < text.length; i += 1) {
+    const characters = normalize(text[i]);
+    for (let j = 0; j < characters.length; j += 1) offsets.push(i);
+    normalized += characters;
+  }
+  offsets.push(text.length);
+  return { normalized, offsets };
+}
+
+// [start, end) ranges of `text` where a word starts with one of `terms`, for highlighting.
+export function matchRanges(text, terms) {
+  const { normalized, offsets } = normalizeWithOffsets(text);
+  const ranges = [];
+  for (const match of normalized.matchAll(WORD_PATTERN)) {
+    const term = terms.find((t) => match[0].startsWith(t));
+    if (term) ranges.push([offsets[match.index], offsets[match.index + term.length]]);
+  }
+  return ranges;
+}
+
+// A window of `text` around its first match, with the ranges shifted to fit.
+export function snippet(text, ranges, radius = SNIPPET_RADIUS) {
+  if (text.length <= radius * 2) return { text, ranges };
+
+  const start = Math.max(0, (ranges[0]?.[0] ?? 0) - radius);
+  const end = Math.min(text.length, start + radius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+  };
+}
+
+// Newest first. `sender` is 'user' or 'ai' (anything else means both); `from`
+// and `to` are Dates bounding the message time, either may be missing.
+export function searchMessages(index, query, { sender, from, to, limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const terms = [...new Set(words(query))];
+  if (terms.length === 0) return [];
+
+  let ids = null;
+  for (const term of terms) {
+    const matching = documentsWithPrefix(index, term);
+    ids = ids ? new Set([...ids].filter((id) => matching.has(id))) : matching;
+    if (ids.size === 0) return [];
+  }
+
+  const fromMillis = from ? from.getTime() : -Infinity;
+  const toMillis = to ? to.getTime() : Infinity;
+  return [...ids]
+    .map((id) => index.documents[id])
+    .filter(({ message }) => {
+      if ((sender === 'user' || sender === 'ai') && message.sender !== sender) return false;
+      if (!from && !to) return true;
+      const time = millisOf(message.timestamp);
+      return time !== null && time >= fromMillis && time <= toMillis;
+    })
+    .sort((a, b) => timeOf(b) - timeOf(a))
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, ...snippet(entry.message.text, matchRanges(entry.message.text, terms)) }));
+}
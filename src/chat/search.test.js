@@ -0,0 +1,69 @@
+import { Timestamp } from 'firebase/firestore';
+import { buildSearchIndex, matchRanges, searchMessages, snippet } from './search';
+
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+
+const entry = (conversationId, id, sender, text, iso) => ({
+  conversationId,
+  conversationTitle: `Chat ${conversationId}`,
+  message: { id, sender, text, timestamp: iso ? at(iso) : null },
+});
+
+const entries = [
+  entry('c1', 'm1', 'user', 'How do I open my Pi wallet?', '2025-01-01T10:00:00Z'),
+  entry('c1', 'm2', 'ai', 'Open the Wallet app in the Pi Browser.', '2025-01-01T10:01:00Z'),
+  entry('c2', 'm3', 'user', 'What is KYC?', '2025-02-01T09:00:00Z'),
+  entry('c2', 'm4', 'ai', 'KYC verifies your identity before the wallet migration.', '2025-02-01T09:01:00Z'),
+  entry('c2', 'm5', 'system', 'The wallet service is down.', '2025-02-01T09:02:00Z'),
+  entry('c3', 'm6', 'user', 'Café à côté du wallet', null),
+];
+const index = buildSearchIndex(entries);
+const ids = (results) => results.map((result) => result.message.id);
+
+test('finds words by prefix, newest first, ignoring case and errors', () => {
+  expect(ids(searchMessages(index, 'WALL'))).toEqual(['m6', 'm4', 'm2', 'm1']);
+});
+
+test('requires every query word to match', () => {
+  expect(ids(searchMessages(index, 'wallet browser'))).toEqual(['m2']);
+  expect(searchMessages(index, 'wallet nothing')).toEqual([]);
+  expect(searchMessages(index, '   ')).toEqual([]);
+});
+
+test('ignores accents in both the query and the messages', () => {
+  expect(ids(searchMessages(index, 'cafe'))).toEqual(['m6']);
+  expect(ids(searchMessages(index, 'côte'))).toEqual(['m6']);
+});
+
+test('filters by sender and date range', () => {
+  expect(ids(searchMessages(index, 'wallet', { sender: 'user' }))).toEqual(['m6', 'm1']);
+  expect(ids(searchMessages(index, 'wallet', {
+    from: new Date('2025-01-15T00:00:00Z'),
+    to: new Date('2025-03-01T00:00:00Z'),
+  }))).toEqual(['m4']);
+});
+
+test('returns highlight ranges on the original text', () => {
+  const [result] = searchMessages(index, 'caf');
+
+  expect(result.text.slice(...result.ranges[0])).toBe('Caf');
+  expect(matchRanges('Café au lait', ['cafe'])).toEqual([[0, 4]]);
+});
+
+test('cuts long messages down to the part around the first match', () => {
+  const text = `${'a '.repeat(100)}wallet${' b'.repeat(100)}`;
+  const result = snippet(text, matchRanges(text, ['wallet']), 20);
+
+  expect(result.text.startsWith('…')).toBe(true);
+  expect(result.text.endsWith('…')).toBe(true);
+  expect(result.text.slice(...result.ranges[0])).toBe('wallet');
+});
+
+test('keeps large histories searchable', () => {
+  const many = Array.from({ length: 5000 }, (_, i) =>
+    entry('big', `b${i}`, i % 2 ? 'ai' : 'user', `message number ${i} about topic${i % 50}`, '2025-01-01T00:00:00Z'));
+  const bigIndex = buildSearchIndex(many);
+
+  expect(searchMessages(bigIndex, 'topic7', { limit: 500 })).toHaveLength(100);
+  expect(searchMessages(bigIndex, 'topic7')).toHaveLength(50);
+});
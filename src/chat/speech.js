@@ -0,0 +1,114 @@
+// Browser speech support: recognition for the microphone button and synthesis
+// for reading replies aloud. Both are optional; callers hide their controls
+// when these return null / false.
+
+export const MIN_RATE = 0.5;
+export const MAX_RATE = 2;
+export const DEFAULT_VOICE_SETTINGS = { voiceURI: null, rate: 1 };
+
+// Voices differ between devices, so the choice lives in this browser only.
+const VOICE_SETTINGS_KEY = 'voiceSettings';
+
+// Chrome stops speaking long utterances after about 15 seconds, so replies are
+// read in pieces of at most this many characters.
+const MAX_CHUNK_LENGTH = 200;
+
+// The SpeechRecognition constructor (prefixed in Chrome and Safari), or null.
+export const getSpeechRecognition = () =>
+  (typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null);
+
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+
+// Recognition errors worth telling the user about; the rest (e.g. "aborted"
+// after Stop) are silent.
+const RECOGNITION_ERROR_MESSAGES = {
+  'not-allowed': 'Microphone access was denied.',
+  'service-not-allowed': 'Speech recognition is not allowed in this browser.',
+  'audio-capture': 'No microphone was found.',
+  network: 'Speech recognition needs a connection.',
+  'no-speech': "Didn't catch that. Try again.",
+};
+
+export const describeRecognitionError = (code) => RECOGNITION_ERROR_MESSAGES[code] || null;
+
+// Normalizes stored or submitted settings; an unknown voice falls back to the default.
+export function normalizeVoiceSettings(settings = {}) {
+  const rate = Number(settings.rate);
+  return {
+    voiceURI: typeof settings.voiceURI === 'string' && settings.voiceURI !== '' ? settings.voiceURI : null,
+    rate: Number.isFinite(rate) ? Math.min(MAX_RATE, Math.max(MIN_RATE, rate)) : DEFAULT_VOICE_SETTINGS.rate,
+  };
+}
+
+export function loadVoiceSettings(storage = window.localStorage) {
+  try {
+    return normalizeVoiceSettings(JSON.parse(storage.getItem(VOICE_SETTINGS_KEY) || '{}'));
+  } catch (error) {
+    return { ...DEFAULT_VOICE_SETTINGS };
+  }
+}
+
+export function saveVoiceSettings(settings, storage = window.localStorage) {
+  try {
+    storage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(normalizeVoiceSettings(settings)));
+  } catch (error) {
+    console.error("Error saving voice settings:", error); // e.g. private mode
+  }
+}
+
+// The chosen voice if this browser still has it, otherwise the browser's
+// default voice for `lang`, otherwise null (the browser decides).
+export function pickVoice(voices, voiceURI, lang) {
+  const chosen = voiceURI && voices.find((voice) => voice.voiceURI === voiceURI);
+  if (chosen) return chosen;
+  const base = (lang || '').split('-')[0];
+  const sameLanguage = voices.filter((voice) => voice.lang.split('-')[0] === base);
+  return sameLanguage.find((voice) => voice.default) || sameLanguage[0] || null;
+}
+
+// What a reply sounds like read aloud: Markdown syntax dropped, code blocks
+// announced rather than spelled out.
+export function speakableText(markdown) {
+  return (markdown || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' (code block) ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|~~)(\S(?:.*?\S)?)\1/g, '$2')
+    .replace(/\|/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Splits `text` at sentence ends (or, failing that, spaces) into pieces of at
+// most `maxLength` characters.
+export function splitForSpeech(text, maxLength = MAX_CHUNK_LENGTH) {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [];
+  const chunks = [];
+  let current = '';
+
+  const push = (piece) => {
+    if (piece.trim() !== '') chunks.push(piece.trim());
+  };
+
+  sentences.forEach((sentence) => {
+    if (current.length + sentence.length <= maxLength) {
+      current += sentence;
+      return;
+    }
+    push(current);
+    current = '';
+    let rest = sentence;
+    while (rest.length > maxLength) {
+      const cut = rest.lastIndexOf(' ', maxLength);
+      const at = cut > 0 ? cut : maxLength;
+      push(rest.slice(0, at));
+      rest = rest.slice(at);
+    }
+    current = rest;
+  });
+  push(current);
+  return chunks;
+}
@@ -0,0 +1,35 @@
+import { loadVoiceSettings, normalizeVoiceSettings, pickVoice, saveVoiceSettings, speakableText, splitForSpeech } from './speech';
+
+test('reads Markdown as plain text and skips code blocks', () => {
+  const markdown = '## Steps\n\n1. Open **the Wallet** in [Pi Browser](https://pi.app)\n- Run `pi login`\n\n```js\nconsole.log(1);\n```\nDone!';
+
+  expect(speakableText(markdown)).toBe('Steps Open the Wallet in Pi Browser Run pi login (code block) Done!');
+});
+
+test('splits long text at sentence ends, then at spaces', () => {
+  expect(splitForSpeech('One. Two! Three?', 10)).toEqual(['One. Two!', 'Three?']);
+  expect(splitForSpeech('a'.repeat(5) + ' ' + 'b'.repeat(5), 8)).toEqual(['aaaaa', 'bbbbb']);
+  expect(splitForSpeech('   ')).toEqual([]);
+});
+
+test('prefers the chosen voice, then the default one for the language', () => {
+  const voices = [
+    { voiceURI: 'en-1', lang: 'en-US', default: false },
+    { voiceURI: 'en-2', lang: 'en-GB', default: true },
+    { voiceURI: 'fr-1', lang: 'fr-FR', default: false },
+  ];
+
+  expect(pickVoice(voices, 'fr-1', 'en-US').voiceURI).toBe('fr-1');
+  expect(pickVoice(voices, 'gone', 'en-US').voiceURI).toBe('en-2');
+  expect(pickVoice(voices, null, 'de-DE')).toBeNull();
+});
+
+test('clamps and stores voice settings', () => {
+  const storage = new Map();
+  const fakeStorage = { getItem: (key) => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) };
+
+  expect(normalizeVoiceSettings({ rate: '9', voiceURI: '' })).toEqual({ voiceURI: null, rate: 2 });
+  expect(loadVoiceSettings(fakeStorage)).toEqual({ voiceURI: null, rate: 1 });
+  saveVoiceSettings({ voiceURI: 'en-1', rate: 1.5 }, fakeStorage);
+  expect(loadVoiceSettings(fakeStorage)).toEqual({ voiceURI: 'en-1', rate: 1.5 });
+});
@@ -0,0 +1,31 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+
+// Daily Gemini quota. The chat proxy counts every message it forwards in
+// artifacts/{appId}/users/{uid}/usage/{day} (server/usage.mjs) and refuses
+// the ones over the limit; clients can only read the count. Days are UTC
+// dates, so quotas reset at midnight UTC; the day and the limits come from
+// src/config/quota.mjs, which the proxy uses too.
+//
+// Each reply also stores the tokens it took, as the provider reported them:
+//   usage: { promptTokens, responseTokens, totalTokens }
+
+// The tokens of a reply made of several model turns (see src/tools).
+export const addTokenUsage = (total, usage) => (total ? {
+  promptTokens: total.promptTokens + usage.promptTokens,
+  responseTokens: total.responseTokens + usage.responseTokens,
+  totalTokens: total.totalTokens + usage.totalTokens,
+} : usage);
+
+export { dailyMessageLimit, msUntilNextDay, usageDay } from '../config/quota.mjs';
+
+const usagePath = (appId, userId, day) => `artifacts/${appId}/users/${userId}/usage/${day}`;
+
+// Calls `onChange` with the number of messages sent on `day`.
+export function subscribeToUsage(db, appId, userId, day, onChange, onError) {
+  return onSnapshot(
+    doc(db, usagePath(appId, userId, day)),
+    (snapshot) => onChange(snapshot.exists() ? snapshot.data().messages || 0 : 0),
+    onError
+  );
+}
+
@@ -0,0 +1,93 @@
+import { collection, doc, getDocs, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { BATCH_SIZE, conversationsPath, messagesPath } from './conversations';
+import { chunksPath, knowledgePath } from '../knowledge/knowledgeBase';
+import { memoriesPath } from './memories';
+import { personasPath } from './personas';
+
+// Everything a user keeps under artifacts/{appId}/users/{userId}: conversations
+// with their messages, custom personas, memories and the knowledge base. Used
+// to bring a guest's chats along when they sign in to an account that already
+// exists.
+
+// Just the conversations with their messages, as readUserData returns them
+export async function readConversations(db, appId, userId) {
+  const snapshot = await getDocs(collection(db, conversationsPath(appId, userId)));
+  return Promise.all(snapshot.docs.map(async (d) => {
+    const messagesSnapshot = await getDocs(collection(db, messagesPath(appId, userId, d.id)));
+    return {
+      id: d.id,
+      data: d.data(),
+      messages: messagesSnapshot.docs.map((m) => ({ id: m.id, data: m.data() })),
+    };
+  }));
+}
+
+export async function readUserData(db, appId, userId) {
+  const [conversations, personasSnapshot, memoriesSnapshot, knowledgeSnapshot] = await Promise.all([
+    readConversations(db, appId, userId),
+    getDocs(collection(db, personasPath(appId, userId))),
+    getDocs(collection(db, memoriesPath(appId, userId))),
+    getDocs(collection(db, knowledgePath(appId, userId))),
+  ]);
+
+  const knowledge = await Promise.all(knowledgeSnapshot.docs.map(async (d) => {
+    const chunksSnapshot = await getDocs(collection(db, chunksPath(appId, userId, d.id)));
+    return {
+      id: d.id,
+      data: d.data(),
+      chunks: chunksSnapshot.docs.map((c) => ({ id: c.id, data: c.data() })),
+    };
+  }));
+
+  return {
+    conversations,
+    personas: personasSnapshot.docs.map((d) => ({ id: d.id, data: d.data() })),
+    memories: memoriesSnapshot.docs.map((d) => ({ id: d.id, data: d.data() })),
+    knowledge,
+  };
+}
+
+// Writes `writes` ([ref, data] pairs) in as few batches as Firestore allows.
+async function commitAll(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_SIZE).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+// Adds `data` (from readUserData) to the user's own, never overwriting it.
+// Conversations get new ids; messages keep theirs because `parentId` and
+// `branches` refer to them, and personas keep theirs because conversations
+// refer to those; memories and knowledge base documents keep theirs too.
+// Conversations and their messages get `importedAt`, which firestore.rules
+// require of backdated messages; messages keep their time. Each conversation
+// is written in batches of its own, since the rules look it up for each of
+// its messages and may look up only 20 documents per batch. Documents are
+// stamped anew, chunks first. Returns the new conversation ids, in order.
+export async function writeUserData(db, appId, userId, { conversations = [], personas = [], memories = [], knowledge = [] }) {
+  const writes = [
+    ...personas.map(({ id, data }) => [doc(db, personasPath(appId, userId), id), data]),
+    ...memories.map(({ id, data }) => [doc(db, memoriesPath(appId, userId), id), data]),
+  ];
+  knowledge.forEach(({ id, data, chunks }) => {
+    chunks.forEach((chunk) => writes.push([doc(db, chunksPath(appId, userId, id), chunk.id), chunk.data]));
+    writes.push([doc(db, knowledgePath(appId, userId), id), { ...data, createdAt: serverTimestamp() }]);
+  });
+  await commitAll(db, writes);
+
+  const conversationIds = [];
+  for (const { data, messages } of conversations) {
+    const conversationRef = doc(collection(db, conversationsPath(appId, userId)));
+    await commitAll(db, [
+      [conversationRef, { ...data, importedAt: serverTimestamp() }],
+      ...messages.map(({ id, data: message }) => [
+        doc(db, messagesPath(appId, userId, conversationRef.id), id),
+        { ...message, userId, importedAt: serverTimestamp() },
+      ]),
+    ]);
+    conversationIds.push(conversationRef.id);
+  }
+
+  return conversationIds;
+}
@@ -0,0 +1,44 @@
+import { conversationsPath, messagesPath } from './conversations';
+import { chunksPath, knowledgePath } from '../knowledge/knowledgeBase';
+import { memoriesPath } from './memories';
+import { readConversations, readUserData } from './userData';
+import { fakeFirebase } from '../testing/fakeFirebase';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+
+const db = fakeFirebase.db;
+
+beforeEach(async () => {
+  fakeFirebase.reset();
+  await fakeFirebase.setDocument(`${conversationsPath('app', 'ada')}/c1`, { title: 'Pi' });
+  await fakeFirebase.setDocument(`${messagesPath('app', 'ada', 'c1')}/m1`, { text: 'What is Pi?', sender: 'user' });
+  await fakeFirebase.setDocument(`${memoriesPath('app', 'ada')}/f1`, { text: 'Likes tea.' });
+  await fakeFirebase.setDocument(`${knowledgePath('app', 'ada')}/k1`, { title: 'Notes' });
+  await fakeFirebase.setDocument(`${chunksPath('app', 'ada', 'k1')}/0`, { text: 'Pi', embedding: [0.1, 0.2] });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const conversations = [{
+  id: 'c1',
+  data: { title: 'Pi' },
+  messages: [{ id: 'm1', data: { text: 'What is Pi?', sender: 'user' } }],
+}];
+
+test('reads everything the user keeps', async () => {
+  const data = await readUserData(db, 'app', 'ada');
+
+  expect(data.conversations).toEqual(conversations);
+  expect(data.memories).toEqual([{ id: 'f1', data: { text: 'Likes tea.' } }]);
+  expect(data.knowledge).toEqual([{ id: 'k1', data: { title: 'Notes' }, chunks: [{ id: '0', data: { text: 'Pi', embedding: [0.1, 0.2] } }] }]);
+});
+
+test('reads only conversations and their messages when asked for conversations', async () => {
+  const getDocs = jest.spyOn(jest.requireMock('firebase/firestore'), 'getDocs');
+
+  expect(await readConversations(db, 'app', 'ada')).toEqual(conversations);
+  expect(getDocs.mock.calls.map(([ref]) => ref.path)).toEqual([
+    conversationsPath('app', 'ada'),
+    messagesPath('app', 'ada', 'c1'),
+  ]);
+});
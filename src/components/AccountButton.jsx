@@ -0,0 +1,23 @@
+import React from 'react';
+
+// The account button in the header: "Guest" until the anonymous account is
+// linked to Google or an email address, then the user's name or email.
+function AccountButton({ account, piUser, onClick }) {
+  const label = piUser
+    ? `π ${piUser.username}`
+    : account?.isAnonymous === false
+      ? account.displayName || account.email || 'Account'
+      : 'Guest · Sign in';
+  return (
+    <button
+      onClick={onClick}
+      disabled={!account}
+      className="text-xs px-3 py-1 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30 truncate max-w-[12rem]"
+      title="Account"
+    >
+      {label}
+    </button>
+  );
+}
+
+export default AccountButton;
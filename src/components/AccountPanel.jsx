@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+
+function EmailForm({ onSubmit, disabled }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  return (
+    <form
+      className="space-y-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(email, password);
+      }}
+    >
+      <input
+        type="email"
+        className="w-full p-2 border border-gray-300 rounded-lg"
+        placeholder="Email"
+        autoComplete="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+      />
+      <input
+        type="password"
+        className="w-full p-2 border border-gray-300 rounded-lg"
+        placeholder="Password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button
+        type="submit"
+        disabled={disabled || email.trim() === '' || password === ''}
+        className="w-full px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+      >
+        Continue with email
+      </button>
+    </form>
+  );
+}
+
+// Shown when the chosen Google or email sign-in already has its own account.
+function ConflictPrompt({ conflict, onResolve, onCancel, disabled }) {
+  return (
+    <div className="space-y-3" role="alert">
+      <p>
+        {conflict.email ? <strong>{conflict.email}</strong> : 'That sign-in'} already has an account, possibly with
+        its own chats. Switch to it and bring the chats from this device along, or leave them here?
+      </p>
+      <div className="flex flex-col gap-2">
+        <button
+          onClick={() => onResolve({ bringData: true })}
+          disabled={disabled}
+          className="px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          Switch and bring my chats
+        </button>
+        <button
+          onClick={() => onResolve({ bringData: false })}
+          disabled={disabled}
+          className="px-4 py-2 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+        >
+          Switch without them
+        </button>
+        <button onClick={onCancel} disabled={disabled} className="px-4 py-2 rounded-full hover:bg-gray-100">
+          Stay a guest
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Modal for saving a guest account with Google or email/password, and for
+// signing out. Accounts made through Pi sign-in are managed by the Pi Browser.
+function AccountPanel({ account, piUser, userIdLabel, accountActions, onClose }) {
+  const { linkWithGoogle, linkWithEmail, resolveConflict, cancelConflict, signOut, conflict, isWorking, error } =
+    accountActions;
+
+  let body;
+  if (conflict) {
+    body = <ConflictPrompt conflict={conflict} onResolve={resolveConflict} onCancel={cancelConflict} disabled={isWorking} />;
+  } else if (piUser) {
+    body = <p>Signed in with Pi Network as <strong>{piUser.username}</strong>.</p>;
+  } else if (account.isAnonymous) {
+    body = (
+      <div className="space-y-3">
+        <p>
+          You're chatting as a guest. Your chats live only in this browser and are lost if its data is cleared.
+          Sign in to keep them and use them on other devices.
+        </p>
+        <button
+          onClick={linkWithGoogle}
+          disabled={isWorking}
+          className="w-full px-4 py-2 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+        >
+          Continue with Google
+        </button>
+        <div className="text-center text-xs text-gray-400">or</div>
+        <EmailForm onSubmit={linkWithEmail} disabled={isWorking} />
+      </div>
+    );
+  } else {
+    body = (
+      <div className="space-y-3">
+        <p>Signed in as <strong>{account.displayName || account.email}</strong>.</p>
+        <button
+          onClick={signOut}
+          disabled={isWorking}
+          className="px-4 py-2 rounded-full text-red-600 hover:bg-red-50 disabled:opacity-50"
+        >
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-sm max-h-full overflow-y-auto rounded-lg bg-white text-gray-800 shadow-xl p-4 space-y-3 text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Account"
+      >
+        <h2 className="text-lg font-semibold">Account</h2>
+        {body}
+        {error && <div className="text-red-600">{error}</div>}
+        <div className="text-xs text-gray-400 break-all">
+          {userIdLabel}: {account.uid}
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-full hover:bg-gray-100">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccountPanel;
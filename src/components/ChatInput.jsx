@@ -0,0 +1,171 @@
+import React, { useRef, useState } from 'react';
+import { ACCEPTED_TYPES, MAX_ATTACHMENTS } from '../chat/attachments';
+import { MAX_MESSAGE_LENGTH } from '../chat/conversations';
+
+// Attachments waiting to be sent, each with a button to drop it.
+function AttachmentChips({ attachments, onRemove }) {
+  return (
+    <ul className="flex flex-wrap gap-2 mb-3">
+      {attachments.map((attachment) => (
+        <li key={attachment.draftId} className="relative flex items-center gap-2 p-1 pr-6 border border-gray-200 rounded-lg bg-gray-50 text-xs text-gray-700">
+          {attachment.thumbnail ? (
+            <img src={attachment.thumbnail} alt={attachment.name} className="h-12 w-12 object-cover rounded" />
+          ) : (
+            <span className="px-1">📄 <span className="inline-block max-w-[10rem] truncate align-bottom">{attachment.name}</span></span>
+          )}
+          <button
+            className="absolute top-0 right-1 text-gray-400 hover:text-gray-700"
+            onClick={() => onRemove(attachment.draftId)}
+            aria-label={`Remove ${attachment.name}`}
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Message box with the Send button, which turns into Stop while a reply
+// streams. Files come in through 📎, by dropping them on the box or by pasting;
+// `canAttach` is false while they couldn't be uploaded (offline). 🎤 dictates
+// through `dictation` (useSpeechRecognition) and is hidden where unsupported.
+function ChatInput({
+  value,
+  onChange,
+  onSend,
+  onStop,
+  placeholder,
+  isLoading,
+  isStreaming,
+  disabled,
+  attachments = [],
+  onAddFiles,
+  onRemoveAttachment,
+  attachmentError,
+  isPreparing,
+  canAttach,
+  dictation,
+}) {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const hasContent = value.trim() !== '' || attachments.length > 0;
+  const canSend = hasContent && !isLoading && !disabled && !isPreparing && (attachments.length === 0 || canAttach);
+  const attachDisabled = isLoading || disabled || !canAttach || attachments.length >= MAX_ATTACHMENTS;
+
+  const isListening = Boolean(dictation?.isListening);
+  // What was heard so far shows after the typed text until it is final
+  const shownValue = isListening && dictation.interimText ? `${value}${value.trim() ? ' ' : ''}${dictation.interimText}` : value;
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!attachDisabled) onAddFiles(e.dataTransfer.files);
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length === 0 || attachDisabled) return;
+    e.preventDefault(); // Keep the file's name out of the text box
+    onAddFiles(e.clipboardData.files);
+  };
+
+  return (
+    <footer
+      className={`bg-white p-4 shadow-t-lg rounded-t-lg ${isDragging ? 'ring-2 ring-blue-400' : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!attachDisabled) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      {attachments.length > 0 && <AttachmentChips attachments={attachments} onRemove={onRemoveAttachment} />}
+      {(attachmentError || isPreparing) && (
+        <p className="mb-2 text-xs text-gray-500" role={attachmentError ? 'alert' : undefined}>
+          {attachmentError || 'Preparing attachment…'}
+        </p>
+      )}
+      {dictation?.error && <p className="mb-2 text-xs text-gray-500" role="alert">{dictation.error}</p>}
+      {attachments.length > 0 && !canAttach && (
+        <p className="mb-2 text-xs text-gray-500">Attachments can be sent once you're back online.</p>
+      )}
+      <div className="flex items-center space-x-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          className="hidden"
+          accept={ACCEPTED_TYPES.join(',')}
+          multiple
+          onChange={(e) => {
+            onAddFiles(e.target.files);
+            e.target.value = ''; // Picking the same file again still fires onChange
+          }}
+        />
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className={`text-2xl ${attachDisabled ? 'opacity-40 cursor-not-allowed' : 'hover:scale-110 transition duration-200'}`}
+          disabled={attachDisabled}
+          title={canAttach ? 'Attach images or files' : 'Attachments need a connection'}
+          aria-label="Attach files"
+        >
+          📎
+        </button>
+        {dictation?.isSupported && (
+          <button
+            onClick={isListening ? dictation.stop : dictation.start}
+            className={`text-2xl rounded-full ${isListening ? 'animate-pulse bg-red-100' : 'hover:scale-110 transition duration-200'} disabled:opacity-40`}
+            disabled={isLoading || disabled}
+            title={isListening ? 'Stop dictating' : 'Dictate a message'}
+            aria-label={isListening ? 'Stop dictating' : 'Dictate a message'}
+            aria-pressed={isListening}
+          >
+            🎤
+          </button>
+        )}
+        <input
+          type="text"
+          className="flex-1 p-3 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200"
+          placeholder={placeholder}
+          value={shownValue}
+          maxLength={MAX_MESSAGE_LENGTH}
+          onChange={(e) => onChange(e.target.value)}
+          readOnly={isListening}
+          onPaste={handlePaste}
+          onKeyPress={(e) => {
+            if (e.key === 'Enter' && canSend) onSend();
+          }}
+          disabled={isLoading || disabled}
+        />
+        {isStreaming ? (
+          <button
+            onClick={onStop}
+            className="px-6 py-3 rounded-full font-semibold transition duration-300 bg-red-500 hover:bg-red-600 text-white shadow-lg"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={onSend}
+            className={`px-6 py-3 rounded-full font-semibold transition duration-300 transform ${
+              canSend
+                ? 'bg-blue-600 hover:bg-blue-700 text-white shadow-lg hover:scale-105'
+                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            }`}
+            disabled={!canSend}
+          >
+            {isLoading ? (
+              <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+              </svg>
+            ) : (
+              'Send'
+            )}
+          </button>
+        )}
+      </div>
+    </footer>
+  );
+}
+
+export default ChatInput;
@@ -0,0 +1,43 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+const COPIED_RESET_MS = 2000;
+
+// A fenced code block from an AI reply, with its language and a copy button.
+// `children` is the highlighted <code> element rendered by MarkdownMessage.
+function CodeBlock({ children }) {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const language = /language-(\S+)/.exec(children?.props?.className || '')?.[1];
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current.textContent);
+      setCopied(true);
+    } catch (error) {
+      console.error("Copying code failed:", error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-lg border border-gray-200 bg-gray-50 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 text-xs text-gray-500 border-b border-gray-200">
+        <span>{language || 'code'}</span>
+        <button onClick={copy} className="hover:text-gray-800" aria-label="Copy code">
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+      </div>
+      <pre ref={preRef} className="p-3 overflow-x-auto text-sm">
+        {children}
+      </pre>
+    </div>
+  );
+}
+
+export default CodeBlock;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { MAX_CUSTOM_TITLE_LENGTH } from '../chat/conversations';
+
+// Lists the user's conversations (already sorted by last activity) and lets
+// them start, switch, rename and delete threads, or open search (`onSearch`),
+// export and import (`onTransfer`), the companion's memory (`onMemory`), the
+// knowledge base (`onKnowledge`) and voice settings (`onVoiceSettings`, left
+// out where the browser can't speak). On small screens the sidebar slides in
+// over the chat when `isOpen` is set.
+function ConversationSidebar({
+  conversations,
+  activeConversationId,
+  isOpen,
+  onClose,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onSearch,
+  onTransfer,
+  onMemory,
+  onKnowledge,
+  onVoiceSettings,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const commitEditing = () => {
+    if (editingId) onRename(editingId, draftTitle);
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <>
+      {isOpen && <div className="fixed inset-0 bg-black bg-opacity-30 z-10 md:hidden" onClick={onClose} />}
+      <aside
+        className={`fixed md:static inset-y-0 left-0 z-20 w-64 bg-white shadow-lg flex flex-col transform transition-transform duration-200 ${
+          isOpen ? 'translate-x-0' : '-translate-x-full md:translate-x-0'
+        }`}
+      >
+        <div className="p-4 border-b border-gray-200">
+          <button
+            onClick={onCreate}
+            className="w-full px-4 py-2 rounded-full font-semibold bg-blue-600 hover:bg-blue-700 text-white shadow transition duration-200"
+          >
+            + New chat
+          </button>
+          <button
+            onClick={onSearch}
+            className="w-full mt-2 px-4 py-2 rounded-full text-sm text-gray-600 border border-gray-200 hover:bg-gray-100"
+          >
+            🔍 Search chats
+          </button>
+        </div>
+
+        <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+          {conversations.length === 0 && (
+            <p className="text-sm text-gray-400 text-center mt-4">No conversations yet</p>
+          )}
+          {conversations.map((conversation) => (
+            <div
+              key={conversation.id}
+              className={`group flex items-center rounded-lg px-3 py-2 cursor-pointer ${
+                conversation.id === activeConversationId ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100 text-gray-700'
+              }`}
+              onClick={() => onSelect(conversation.id)}
+            >
+              {editingId === conversation.id ? (
+                <input
+                  autoFocus
+                  className="flex-1 min-w-0 text-sm p-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={draftTitle}
+                  maxLength={MAX_CUSTOM_TITLE_LENGTH}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  onBlur={commitEditing}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitEditing();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+              ) : (
+                <span className="flex-1 min-w-0 truncate text-sm">{conversation.title}</span>
+              )}
+              {editingId !== conversation.id && (
+                <div className="flex space-x-1 ml-2 opacity-0 group-hover:opacity-100 transition duration-200">
+                  <button
+                    className="text-xs text-gray-500 hover:text-blue-600"
+                    title="Rename"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      startEditing(conversation);
+                    }}
+                  >
+                    ✎
+                  </button>
+                  <button
+                    className="text-xs text-gray-500 hover:text-red-600"
+                    title="Delete"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      confirmDelete(conversation);
+                    }}
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </nav>
+
+        <div className="p-2 border-t border-gray-200">
+          <button onClick={onTransfer} className="w-full px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+            ⇅ Export / import
+          </button>
+          <button onClick={onMemory} className="w-full px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+            🧠 Memory
+          </button>
+          <button onClick={onKnowledge} className="w-full px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+            📚 Knowledge base
+          </button>
+          {onVoiceSettings && (
+            <button onClick={onVoiceSettings} className="w-full px-3 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+              🔊 Voice settings
+            </button>
+          )}
+        </div>
+      </aside>
+    </>
+  );
+}
+
+export default ConversationSidebar;
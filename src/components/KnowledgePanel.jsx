@@ -0,0 +1,95 @@
+import React from 'react';
+import { MAX_DOCUMENTS } from '../knowledge/knowledgeBase';
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${Math.round(bytes / 1024)} KB`);
+
+// Modal listing the documents in the user's knowledge base
+// (useKnowledgeBase), where text and Markdown files can be added and
+// documents deleted. Replies quote the parts that match the question.
+function KnowledgePanel({ knowledge, onClose }) {
+  const { backend, documents, sharedDocumentCount, adding, error, addFiles, removeDocument } = knowledge;
+
+  const upload = (e) => {
+    const files = [...e.target.files];
+    e.target.value = ''; // The same file can be picked again after deleting it
+    if (files.length > 0) addFiles(files);
+  };
+
+  const remove = (entry) => {
+    if (!window.confirm(`Remove "${entry.title}" from the knowledge base?`)) return;
+    removeDocument(entry.id).catch((removeError) => console.error("Error deleting document:", removeError));
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md max-h-full overflow-y-auto rounded-lg bg-white text-gray-800 shadow-xl p-4 space-y-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Knowledge base"
+      >
+        <h2 className="text-lg font-semibold">Knowledge base</h2>
+        <p className="text-gray-600">
+          Add notes or documents and replies will draw on them, citing the parts they use.
+        </p>
+        {sharedDocumentCount > 0 && (
+          <p className="text-gray-500">
+            {sharedDocumentCount} {sharedDocumentCount === 1 ? 'document comes' : 'documents come'} with the app.
+          </p>
+        )}
+
+        {documents.length === 0 && adding.length === 0 && (
+          <p className="text-gray-500 italic">No documents yet.</p>
+        )}
+
+        <ul className="space-y-1">
+          {documents.map((entry) => (
+            <li key={entry.id} className="flex items-start gap-2 rounded bg-gray-50 p-2">
+              <div className="flex-1 min-w-0">
+                <div className="truncate font-medium">{entry.title}</div>
+                <div className="text-xs text-gray-500">
+                  {entry.fileName} · {formatSize(entry.size)} · {entry.chunkCount} {entry.chunkCount === 1 ? 'part' : 'parts'}
+                  {entry.backend !== backend.id && ' · not searchable with this setup'}
+                </div>
+              </div>
+              <button
+                className="text-xs text-gray-500 hover:text-red-600"
+                title="Delete"
+                aria-label={`Delete "${entry.title}"`}
+                onClick={() => remove(entry)}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+          {adding.map((name) => (
+            <li key={name} className="rounded bg-gray-50 p-2 text-gray-500 animate-pulse">Adding {name}…</li>
+          ))}
+        </ul>
+
+        {error && <p className="text-red-600" role="alert">{error}</p>}
+
+        <div className="flex justify-between gap-2">
+          {documents.length < MAX_DOCUMENTS ? (
+            <label className={`px-4 py-2 rounded-full border border-gray-300 hover:bg-gray-100 ${adding.length > 0 ? 'opacity-50' : 'cursor-pointer'}`}>
+              + Add files
+              <input
+                type="file"
+                accept=".txt,.md,.markdown,text/plain,text/markdown"
+                multiple
+                className="hidden"
+                onChange={upload}
+                disabled={adding.length > 0}
+              />
+            </label>
+          ) : <span />}
+          <button onClick={onClose} className="px-4 py-2 rounded-full bg-blue-600 text-white hover:bg-blue-700">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KnowledgePanel;
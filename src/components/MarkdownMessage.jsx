@@ -0,0 +1,56 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeHighlight from 'rehype-highlight';
+import rehypeKatex from 'rehype-katex';
+import 'highlight.js/styles/github.css';
+import 'katex/dist/katex.min.css';
+import CodeBlock from './CodeBlock';
+
+// Renders an AI reply as markdown (GFM tables, task lists, strikethrough),
+// with highlighted code and $inline$ / $$block$$ LaTeX. Raw HTML in the reply
+// is never rendered and unsafe link protocols are dropped by react-markdown.
+
+const components = {
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+  // Wide tables scroll inside the bubble instead of stretching it; the
+  // scrolling region is focusable so it can be scrolled from the keyboard
+  table: ({ children }) => (
+    <div className="my-2 max-w-full overflow-x-auto" role="region" aria-label="Table" tabIndex={0}>
+      <table className="text-sm border-collapse">{children}</table>
+    </div>
+  ),
+  th: ({ children, style }) => (
+    <th className="border border-gray-300 bg-gray-50 px-2 py-1 text-left font-semibold" style={style}>{children}</th>
+  ),
+  td: ({ children, style }) => <td className="border border-gray-300 px-2 py-1" style={style}>{children}</td>,
+  a: ({ children, href }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">{children}</a>
+  ),
+};
+
+const typography = [
+  '[&_p]:my-2 [&>:first-child]:mt-0 [&>:last-child]:mb-0',
+  '[&_ul]:list-disc [&_ol]:list-decimal [&_ul]:pl-5 [&_ol]:pl-5 [&_ul]:my-2 [&_ol]:my-2',
+  '[&_h1]:text-xl [&_h2]:text-lg [&_h3]:text-base [&_h1]:font-bold [&_h2]:font-bold [&_h3]:font-semibold',
+  '[&_blockquote]:border-l-4 [&_blockquote]:border-gray-300 [&_blockquote]:pl-3 [&_blockquote]:text-gray-600',
+  '[&_:not(pre)>code]:bg-gray-100 [&_:not(pre)>code]:rounded [&_:not(pre)>code]:px-1 [&_:not(pre)>code]:text-sm',
+  '[&_.katex-display]:overflow-x-auto [&_.katex-display]:overflow-y-hidden',
+].join(' ');
+
+function MarkdownMessage({ text }) {
+  return (
+    <div className={`min-w-0 ${typography}`}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[[rehypeHighlight, { detect: false }], rehypeKatex]}
+        components={components}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default MarkdownMessage;
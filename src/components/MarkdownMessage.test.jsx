@@ -0,0 +1,41 @@
+import { render, screen, within } from '@testing-library/react';
+import MarkdownMessage from './MarkdownMessage';
+
+test('renders markdown formatting instead of literal syntax', () => {
+  render(<MarkdownMessage text={'**bold** and a list:\n\n- one\n- two'} />);
+  expect(screen.getByText('bold').tagName).toBe('STRONG');
+  expect(screen.getAllByRole('listitem')).toHaveLength(2);
+});
+
+test('never renders raw HTML from the reply', () => {
+  render(<MarkdownMessage text={'<img src=x onerror="alert(1)"> <script>alert(1)</script> [x](javascript:alert(1))'} />);
+  expect(screen.queryByRole('img')).toBeNull();
+  // The tags are shown as text
+  expect(screen.getByText(/<script>alert\(1\)<\/script>/)).toBeInTheDocument();
+  expect(screen.getByText('x')).not.toHaveAttribute('href', expect.stringMatching(/javascript:/));
+});
+
+test('renders fenced code with its language and a copy button', async () => {
+  const writeText = jest.fn().mockResolvedValue();
+  Object.assign(navigator, { clipboard: { writeText } });
+  render(<MarkdownMessage text={'```js\nconst answer = 42;\n```'} />);
+
+  expect(screen.getByText('js')).toBeInTheDocument();
+  screen.getByRole('button', { name: 'Copy code' }).click();
+  expect(writeText).toHaveBeenCalledWith('const answer = 42;\n');
+  expect(await screen.findByText('Copied!')).toBeInTheDocument();
+});
+
+test('wraps tables in a horizontally scrolling container', () => {
+  render(<MarkdownMessage text={'| a | b |\n| - | - |\n| 1 | 2 |'} />);
+  const region = screen.getByRole('region', { name: 'Table' });
+  expect(region).toHaveClass('overflow-x-auto');
+  expect(within(region).getByRole('table')).toBeInTheDocument();
+});
+
+test('renders LaTeX math with KaTeX', () => {
+  render(<MarkdownMessage text={'Euler: $e^{i\\pi} + 1 = 0$'} />);
+  // KaTeX keeps the source as a MathML annotation next to the rendered math
+  // (a MathML element, which jest-dom's matchers don't accept)
+  expect(screen.getByText('e^{i\\pi} + 1 = 0').getAttribute('encoding')).toBe('application/x-tex');
+});
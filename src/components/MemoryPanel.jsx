@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { MAX_MEMORIES, MAX_MEMORY_LENGTH, MEMORY_CATEGORIES } from '../chat/memories';
+
+const emptyDraft = () => ({ id: null, text: '', category: 'profile' });
+
+// One memory being added or edited.
+function MemoryForm({ draft, onChange, onSave, onCancel, isSaving }) {
+  return (
+    <div className="space-y-2">
+      <textarea
+        className="w-full p-2 border border-gray-300 rounded"
+        rows={2}
+        maxLength={MAX_MEMORY_LENGTH}
+        value={draft.text}
+        onChange={(e) => onChange({ ...draft, text: e.target.value })}
+        placeholder="e.g. The user is called Ada and mines Pi every morning."
+        aria-label="Memory"
+        autoFocus
+      />
+      <div className="flex items-center gap-2">
+        <select
+          className="p-1 border border-gray-300 rounded"
+          value={draft.category}
+          onChange={(e) => onChange({ ...draft, category: e.target.value })}
+          aria-label="Category"
+        >
+          {Object.entries(MEMORY_CATEGORIES).map(([category, label]) => (
+            <option key={category} value={category}>{label}</option>
+          ))}
+        </select>
+        <span className="flex-1" />
+        <button onClick={onCancel} className="px-3 py-1 rounded-full border border-gray-300 hover:bg-gray-100">
+          Cancel
+        </button>
+        <button
+          onClick={onSave}
+          disabled={isSaving || draft.text.trim() === ''}
+          className="px-3 py-1 rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Modal listing what the companion remembers about the user (useMemories),
+// by category, where each memory can be edited or deleted and new ones added.
+function MemoryPanel({ memory, onClose }) {
+  const { memories, saveMemory, removeMemory, forgetAll } = memory;
+  const [draft, setDraft] = useState(null); // The memory being added or edited
+  const [isSaving, setIsSaving] = useState(false);
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      await saveMemory(draft.id, draft);
+      setDraft(null);
+    } catch (error) {
+      console.error("Error saving memory:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const remove = (entry) => {
+    if (draft?.id === entry.id) setDraft(null);
+    removeMemory(entry.id).catch((error) => console.error("Error deleting memory:", error));
+  };
+
+  const confirmForgetAll = () => {
+    if (!window.confirm('Forget everything the companion remembers about you?')) return;
+    setDraft(null);
+    forgetAll().catch((error) => console.error("Error deleting memories:", error));
+  };
+
+  const form = (
+    <MemoryForm draft={draft} onChange={setDraft} onSave={save} onCancel={() => setDraft(null)} isSaving={isSaving} />
+  );
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md max-h-full overflow-y-auto rounded-lg bg-white text-gray-800 shadow-xl p-4 space-y-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Memory"
+      >
+        <h2 className="text-lg font-semibold">Memory</h2>
+        <p className="text-gray-600">
+          Things you mention about yourself are remembered here and used in later conversations.
+        </p>
+
+        {memories.length === 0 && !draft && (
+          <p className="text-gray-500 italic">Nothing remembered yet.</p>
+        )}
+
+        {Object.entries(MEMORY_CATEGORIES).map(([category, label]) => {
+          const inCategory = memories.filter((entry) => entry.category === category);
+          if (inCategory.length === 0) return null;
+          return (
+            <section key={category}>
+              <h3 className="font-semibold text-gray-600 mb-1">{label}</h3>
+              <ul className="space-y-1">
+                {inCategory.map((entry) => (
+                  <li key={entry.id} className="rounded bg-gray-50 p-2">
+                    {draft?.id === entry.id ? form : (
+                      <div className="flex items-start gap-2">
+                        <span className="flex-1">{entry.text}</span>
+                        <button
+                          className="text-xs text-gray-500 hover:text-blue-600"
+                          title="Edit"
+                          aria-label={`Edit "${entry.text}"`}
+                          onClick={() => setDraft({ id: entry.id, text: entry.text, category: entry.category })}
+                        >
+                          ✎
+                        </button>
+                        <button
+                          className="text-xs text-gray-500 hover:text-red-600"
+                          title="Delete"
+                          aria-label={`Delete "${entry.text}"`}
+                          onClick={() => remove(entry)}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          );
+        })}
+
+        {draft && !draft.id && form}
+
+        <div className="flex justify-between gap-2">
+          <div className="flex gap-2">
+            {!draft && memories.length < MAX_MEMORIES && (
+              <button onClick={() => setDraft(emptyDraft())} className="px-4 py-2 rounded-full border border-gray-300 hover:bg-gray-100">
+                + Add
+              </button>
+            )}
+            {memories.length > 0 && (
+              <button onClick={confirmForgetAll} className="px-4 py-2 rounded-full text-red-600 hover:bg-red-50">
+                Forget everything
+              </button>
+            )}
+          </div>
+          <button onClick={onClose} className="px-4 py-2 rounded-full bg-blue-600 text-white hover:bg-blue-700">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MemoryPanel;
@@ -0,0 +1,332 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Virtuoso } from 'react-virtuoso';
+import { isImage } from '../chat/attachments';
+import { MAX_MESSAGE_LENGTH } from '../chat/conversations';
+import { isErrorMessage } from '../chat/errors';
+import { sourceName } from '../knowledge/retrieval';
+import { toolLabel } from '../tools';
+import MarkdownMessage from './MarkdownMessage';
+
+// A failed reply, shown as a notice rather than as something the AI said.
+function ErrorNotice({ message, onRetry, canRetry, disabled }) {
+  return (
+    <div className="flex justify-center" role="alert">
+      <div className="max-w-xs md:max-w-md lg:max-w-lg flex items-center gap-3 px-3 py-2 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700">
+        <span>⚠ {message.text}</span>
+        {canRetry && (
+          <button
+            onClick={() => onRetry(message)}
+            disabled={disabled}
+            className="shrink-0 px-3 py-1 rounded-full font-semibold bg-white border border-red-300 hover:bg-red-100 disabled:opacity-50"
+          >
+            Retry
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// `< 2/3 >` between the alternatives of an edited or regenerated message.
+function BranchNav({ entry, onSelectBranch, disabled }) {
+  const { message, siblingIds, siblingIndex } = entry;
+  if (siblingIds.length < 2) return null;
+
+  const go = (offset) => onSelectBranch(message, siblingIds[siblingIndex + offset]);
+  return (
+    <span className="inline-flex items-center gap-1" aria-label="Alternatives">
+      <button onClick={() => go(-1)} disabled={disabled || siblingIndex === 0} className="px-1 disabled:opacity-30" aria-label="Previous alternative">
+        ‹
+      </button>
+      {siblingIndex + 1}/{siblingIds.length}
+      <button
+        onClick={() => go(1)}
+        disabled={disabled || siblingIndex === siblingIds.length - 1}
+        className="px-1 disabled:opacity-30"
+        aria-label="Next alternative"
+      >
+        ›
+      </button>
+    </span>
+  );
+}
+
+// Thumbnails and file names above the text of a message, each opening the stored file.
+function MessageAttachments({ attachments }) {
+  return (
+    <div className="flex flex-wrap gap-2 mb-2">
+      {attachments.map((attachment) => (
+        <a key={attachment.storagePath} href={attachment.url} target="_blank" rel="noopener noreferrer" title={attachment.name}>
+          {isImage(attachment) && attachment.thumbnail ? (
+            <img src={attachment.thumbnail} alt={attachment.name} className="h-24 max-w-[12rem] object-cover rounded" />
+          ) : (
+            <span className="inline-block max-w-[12rem] truncate px-2 py-1 rounded bg-white bg-opacity-20 text-sm underline">
+              📄 {attachment.name}
+            </span>
+          )}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+const formatJson = (value) => JSON.stringify(value, null, 2);
+
+// The tools a reply called, each a collapsed card with what it was asked and
+// what it answered. Calls still running have no `response` yet.
+function ToolCalls({ toolCalls }) {
+  return (
+    <div className="mb-2 space-y-1">
+      {toolCalls.map((call, index) => {
+        const failed = Boolean(call.response?.error);
+        return (
+          <details key={index} className="rounded border border-gray-200 bg-gray-50 text-xs text-gray-700">
+            <summary className="cursor-pointer select-none px-2 py-1">
+              🔧 {toolLabel(call.name)}
+              {!call.response && <span className="ml-1 animate-pulse text-gray-400">running…</span>}
+              {failed && <span className="ml-1 text-red-600">failed</span>}
+            </summary>
+            <div className="px-2 pb-2 space-y-1">
+              <div className="font-semibold text-gray-500">Input</div>
+              <pre className="whitespace-pre-wrap break-words">{formatJson(call.args)}</pre>
+              {call.response && (
+                <>
+                  <div className="font-semibold text-gray-500">{failed ? 'Error' : 'Result'}</div>
+                  <pre className="whitespace-pre-wrap break-words">{failed ? call.response.error : formatJson(call.response)}</pre>
+                </>
+              )}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+// The knowledge base excerpts a reply was given, numbered as the reply cites them.
+function MessageSources({ sources }) {
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-500">
+      <div className="font-semibold">Sources</div>
+      <ol>
+        {sources.map((source, index) => (
+          <li key={index} title={source.excerpt} className="truncate">
+            [{index + 1}] {sourceName(source)}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function EditBox({ initialText, onSubmit, onCancel }) {
+  const [draft, setDraft] = useState(initialText);
+
+  return (
+    <div className="w-full max-w-xs md:max-w-md lg:max-w-lg">
+      <textarea
+        className="w-full p-3 border border-blue-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        rows={Math.min(8, draft.split('\n').length + 1)}
+        value={draft}
+        maxLength={MAX_MESSAGE_LENGTH}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+          if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onSubmit(draft);
+          }
+        }}
+        autoFocus
+      />
+      <div className="flex justify-end gap-2 mt-1 text-sm">
+        <button onClick={onCancel} className="px-3 py-1 rounded-full hover:bg-gray-200">Cancel</button>
+        <button
+          onClick={() => onSubmit(draft)}
+          disabled={draft.trim() === ''}
+          className="px-3 py-1 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Virtuoso needs a positive first index that goes down as older messages are
+// added above, so it starts from a number no conversation will reach.
+const FIRST_ITEM_INDEX = 1000000;
+const STREAMING_KEY = 'streaming';
+
+// The list's first index: lowered by the number of messages prepended since
+// the last render, which keeps the scroll position when older pages load.
+function useFirstItemIndex(ids) {
+  const stateRef = useRef({ firstId: null, firstItemIndex: FIRST_ITEM_INDEX });
+  const { firstId, firstItemIndex } = stateRef.current;
+  const prepended = firstId ? ids.indexOf(firstId) : 0;
+  if (prepended > 0) {
+    stateRef.current = { firstId: ids[0], firstItemIndex: firstItemIndex - prepended };
+  } else if (ids[0] !== firstId) {
+    stateRef.current = { firstId: ids[0] ?? null, firstItemIndex };
+  }
+  return stateRef.current.firstItemIndex;
+}
+
+function ListHeader({ context }) {
+  if (!context.hasOlder) return <div className="h-4" />;
+  return <div className="py-3 text-center text-xs text-gray-400 animate-pulse">Loading earlier messages…</div>;
+}
+
+// The messages of the branch on screen (`path`, from chat/branches.js), plus
+// the reply while it streams in, with the tools it has called
+// (`streamingToolCalls`). User messages can be edited and replies
+// regenerated; both add an alternative rather than replacing the original.
+// Only the messages in view are rendered; scrolling to the top calls
+// `onLoadOlder`. `highlightedMessageId` (a search result) is scrolled to and
+// outlined. Replies can be read aloud through `speech` (useSpeechSynthesis).
+// Mount one list per conversation (`key`) so each opens at the end.
+function MessageList({
+  path,
+  streamingText,
+  streamingToolCalls = [],
+  isLoading,
+  isOnline,
+  hasOlder,
+  highlightedMessageId,
+  onLoadOlder,
+  onRetry,
+  onEdit,
+  onRegenerate,
+  onSelectBranch,
+  speech,
+}) {
+  const virtuosoRef = useRef(null);
+  const scrolledToRef = useRef(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const items = useMemo(() => {
+    const entries = path.map((entry, index) => ({ entry, previous: path[index - 1]?.message }));
+    return streamingText === null ? entries : [...entries, { streaming: true }];
+  }, [path, streamingText]);
+  const firstItemIndex = useFirstItemIndex(useMemo(() => path.map((entry) => entry.message.id), [path]));
+
+  // Scroll to the highlighted message once, as soon as it is on the path
+  useEffect(() => {
+    if (!highlightedMessageId || scrolledToRef.current === highlightedMessageId) return;
+    const index = path.findIndex((entry) => entry.message.id === highlightedMessageId);
+    if (index === -1) return;
+    scrolledToRef.current = highlightedMessageId;
+    virtuosoRef.current?.scrollToIndex({ index, align: 'center', behavior: 'smooth' });
+  }, [path, highlightedMessageId]);
+
+  const submitEdit = (message, text) => {
+    setEditingId(null);
+    const hasContent = text.trim() !== '' || message.attachments?.length > 0;
+    if (hasContent && text !== message.text) onEdit(message, text);
+  };
+
+  const renderStreaming = () => (
+    <div className="flex justify-start">
+      <div className="max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-lg shadow-md break-words bg-white text-gray-800 rounded-bl-none">
+        {streamingToolCalls.length > 0 && <ToolCalls toolCalls={streamingToolCalls} />}
+        {streamingText ? <MarkdownMessage text={streamingText} /> : <span className="animate-pulse text-gray-400">…</span>}
+      </div>
+    </div>
+  );
+
+  const renderMessage = ({ entry, previous }) => {
+    const { message } = entry;
+    const isUser = message.sender === 'user';
+
+    if (isErrorMessage(message)) {
+      return (
+        <ErrorNotice
+          message={message}
+          onRetry={onRetry}
+          canRetry={previous?.sender === 'user'}
+          disabled={isLoading || !isOnline}
+        />
+      );
+    }
+
+    return (
+      <div className={`flex flex-col ${isUser ? 'items-end' : 'items-start'}`}>
+        {editingId === message.id ? (
+          <EditBox
+            initialText={message.text}
+            onSubmit={(text) => submitEdit(message, text)}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <div
+            className={`max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-lg shadow-md break-words ${
+              isUser
+                ? 'bg-blue-500 text-white rounded-br-none'
+                : 'bg-white text-gray-800 rounded-bl-none'
+            } ${message.id === highlightedMessageId ? 'ring-4 ring-yellow-300' : ''}`}
+          >
+            {message.attachments?.length > 0 && <MessageAttachments attachments={message.attachments} />}
+            {message.toolCalls?.length > 0 && <ToolCalls toolCalls={message.toolCalls} />}
+            {message.sender === 'ai' ? <MarkdownMessage text={message.text} /> : message.text}
+            {message.sources?.length > 0 && <MessageSources sources={message.sources} />}
+            {message.interrupted && (
+              <span className="block mt-1 text-xs italic opacity-60">Response stopped</span>
+            )}
+            {message.pending && (
+              <span className="block mt-1 text-xs italic opacity-80">⏳ Waiting for a connection to send</span>
+            )}
+          </div>
+        )}
+        {editingId !== message.id && (
+          <div className="flex items-center gap-2 mt-1 text-xs text-gray-500">
+            <BranchNav entry={entry} onSelectBranch={onSelectBranch} disabled={isLoading} />
+            {isUser ? (
+              <button onClick={() => setEditingId(message.id)} disabled={isLoading} className="hover:text-gray-800 disabled:opacity-40">
+                ✎ Edit
+              </button>
+            ) : (
+              <button onClick={() => onRegenerate(message)} disabled={isLoading || !isOnline} className="hover:text-gray-800 disabled:opacity-40">
+                ↻ Regenerate
+              </button>
+            )}
+            {!isUser && speech?.isSupported && (
+              speech.speakingId === message.id ? (
+                <button onClick={speech.stop} className="hover:text-gray-800" aria-label="Stop reading aloud">
+                  ■ Stop
+                </button>
+              ) : (
+                <button onClick={() => speech.speak(message.id, message.text)} className="hover:text-gray-800" aria-label="Read aloud">
+                  🔊 Play
+                </button>
+              )
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <main className="flex-1 min-h-0">
+      {items.length > 0 && (
+        <Virtuoso
+          ref={virtuosoRef}
+          className="h-full"
+          data={items}
+          context={{ hasOlder }}
+          firstItemIndex={firstItemIndex}
+          initialTopMostItemIndex={items.length - 1}
+          computeItemKey={(index, item) => (item.streaming ? STREAMING_KEY : item.entry.message.id)}
+          followOutput={(isAtBottom) => (isAtBottom ? 'smooth' : false)}
+          startReached={() => hasOlder && onLoadOlder()}
+          components={{ Header: ListHeader }}
+          itemContent={(index, item) => (
+            <div className="px-4 py-2">{item.streaming ? renderStreaming() : renderMessage(item)}</div>
+          )}
+        />
+      )}
+    </main>
+  );
+}
+
+export default MessageList;
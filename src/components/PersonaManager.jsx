@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_SETTINGS,
+  MAX_INSTRUCTION_LENGTH,
+  MAX_NAME_LENGTH,
+  MAX_OUTPUT_TOKENS,
+  MAX_TEMPERATURE,
+  SAFETY_LEVELS,
+} from '../chat/personas';
+
+const emptyDraft = () => ({ name: '', systemInstruction: '', settings: { ...DEFAULT_SETTINGS } });
+
+// Modal for creating, editing and deleting custom personas. Built-in personas
+// are read-only but can be duplicated as a starting point.
+function PersonaManager({ personas, initialPersonaId, onClose, onSave, onDelete }) {
+  const [selectedId, setSelectedId] = useState(initialPersonaId);
+  const [draft, setDraft] = useState(() => personas.find((p) => p.id === initialPersonaId) || emptyDraft());
+  const [isSaving, setIsSaving] = useState(false);
+
+  const readOnly = Boolean(draft.builtIn);
+
+  const select = (persona) => {
+    setSelectedId(persona.id);
+    setDraft(persona);
+  };
+
+  const startNew = (from) => {
+    setSelectedId(null);
+    setDraft(from
+      ? { name: `${from.name} (copy)`, systemInstruction: from.systemInstruction, settings: { ...from.settings } }
+      : emptyDraft());
+  };
+
+  const setField = (field, value) => setDraft((current) => ({ ...current, [field]: value }));
+  const setSetting = (field, value) =>
+    setDraft((current) => ({ ...current, settings: { ...current.settings, [field]: value } }));
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      const id = await onSave(selectedId, draft);
+      setSelectedId(id);
+      setDraft((current) => ({ ...current, id }));
+    } catch (error) {
+      console.error("Error saving persona:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Delete the persona "${draft.name}"?`)) return;
+    onDelete(selectedId);
+    startNew();
+  };
+
+  const settings = { ...DEFAULT_SETTINGS, ...draft.settings };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="flex flex-col md:flex-row w-full max-w-3xl max-h-full overflow-hidden rounded-lg bg-white text-gray-800 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Personas"
+      >
+        <nav className="md:w-56 border-b md:border-b-0 md:border-r border-gray-200 p-2 overflow-y-auto space-y-1">
+          <button
+            onClick={() => startNew()}
+            className="w-full px-3 py-2 rounded-full text-sm font-semibold bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            + New persona
+          </button>
+          {personas.map((persona) => (
+            <button
+              key={persona.id}
+              onClick={() => select(persona)}
+              className={`w-full text-left text-sm rounded-lg px-3 py-2 truncate ${
+                persona.id === selectedId ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'
+              }`}
+            >
+              {persona.name}
+              {persona.builtIn && <span className="ml-1 text-xs text-gray-400">built-in</span>}
+            </button>
+          ))}
+        </nav>
+
+        <div className="flex-1 p-4 space-y-3 overflow-y-auto text-sm">
+          <label className="block">
+            <span className="font-semibold">Name</span>
+            <input
+              className="mt-1 w-full p-2 border border-gray-300 rounded-lg"
+              value={draft.name}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => setField('name', e.target.value)}
+              disabled={readOnly}
+            />
+          </label>
+          <label className="block">
+            <span className="font-semibold">System instruction</span>
+            <textarea
+              className="mt-1 w-full p-2 border border-gray-300 rounded-lg h-40"
+              value={draft.systemInstruction}
+              maxLength={MAX_INSTRUCTION_LENGTH}
+              onChange={(e) => setField('systemInstruction', e.target.value)}
+              disabled={readOnly}
+              placeholder="How the model should behave, what it knows, what it must avoid…"
+            />
+          </label>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="block">
+              <span className="font-semibold">Temperature {Number(settings.temperature).toFixed(1)}</span>
+              <input
+                type="range"
+                min="0"
+                max={MAX_TEMPERATURE}
+                step="0.1"
+                className="mt-2 w-full"
+                value={settings.temperature}
+                onChange={(e) => setSetting('temperature', Number(e.target.value))}
+                disabled={readOnly}
+              />
+            </label>
+            <label className="block">
+              <span className="font-semibold">Max tokens</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_OUTPUT_TOKENS}
+                className="mt-1 w-full p-2 border border-gray-300 rounded-lg"
+                value={settings.maxOutputTokens}
+                onChange={(e) => setSetting('maxOutputTokens', e.target.value)}
+                disabled={readOnly}
+              />
+            </label>
+            <label className="block">
+              <span className="font-semibold">Safety filter</span>
+              <select
+                className="mt-1 w-full p-2 border border-gray-300 rounded-lg"
+                value={settings.safety}
+                onChange={(e) => setSetting('safety', e.target.value)}
+                disabled={readOnly}
+              >
+                {Object.keys(SAFETY_LEVELS).map((level) => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2">
+            {readOnly ? (
+              <button onClick={() => startNew(draft)} className="px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white">
+                Duplicate
+              </button>
+            ) : (
+              <>
+                {selectedId && (
+                  <button onClick={remove} className="px-4 py-2 rounded-full text-red-600 hover:bg-red-50">
+                    Delete
+                  </button>
+                )}
+                <button
+                  onClick={save}
+                  disabled={isSaving}
+                  className="px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving…' : 'Save'}
+                </button>
+              </>
+            )}
+            <button onClick={onClose} className="px-4 py-2 rounded-full hover:bg-gray-100">
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PersonaManager;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Picks the persona (system instruction and generation settings) for the
+// current conversation, with a button to open the persona manager.
+function PersonaSelect({ personas, value, onChange, onManage, disabled }) {
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        className="text-xs text-gray-800 bg-white bg-opacity-90 rounded-full px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-300"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        aria-label="Persona"
+      >
+        {personas.map((persona) => (
+          <option key={persona.id} value={persona.id}>
+            {persona.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={onManage}
+        disabled={disabled}
+        className="text-xs px-2 py-1 rounded-full bg-white bg-opacity-20 hover:bg-opacity-30"
+        aria-label="Manage personas"
+        title="Manage personas"
+      >
+        ✎
+      </button>
+    </div>
+  );
+}
+
+export default PersonaSelect;
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Shows the user's premium status in the header, or the button that starts
+// the Pi payment for it.
+function PremiumButton({ plan, isPremium, expiresAt, isPurchasing, error, onPurchase }) {
+  if (isPremium) {
+    return (
+      <div className="text-xs text-center mt-2">
+        <span className="px-2 py-0.5 rounded-full bg-yellow-300 text-yellow-900 font-semibold">★ Premium</span>
+        <span className="ml-2 opacity-70">until {new Date(expiresAt).toLocaleDateString()}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-center mt-2">
+      <button
+        onClick={onPurchase}
+        disabled={isPurchasing}
+        title={`${plan.messagesPerDay} messages a day, a longer memory and ${plan.geminiModel}`}
+        className={`text-xs px-3 py-1 rounded-full font-semibold transition duration-200 ${
+          isPurchasing ? 'bg-yellow-100 text-yellow-700 cursor-wait' : 'bg-yellow-300 hover:bg-yellow-400 text-yellow-900'
+        }`}
+      >
+        {isPurchasing ? 'Waiting for Pi payment…' : `Go Premium · ${plan.priceInPi} π / ${plan.durationDays} days`}
+      </button>
+      {error && <div className="text-xs mt-1 text-red-200">{error}</div>}
+    </div>
+  );
+}
+
+export default PremiumButton;
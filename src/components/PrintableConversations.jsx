@@ -0,0 +1,39 @@
+import React from 'react';
+import { activePath } from '../chat/branches';
+import { DEFAULT_CONVERSATION_TITLE } from '../chat/conversations';
+import { isErrorMessage } from '../chat/errors';
+import { SENDER_LABELS, toIsoString } from '../chat/exportFormats';
+import MarkdownMessage from './MarkdownMessage';
+
+// The page the browser prints (or saves as PDF) for "Export as PDF": only
+// visible in print, while the app itself is hidden there. Each conversation
+// shows the branch on screen and starts on a new page.
+function PrintableConversations({ items }) {
+  return (
+    <div className="hidden print:block text-black bg-white p-8">
+      {items.map(({ conversation, messages }) => (
+        <article key={conversation.id} className="break-after-page">
+          <h1 className="text-2xl font-bold mb-4">{conversation.title || DEFAULT_CONVERSATION_TITLE}</h1>
+          {activePath(messages, conversation.branches).map(({ message }) => {
+            const time = toIsoString(message.timestamp);
+            return (
+              <section key={message.id} className="mb-4 break-inside-avoid">
+                <div className="text-xs text-gray-500">
+                  {SENDER_LABELS[message.sender]}
+                  {time && ` · ${new Date(time).toLocaleString()}`}
+                </div>
+                {isErrorMessage(message)
+                  ? <p className="italic text-red-700">⚠ {message.text}</p>
+                  : message.sender === 'ai'
+                    ? <MarkdownMessage text={message.text} />
+                    : <p className="whitespace-pre-wrap">{message.text}</p>}
+              </section>
+            );
+          })}
+        </article>
+      ))}
+    </div>
+  );
+}
+
+export default PrintableConversations;
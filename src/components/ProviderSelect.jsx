@@ -0,0 +1,26 @@
+import React from 'react';
+import { availableProviders } from '../providers';
+
+// Picks the LLM provider for the current conversation. Renders nothing when
+// the deployment only enables a single provider.
+function ProviderSelect({ value, onChange, disabled }) {
+  if (availableProviders.length < 2) return null;
+
+  return (
+    <select
+      className="text-xs text-gray-800 bg-white bg-opacity-90 rounded-full px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-300"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label="Model provider"
+    >
+      {availableProviders.map((provider) => (
+        <option key={provider.id} value={provider.id}>
+          {provider.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default ProviderSelect;
@@ -0,0 +1,104 @@
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import { SENDER_LABELS } from '../chat/exportFormats';
+import { searchMessages } from '../chat/search';
+
+// `text` with `ranges` wrapped in <mark>.
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="bg-yellow-200 rounded-sm">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+// End of the day for the "to" date, so it includes that day's messages
+const parseDate = (value, endOfDay = false) => (value ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`) : undefined);
+
+// Modal for searching every conversation. Results come from the in-memory
+// index (useMessageSearch); picking one opens it in its conversation.
+function SearchPanel({ index, isIndexing, onOpenResult, onClose }) {
+  const [query, setQuery] = useState('');
+  const [sender, setSender] = useState('all');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  // Typing stays responsive while a large index is searched
+  const deferredQuery = useDeferredValue(query);
+
+  const results = useMemo(
+    () => (index ? searchMessages(index, deferredQuery, { sender, from: parseDate(from), to: parseDate(to, true) }) : []),
+    [index, deferredQuery, sender, from, to]
+  );
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-start justify-center bg-black bg-opacity-40 p-4 pt-16" onClick={onClose}>
+      <div
+        className="w-full max-w-xl max-h-full flex flex-col rounded-lg bg-white text-gray-800 shadow-xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Search messages"
+      >
+        <div className="p-3 space-y-2 border-b border-gray-200">
+          <input
+            type="search"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Search all chats…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            autoFocus
+          />
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <select
+              className="p-1 border border-gray-300 rounded"
+              value={sender}
+              onChange={(e) => setSender(e.target.value)}
+              aria-label="Sender"
+            >
+              <option value="all">Everyone</option>
+              <option value="user">{SENDER_LABELS.user}</option>
+              <option value="ai">{SENDER_LABELS.ai}</option>
+            </select>
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" className="p-1 border border-gray-300 rounded" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input type="date" className="p-1 border border-gray-300 rounded" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+            {isIndexing && <span className="text-gray-400 animate-pulse">Loading history…</span>}
+          </div>
+        </div>
+
+        <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+          {deferredQuery.trim() !== '' && results.length === 0 && !isIndexing && (
+            <li className="p-4 text-center text-gray-400">No messages found</li>
+          )}
+          {results.map((result) => (
+            <li key={`${result.conversationId}/${result.message.id}`}>
+              <button className="w-full text-left p-3 hover:bg-gray-50" onClick={() => onOpenResult(result)}>
+                <div className="flex justify-between gap-2 text-xs text-gray-500">
+                  <span className="truncate">
+                    {result.conversationTitle} · {SENDER_LABELS[result.message.sender]}
+                  </span>
+                  {result.message.timestamp?.toDate && (
+                    <span className="shrink-0">{result.message.timestamp.toDate().toLocaleDateString()}</span>
+                  )}
+                </div>
+                <div className="mt-1 break-words">
+                  <Highlighted text={result.text} ranges={result.ranges} />
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
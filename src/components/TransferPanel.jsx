@@ -0,0 +1,84 @@
+import React, { useRef, useState } from 'react';
+
+const EXPORT_LABELS = { markdown: 'Markdown', json: 'JSON', pdf: 'PDF' };
+
+// Modal for exporting the current conversation or all of them, and for
+// importing a JSON export as new conversations.
+function TransferPanel({ hasActiveConversation, transfer, onClose }) {
+  const { exportConversations, importFile, isBusy, error } = transfer;
+  const [scope, setScope] = useState(hasActiveConversation ? 'conversation' : 'all');
+  const fileInputRef = useRef(null);
+
+  const handleFile = (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Picking the same file again should import it again
+    if (file) importFile(file).then((imported) => imported && onClose());
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-sm max-h-full overflow-y-auto rounded-lg bg-white text-gray-800 shadow-xl p-4 space-y-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Export and import"
+      >
+        <h2 className="text-lg font-semibold">Export and import</h2>
+
+        <section className="space-y-2">
+          <div className="flex gap-4">
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="scope"
+                checked={scope === 'conversation'}
+                onChange={() => setScope('conversation')}
+                disabled={!hasActiveConversation}
+              />
+              This chat
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" name="scope" checked={scope === 'all'} onChange={() => setScope('all')} />
+              All chats
+            </label>
+          </div>
+          <div className="flex gap-2">
+            {Object.entries(EXPORT_LABELS).map(([type, label]) => (
+              <button
+                key={type}
+                onClick={() => exportConversations(scope, type)}
+                disabled={isBusy}
+                className="flex-1 px-3 py-2 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            Markdown and PDF show the alternatives on screen; JSON keeps everything and can be imported again.
+          </p>
+        </section>
+
+        <section className="space-y-2 border-t border-gray-200 pt-3">
+          <button
+            onClick={() => fileInputRef.current.click()}
+            disabled={isBusy}
+            className="w-full px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+          >
+            {isBusy ? 'Working…' : 'Import JSON export'}
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </section>
+
+        {error && <div className="text-red-600">{error}</div>}
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-full hover:bg-gray-100">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TransferPanel;
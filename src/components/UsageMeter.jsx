@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Today's remaining Gemini messages, shown in the header while the
+// conversation uses Gemini (the only provider behind our quota-keeping proxy).
+function UsageMeter({ quota }) {
+  const { used, limit, remaining } = quota;
+  const fraction = limit > 0 ? Math.min(used / limit, 1) : 1;
+  const isLow = remaining <= Math.max(1, Math.floor(limit / 10));
+
+  return (
+    <div
+      className="flex items-center justify-center gap-2 text-xs mt-2"
+      title={`${used} of ${limit} messages used today. The count resets at midnight UTC.`}
+    >
+      <div
+        className="w-24 h-1.5 rounded-full bg-white bg-opacity-30 overflow-hidden"
+        role="meter"
+        aria-label="Messages used today"
+        aria-valuemin={0}
+        aria-valuemax={limit}
+        aria-valuenow={used}
+      >
+        <div className={`h-full ${isLow ? 'bg-yellow-300' : 'bg-white'}`} style={{ width: `${fraction * 100}%` }} />
+      </div>
+      <span className={isLow ? 'text-yellow-300 font-semibold' : 'opacity-80'}>
+        {remaining === 0 ? 'No messages left today' : `${remaining} of ${limit} messages left today`}
+      </span>
+    </div>
+  );
+}
+
+export default UsageMeter;
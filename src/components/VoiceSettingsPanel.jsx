@@ -0,0 +1,66 @@
+import React from 'react';
+import { MAX_RATE, MIN_RATE } from '../chat/speech';
+
+const SAMPLE_TEXT = 'Hello! This is how replies will sound.';
+
+// Modal for the voice and speaking rate used to read replies aloud
+// (useSpeechSynthesis). Changes apply at once and are kept in this browser.
+function VoiceSettingsPanel({ speech, onClose }) {
+  const { voices, settings, updateSettings, speak, stop, speakingId } = speech;
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-sm max-h-full overflow-y-auto rounded-lg bg-white text-gray-800 shadow-xl p-4 space-y-4 text-sm"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Voice settings"
+      >
+        <h2 className="text-lg font-semibold">Voice</h2>
+
+        <label className="block">
+          <span className="font-semibold">Voice</span>
+          <select
+            className="mt-1 w-full p-2 border border-gray-300 rounded"
+            value={settings.voiceURI || ''}
+            onChange={(e) => updateSettings({ voiceURI: e.target.value })}
+          >
+            <option value="">Browser default</option>
+            {voices.map((voice) => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="font-semibold">Speaking rate {settings.rate.toFixed(1)}×</span>
+          <input
+            type="range"
+            className="mt-1 w-full"
+            min={MIN_RATE}
+            max={MAX_RATE}
+            step="0.1"
+            value={settings.rate}
+            onChange={(e) => updateSettings({ rate: e.target.value })}
+          />
+        </label>
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => (speakingId === 'sample' ? stop() : speak('sample', SAMPLE_TEXT))}
+            className="px-4 py-2 rounded-full border border-gray-300 hover:bg-gray-100"
+          >
+            {speakingId === 'sample' ? '■ Stop' : '▶ Try it'}
+          </button>
+          <button onClick={onClose} className="px-4 py-2 rounded-full bg-blue-600 text-white hover:bg-blue-700">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VoiceSettingsPanel;
@@ -0,0 +1,37 @@
+// The app is built as one of these variants, picked with REACT_APP_VARIANT at
+// build time. Anything unknown falls back to the generic chatbot.
+
+const VARIANTS = {
+  chatbot: {
+    id: 'chatbot',
+    title: 'AI Chatbot',
+    subtitle: 'Your personal conversational agent',
+    placeholder: 'Type your message...',
+    userIdLabel: 'User ID',
+    defaultPersonaId: 'assistant', // See BUILT_IN_PERSONAS in src/chat/personas.js
+    features: {
+      piSignIn: false, // Pi SDK sign-in, linked to Firebase through /api/pi-auth
+      premium: false, // Pi-paid premium plan (needs piSignIn)
+    },
+  },
+  pi: {
+    id: 'pi',
+    title: 'dHeliosAI Companion',
+    subtitle: 'Your smart companion in the Pi ecosystem',
+    placeholder: 'Ask your dHeliosAI Companion...',
+    userIdLabel: 'App User ID',
+    defaultPersonaId: 'dhelios',
+    features: {
+      piSignIn: true,
+      premium: true,
+    },
+  },
+};
+
+export const DEFAULT_VARIANT_ID = 'chatbot';
+
+export const getBranding = (variantId) => VARIANTS[variantId] || VARIANTS[DEFAULT_VARIANT_ID];
+
+const branding = getBranding(process.env.REACT_APP_VARIANT);
+
+export default branding;
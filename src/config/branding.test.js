@@ -0,0 +1,13 @@
+import { DEFAULT_VARIANT_ID, getBranding } from './branding';
+
+test('the Pi variant enables Pi sign-in and premium', () => {
+  const pi = getBranding('pi');
+  expect(pi.title).toBe('dHeliosAI Companion');
+  expect(pi.features).toEqual({ piSignIn: true, premium: true });
+});
+
+test('unknown or missing variants fall back to the generic chatbot', () => {
+  expect(getBranding('nope').id).toBe(DEFAULT_VARIANT_ID);
+  expect(getBranding(undefined).title).toBe('AI Chatbot');
+  expect(getBranding('chatbot').features.piSignIn).toBe(false);
+});
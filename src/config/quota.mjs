@@ -0,0 +1,18 @@
+// Daily quota rules shared by the chat proxy (server/) and the app's usage
+// meter, so both agree on the day and the limit. It imports nothing, so Node
+// loads it as it is; plans come from plans.json.
+
+// Days are UTC dates (YYYY-MM-DD), so every quota resets at midnight UTC.
+export const usageDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+// Milliseconds until the next UTC midnight, when a new day's quota starts.
+export const msUntilNextDay = (time = Date.now()) => {
+  const midnight = new Date(time);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - time;
+};
+
+// Gemini messages a day on `plan`. Free users who signed in with Pi get more
+// than anonymous guests.
+export const dailyMessageLimit = (plan, { isPiUser = false } = {}) =>
+  (isPiUser && plan.piMessagesPerDay) || plan.messagesPerDay;
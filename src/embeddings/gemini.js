@@ -0,0 +1,52 @@
+import { ERROR_CODES, ProviderError } from '../providers';
+import gemini from '../providers/gemini';
+import { postJson, readJson } from '../providers/http';
+
+// Gemini's embedding model, reached through the embedding proxy
+// (server/embedProxy.mjs) so the API key stays on the server. Texts are sent
+// in batches the proxy accepts.
+
+const EMBED_PROXY_URL = process.env.REACT_APP_EMBED_PROXY_URL || '/api/embed';
+// MAX_TEXTS in server/embedProxy.mjs
+const BATCH_SIZE = 100;
+const TASK_TYPES = { document: 'RETRIEVAL_DOCUMENT', query: 'RETRIEVAL_QUERY' };
+
+// Errors are reported the way the Gemini chat provider reports them
+const requester = { id: 'gemini', label: 'Gemini embeddings', mapError: gemini.mapError };
+
+const unitLength = (vector) => {
+  const length = Math.hypot(...vector);
+  return length === 0 ? vector : vector.map((value) => value / length);
+};
+
+const geminiEmbeddings = {
+  id: 'gemini',
+  label: 'Gemini',
+  dimensions: 768,
+  // Unrelated texts still score around 0.4
+  minScore: 0.55,
+
+  async embed(texts, { taskType = 'document', getIdToken, signal } = {}) {
+    const idToken = getIdToken ? await getIdToken() : null;
+    if (!idToken) {
+      throw new ProviderError('You need to be signed in to use the knowledge base.', { code: ERROR_CODES.AUTH, provider: 'gemini' });
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const batch = texts.slice(i, i + BATCH_SIZE);
+      const response = await postJson(requester, EMBED_PROXY_URL, { texts: batch, taskType: TASK_TYPES[taskType] }, {
+        signal,
+        headers: { Authorization: `Bearer ${idToken}` },
+      });
+      const { embeddings } = await readJson(requester, response);
+      if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+        throw new ProviderError('Gemini returned the wrong number of embeddings', { code: ERROR_CODES.BAD_RESPONSE, provider: 'gemini' });
+      }
+      vectors.push(...embeddings.map(unitLength));
+    }
+    return vectors;
+  },
+};
+
+export default geminiEmbeddings;
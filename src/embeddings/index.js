@@ -0,0 +1,21 @@
+import gemini from './gemini';
+import local from './local';
+
+// Turn text into vectors for the knowledge base (src/knowledge). Every
+// backend implements the same interface:
+//   id, label, dimensions
+//   minScore   similarity below which a chunk doesn't answer a question
+//   embed(texts, { taskType, getIdToken, signal }) -> Promise<number[][]>
+// with one unit-length vector per text. `taskType` is 'document' for
+// knowledge base chunks and 'query' for questions; backends that don't
+// distinguish them ignore it. Vectors from different backends can't be
+// compared, so every stored chunk records the backend that embedded it.
+
+const BACKENDS = { gemini, local };
+
+// REACT_APP_EMBEDDING_BACKEND picks the deployment's backend
+export const EMBEDDING_BACKEND_ID = BACKENDS[process.env.REACT_APP_EMBEDDING_BACKEND]
+  ? process.env.REACT_APP_EMBEDDING_BACKEND
+  : 'local';
+
+export const getEmbeddingBackend = (id = EMBEDDING_BACKEND_ID) => BACKENDS[id] || BACKENDS[EMBEDDING_BACKEND_ID];
@@ -0,0 +1,63 @@
+import { normalize } from '../chat/search';
+
+// An embedding backend that needs no server or key: each text becomes a bag
+// of its words and word pairs, hashed into DIMENSIONS buckets (the "hashing
+// trick") with log-scaled counts, then scaled to unit length. It finds shared
+// words rather than shared meaning, which is enough for development, tests
+// and deployments without Gemini.
+
+const DIMENSIONS = 512;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+// 32-bit FNV-1a
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+// Lowercased words without accents, stop words or a plural "s"
+const termsOf = (text) => (normalize(text).match(WORD_PATTERN) || [])
+  .filter((word) => !STOP_WORDS.has(word))
+  .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+export function embedText(text) {
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+  const terms = termsOf(text);
+  terms.forEach((term, index) => {
+    add(term);
+    if (index > 0) add(`${terms[index - 1]} ${term}`);
+  });
+
+  const vector = new Array(DIMENSIONS).fill(0);
+  counts.forEach((count, feature) => {
+    const bucket = hash(feature);
+    // The top bit picks a sign so that colliding features tend to cancel out
+    vector[bucket % DIMENSIONS] += (bucket & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  });
+  const length = Math.hypot(...vector);
+  return length === 0 ? vector : vector.map((value) => value / length);
+}
+
+const local = {
+  id: 'local',
+  label: 'Local (word hashing)',
+  dimensions: DIMENSIONS,
+  // One or two shared words out of a dozen
+  minScore: 0.1,
+
+  async embed(texts) {
+    return texts.map(embedText);
+  },
+};
+
+export default local;
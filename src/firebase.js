@@ -0,0 +1,44 @@
+import { initializeApp } from 'firebase/app';
+import { connectAuthEmulator, getAuth } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+
+const firebaseConfig = {
+  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.REACT_APP_FIREBASE_APP_ID,
+};
+
+// Namespaces the Firestore data (`artifacts/{appId}/...`), not the Firebase app id
+export const appId = process.env.REACT_APP_APP_ID;
+
+export const initialAuthToken = process.env.REACT_APP_INITIAL_AUTH_TOKEN;
+
+// Initialize Firebase App and Services. They stay undefined if the config is
+// unusable; the hooks check for that before touching them.
+let firebaseApp;
+let db;
+let auth;
+let storage;
+
+try {
+  firebaseApp = initializeApp(firebaseConfig);
+  // Keep conversations in IndexedDB, shared by every open tab, so they load
+  // and accept new messages offline. Writes made offline sync on reconnect.
+  db = initializeFirestore(firebaseApp, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  });
+  auth = getAuth(firebaseApp);
+  storage = getStorage(firebaseApp); // Message attachments
+  // e.g. http://127.0.0.1:9099 for `firebase emulators:start --only auth`
+  if (process.env.REACT_APP_AUTH_EMULATOR_URL) {
+    connectAuthEmulator(auth, process.env.REACT_APP_AUTH_EMULATOR_URL, { disableWarnings: true });
+  }
+} catch (error) {
+  console.error("Firebase initialization error:", error);
+}
+
+export { firebaseApp, db, auth, storage };
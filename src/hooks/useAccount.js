@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { signOut as firebaseSignOut } from 'firebase/auth';
+import { appId, auth, db } from '../firebase';
+import {
+  AccountConflictError,
+  describeAuthError,
+  isCancelledSignIn,
+  linkEmail,
+  linkGoogle,
+  switchToExistingAccount,
+} from '../auth/accounts';
+
+// Turns the anonymous account into a permanent one, or switches to the
+// account that already owns the chosen sign-in (`conflict`, until resolved).
+// `onLinked` runs after a successful link, for useFirebaseAuth's refreshAccount.
+export function useAccount({ onLinked } = {}) {
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  const run = async (task) => {
+    setError(null);
+    setIsWorking(true);
+    try {
+      await task();
+    } catch (error) {
+      if (error instanceof AccountConflictError) {
+        setConflict(error);
+      } else if (!isCancelledSignIn(error)) {
+        console.error("Account sign-in failed:", error);
+        setError(describeAuthError(error));
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const link = (linkAccount) => run(async () => {
+    await linkAccount();
+    onLinked?.();
+  });
+
+  const linkWithGoogle = () => link(() => linkGoogle(auth));
+  const linkWithEmail = (email, password) => link(() => linkEmail(auth, email, password));
+
+  // Signs in to the existing account, optionally copying this account's chats into it
+  const resolveConflict = ({ bringData }) => run(async () => {
+    await switchToExistingAccount(auth, db, appId, conflict, { bringData });
+    setConflict(null);
+  });
+
+  const cancelConflict = () => setConflict(null);
+
+  // A new anonymous account takes over; see useFirebaseAuth
+  const signOut = () => run(() => firebaseSignOut(auth));
+
+  return { linkWithGoogle, linkWithEmail, resolveConflict, cancelConflict, signOut, conflict, isWorking, error };
+}
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { AttachmentError, MAX_ATTACHMENTS, prepareAttachment } from '../chat/attachments';
+
+let nextDraftId = 0;
+
+// Files picked, dropped or pasted for the next message, already scaled down
+// and waiting to be sent. `error` explains the last file that was refused.
+export function useAttachmentDraft() {
+  const [attachments, setAttachments] = useState([]);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setError(null);
+    const room = MAX_ATTACHMENTS - attachments.length;
+    if (files.length > room) setError(`You can attach up to ${MAX_ATTACHMENTS} files to a message.`);
+
+    setIsPreparing(true);
+    try {
+      for (const file of files.slice(0, Math.max(0, room))) {
+        try {
+          const attachment = { ...(await prepareAttachment(file)), draftId: (nextDraftId += 1) };
+          setAttachments((current) => [...current, attachment]);
+        } catch (prepareError) {
+          if (!(prepareError instanceof AttachmentError)) console.error("Error preparing attachment:", prepareError);
+          setError(prepareError instanceof AttachmentError ? prepareError.message : `${file.name} could not be attached.`);
+        }
+      }
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const remove = (draftId) => setAttachments((current) => current.filter((a) => a.draftId !== draftId));
+
+  const clear = () => {
+    setAttachments([]);
+    setError(null);
+  };
+
+  return { attachments, addFiles, remove, clear, error, isPreparing };
+}
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { collection, endBefore, getDocs, limitToLast, onSnapshot, orderBy, query, startAt } from 'firebase/firestore';
+import { appId, db } from '../firebase';
+import { messagesPath } from '../chat/conversations';
+
+export const PAGE_SIZE = 50;
+
+const toMessages = (snapshot) => snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+// Oldest-first messages of one conversation, a page at a time. The latest
+// page is read first; a live listener then follows everything from its oldest
+// message on, so new messages extend it and nothing slides out of view.
+// `loadOlder` reads the page before the oldest one loaded.
+export function useChatMessages(userId, conversationId) {
+  const [liveMessages, setLiveMessages] = useState([]);
+  const [olderMessages, setOlderMessages] = useState([]);
+  const [oldestDoc, setOldestDoc] = useState(null); // Cursor for the next older page
+  const [hasOlder, setHasOlder] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const sourceRef = useRef(null); // Which conversation the pages belong to
+  sourceRef.current = `${userId}/${conversationId}`;
+
+  useEffect(() => {
+    setLiveMessages([]);
+    setOlderMessages([]);
+    setOldestDoc(null);
+    setHasOlder(false);
+    if (!db || !userId || !conversationId) return;
+
+    const byTime = [collection(db, messagesPath(appId, userId, conversationId)), orderBy('timestamp', 'asc')];
+    let cancelled = false;
+    let unsubscribeSnapshot = () => {};
+
+    getDocs(query(...byTime, limitToLast(PAGE_SIZE)))
+      .then((latestPage) => {
+        if (cancelled) return;
+        const anchor = latestPage.docs[0];
+        setOldestDoc(anchor || null);
+        setHasOlder(latestPage.size === PAGE_SIZE);
+        unsubscribeSnapshot = onSnapshot(
+          anchor ? query(...byTime, startAt(anchor)) : query(...byTime),
+          (snapshot) => setLiveMessages(toMessages(snapshot)),
+          (error) => console.error("Error fetching messages:", error)
+        );
+      })
+      .catch((error) => console.error("Error fetching messages:", error));
+
+    return () => {
+      cancelled = true;
+      unsubscribeSnapshot();
+    };
+  }, [userId, conversationId]);
+
+  const loadOlder = useCallback(async () => {
+    if (!hasOlder || isLoadingOlder || !oldestDoc) return;
+
+    const source = sourceRef.current;
+    setIsLoadingOlder(true);
+    try {
+      const page = await getDocs(query(
+        collection(db, messagesPath(appId, userId, conversationId)),
+        orderBy('timestamp', 'asc'),
+        endBefore(oldestDoc),
+        limitToLast(PAGE_SIZE)
+      ));
+      if (sourceRef.current !== source) return; // Switched conversations meanwhile
+      setOlderMessages((current) => [...toMessages(page), ...current]);
+      setOldestDoc(page.docs[0] || oldestDoc);
+      setHasOlder(page.size === PAGE_SIZE);
+    } catch (error) {
+      console.error("Error fetching older messages:", error);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  }, [userId, conversationId, hasOlder, isLoadingOlder, oldestDoc]);
+
+  const messages = useMemo(() => [...olderMessages, ...liveMessages], [olderMessages, liveMessages]);
+
+  return { messages, hasOlder, isLoadingOlder, loadOlder };
+}
@@ -0,0 +1,95 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { messagesPath } from '../chat/conversations';
+import { appId } from '../firebase';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { PAGE_SIZE, useChatMessages } from './useChatMessages';
+
+jest.mock('firebase/app', () => require('../testing/fakeFirebase').appModule);
+jest.mock('firebase/auth', () => require('../testing/fakeFirebase').authModule);
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('../testing/fakeFirebase').storageModule);
+
+const USER_ID = 'ada';
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.signIn(USER_ID);
+});
+
+// Stores `count` messages in `conversationId`, a second apart, named after
+// their place: `${conversationId}-1` is the oldest
+async function storeMessages(conversationId, count, { from = 1 } = {}) {
+  for (let i = from; i < from + count; i++) {
+    await fakeFirebase.setDocument(`${messagesPath(appId, USER_ID, conversationId)}/${conversationId}-${i}`, {
+      text: `Message ${i}`,
+      sender: 'user',
+      timestamp: Timestamp.fromMillis(START + i * 1000),
+      userId: USER_ID,
+    });
+  }
+}
+
+const ids = (messages) => messages.map((message) => message.id);
+
+const renderMessages = (conversationId = 'c1') =>
+  renderHook((props) => useChatMessages(USER_ID, props.conversationId), { initialProps: { conversationId } });
+
+test('reads the latest page and follows the messages added after it', async () => {
+  await storeMessages('c1', PAGE_SIZE + 5);
+  const { result } = renderMessages();
+
+  await waitFor(() => expect(result.current.messages).toHaveLength(PAGE_SIZE));
+  expect(result.current.messages[0].id).toBe('c1-6');
+  expect(result.current.messages[PAGE_SIZE - 1].id).toBe(`c1-${PAGE_SIZE + 5}`);
+  expect(result.current.hasOlder).toBe(true);
+
+  await act(() => storeMessages('c1', 1, { from: PAGE_SIZE + 6 }));
+
+  await waitFor(() => expect(result.current.messages).toHaveLength(PAGE_SIZE + 1));
+  expect(result.current.messages[0].id).toBe('c1-6');
+});
+
+test('has nothing older when the conversation fits on one page', async () => {
+  await storeMessages('c1', 3);
+  const { result } = renderMessages();
+
+  await waitFor(() => expect(ids(result.current.messages)).toEqual(['c1-1', 'c1-2', 'c1-3']));
+  expect(result.current.hasOlder).toBe(false);
+});
+
+test('loads older pages until the first message', async () => {
+  await storeMessages('c1', 2 * PAGE_SIZE + 5);
+  const { result } = renderMessages();
+  await waitFor(() => expect(result.current.messages).toHaveLength(PAGE_SIZE));
+
+  await act(() => result.current.loadOlder());
+
+  expect(result.current.messages).toHaveLength(2 * PAGE_SIZE);
+  expect(result.current.messages[0].id).toBe('c1-6');
+  expect(result.current.hasOlder).toBe(true);
+  expect(result.current.isLoadingOlder).toBe(false);
+
+  await act(() => result.current.loadOlder());
+
+  expect(ids(result.current.messages)).toEqual(Array.from({ length: 2 * PAGE_SIZE + 5 }, (_, i) => `c1-${i + 1}`));
+  expect(result.current.hasOlder).toBe(false);
+});
+
+test('drops an older page that arrives after switching conversations', async () => {
+  await storeMessages('c1', PAGE_SIZE + 5);
+  await storeMessages('c2', 2);
+  const { result, rerender } = renderMessages();
+  await waitFor(() => expect(result.current.hasOlder).toBe(true));
+
+  let loading;
+  act(() => {
+    loading = result.current.loadOlder();
+  });
+  rerender({ conversationId: 'c2' });
+  await act(() => loading);
+
+  await waitFor(() => expect(ids(result.current.messages)).toEqual(['c2-1', 'c2-2']));
+  expect(result.current.hasOlder).toBe(false);
+});
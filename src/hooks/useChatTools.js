@@ -0,0 +1,22 @@
+import { useRef } from 'react';
+import { buildSearchIndex, searchMessages } from '../chat/search';
+import { BUILT_IN_TOOLS } from '../tools';
+
+// The tools replies may call (src/tools) and the context they run with. The
+// first chat history search reads every conversation's messages into `cache`
+// (see useMessageCache), which the search panel shares.
+export function useChatTools({ cache, conversations }) {
+  const conversationsRef = useRef(conversations); // Searches run after renders they didn't see
+  conversationsRef.current = conversations;
+
+  const searchChats = async (query, options) => {
+    const current = conversationsRef.current;
+    await cache.load(current);
+    const entries = current.flatMap((conversation) => cache.messagesOf(conversation.id).map((message) => (
+      { conversationId: conversation.id, conversationTitle: conversation.title, message }
+    )));
+    return searchMessages(buildSearchIndex(entries), query, options);
+  };
+
+  return { tools: BUILT_IN_TOOLS, context: { searchChats } };
+}
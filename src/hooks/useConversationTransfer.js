@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+import { appId, db } from '../firebase';
+import { fetchMessages } from '../chat/conversations';
+import { readConversations, writeUserData } from '../chat/userData';
+import {
+  InvalidExportError,
+  parseExportDocument,
+  toExportDocument,
+  toMarkdown,
+  toUserData,
+} from '../chat/exportFormats';
+
+// Messages still waiting for their server timestamp go last
+const timeOf = (message) => message.timestamp?.toMillis?.() ?? Number.MAX_SAFE_INTEGER;
+
+const slugify = (text) =>
+  (text || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'chat';
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Exports the active conversation or all of them, and imports JSON exports as
+// new conversations. PDF export prints `printItems` (render them with
+// PrintableConversations); the browser's print dialog saves the PDF.
+export function useConversationTransfer({ userId, activeConversation, setActiveConversationId }) {
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [printItems, setPrintItems] = useState(null);
+
+  // Print once the printable page has rendered, and drop it afterwards
+  useEffect(() => {
+    if (!printItems) return;
+    const clear = () => setPrintItems(null);
+    window.addEventListener('afterprint', clear);
+    window.print();
+    return () => window.removeEventListener('afterprint', clear);
+  }, [printItems]);
+
+  // Resolves with whether `task` succeeded
+  const run = async (task) => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await task();
+      return true;
+    } catch (error) {
+      console.error("Export or import failed:", error);
+      setError(error instanceof InvalidExportError ? error.message : 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const loadItems = async (scope) => {
+    if (scope !== 'all') {
+      if (!activeConversation) return [];
+      // The list on screen may hold only the latest pages
+      return [{ conversation: activeConversation, messages: await fetchMessages(db, appId, userId, activeConversation.id) }];
+    }
+    const conversations = await readConversations(db, appId, userId);
+    return conversations.map(({ id, data, messages }) => ({
+      conversation: { id, ...data },
+      messages: messages
+        .map((message) => ({ id: message.id, ...message.data }))
+        .sort((a, b) => timeOf(a) - timeOf(b)),
+    }));
+  };
+
+  // `scope` is 'conversation' or 'all'; `type` is 'markdown', 'json' or 'pdf'.
+  const exportConversations = (scope, type) => run(async () => {
+    const items = await loadItems(scope);
+    if (items.length === 0) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    const name = scope === 'all' ? `chats-${date}` : `${slugify(items[0].conversation.title)}-${date}`;
+    if (type === 'markdown') {
+      downloadFile(`${name}.md`, toMarkdown(items), 'text/markdown');
+    } else if (type === 'json') {
+      downloadFile(`${name}.json`, JSON.stringify(toExportDocument(items), null, 2), 'application/json');
+    } else {
+      setPrintItems(items);
+    }
+  });
+
+  // Adds the conversations in a JSON export and opens the first of them
+  const importFile = (file) => run(async () => {
+    const exported = parseExportDocument(await file.text());
+    const [firstId] = await writeUserData(db, appId, userId, toUserData(exported));
+    if (firstId) setActiveConversationId(firstId);
+  });
+
+  return { exportConversations, importFile, printItems, isBusy, error };
+}
@@ -0,0 +1,48 @@
+import { useEffect, useRef, useState } from 'react';
+import { appId, db } from '../firebase';
+import { migrateLegacyMessages, subscribeToConversations } from '../chat/conversations';
+
+// The user's conversation list, newest first, and the one being shown.
+export function useConversations(userId, isAuthReady) {
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const seenIdsRef = useRef(new Set());
+
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return; // Wait for Firebase auth and userId
+
+    // Move any history from before conversations existed into a "Legacy"
+    // conversation, then listen to the conversation list.
+    let cancelled = false;
+    let unsubscribeConversations = () => {};
+    migrateLegacyMessages(db, appId, userId)
+      .catch((error) => console.error("Error migrating legacy messages:", error))
+      .then(() => {
+        if (cancelled) return;
+        unsubscribeConversations = subscribeToConversations(db, appId, userId, setConversations, (error) => {
+          console.error("Error fetching conversations:", error);
+        });
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribeConversations();
+      // Signing in to another account must not show this one's chats
+      setConversations([]);
+      setActiveConversationId(null);
+    };
+  }, [isAuthReady, userId]);
+
+  // Fall back to the most recent conversation when none (or a deleted one) is
+  // selected. A conversation just created may not be listed yet; it stays.
+  useEffect(() => {
+    conversations.forEach((c) => seenIdsRef.current.add(c.id));
+    if (activeConversationId && !seenIdsRef.current.has(activeConversationId)) return;
+    if (activeConversationId && conversations.some((c) => c.id === activeConversationId)) return;
+    setActiveConversationId(conversations.length > 0 ? conversations[0].id : null);
+  }, [conversations, activeConversationId]);
+
+  const activeConversation = conversations.find((c) => c.id === activeConversationId);
+
+  return { conversations, activeConversation, activeConversationId, setActiveConversationId };
+}
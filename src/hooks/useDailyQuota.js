@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { appId, db } from '../firebase';
+import { msUntilNextDay, subscribeToUsage, usageDay } from '../chat/usage';
+
+// How many of today's `limit` Gemini messages the user has left:
+// { used, limit, remaining }, or null until the count has loaded. Follows the
+// count the chat proxy keeps and moves on to the next day at midnight UTC.
+export function useDailyQuota(userId, isAuthReady, limit) {
+  const [day, setDay] = useState(() => usageDay());
+  const [used, setUsed] = useState(null);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDay(usageDay()), msUntilNextDay() + 1000);
+    return () => clearTimeout(timeout);
+  }, [day]);
+
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return;
+
+    const unsubscribeUsage = subscribeToUsage(db, appId, userId, day, setUsed, (error) => {
+      console.error("Error fetching usage:", error);
+    });
+    return () => {
+      unsubscribeUsage();
+      setUsed(null);
+    };
+  }, [isAuthReady, userId, day]);
+
+  return used === null ? null : { used, limit, remaining: Math.max(0, limit - used) };
+}
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { appId, db } from '../firebase';
+import { subscribeToEntitlements } from '../pi/entitlements';
+
+// The premium plan the server granted after a Pi payment, or null. Stays null
+// when `enabled` is false (variants without the premium feature).
+export function useEntitlements(userId, isAuthReady, enabled) {
+  const [entitlements, setEntitlements] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !isAuthReady || !db || !userId) return;
+
+    const unsubscribeEntitlements = subscribeToEntitlements(db, appId, userId, setEntitlements, (error) => {
+      console.error("Error fetching entitlements:", error);
+    });
+    return () => {
+      unsubscribeEntitlements();
+      setEntitlements(null);
+    };
+  }, [enabled, isAuthReady, userId]);
+
+  return entitlements;
+}
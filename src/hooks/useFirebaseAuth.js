@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from 'react';
+import { onAuthStateChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
+import { auth, initialAuthToken } from '../firebase';
+import { toAccount } from '../auth/accounts';
+import { signInWithPi } from '../pi/piAuth';
+import { completeIncompletePayment } from '../pi/piPayments';
+
+// Signs the user in and reports the Firebase uid once auth has settled.
+// With `piSignIn`, the Firebase user is tied to the Pi identity through a
+// custom token minted by our backend, so chat history follows the Pioneer.
+// Without a Pi identity or a custom token we fall back to anonymous sign-in,
+// also after signing out. `account` describes the signed-in user (see
+// auth/accounts.js); linking changes it without a new auth state, hence
+// `refreshAccount`.
+export function useFirebaseAuth({ piSignIn = false } = {}) {
+  const [userId, setUserId] = useState(null); // Firebase uid; `pi:<Pi uid>` when signed in through the Pi Browser
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [piUser, setPiUser] = useState(null);
+  const [account, setAccount] = useState(null);
+
+  useEffect(() => {
+    if (!auth) return;
+
+    const piSignInResult = !piSignIn || initialAuthToken
+      ? Promise.resolve(null)
+      : signInWithPi(auth, { onIncompletePaymentFound: completeIncompletePayment })
+        .then((user) => {
+          if (user) {
+            setPiUser(user);
+            console.log("Authenticated with Pi Network:", user.username);
+          } else {
+            console.warn("Pi SDK not available in this environment. Running as a standalone web app.");
+          }
+          return user;
+        })
+        .catch((error) => {
+          console.error("Pi Network sign-in failed, continuing anonymously:", error);
+          return null;
+        });
+
+    const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
+      setAccount(toAccount(user));
+      if (user) {
+        setUserId(user.uid);
+      } else {
+        setUserId(null);
+        if (!initialAuthToken && !(await piSignInResult)) {
+          try {
+            await signInAnonymously(auth);
+            console.log("Signed in anonymously");
+          } catch (error) {
+            console.error("Anonymous sign-in failed:", error);
+          }
+        }
+      }
+      setIsAuthReady(true);
+    });
+
+    if (initialAuthToken) {
+      signInWithCustomToken(auth, initialAuthToken)
+        .then((userCredential) => {
+          console.log("Signed in with custom token:", userCredential.user.uid);
+        })
+        .catch((error) => {
+          console.error("Custom token sign-in failed:", error);
+          signInAnonymously(auth)
+            .then(() => console.log("Signed in anonymously after custom token failure"))
+            .catch((anonError) => console.error("Anonymous sign-in fallback failed:", anonError));
+        });
+    }
+
+    return () => unsubscribeAuth();
+  }, [piSignIn]);
+
+  const refreshAccount = useCallback(() => setAccount(toAccount(auth?.currentUser)), []);
+
+  return { userId, isAuthReady, piUser, account, refreshAccount };
+}
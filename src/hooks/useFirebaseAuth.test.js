@@ -0,0 +1,69 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { signOut } from 'firebase/auth';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { useFirebaseAuth } from './useFirebaseAuth';
+
+jest.mock('firebase/auth', () => require('../testing/fakeFirebase').authModule);
+jest.mock('../firebase', () => ({
+  get auth() {
+    return require('../testing/fakeFirebase').fakeFirebase.auth;
+  },
+  get initialAuthToken() {
+    return mockInitialAuthToken;
+  },
+}));
+
+let mockInitialAuthToken;
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  mockInitialAuthToken = undefined;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+test('signs in anonymously without a custom token', async () => {
+  const { result } = renderHook(() => useFirebaseAuth());
+
+  await waitFor(() => expect(result.current.userId).toBe('anon-1'));
+  expect(result.current.isAuthReady).toBe(true);
+  expect(result.current.account).toMatchObject({ isAnonymous: true });
+});
+
+test('signs in with the custom token', async () => {
+  mockInitialAuthToken = 'token-for-ada';
+  fakeFirebase.addCustomToken('token-for-ada', 'ada');
+
+  const { result } = renderHook(() => useFirebaseAuth());
+
+  await waitFor(() => expect(result.current.userId).toBe('ada'));
+  expect(fakeFirebase.currentUser.isAnonymous).toBe(false);
+});
+
+test('falls back to anonymous sign-in when the custom token is rejected', async () => {
+  mockInitialAuthToken = 'expired-token';
+
+  const { result } = renderHook(() => useFirebaseAuth());
+
+  await waitFor(() => expect(result.current.userId).toBe('anon-1'));
+  expect(console.error).toHaveBeenCalledWith('Custom token sign-in failed:', expect.objectContaining({ code: 'auth/invalid-custom-token' }));
+});
+
+test('is ready without a user when anonymous sign-in fails', async () => {
+  fakeFirebase.failAnonymousSignIn();
+
+  const { result } = renderHook(() => useFirebaseAuth());
+
+  await waitFor(() => expect(result.current.isAuthReady).toBe(true));
+  expect(result.current.userId).toBeNull();
+  expect(fakeFirebase.currentUser).toBeNull();
+});
+
+test('signs in anonymously again after signing out', async () => {
+  const { result } = renderHook(() => useFirebaseAuth());
+  await waitFor(() => expect(result.current.userId).toBe('anon-1'));
+
+  await act(() => signOut(fakeFirebase.auth));
+
+  await waitFor(() => expect(result.current.userId).toBe('anon-2'));
+});
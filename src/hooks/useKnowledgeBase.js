@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from 'react';
+import { appId, auth, db } from '../firebase';
+import { getEmbeddingBackend } from '../embeddings';
+import {
+  MAX_DOCUMENTS,
+  KnowledgeError,
+  addKnowledgeDocument,
+  checkKnowledgeFile,
+  deleteKnowledgeDocument,
+  fetchChunks,
+  subscribeToKnowledge,
+} from '../knowledge/knowledgeBase';
+import { hasDeploymentDocs, loadDeploymentChunks } from '../knowledge/deploymentDocs';
+import { rankChunks } from '../knowledge/retrieval';
+
+const embedOptions = () => ({ getIdToken: () => auth.currentUser?.getIdToken() });
+
+// The user's knowledge base (knowledge/knowledgeBase.js) plus the documents
+// that come with the deployment (knowledge/deploymentDocs.js). `findSources`
+// embeds a question and resolves with the chunks that match it best, as
+// { chunk, score }. Chunks embedded by another backend than the current one
+// can't be compared and are left out.
+export function useKnowledgeBase(userId, isAuthReady) {
+  const backend = getEmbeddingBackend();
+  const [documents, setDocuments] = useState([]);
+  const [sharedChunks, setSharedChunks] = useState([]);
+  const [adding, setAdding] = useState([]); // Names of the files being added
+  const [error, setError] = useState(null);
+  const chunksRef = useRef(new Map()); // documentId -> chunks; documents never change
+  const documentsRef = useRef(documents); // findSources runs after renders it didn't see
+  documentsRef.current = documents;
+  const sharedChunksRef = useRef(sharedChunks);
+  sharedChunksRef.current = sharedChunks;
+
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return;
+
+    chunksRef.current = new Map();
+    const unsubscribe = subscribeToKnowledge(db, appId, userId, setDocuments, (snapshotError) => {
+      console.error("Error fetching the knowledge base:", snapshotError);
+    });
+    return () => {
+      unsubscribe();
+      setDocuments([]);
+    };
+  }, [isAuthReady, userId]);
+
+  useEffect(() => {
+    if (!isAuthReady || !userId || !hasDeploymentDocs()) return;
+
+    let cancelled = false;
+    loadDeploymentChunks(getEmbeddingBackend(), embedOptions())
+      .then((chunks) => {
+        if (!cancelled) setSharedChunks(chunks);
+      })
+      .catch((loadError) => console.error("Error loading the deployment's documents:", loadError));
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthReady, userId]);
+
+  // The stored chunks of the user's documents that `backend` can search
+  const loadUserChunks = async () => {
+    const searchable = documentsRef.current.filter((entry) => entry.backend === backend.id);
+    const lists = await Promise.all(searchable.map(async (entry) => {
+      if (!chunksRef.current.has(entry.id)) {
+        const chunks = await fetchChunks(db, appId, userId, entry.id);
+        chunksRef.current.set(entry.id, chunks.map((chunk) => ({ ...chunk, documentId: entry.id, title: entry.title })));
+      }
+      return chunksRef.current.get(entry.id);
+    }));
+    return lists.flat();
+  };
+
+  const findSources = async (question) => {
+    const hasUserDocuments = documentsRef.current.some((entry) => entry.backend === backend.id);
+    if (!question?.trim() || (!hasUserDocuments && sharedChunksRef.current.length === 0)) return [];
+
+    const [chunks, [queryVector]] = await Promise.all([
+      loadUserChunks(),
+      backend.embed([question], { ...embedOptions(), taskType: 'query' }),
+    ]);
+    return rankChunks(queryVector, [...chunks, ...sharedChunksRef.current], { minScore: backend.minScore });
+  };
+
+  // Adds text or Markdown files one at a time; the first failure stops the rest.
+  const addFiles = async (files) => {
+    setError(null);
+    const pending = [...files];
+    setAdding(pending.map((file) => file.name));
+    try {
+      for (const file of pending) {
+        checkKnowledgeFile(file);
+        if (documentsRef.current.length >= MAX_DOCUMENTS) {
+          throw new KnowledgeError(`The knowledge base holds at most ${MAX_DOCUMENTS} documents.`);
+        }
+        const text = await file.text();
+        await addKnowledgeDocument(db, appId, userId, { text, fileName: file.name, size: file.size }, backend, embedOptions());
+        setAdding((names) => names.slice(1));
+      }
+    } catch (addError) {
+      console.error("Error adding to the knowledge base:", addError);
+      setError(addError instanceof KnowledgeError ? addError.message : `Couldn't add the file: ${addError.message}`);
+    } finally {
+      setAdding([]);
+    }
+  };
+
+  const removeDocument = (documentId) => {
+    chunksRef.current.delete(documentId);
+    return deleteKnowledgeDocument(db, appId, userId, documentId);
+  };
+
+  return {
+    backend,
+    documents,
+    sharedDocumentCount: new Set(sharedChunks.map((chunk) => chunk.documentId)).size,
+    adding,
+    error,
+    findSources,
+    addFiles,
+    removeDocument,
+  };
+}
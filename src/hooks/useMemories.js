@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from 'react';
+import { appId, auth, db } from '../firebase';
+import {
+  MAX_MEMORIES,
+  createMemory,
+  deleteAllMemories,
+  deleteMemory,
+  extractionRequest,
+  isKnownMemory,
+  isWorthExtracting,
+  parseExtractedMemories,
+  subscribeToMemories,
+  updateMemory,
+} from '../chat/memories';
+import { getProvider } from '../providers';
+
+// What the companion remembers about the user (see chat/memories.js), and
+// `learnFrom` to look for new facts in a message the user sent. Learning
+// happens in the background; a failure only means nothing new is kept.
+export function useMemories(userId, isAuthReady) {
+  const [memories, setMemories] = useState([]);
+  const memoriesRef = useRef(memories); // learnFrom runs after renders it didn't see
+  memoriesRef.current = memories;
+
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return;
+
+    const unsubscribeMemories = subscribeToMemories(db, appId, userId, setMemories, (error) => {
+      console.error("Error fetching memories:", error);
+    });
+    return () => {
+      unsubscribeMemories();
+      setMemories([]);
+    };
+  }, [isAuthReady, userId]);
+
+  // Asks the conversation's provider for new facts in `text`.
+  const learnFrom = async ({ text, providerId }) => {
+    if (!userId || !isWorthExtracting(text) || memoriesRef.current.length >= MAX_MEMORIES) return;
+
+    try {
+      const reply = await getProvider(providerId).send({
+        ...extractionRequest(text, memoriesRef.current),
+        purpose: 'memory',
+        getIdToken: () => auth.currentUser?.getIdToken(),
+      });
+      const found = parseExtractedMemories(reply)
+        .filter((memory) => !isKnownMemory(memoriesRef.current, memory.text))
+        .slice(0, MAX_MEMORIES - memoriesRef.current.length);
+      await Promise.all(found.map((memory) => createMemory(db, appId, userId, memory)));
+    } catch (error) {
+      console.warn("Couldn't update the memories:", error);
+    }
+  };
+
+  const saveMemory = (memoryId, fields) =>
+    (memoryId ? updateMemory(db, appId, userId, memoryId, fields) : createMemory(db, appId, userId, fields));
+
+  const removeMemory = (memoryId) => deleteMemory(db, appId, userId, memoryId);
+
+  const forgetAll = () => deleteAllMemories(db, appId, userId);
+
+  return { memories, learnFrom, saveMemory, removeMemory, forgetAll };
+}
@@ -0,0 +1,58 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { appId, db } from '../firebase';
+import { fetchMessages } from '../chat/conversations';
+
+const updatedAtKey = (conversation) => conversation.updatedAt?.toMillis?.() ?? null;
+
+// Every message of the user's conversations, for the searches that look
+// through all of them. App makes one and hands it to both the search panel
+// (useMessageSearch) and the chat history tool (useChatTools), so each
+// conversation's messages are read once, and again only after its `updatedAt`
+// changes. The cache is a new object with a new `version` whenever a read
+// lands, so it can be a dependency of what is built from its messages.
+export function useMessageCache(userId) {
+  const cacheRef = useRef(new Map()); // conversationId -> { key, messages }
+  const readsRef = useRef(new Map()); // conversationId -> { key, promise } of reads in flight
+  const [version, setVersion] = useState(0); // Bumped by every read that lands
+
+  // A different user starts from an empty cache
+  useEffect(() => {
+    cacheRef.current = new Map();
+    readsRef.current = new Map();
+  }, [userId]);
+
+  return useMemo(() => {
+    const isStale = (conversation) => {
+      const cached = cacheRef.current.get(conversation.id);
+      return !cached || cached.key !== updatedAtKey(conversation);
+    };
+
+    return {
+      version,
+      isStale,
+      messagesOf: (conversationId) => cacheRef.current.get(conversationId)?.messages || [],
+      // Reads the conversations whose messages are missing or out of date,
+      // joining reads already under way
+      load: (conversations) => {
+        const cache = cacheRef.current;
+        const reads = readsRef.current;
+        return Promise.all(conversations.filter(isStale).map((conversation) => {
+          const key = updatedAtKey(conversation);
+          const read = reads.get(conversation.id);
+          if (read?.key === key) return read.promise;
+
+          const promise = fetchMessages(db, appId, userId, conversation.id)
+            .then((messages) => {
+              cache.set(conversation.id, { key, messages });
+              setVersion((current) => current + 1);
+            })
+            .finally(() => {
+              if (reads.get(conversation.id)?.promise === promise) reads.delete(conversation.id);
+            });
+          reads.set(conversation.id, { key, promise });
+          return promise;
+        }));
+      },
+    };
+  }, [userId, version]);
+}
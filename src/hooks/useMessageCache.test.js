@@ -0,0 +1,70 @@
+import { act, renderHook } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import * as conversationsModule from '../chat/conversations';
+import { messagesPath } from '../chat/conversations';
+import { appId } from '../firebase';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { useMessageCache } from './useMessageCache';
+
+jest.mock('firebase/app', () => require('../testing/fakeFirebase').appModule);
+jest.mock('firebase/auth', () => require('../testing/fakeFirebase').authModule);
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('../testing/fakeFirebase').storageModule);
+
+const USER_ID = 'ada';
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.signIn(USER_ID);
+});
+
+const conversationAt = (millis) => ({ id: 'c1', title: 'Names', updatedAt: Timestamp.fromMillis(millis) });
+
+const storeMessage = (id, text) => fakeFirebase.setDocument(`${messagesPath(appId, USER_ID, 'c1')}/${id}`, {
+  text,
+  sender: 'user',
+  timestamp: Timestamp.now(),
+  userId: USER_ID,
+});
+
+const texts = (cache) => cache.messagesOf('c1').map((message) => message.text);
+
+test('reads a conversation again only once it has changed', async () => {
+  await storeMessage('m1', 'My name is Ada');
+  const { result } = renderHook(() => useMessageCache(USER_ID));
+
+  await act(() => result.current.load([conversationAt(1000)]));
+  expect(texts(result.current)).toEqual(['My name is Ada']);
+
+  await storeMessage('m2', 'I like maths');
+  expect(result.current.isStale(conversationAt(1000))).toBe(false);
+  await act(() => result.current.load([conversationAt(1000)]));
+  expect(texts(result.current)).toEqual(['My name is Ada']);
+
+  expect(result.current.isStale(conversationAt(2000))).toBe(true);
+  await act(() => result.current.load([conversationAt(2000)]));
+  expect(texts(result.current)).toEqual(['My name is Ada', 'I like maths']);
+});
+
+test('starts empty for a different user', async () => {
+  await storeMessage('m1', 'My name is Ada');
+  const { result, rerender } = renderHook(({ userId }) => useMessageCache(userId), { initialProps: { userId: USER_ID } });
+  await act(() => result.current.load([conversationAt(1000)]));
+
+  rerender({ userId: 'grace' });
+
+  expect(result.current.messagesOf('c1')).toEqual([]);
+  expect(result.current.isStale(conversationAt(1000))).toBe(true);
+});
+
+test('reads a conversation once when both searches load it at the same time', async () => {
+  await storeMessage('m1', 'My name is Ada');
+  const fetchMessages = jest.spyOn(conversationsModule, 'fetchMessages');
+  const { result } = renderHook(() => useMessageCache(USER_ID));
+
+  await act(() => Promise.all([result.current.load([conversationAt(1000)]), result.current.load([conversationAt(1000)])]));
+
+  expect(fetchMessages).toHaveBeenCalledTimes(1);
+  expect(texts(result.current)).toEqual(['My name is Ada']);
+  fetchMessages.mockRestore();
+});
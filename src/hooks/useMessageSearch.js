@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { db } from '../firebase';
+import { buildSearchIndex } from '../chat/search';
+
+// The search index over all of the user's messages, built while `enabled`
+// (the search panel is open) from the messages `cache` keeps (see
+// useMessageCache). For the active conversation the live listener's messages
+// (`activeMessages`, the latest pages) are laid over that, so replies arriving
+// meanwhile are found too.
+export function useMessageSearch({ cache, userId, conversations, activeConversationId, activeMessages, enabled }) {
+  const [isIndexing, setIsIndexing] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || !db || !userId || !conversations.some(cache.isStale)) return;
+
+    let cancelled = false;
+    setIsIndexing(true);
+    cache.load(conversations)
+      .catch((error) => console.error("Error loading messages for search:", error))
+      .finally(() => {
+        if (!cancelled) setIsIndexing(false);
+      });
+
+    return () => {
+      cancelled = true;
+      setIsIndexing(false);
+    };
+  }, [enabled, userId, conversations, cache]);
+
+  // The messages the index holds for one conversation, e.g. to reveal a result
+  const messagesOf = useCallback((conversationId) => {
+    const cached = cache.messagesOf(conversationId);
+    if (conversationId !== activeConversationId) return cached;
+    const liveIds = new Set(activeMessages.map((m) => m.id));
+    return [...cached.filter((m) => !liveIds.has(m.id)), ...activeMessages];
+  }, [cache, activeConversationId, activeMessages]);
+
+  const index = useMemo(() => {
+    if (!enabled) return null;
+    const entries = [];
+    conversations.forEach((conversation) => {
+      messagesOf(conversation.id).forEach((message) => {
+        entries.push({ conversationId: conversation.id, conversationTitle: conversation.title, message });
+      });
+    });
+    return buildSearchIndex(entries);
+  }, [enabled, conversations, messagesOf]);
+
+  return { index, isIndexing, messagesOf };
+}
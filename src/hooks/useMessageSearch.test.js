@@ -0,0 +1,71 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { messagesPath } from '../chat/conversations';
+import { searchMessages } from '../chat/search';
+import { appId } from '../firebase';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { useMessageCache } from './useMessageCache';
+import { useMessageSearch } from './useMessageSearch';
+
+jest.mock('firebase/app', () => require('../testing/fakeFirebase').appModule);
+jest.mock('firebase/auth', () => require('../testing/fakeFirebase').authModule);
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('../testing/fakeFirebase').storageModule);
+
+const USER_ID = 'ada';
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.signIn(USER_ID);
+});
+
+const storeMessage = (conversationId, id, text) => fakeFirebase.setDocument(`${messagesPath(appId, USER_ID, conversationId)}/${id}`, {
+  text,
+  sender: 'user',
+  timestamp: Timestamp.now(),
+  userId: USER_ID,
+});
+
+const conversation = (id, title) => ({ id, title, updatedAt: Timestamp.fromMillis(1000) });
+
+const renderSearch = (props) => renderHook(({ enabled, activeMessages }) => useMessageSearch({
+  cache: useMessageCache(USER_ID),
+  userId: USER_ID,
+  conversations: [conversation('c1', 'Names'), conversation('c2', 'Hobbies')],
+  activeConversationId: 'c1',
+  activeMessages,
+  enabled,
+}), { initialProps: { enabled: true, activeMessages: [], ...props } });
+
+const foundTexts = (index, query) => searchMessages(index, query).map((result) => result.message.text);
+
+test('indexes every conversation once their messages are read', async () => {
+  await storeMessage('c1', 'm1', 'My name is Ada');
+  await storeMessage('c2', 'm2', 'I like maths');
+  const { result } = renderSearch();
+
+  expect(result.current.isIndexing).toBe(true);
+  await waitFor(() => expect(result.current.isIndexing).toBe(false));
+
+  expect(foundTexts(result.current.index, 'maths')).toEqual(['I like maths']);
+  expect(foundTexts(result.current.index, 'Ada')).toEqual(['My name is Ada']);
+});
+
+test('finds the active conversation\'s live messages too', async () => {
+  await storeMessage('c1', 'm1', 'My name is Ada');
+  const { result, rerender } = renderSearch();
+  await waitFor(() => expect(result.current.isIndexing).toBe(false));
+
+  const live = { id: 'm3', text: 'Call me Countess', sender: 'user', timestamp: Timestamp.now() };
+  rerender({ enabled: true, activeMessages: [live] });
+
+  expect(foundTexts(result.current.index, 'countess')).toEqual(['Call me Countess']);
+  expect(result.current.messagesOf('c1').map((message) => message.id)).toEqual(['m1', 'm3']);
+});
+
+test('builds no index while the search panel is closed', () => {
+  const { result } = renderSearch({ enabled: false });
+
+  expect(result.current.index).toBeNull();
+  expect(result.current.isIndexing).toBe(false);
+});
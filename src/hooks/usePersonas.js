@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { appId, db } from '../firebase';
+import { BUILT_IN_PERSONAS, subscribeToPersonas } from '../chat/personas';
+
+// The built-in personas followed by the user's own.
+export function usePersonas(userId, isAuthReady) {
+  const [customPersonas, setCustomPersonas] = useState([]);
+
+  useEffect(() => {
+    if (!isAuthReady || !db || !userId) return;
+
+    const unsubscribePersonas = subscribeToPersonas(db, appId, userId, setCustomPersonas, (error) => {
+      console.error("Error fetching personas:", error);
+    });
+    return () => {
+      unsubscribePersonas();
+      setCustomPersonas([]);
+    };
+  }, [isAuthReady, userId]);
+
+  return [...BUILT_IN_PERSONAS, ...customPersonas];
+}
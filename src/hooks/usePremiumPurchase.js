@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import { auth } from '../firebase';
+import { PaymentCancelledError, purchasePremium } from '../pi/piPayments';
+
+// Starts the Pi payment for the premium plan. The entitlements listener picks
+// up the new plan once the server grants it, so nothing is returned here.
+export function usePremiumPurchase() {
+  const [isPurchasing, setIsPurchasing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const purchase = async () => {
+    setError(null);
+    setIsPurchasing(true);
+    try {
+      await purchasePremium({ getIdToken: () => auth.currentUser.getIdToken() });
+    } catch (error) {
+      if (!(error instanceof PaymentCancelledError)) {
+        console.error("Pi Payment failed:", error);
+        setError("The payment didn't go through. Please try again.");
+      }
+    } finally {
+      setIsPurchasing(false);
+    }
+  };
+
+  return { purchase, isPurchasing, error };
+}
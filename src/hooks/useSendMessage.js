@@ -0,0 +1,420 @@
+import { useEffect, useRef, useState } from 'react';
+import { collection, doc, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+import { appId, auth, db, storage } from '../firebase';
+import { arrayBufferToBase64, downloadAttachment, uploadAttachment, withAttachmentData } from '../chat/attachments';
+import { buildChatHistory } from '../chat/history';
+import { selectBranchField } from '../chat/branches';
+import {
+  createConversation,
+  fetchEarlierMessages,
+  generateTitle,
+  messagesPath,
+  newConversationId,
+  touchConversation,
+  updateConversation,
+} from '../chat/conversations';
+import { ERROR_MESSAGE_TYPE, SYSTEM_SENDER, describeError, errorCodeOf, isOffline } from '../chat/errors';
+import { selectRelevantMemories, withMemories } from '../chat/memories';
+import { toGenerationRequest } from '../chat/personas';
+import { ERROR_CODES, ProviderError, getProvider, isAbortError } from '../providers';
+import { withRetry } from '../providers/retry';
+import { sourcesOf, withSources } from '../knowledge/retrieval';
+import { MAX_STORED_TOOL_CALLS, replyWithTools } from '../tools';
+import { addTokenUsage, msUntilNextDay } from '../chat/usage';
+import { PAGE_SIZE } from './useChatMessages';
+
+// Saves the user's message, streams the reply from the conversation's provider
+// and saves that too. `thread` is the branch on screen (see chat/branches.js),
+// oldest first: new messages continue it and only it is sent as history,
+// together with the earlier messages of the branch that aren't loaded
+// (`hasOlderMessages`, see useChatMessages).
+// `plan` sets the history budget and Gemini model; `persona` the system
+// instruction and generation settings. A failed reply is saved as an error
+// message that `retryMessage` can turn into a reply later.
+//
+// Offline, user messages are still saved (to Firestore's local cache) but
+// marked `pending`; once `isOnline` is back, pending messages at the end of
+// the thread on screen are answered.
+//
+// Attachments (prepared by useAttachmentDraft) are uploaded to Storage with
+// the message and sent to the model as inline data.
+//
+// `quota` (see useDailyQuota) stops Gemini calls once the day's messages are
+// used up, sparing a request the proxy would refuse. Replies keep the tokens
+// they took as `usage`.
+//
+// The `memories` relevant to the user's message go with the system
+// instruction, and once a new message has its reply `onReplied` gets
+// { text, providerId } to learn from it (see useMemories).
+//
+// The model may call `tools` (see src/tools) while it replies, with
+// `toolContext` as their context; the calls made are shown while the reply
+// streams in (`streamingToolCalls`) and saved with it as `toolCalls`.
+//
+// The `knowledge` base excerpts that match the user's message (see
+// useKnowledgeBase) go with the system instruction too, and the reply keeps
+// them as its `sources`.
+export function useSendMessage({
+  userId,
+  piUser,
+  conversations,
+  activeConversationId,
+  setActiveConversationId,
+  thread,
+  hasOlderMessages = false,
+  plan,
+  persona,
+  isOnline,
+  quota,
+  memories = [],
+  onReplied,
+  tools = [],
+  toolContext,
+  knowledge,
+}) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState(null); // Partial AI reply while it streams in
+  const [streamingToolCalls, setStreamingToolCalls] = useState([]); // Tools the reply has called so far
+  const abortControllerRef = useRef(null);
+  const attachmentDataRef = useRef(new Map()); // storagePath -> base64, so files are read once
+
+  // Only the conversation on screen is sent, so only its files are worth keeping
+  useEffect(() => {
+    attachmentDataRef.current = new Map();
+  }, [userId, activeConversationId]);
+
+  // Stop any in-flight stream when the component unmounts
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Firestore applies writes to its local cache at once but only settles the
+  // promise when the server has them, which offline means never. Replies and
+  // errors are therefore written without waiting, and failures only logged.
+  const writeInBackground = (write, what) => {
+    write.catch((error) => console.error(`Error saving ${what}:`, error));
+  };
+
+  const saveErrorMessage = (messageRef, parentId, error, timestamp) => {
+    writeInBackground(setDoc(messageRef, {
+      parentId,
+      text: describeError(error),
+      sender: SYSTEM_SENDER,
+      type: ERROR_MESSAGE_TYPE,
+      errorCode: errorCodeOf(error),
+      timestamp,
+      userId: userId,
+    }), 'the error message');
+  };
+
+  // A file that can't be read is sent by name only rather than failing the reply.
+  const loadAttachmentData = async (attachment) => {
+    const cache = attachmentDataRef.current;
+    if (!cache.has(attachment.storagePath)) {
+      try {
+        cache.set(attachment.storagePath, await downloadAttachment(storage, attachment));
+      } catch (error) {
+        console.error(`Error reading the attachment ${attachment.name}:`, error);
+        return null;
+      }
+    }
+    return cache.get(attachment.storagePath);
+  };
+
+  const uploadAll = (conversationId, attachments) => Promise.all(attachments.map(async (attachment) => {
+    if (!attachment.blob) return attachment; // Already stored, e.g. when editing
+    const stored = await uploadAttachment(storage, appId, userId, conversationId, attachment);
+    attachmentDataRef.current.set(stored.storagePath, arrayBufferToBase64(await attachment.blob.arrayBuffer()));
+    return stored;
+  }));
+
+  // `history` preceded by the messages of its branch that came before the
+  // oldest one loaded, as many as the plan's history budget has room for.
+  // Without them the reply can still be given from what is loaded.
+  const withEarlierMessages = async (conversationId, history) => {
+    const maxChars = plan.historyCharBudget - history.reduce((sum, message) => sum + (message.text || '').length, 0);
+    if (!hasOlderMessages || maxChars <= 0) return history;
+    try {
+      const earlier = await fetchEarlierMessages(db, appId, userId, conversationId, history[0].id, { maxChars, pageSize: PAGE_SIZE });
+      return [...earlier, ...history];
+    } catch (error) {
+      console.warn('Error reading the earlier messages:', error);
+      return history;
+    }
+  };
+
+  // Streams the reply to `history` (stored messages ending with the user's
+  // turn) and writes it, or the error, to `messageRef`. Resolves with whether
+  // a reply was written.
+  const streamReply = async (conversation, history, messageRef, timestamp) => {
+    const parentId = history[history.length - 1].id;
+    const fullHistory = await withEarlierMessages(messageRef.parent.parent.id, history);
+    const chatHistory = buildChatHistory(await withAttachmentData(fullHistory, loadAttachmentData), { maxChars: plan.historyCharBudget });
+    const provider = getProvider(conversation?.provider);
+    const generationRequest = toGenerationRequest(persona);
+    const question = history[history.length - 1].text;
+    const memoryInstruction = withMemories(generationRequest.systemInstruction, selectRelevantMemories(memories, question));
+
+    // Stream the reply into a temporary bubble until it is complete
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setStreamingText('');
+
+    let aiResponseText = '';
+    let toolCalls = [];
+    let tokenUsage = null;
+    let sources = [];
+    let interrupted = false;
+    try {
+      if (provider.id === 'gemini' && quota?.remaining === 0) {
+        throw new ProviderError(`All ${quota.limit} messages for today are used`, {
+          code: ERROR_CODES.QUOTA,
+          provider: provider.id,
+          retryAfterMs: msUntilNextDay(),
+        });
+      }
+      // A reply without the knowledge base beats no reply
+      let matches = [];
+      try {
+        matches = (await knowledge?.findSources(question)) || [];
+      } catch (error) {
+        console.warn('Error searching the knowledge base:', error);
+      }
+      sources = sourcesOf(matches);
+      const systemInstruction = withSources(memoryInstruction, matches);
+      // One model turn; a reply that calls tools takes several
+      const streamRound = ({ onText, ...request }) => {
+        let roundText = '';
+        return withRetry(() => provider.stream({
+          ...generationRequest,
+          systemInstruction,
+          ...request,
+          ...(provider.id === 'gemini' && { model: plan.geminiModel }), // Premium gets the better model
+          signal: controller.signal,
+          getIdToken: () => auth.currentUser?.getIdToken(),
+          onText: (text) => {
+            roundText = text;
+            onText(text);
+          },
+          onUsage: (usage) => {
+            tokenUsage = addTokenUsage(tokenUsage, usage);
+          },
+        }), {
+          signal: controller.signal,
+          shouldRetry: () => roundText === '', // Never restart a reply the user is already reading
+          onRetry: (error, attempt, delay) => console.warn(`Retrying the reply (attempt ${attempt}) in ${delay} ms:`, error),
+        });
+      };
+      const reply = await replyWithTools(streamRound, {
+        contents: chatHistory,
+        tools,
+        context: { ...toolContext, now: new Date() },
+        onText: (text) => {
+          aiResponseText = text;
+          setStreamingText(text);
+        },
+        onToolCalls: (calls) => {
+          toolCalls = calls.filter((call) => call.response);
+          setStreamingToolCalls(calls);
+        },
+      });
+      aiResponseText = reply.text;
+      if (aiResponseText === '') {
+        throw new ProviderError('The reply was empty', { code: ERROR_CODES.BAD_RESPONSE, provider: provider.id });
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        if (isOffline()) {
+          // Lost the connection: queue the question instead of failing it
+          writeInBackground(updateDoc(doc(messageRef.parent, parentId), { pending: true }), 'the pending state');
+          return false;
+        }
+        console.error("Error getting AI response:", error);
+        saveErrorMessage(messageRef, parentId, error, timestamp);
+        return false;
+      }
+      if (aiResponseText === '') return false; // Stopped before any text arrived
+      interrupted = true;
+    }
+
+    writeInBackground(setDoc(messageRef, {
+      parentId,
+      text: aiResponseText,
+      sender: 'ai',
+      timestamp,
+      userId: userId,
+      ...(tokenUsage && { usage: tokenUsage }),
+      ...(toolCalls.length > 0 && { toolCalls: toolCalls.slice(0, MAX_STORED_TOOL_CALLS) }),
+      ...(sources.length > 0 && { sources }),
+      ...(interrupted && { interrupted: true }) // Partial reply kept after the user pressed Stop
+    }), 'the reply');
+    return true;
+  };
+
+  const runExclusive = async (task) => {
+    setIsLoading(true);
+    try {
+      await task();
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingText(null);
+      setStreamingToolCalls([]);
+      setIsLoading(false);
+    }
+  };
+
+  // Writes a user message under `parentId` and streams the reply to it, or
+  // queues it as pending while offline. `history` is the thread up to the parent.
+  const postUserMessage = async (text, parentId, history, { onSaved, selectBranch = false, attachments = [] } = {}) => {
+    const queue = !isOnline;
+    const save = (write, what) => (queue ? writeInBackground(write, what) : write);
+    let conversationId = activeConversationId;
+    try {
+      // Start a conversation on the first message if none is selected
+      if (!conversationId) {
+        conversationId = newConversationId(db, appId, userId);
+        setActiveConversationId(conversationId);
+        await save(createConversation(db, appId, userId, { id: conversationId, personaId: persona.id }), 'the conversation');
+      }
+
+      const storedAttachments = await uploadAll(conversationId, attachments);
+      const chatCollectionRef = collection(db, messagesPath(appId, userId, conversationId));
+      const userMessageRef = doc(chatCollectionRef);
+      await save(setDoc(userMessageRef, {
+        parentId,
+        text,
+        ...(storedAttachments.length > 0 && { attachments: storedAttachments }),
+        sender: 'user',
+        timestamp: serverTimestamp(),
+        userId: userId,
+        ...(piUser && { piUsername: piUser.username }),
+        ...(queue && { pending: true }) // Answered once the connection is back
+      }), 'the message');
+
+      // Bump the conversation in the sidebar; its first message also names it.
+      // An edit becomes the branch on screen.
+      const conversation = conversations.find((c) => c.id === conversationId);
+      const needsTitle = history.length === 0 && !selectBranch && (!conversation || conversation.autoTitle);
+      await save(touchConversation(db, appId, userId, conversationId, {
+        ...(needsTitle && { title: generateTitle(text || storedAttachments[0]?.name), autoTitle: false }),
+        ...(selectBranch && selectBranchField(parentId, userMessageRef.id)),
+      }), 'the conversation');
+
+      onSaved?.();
+      if (queue) return;
+
+      const userMessage = { id: userMessageRef.id, text, attachments: storedAttachments, sender: 'user' };
+      if (await streamReply(conversation, [...history, userMessage], doc(chatCollectionRef), serverTimestamp())) {
+        onReplied?.({ text, providerId: conversation?.provider });
+      }
+    } catch (error) {
+      // Only Firestore writes and uploads get here; provider failures are handled in streamReply
+      console.error("Error sending message:", error);
+      if (conversationId) {
+        saveErrorMessage(doc(collection(db, messagesPath(appId, userId, conversationId))), parentId, error, serverTimestamp());
+      }
+    }
+  };
+
+  // Answers the pending messages at the end of the thread, sent while offline.
+  const answerPendingMessages = () => {
+    const conversation = conversations.find((c) => c.id === activeConversationId);
+    const chatCollectionRef = collection(db, messagesPath(appId, userId, activeConversationId));
+    return runExclusive(async () => {
+      const pending = thread.filter((message) => message.pending);
+      pending.forEach((message) => writeInBackground(updateDoc(doc(chatCollectionRef, message.id), { pending: false }), 'the pending state'));
+      try {
+        if (await streamReply(conversation, thread, doc(chatCollectionRef), serverTimestamp())) {
+          onReplied?.({ text: pending.map((message) => message.text).join('\n\n'), providerId: conversation?.provider });
+        }
+      } catch (error) {
+        console.error("Error answering pending messages:", error);
+      }
+    });
+  };
+
+  // The effect below must call the latest closure, not the one it captured
+  const answerPendingRef = useRef(answerPendingMessages);
+  answerPendingRef.current = answerPendingMessages;
+
+  const lastMessage = thread[thread.length - 1];
+  const hasPendingQuestion = lastMessage?.sender === 'user' && Boolean(lastMessage.pending);
+  useEffect(() => {
+    if (isOnline && hasPendingQuestion && !isLoading && userId) answerPendingRef.current();
+  }, [isOnline, hasPendingQuestion, isLoading, userId, lastMessage?.id]);
+
+  // Continues the thread. `onSaved` runs once the user's message is stored,
+  // e.g. to clear the input. Files can't be uploaded offline.
+  const sendMessage = (text, { onSaved, attachments = [] } = {}) => {
+    if ((text.trim() === '' && attachments.length === 0) || isLoading || !userId) return;
+    if (attachments.length > 0 && !isOnline) return;
+
+    const parentId = thread.length > 0 ? thread[thread.length - 1].id : null;
+    return runExclusive(() => postUserMessage(text, parentId, thread, { onSaved, attachments }));
+  };
+
+  // Sends `text` as an alternative to the user message `message`: a sibling
+  // branch with its own reply, leaving the original and what followed intact.
+  // The edit keeps the original's attachments.
+  const editMessage = (message, text) => {
+    const index = thread.findIndex((m) => m.id === message.id);
+    const attachments = message.attachments || [];
+    if ((text.trim() === '' && attachments.length === 0) || index === -1 || isLoading || !userId) return;
+
+    return runExclusive(() => postUserMessage(text, message.parentId, thread.slice(0, index), { selectBranch: true, attachments }));
+  };
+
+  // Asks for another reply to the user message that `message` answered. The
+  // new reply is a sibling of `message` and becomes the branch on screen.
+  const regenerateMessage = (message) => {
+    const index = thread.findIndex((m) => m.id === message.id);
+    if (index < 1 || isLoading || !userId || !activeConversationId || !isOnline) return;
+    const history = thread.slice(0, index);
+    if (history[history.length - 1].sender !== 'user') return;
+
+    const conversation = conversations.find((c) => c.id === activeConversationId);
+    const replyRef = doc(collection(db, messagesPath(appId, userId, activeConversationId)));
+    return runExclusive(async () => {
+      try {
+        await updateConversation(db, appId, userId, activeConversationId, selectBranchField(message.parentId, replyRef.id));
+        await streamReply(conversation, history, replyRef, serverTimestamp());
+      } catch (error) {
+        console.error("Error regenerating message:", error);
+      }
+    });
+  };
+
+  // Asks again for the reply that failed with `errorMessage`. The reply takes
+  // the error's place: same document, same position in the conversation.
+  const retryMessage = (errorMessage) => {
+    const index = thread.findIndex((message) => message.id === errorMessage.id);
+    if (index < 1 || isLoading || !userId || !activeConversationId || !isOnline) return;
+    const history = thread.slice(0, index);
+    if (history[history.length - 1].sender !== 'user') return; // There must be a question to answer
+
+    const conversation = conversations.find((c) => c.id === activeConversationId);
+    const messageRef = doc(db, messagesPath(appId, userId, activeConversationId), errorMessage.id);
+    return runExclusive(async () => {
+      try {
+        await streamReply(conversation, history, messageRef, errorMessage.timestamp || serverTimestamp());
+      } catch (error) {
+        console.error("Error retrying message:", error);
+      }
+    });
+  };
+
+  const stopStreaming = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  return {
+    sendMessage,
+    editMessage,
+    regenerateMessage,
+    retryMessage,
+    stopStreaming,
+    isLoading,
+    streamingText,
+    streamingToolCalls,
+  };
+}
@@ -0,0 +1,131 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { activePath } from '../chat/branches';
+import { conversationsPath, messagesPath } from '../chat/conversations';
+import { BUILT_IN_PERSONAS } from '../chat/personas';
+import plans from '../config/plans.json';
+import { appId } from '../firebase';
+import { fakeFirebase } from '../testing/fakeFirebase';
+import { createMockGemini } from '../testing/mockGemini';
+import { PAGE_SIZE } from './useChatMessages';
+import { useSendMessage } from './useSendMessage';
+
+jest.mock('firebase/app', () => require('../testing/fakeFirebase').appModule);
+jest.mock('firebase/auth', () => require('../testing/fakeFirebase').authModule);
+jest.mock('firebase/firestore', () => require('../testing/fakeFirebase').firestoreModule);
+jest.mock('firebase/storage', () => require('../testing/fakeFirebase').storageModule);
+
+const gemini = createMockGemini();
+const USER_ID = 'ada';
+const CONVERSATION_ID = 'c1';
+
+beforeEach(() => {
+  fakeFirebase.reset();
+  fakeFirebase.signIn(USER_ID);
+  gemini.reset();
+  jest.spyOn(global, 'fetch').mockImplementation(gemini.fetch);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Stores the conversation and `messages` ({ id, parentId, text, sender }), a
+// second apart in the order given.
+async function storeMessages(messages) {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  const createdAt = Timestamp.fromMillis(start);
+  await fakeFirebase.setDocument(`${conversationsPath(appId, USER_ID)}/${CONVERSATION_ID}`, { title: 'Names', autoTitle: false, createdAt, updatedAt: createdAt });
+  for (const [i, { id, ...message }] of messages.entries()) {
+    await fakeFirebase.setDocument(`${messagesPath(appId, USER_ID, CONVERSATION_ID)}/${id}`, {
+      ...message,
+      timestamp: Timestamp.fromMillis(start + i * 1000),
+      userId: USER_ID,
+    });
+  }
+  return fakeFirebase.getDocuments(messagesPath(appId, USER_ID, CONVERSATION_ID));
+}
+
+// `texts` as messages taking turns, each answering the one before
+const chain = (texts, { from = null, idPrefix = 'm' } = {}) => texts.map((text, i) => ({
+  id: `${idPrefix}${i}`,
+  parentId: i === 0 ? from : `${idPrefix}${i - 1}`,
+  text,
+  sender: i % 2 === 0 ? 'user' : 'ai',
+}));
+
+const storeConversation = (texts) => storeMessages(chain(texts));
+
+// The thread as App builds it from the messages useChatMessages loaded
+const threadOf = (messages) => activePath(messages).map(({ message }) => message);
+
+const renderSendMessage = (props) => renderHook(() => useSendMessage({
+  userId: USER_ID,
+  conversations: [{ id: CONVERSATION_ID }],
+  activeConversationId: CONVERSATION_ID,
+  setActiveConversationId: jest.fn(),
+  thread: [],
+  plan: plans.free,
+  persona: BUILT_IN_PERSONAS[0],
+  isOnline: true,
+  ...props,
+}));
+
+test('sends the turns before the loaded page as history', async () => {
+  gemini.reply('Your name is Ada.');
+  const texts = ['My name is Ada', ...Array.from({ length: PAGE_SIZE + 9 }, (_, i) => `Message ${i + 1}`)];
+  const messages = await storeConversation(texts);
+  const { result } = renderSendMessage({ thread: threadOf(messages.slice(-PAGE_SIZE)), hasOlderMessages: true });
+
+  await act(() => result.current.sendMessage('What is my name?'));
+
+  await waitFor(() => expect(gemini.lastContents).toHaveLength(texts.length + 1));
+  expect(gemini.lastContents[0]).toEqual({ role: 'user', parts: [{ text: 'My name is Ada' }] });
+  expect(gemini.lastContents[texts.length]).toEqual({ role: 'user', parts: [{ text: 'What is my name?' }] });
+});
+
+test('reads earlier pages only until the history budget is full', async () => {
+  const readPages = jest.spyOn(jest.requireMock('firebase/firestore'), 'getDocs');
+  const older = Array.from({ length: 2 * PAGE_SIZE }, (_, i) => `${i}: ${'x'.repeat(600)}`);
+  const messages = await storeConversation([...older, ...Array.from({ length: PAGE_SIZE }, (_, i) => `Message ${i + 1}`)]);
+  const { result } = renderSendMessage({ thread: threadOf(messages.slice(-PAGE_SIZE)), hasOlderMessages: true });
+
+  await act(() => result.current.sendMessage('What did I say first?'));
+
+  await waitFor(() => expect(gemini.lastContents).toBeDefined());
+  // One page of 600-character messages fills the free plan's 24000 characters
+  expect(readPages).toHaveBeenCalledTimes(1);
+  expect((await readPages.mock.results[0].value).size).toBe(PAGE_SIZE);
+  expect(JSON.stringify(gemini.lastContents)).toContain(older[older.length - 1]);
+});
+
+test('sends only the earlier messages of the branch on screen', async () => {
+  const texts = Array.from({ length: PAGE_SIZE }, (_, i) => `Message ${i + 1}`);
+  const messages = await storeMessages([
+    { id: 'first', parentId: null, text: 'My name is Ada', sender: 'user' },
+    { id: 'reply', parentId: 'first', text: 'Hi Ada!', sender: 'ai' },
+    { id: 'abandoned', parentId: 'reply', text: 'Call me Grace', sender: 'user' },
+    { id: 'abandonedReply', parentId: 'abandoned', text: 'Hi Grace!', sender: 'ai' },
+    ...chain(texts, { from: 'reply' }),
+  ]);
+  const { result } = renderSendMessage({ thread: threadOf(messages.slice(-PAGE_SIZE)), hasOlderMessages: true });
+
+  await act(() => result.current.sendMessage('What is my name?'));
+
+  await waitFor(() => expect(gemini.lastContents).toBeDefined());
+  expect(gemini.lastContents.slice(0, 2)).toEqual([
+    { role: 'user', parts: [{ text: 'My name is Ada' }] },
+    { role: 'model', parts: [{ text: 'Hi Ada!' }] },
+  ]);
+  expect(JSON.stringify(gemini.lastContents)).not.toContain('Grace');
+});
+
+test('follows messages from before branching by their time', async () => {
+  gemini.reply('Your name is Ada.');
+  const texts = ['My name is Ada', ...Array.from({ length: PAGE_SIZE + 9 }, (_, i) => `Message ${i + 1}`)];
+  const messages = await storeMessages(chain(texts).map(({ parentId, ...message }) => message));
+  const { result } = renderSendMessage({ thread: threadOf(messages.slice(-PAGE_SIZE)), hasOlderMessages: true });
+
+  await act(() => result.current.sendMessage('What is my name?'));
+
+  await waitFor(() => expect(gemini.lastContents).toHaveLength(texts.length + 1));
+  expect(gemini.lastContents[0]).toEqual({ role: 'user', parts: [{ text: 'My name is Ada' }] });
+});
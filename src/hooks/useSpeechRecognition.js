@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { describeRecognitionError, getSpeechRecognition } from '../chat/speech';
+
+// Dictation for the message box. While listening, `interimText` holds the
+// words recognized so far; each finished phrase goes to `onFinal`. Listening
+// ends by itself after a pause or when `stop` is called. `isSupported` is
+// false in browsers without the Web Speech API.
+export function useSpeechRecognition({ onFinal, lang } = {}) {
+  const [isListening, setIsListening] = useState(false);
+  const [interimText, setInterimText] = useState('');
+  const [error, setError] = useState(null);
+  const recognitionRef = useRef(null);
+  const onFinalRef = useRef(onFinal);
+  onFinalRef.current = onFinal;
+  const isSupported = getSpeechRecognition() !== null;
+
+  // Stop listening when the component unmounts
+  useEffect(() => {
+    return () => recognitionRef.current?.abort();
+  }, []);
+
+  const start = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition || recognitionRef.current) return;
+
+    const recognition = new SpeechRecognition();
+    recognition.lang = lang || navigator.language;
+    recognition.interimResults = true;
+    recognition.continuous = false;
+
+    recognition.onresult = (event) => {
+      let interim = '';
+      for (let i = event.resultIndex; i < event.results.length; i += 1) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          onFinalRef.current?.(result[0].transcript.trim());
+        } else {
+          interim += result[0].transcript;
+        }
+      }
+      setInterimText(interim.trim());
+    };
+    recognition.onerror = (event) => setError(describeRecognitionError(event.error));
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setIsListening(false);
+      setInterimText('');
+    };
+
+    setError(null);
+    try {
+      recognition.start();
+    } catch (startError) {
+      console.error("Error starting speech recognition:", startError);
+      return;
+    }
+    recognitionRef.current = recognition;
+    setIsListening(true);
+  };
+
+  // Keeps what was heard so far; `onend` then resets the state
+  const stop = () => recognitionRef.current?.stop();
+
+  return { isSupported, isListening, interimText, error, start, stop };
+}
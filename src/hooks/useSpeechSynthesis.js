@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  isSpeechSynthesisSupported,
+  loadVoiceSettings,
+  normalizeVoiceSettings,
+  pickVoice,
+  saveVoiceSettings,
+  speakableText,
+  splitForSpeech,
+} from '../chat/speech';
+
+// Reads replies aloud, one at a time. `speakingId` is the id passed to
+// `speak` while it plays. `settings` (voice and rate) are kept in
+// localStorage; `voices` are the ones this browser offers, which some
+// browsers only list after a `voiceschanged` event.
+export function useSpeechSynthesis() {
+  const isSupported = isSpeechSynthesisSupported();
+  const [voices, setVoices] = useState([]);
+  const [settings, setSettings] = useState(() => (isSupported ? loadVoiceSettings() : null));
+  const [speakingId, setSpeakingId] = useState(null);
+  const playbackRef = useRef(0); // Bumped by every speak/stop, so stale utterances are ignored
+
+  useEffect(() => {
+    if (!isSupported) return;
+    const synth = window.speechSynthesis;
+    const updateVoices = () => setVoices(synth.getVoices());
+    updateVoices();
+    synth.addEventListener?.('voiceschanged', updateVoices);
+    return () => {
+      synth.removeEventListener?.('voiceschanged', updateVoices);
+      synth.cancel();
+    };
+  }, [isSupported]);
+
+  const stop = useCallback(() => {
+    if (!isSupported) return;
+    playbackRef.current += 1;
+    window.speechSynthesis.cancel();
+    setSpeakingId(null);
+  }, [isSupported]);
+
+  const speak = (id, markdown, overrides = {}) => {
+    if (!isSupported) return;
+    stop();
+    const chunks = splitForSpeech(speakableText(markdown));
+    if (chunks.length === 0) return;
+
+    const playback = playbackRef.current;
+    const { voiceURI, rate } = normalizeVoiceSettings({ ...settings, ...overrides });
+    const voice = pickVoice(voices, voiceURI, navigator.language);
+    const finish = () => {
+      if (playbackRef.current === playback) setSpeakingId(null);
+    };
+
+    chunks.forEach((chunk, index) => {
+      const utterance = new window.SpeechSynthesisUtterance(chunk);
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      }
+      utterance.rate = rate;
+      utterance.onerror = finish;
+      if (index === chunks.length - 1) utterance.onend = finish;
+      window.speechSynthesis.speak(utterance);
+    });
+    setSpeakingId(id);
+  };
+
+  const updateSettings = (changes) => {
+    const next = normalizeVoiceSettings({ ...settings, ...changes });
+    setSettings(next);
+    saveVoiceSettings(next);
+  };
+
+  return { isSupported, voices, settings, updateSettings, speakingId, speak, stop };
+}
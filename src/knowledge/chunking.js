@@ -0,0 +1,73 @@
+// Splits a text or Markdown document into overlapping chunks of about
+// CHUNK_SIZE characters for embedding. Paragraphs stay whole where they fit,
+// and each chunk keeps the Markdown heading it falls under, which is embedded
+// with it and shown when the chunk is cited.
+
+export const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const MAX_HEADING_LENGTH = 200; // See firestore.rules
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+// The end of `text`, starting at a word, so the next chunk picks up mid-thought
+function tail(text, length) {
+  if (text.length <= length) return text;
+  const start = text.indexOf(' ', text.length - length);
+  return start === -1 ? '' : text.slice(start + 1);
+}
+
+// Pieces of `paragraph` no longer than `size`, cut after a sentence where
+// possible and otherwise at a space.
+function splitLong(paragraph, size) {
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > size) {
+    const window = rest.slice(0, size);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+    const space = window.lastIndexOf(' ');
+    const cut = sentenceEnd > size / 2 ? sentenceEnd + 1 : space > size / 2 ? space : size;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// [{ index, heading, text }]
+export function chunkDocument(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let heading = '';
+  let buffer = '';
+
+  const push = () => {
+    if (buffer.trim()) chunks.push({ index: chunks.length, heading, text: buffer.trim() });
+    buffer = '';
+  };
+
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+  blocks.forEach((block) => {
+    let body = block.trim();
+    const [firstLine] = body.split('\n', 1);
+    const headingMatch = HEADING_PATTERN.exec(firstLine);
+    if (headingMatch) {
+      push();
+      heading = headingMatch[1].slice(0, MAX_HEADING_LENGTH);
+      body = body.slice(firstLine.length).trim();
+    }
+    if (!body) return;
+
+    splitLong(body, size - overlap).forEach((piece) => {
+      if (buffer && buffer.length + piece.length + 2 > size) {
+        const carried = tail(buffer, overlap);
+        push();
+        buffer = carried;
+      }
+      buffer = buffer ? `${buffer}\n\n${piece}` : piece;
+    });
+  });
+  push();
+  return chunks;
+}
+
+// What gets embedded for a chunk: its heading gives short chunks context.
+export const embeddingInput = (chunk) => (chunk.heading ? `${chunk.heading}\n\n${chunk.text}` : chunk.text);
@@ -0,0 +1,52 @@
+import { chunkDocument, embeddingInput } from './chunking';
+import { documentTitle } from './knowledgeBase';
+import { readVectors, writeVectors } from './vectorCache';
+
+// Documents that come with the deployment rather than from a user, e.g. the
+// team's Pi-ecosystem docs. REACT_APP_KNOWLEDGE_URL points at a manifest,
+//   { "documents": [{ "path": "pi-mining.md", "title": "Mining" }] }
+// whose paths are relative to it (`title` is optional). Every signed-in user
+// searches them alongside their own documents; the vectors are computed in
+// the browser and cached in IndexedDB (vectorCache.js).
+
+const KNOWLEDGE_URL = process.env.REACT_APP_KNOWLEDGE_URL || '';
+
+export const hasDeploymentDocs = () => KNOWLEDGE_URL !== '';
+
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return response.text();
+}
+
+// The chunks of every document in the manifest, with their embeddings, as
+// { documentId, title, heading, text, embedding }.
+export async function loadDeploymentChunks(backend, embedOptions, { manifestUrl = KNOWLEDGE_URL } = {}) {
+  if (!manifestUrl) return [];
+  const base = new URL(manifestUrl, window.location.href);
+  const manifest = JSON.parse(await fetchText(base.href));
+
+  const chunks = [];
+  for (const entry of manifest.documents || []) {
+    const url = new URL(entry.path, base).href;
+    const text = await fetchText(url);
+    const title = entry.title || documentTitle(text, entry.path.split('/').pop());
+    chunkDocument(text).forEach((chunk) => chunks.push({ ...chunk, documentId: `app:${entry.path}`, title }));
+  }
+
+  const inputs = chunks.map(embeddingInput);
+  const vectors = await readVectors(backend.id, inputs);
+  const missing = inputs.filter((input, i) => !vectors[i]);
+  if (missing.length > 0) {
+    const embedded = await backend.embed(missing, { ...embedOptions, taskType: 'document' });
+    await writeVectors(backend.id, missing, embedded);
+    let next = 0;
+    vectors.forEach((vector, i) => {
+      if (!vector) {
+        vectors[i] = embedded[next];
+        next += 1;
+      }
+    });
+  }
+  return chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i] }));
+}
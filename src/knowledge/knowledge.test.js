@@ -0,0 +1,118 @@
+import geminiEmbeddings from '../embeddings/gemini';
+import local, { embedText } from '../embeddings/local';
+import { chunkDocument, embeddingInput } from './chunking';
+import { loadDeploymentChunks } from './deploymentDocs';
+import { KnowledgeError, checkKnowledgeFile, documentTitle } from './knowledgeBase';
+import { rankChunks, similarity, sourcesOf, withSources } from './retrieval';
+
+const file = (name, size = 100, type = '') => ({ name, size, type });
+
+test('chunks a document under its headings', () => {
+  const text = '# Guide\n\nIntro.\r\n\r\n## Mining\n\nTap the button daily.\n\nInvite friends.\n\n## Wallet\nKeep your passphrase safe.';
+
+  expect(chunkDocument(text)).toEqual([
+    { index: 0, heading: 'Guide', text: 'Intro.' },
+    { index: 1, heading: 'Mining', text: 'Tap the button daily.\n\nInvite friends.' },
+    { index: 2, heading: 'Wallet', text: 'Keep your passphrase safe.' },
+  ]);
+  expect(embeddingInput({ heading: 'Wallet', text: 'Keep it safe.' })).toBe('Wallet\n\nKeep it safe.');
+  expect(chunkDocument('  \n\n ')).toEqual([]);
+});
+
+test('splits long text into overlapping chunks', () => {
+  const sentences = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+  const chunks = chunkDocument(sentences, { size: 300, overlap: 60 });
+
+  expect(chunks.length).toBeGreaterThan(4);
+  chunks.forEach((chunk) => expect(chunk.text.length).toBeLessThanOrEqual(300));
+  // Each chunk starts with the end of the one before
+  expect(chunks[0].text).toContain(chunks[1].text.slice(0, 20));
+  expect(chunks[0].text.startsWith('Sentence number 0')).toBe(true);
+});
+
+test('embeds locally by shared words', () => {
+  const mining = embedText('How do I mine Pi coins every day?');
+  const similar = embedText('Mining Pi: open the app every day to mine coins.');
+  const unrelated = embedText('Recipes for chocolate cake');
+
+  expect(Math.hypot(...mining)).toBeCloseTo(1);
+  expect(mining).toHaveLength(local.dimensions);
+  expect(similarity(mining, similar)).toBeGreaterThan(local.minScore);
+  expect(similarity(mining, unrelated)).toBeLessThan(local.minScore);
+  expect(embedText('the and of')).toEqual(new Array(local.dimensions).fill(0));
+});
+
+test('ranks the chunks that match best', () => {
+  const chunks = [
+    { text: 'a', embedding: [1, 0] },
+    { text: 'b', embedding: [0.6, 0.8] },
+    { text: 'c', embedding: [0, 1] },
+  ];
+
+  const matches = rankChunks([1, 0], chunks, { minScore: 0.5 });
+
+  expect(matches.map(({ chunk, score }) => [chunk.text, score])).toEqual([['a', 1], ['b', 0.6]]);
+  expect(rankChunks([1, 0], chunks, { max: 1 })).toHaveLength(1);
+  expect(similarity([1, 0], [1, 0, 0])).toBe(0);
+});
+
+test('adds numbered excerpts to the system instruction and keeps them as sources', () => {
+  const matches = [
+    { chunk: { documentId: 'd1', title: 'Guide', heading: 'Mining', text: 'Tap daily.' }, score: 0.834 },
+    { chunk: { documentId: 'd2', title: 'FAQ', heading: '', text: 'x'.repeat(300) }, score: 0.5 },
+  ];
+
+  const instruction = withSources('Be brief.', matches);
+
+  expect(instruction.startsWith('Be brief.\n\nExcerpts from the knowledge base')).toBe(true);
+  expect(instruction).toContain('[1] Guide › Mining\nTap daily.');
+  expect(instruction).toContain('[2] FAQ\nxxx');
+  expect(withSources('Be brief.', [])).toBe('Be brief.');
+  expect(withSources(undefined, matches).startsWith('Excerpts')).toBe(true);
+  expect(sourcesOf(matches)).toEqual([
+    { documentId: 'd1', title: 'Guide', heading: 'Mining', excerpt: 'Tap daily.', score: 0.83 },
+    { documentId: 'd2', title: 'FAQ', heading: '', excerpt: `${'x'.repeat(200)}…`, score: 0.5 },
+  ]);
+});
+
+test('accepts text and Markdown files within the size limit', () => {
+  expect(() => checkKnowledgeFile(file('notes.txt', 100, 'text/plain'))).not.toThrow();
+  expect(() => checkKnowledgeFile(file('guide.md'))).not.toThrow();
+  expect(() => checkKnowledgeFile(file('photo.jpg', 100, 'image/jpeg'))).toThrow(KnowledgeError);
+  expect(() => checkKnowledgeFile(file('big.md', 2 * 1024 * 1024))).toThrow('larger than 1 MB');
+  expect(documentTitle('Intro\n\n# Pi guide #\n\nText', 'guide.md')).toBe('Pi guide');
+  expect(documentTitle('No heading here', 'notes.v2.txt')).toBe('notes.v2');
+});
+
+test('loads and embeds the documents listed in the deployment manifest', async () => {
+  const files = {
+    'https://docs.example/kb/index.json': JSON.stringify({ documents: [{ path: 'mining.md' }, { path: 'faq/wallet.md', title: 'Wallet FAQ' }] }),
+    'https://docs.example/kb/mining.md': '# Mining\n\nTap daily.',
+    'https://docs.example/kb/faq/wallet.md': 'Keep your passphrase safe.',
+  };
+  const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => new Response(files[url]));
+
+  const chunks = await loadDeploymentChunks(local, {}, { manifestUrl: 'https://docs.example/kb/index.json' });
+
+  expect(chunks.map(({ embedding, ...chunk }) => chunk)).toEqual([
+    { index: 0, heading: 'Mining', text: 'Tap daily.', documentId: 'app:mining.md', title: 'Mining' },
+    { index: 0, heading: '', text: 'Keep your passphrase safe.', documentId: 'app:faq/wallet.md', title: 'Wallet FAQ' },
+  ]);
+  expect(chunks[1].embedding).toEqual(embedText('Keep your passphrase safe.'));
+  fetchMock.mockRestore();
+});
+
+test('embeds with Gemini through the proxy', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ embeddings: [[3, 4]] })));
+
+  const vectors = await geminiEmbeddings.embed(['Pi'], { taskType: 'query', getIdToken: async () => 'token' });
+
+  expect(vectors).toEqual([[0.6, 0.8]]);
+  const [url, init] = fetchMock.mock.calls[0];
+  expect(url).toBe('/api/embed');
+  expect(init.headers.Authorization).toBe('Bearer token');
+  expect(JSON.parse(init.body)).toEqual({ texts: ['Pi'], taskType: 'RETRIEVAL_QUERY' });
+  await expect(geminiEmbeddings.embed(['Pi'], {})).rejects.toThrow('signed in');
+  fetchMock.mockRestore();
+});
@@ -0,0 +1,115 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import { BATCH_SIZE, deleteCollection } from '../chat/conversations';
+import { chunkDocument, embeddingInput } from './chunking';
+
+// The user's own knowledge base: documents they uploaded, split into chunks
+// with an embedding each, stored at
+//   artifacts/{appId}/users/{userId}/knowledge/{documentId}
+//     { title, fileName, size, backend, chunkCount, createdAt }
+//   .../knowledge/{documentId}/chunks/{index}
+//     { index, heading, text, embedding }
+// `backend` is the embedding backend (src/embeddings) the vectors came from.
+// Documents are never edited: a new version is uploaded and the old deleted.
+
+// firestore.rules enforce these limits but MAX_DOCUMENTS, which only the app
+// keeps to since rules can't count a collection
+export const MAX_DOCUMENTS = 50;
+export const MAX_DOCUMENT_BYTES = 1024 * 1024;
+export const MAX_CHUNKS = 1000;
+export const MAX_TITLE_LENGTH = 200;
+
+export const KNOWLEDGE_FILE_TYPES = ['text/plain', 'text/markdown'];
+
+export class KnowledgeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KnowledgeError';
+  }
+}
+
+export const knowledgePath = (appId, userId) => `artifacts/${appId}/users/${userId}/knowledge`;
+
+export const chunksPath = (appId, userId, documentId) => `${knowledgePath(appId, userId)}/${documentId}/chunks`;
+
+// Some systems report Markdown files without a type.
+const fileTypeOf = (file) => file.type || (/\.(md|markdown)$/i.test(file.name) ? 'text/markdown' : '');
+
+// Throws KnowledgeError when `file` can't be added.
+export function checkKnowledgeFile(file) {
+  if (!KNOWLEDGE_FILE_TYPES.includes(fileTypeOf(file)) && !/\.(txt|md|markdown)$/i.test(file.name)) {
+    throw new KnowledgeError(`${file.name} can't be added. Use a text or Markdown file.`);
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw new KnowledgeError(`${file.name} is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`);
+  }
+}
+
+// The document's first Markdown heading, or its file name without extension.
+export function documentTitle(text, fileName) {
+  const heading = /^#\s+(.+?)\s*#*\s*$/m.exec(text);
+  const title = heading ? heading[1] : fileName.replace(/\.[^.]+$/, '');
+  return title.slice(0, MAX_TITLE_LENGTH) || 'Untitled';
+}
+
+// Listens to the user's documents, newest first.
+export function subscribeToKnowledge(db, appId, userId, onChange, onError) {
+  const q = query(collection(db, knowledgePath(appId, userId)), orderBy('createdAt', 'desc'));
+  return onSnapshot(
+    q,
+    (snapshot) => onChange(snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))),
+    onError
+  );
+}
+
+// The chunks of one document, in order.
+export async function fetchChunks(db, appId, userId, documentId) {
+  const snapshot = await getDocs(query(collection(db, chunksPath(appId, userId, documentId)), orderBy('index', 'asc')));
+  return snapshot.docs.map((d) => d.data());
+}
+
+// Chunks and embeds `text` with `backend`, then stores it. The chunks are
+// written before the document, so whoever sees the document finds them all.
+export async function addKnowledgeDocument(db, appId, userId, { text, fileName, size }, backend, embedOptions) {
+  const chunks = chunkDocument(text);
+  if (chunks.length === 0) throw new KnowledgeError(`${fileName} has no text.`);
+  if (chunks.length > MAX_CHUNKS) throw new KnowledgeError(`${fileName} is too long.`);
+
+  const embeddings = await backend.embed(chunks.map(embeddingInput), { ...embedOptions, taskType: 'document' });
+  const documentRef = doc(collection(db, knowledgePath(appId, userId)));
+  const writes = chunks.map((chunk, i) => [
+    doc(db, chunksPath(appId, userId, documentRef.id), String(chunk.index)),
+    { ...chunk, embedding: embeddings[i] },
+  ]);
+  writes.push([documentRef, {
+    title: documentTitle(text, fileName),
+    fileName: fileName.slice(0, MAX_TITLE_LENGTH),
+    size,
+    backend: backend.id,
+    chunkCount: chunks.length,
+    createdAt: serverTimestamp(),
+  }]);
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_SIZE).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+  return documentRef.id;
+}
+
+// Removes the document first, so it leaves the list at once, then its chunks.
+export async function deleteKnowledgeDocument(db, appId, userId, documentId) {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, knowledgePath(appId, userId), documentId));
+  await batch.commit();
+  await deleteCollection(db, chunksPath(appId, userId, documentId));
+}
@@ -0,0 +1,49 @@
+// Picks the knowledge base chunks that best match a question and turns them
+// into instructions for the model and citations for the reply.
+
+export const MAX_SOURCES = 4;
+const MAX_EXCERPT_LENGTH = 200;
+
+// Both vectors are unit length, so their dot product is the cosine similarity
+export function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+}
+
+// Up to `max` of `chunks` ({ embedding, ... }) scoring at least `minScore`
+// against `queryVector`, best first, as { chunk, score }.
+export function rankChunks(queryVector, chunks, { max = MAX_SOURCES, minScore = 0 } = {}) {
+  return chunks
+    .map((chunk) => ({ chunk, score: similarity(queryVector, chunk.embedding) }))
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max);
+}
+
+export const sourceName = ({ title, heading }) => (heading ? `${title} › ${heading}` : title);
+
+// The system instruction followed by the matching excerpts, numbered so the
+// model can cite them as [1], [2].
+export function withSources(systemInstruction, matches) {
+  if (matches.length === 0) return systemInstruction;
+  const excerpts = matches.map(({ chunk }, index) => `[${index + 1}] ${sourceName(chunk)}\n${chunk.text}`);
+  const notes = [
+    'Excerpts from the knowledge base that may help with the question. Prefer them over what you already know,',
+    'cite the ones you use as [1], [2] and so on, and say so when they don\'t cover the question.',
+    '',
+    excerpts.join('\n\n'),
+  ].join('\n');
+  return systemInstruction ? `${systemInstruction}\n\n${notes}` : notes;
+}
+
+// What a reply keeps of its matches, in citation order:
+//   sources: [{ documentId, title, heading, excerpt, score }]
+export const sourcesOf = (matches) => matches.map(({ chunk, score }) => ({
+  documentId: chunk.documentId,
+  title: chunk.title,
+  heading: chunk.heading || '',
+  excerpt: chunk.text.length > MAX_EXCERPT_LENGTH ? `${chunk.text.slice(0, MAX_EXCERPT_LENGTH)}…` : chunk.text,
+  score: Math.round(score * 100) / 100,
+}));
@@ -0,0 +1,58 @@
+// Embeddings of the deployment's documents (see deploymentDocs.js), cached
+// in IndexedDB so each browser embeds a text once per backend. Where
+// IndexedDB isn't available (some private modes, tests) nothing is cached.
+
+const DB_NAME = 'knowledge';
+const STORE = 'vectors';
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Couldn't open the embedding cache:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+const cacheKey = (backendId, text) => `${backendId}\n${text}`;
+
+const done = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// The cached vectors of `texts`, undefined where there is none.
+export async function readVectors(backendId, texts) {
+  const database = await openDatabase();
+  if (!database) return texts.map(() => undefined);
+  const store = database.transaction(STORE, 'readonly').objectStore(STORE);
+  try {
+    return await Promise.all(texts.map((text) => done(store.get(cacheKey(backendId, text)))));
+  } catch (error) {
+    console.warn("Couldn't read the embedding cache:", error);
+    return texts.map(() => undefined);
+  }
+}
+
+export async function writeVectors(backendId, texts, vectors) {
+  const database = await openDatabase();
+  if (!database) return;
+  const transaction = database.transaction(STORE, 'readwrite');
+  texts.forEach((text, i) => transaction.objectStore(STORE).put(vectors[i], cacheKey(backendId, text)));
+  await new Promise((resolve) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => {
+      console.warn("Couldn't write the embedding cache:", transaction.error);
+      resolve();
+    };
+  });
+}
@@ -0,0 +1,34 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+import plans from '../config/plans.json';
+
+// Reads the entitlements document the server writes after a completed Pi
+// payment (server/entitlements.mjs). Clients can never write it.
+
+export const FREE_TIER = 'free';
+export const PREMIUM_TIER = 'premium';
+
+const entitlementsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/entitlements/current`;
+
+// Calls `onChange` with { tier, expiresAt (ms) } or null when there is none.
+export function subscribeToEntitlements(db, appId, userId, onChange, onError) {
+  return onSnapshot(
+    doc(db, entitlementsPath(appId, userId)),
+    (snapshot) => {
+      if (!snapshot.exists()) {
+        onChange(null);
+        return;
+      }
+      const data = snapshot.data();
+      onChange({ tier: data.tier, expiresAt: data.expiresAt?.toMillis() || 0 });
+    },
+    onError
+  );
+}
+
+export const activeTier = (entitlements, now = Date.now()) =>
+  entitlements?.tier === PREMIUM_TIER && entitlements.expiresAt > now ? PREMIUM_TIER : FREE_TIER;
+
+// The plan limits that apply to the user right now.
+export const activePlan = (entitlements, now) => plans[activeTier(entitlements, now)];
+
+export { plans };
@@ -0,0 +1,59 @@
+// Stand-in for `window.Pi` during local development, enabled with
+// REACT_APP_PI_MOCK=true. It mirrors the parts of the Pi SDK the app uses.
+// The access tokens it issues are only accepted by a server running with
+// PI_MOCK=true (see server/piPlatform.mjs). Payments go through the fake Pi
+// server (server/fakePiServer.mjs), which plays the Pi Browser's part.
+
+const FAKE_PI_URL = (process.env.REACT_APP_PI_MOCK_API_URL || 'http://localhost:8788').replace(/\/$/, '');
+const APPROVAL_POLL_MS = 500;
+const APPROVAL_TIMEOUT_MS = 30 * 1000;
+
+const MOCK_USER = {
+  uid: process.env.REACT_APP_PI_MOCK_UID || 'mock-pioneer-uid',
+  username: process.env.REACT_APP_PI_MOCK_USERNAME || 'mock_pioneer',
+};
+
+const mockPiSdk = {
+  isMock: true,
+
+  init() {},
+
+  async authenticate(scopes, onIncompletePaymentFound) {
+    return {
+      accessToken: `mock-pi-token:${MOCK_USER.uid}:${MOCK_USER.username}`,
+      user: { ...MOCK_USER },
+    };
+  },
+
+  // Follows the real SDK's sequence: create the payment, wait for our server
+  // to approve it, "sign" the transaction, then ask for server completion.
+  createPayment(paymentData, callbacks) {
+    const run = async () => {
+      const payment = await fakeRequest('/fake/payments', 'POST', { ...paymentData, user_uid: MOCK_USER.uid });
+      callbacks.onReadyForServerApproval(payment.identifier);
+
+      const deadline = Date.now() + APPROVAL_TIMEOUT_MS;
+      while (!(await fakeRequest(`/fake/payments/${payment.identifier}`)).status.developer_approved) {
+        if (Date.now() > deadline) throw new Error('Payment was not approved in time');
+        await new Promise((resolve) => setTimeout(resolve, APPROVAL_POLL_MS));
+      }
+
+      const { txid } = await fakeRequest(`/fake/payments/${payment.identifier}/transaction`, 'POST');
+      callbacks.onReadyForServerCompletion(payment.identifier, txid);
+    };
+
+    run().catch((error) => callbacks.onError(error));
+  },
+};
+
+async function fakeRequest(path, method = 'GET', body) {
+  const response = await fetch(`${FAKE_PI_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body && JSON.stringify(body),
+  });
+  if (!response.ok) throw new Error(`Fake Pi server ${method} ${path} failed with status ${response.status}`);
+  return response.json();
+}
+
+export default mockPiSdk;
@@ -0,0 +1,48 @@
+import { signInWithCustomToken } from 'firebase/auth';
+import { PI_SCOPES, loadPiSdk } from './piSdk';
+
+// Signs the user in to Firebase with their Pi identity: the Pi access token is
+// verified by our backend (server/piAuth.mjs), which answers with a Firebase
+// custom token for a uid derived from the Pi uid.
+
+const PI_AUTH_URL = process.env.REACT_APP_PI_AUTH_URL || '/api/pi-auth';
+
+// Pi.authenticate never settles if the user ignores the consent dialog.
+const AUTH_TIMEOUT_MS = 60 * 1000;
+
+const withTimeout = (promise, ms, message) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(message)), ms)),
+  ]);
+
+const warnIncompletePayment = (payment) => {
+  console.warn('Found an incomplete Pi payment:', payment?.identifier);
+};
+
+// Resolves with the Pi user ({ uid, username }) once Firebase is signed in as
+// them, or with null when the Pi SDK isn't available. Rejects if the Pi
+// sign-in was attempted and failed; callers fall back to anonymous sign-in.
+export async function signInWithPi(auth, { onIncompletePaymentFound = warnIncompletePayment } = {}) {
+  const sdk = await loadPiSdk();
+  if (!sdk) return null;
+
+  const { accessToken } = await withTimeout(
+    sdk.authenticate(PI_SCOPES, onIncompletePaymentFound),
+    AUTH_TIMEOUT_MS,
+    'Pi authentication timed out'
+  );
+
+  const response = await fetch(PI_AUTH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ accessToken }),
+  });
+  if (!response.ok) {
+    throw new Error(`Pi token verification failed with status ${response.status}`);
+  }
+
+  const { customToken, user } = await response.json();
+  await signInWithCustomToken(auth, customToken);
+  return user;
+}
@@ -0,0 +1,52 @@
+import { signInWithCustomToken } from 'firebase/auth';
+
+jest.mock('firebase/auth', () => ({ signInWithCustomToken: jest.fn() }));
+
+const auth = {};
+
+const loadSignInWithPi = () => {
+  let module;
+  jest.isolateModules(() => {
+    module = require('./piAuth');
+  });
+  return module.signInWithPi;
+};
+
+beforeEach(() => {
+  signInWithCustomToken.mockReset().mockResolvedValue({});
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_PI_MOCK;
+  delete global.fetch;
+});
+
+test('resolves with null outside the Pi Browser', async () => {
+  const signInWithPi = loadSignInWithPi();
+
+  await expect(signInWithPi(auth)).resolves.toBeNull();
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('exchanges the mock SDK token for a Firebase custom token', async () => {
+  process.env.REACT_APP_PI_MOCK = 'true';
+  const user = { uid: 'mock-pioneer-uid', username: 'mock_pioneer' };
+  global.fetch.mockResolvedValue({ ok: true, json: async () => ({ customToken: 'custom', user }) });
+  const signInWithPi = loadSignInWithPi();
+
+  await expect(signInWithPi(auth)).resolves.toEqual(user);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+    accessToken: 'mock-pi-token:mock-pioneer-uid:mock_pioneer',
+  });
+  expect(signInWithCustomToken).toHaveBeenCalledWith(auth, 'custom');
+});
+
+test('rejects when the backend refuses the token', async () => {
+  process.env.REACT_APP_PI_MOCK = 'true';
+  global.fetch.mockResolvedValue({ ok: false, status: 401 });
+  const signInWithPi = loadSignInWithPi();
+
+  await expect(signInWithPi(auth)).rejects.toThrow('status 401');
+  expect(signInWithCustomToken).not.toHaveBeenCalled();
+});
@@ -0,0 +1,80 @@
+import plans from '../config/plans.json';
+import { loadPiSdk } from './piSdk';
+
+// Client side of the premium purchase. The Pi SDK drives the payment and calls
+// back at each step; approval and completion happen on our server
+// (server/piPayments.mjs), which also grants the entitlement.
+
+const PI_PAYMENTS_URL = (process.env.REACT_APP_PI_PAYMENTS_URL || '/api/pi-payments').replace(/\/$/, '');
+
+export class PaymentCancelledError extends Error {
+  constructor() {
+    super('Payment was cancelled');
+    this.name = 'PaymentCancelledError';
+  }
+}
+
+async function postPaymentAction(action, body, idToken) {
+  const response = await fetch(`${PI_PAYMENTS_URL}/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(idToken && { Authorization: `Bearer ${idToken}` }),
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error?.message || `Payment ${action} failed with status ${response.status}`);
+  }
+  return result;
+}
+
+// Buys the premium plan. Resolves with the granted entitlement once the server
+// has completed the payment; rejects with PaymentCancelledError if the user
+// backs out of the Pi wallet, or with the SDK/server error otherwise.
+export async function purchasePremium({ getIdToken }) {
+  const sdk = await loadPiSdk();
+  if (!sdk) throw new Error('Pi payments are only available in the Pi Browser');
+
+  const plan = plans.premium;
+  return new Promise((resolve, reject) => {
+    sdk.createPayment(
+      { amount: plan.priceInPi, memo: plan.memo, metadata: { plan: 'premium' } },
+      {
+        onReadyForServerApproval: async (paymentId) => {
+          try {
+            await postPaymentAction('approve', { paymentId }, await getIdToken());
+          } catch (error) {
+            reject(error);
+          }
+        },
+        onReadyForServerCompletion: (paymentId, txid) => {
+          postPaymentAction('complete', { paymentId, txid })
+            .then((result) => resolve(result.entitlement))
+            .catch(reject);
+        },
+        onCancel: () => reject(new PaymentCancelledError()),
+        onError: (error) => reject(error),
+      }
+    );
+  });
+}
+
+// Passed to Pi.authenticate: a payment left unfinished by an earlier session
+// (e.g. the app closed before completion) is completed now if it has a
+// transaction, so the Pioneer still gets what they paid for.
+export function completeIncompletePayment(payment) {
+  const txid = payment?.transaction?.txid;
+  if (!txid) {
+    console.warn('Found an incomplete Pi payment without a transaction:', payment?.identifier);
+    return Promise.resolve(null);
+  }
+  return postPaymentAction('complete', { paymentId: payment.identifier, txid })
+    .then((result) => result.entitlement)
+    .catch((error) => {
+      console.error('Completing an incomplete Pi payment failed:', error);
+      return null;
+    });
+}
@@ -0,0 +1,52 @@
+import mockPiSdk from './mockPiSdk';
+
+// Loads the Pi Network SDK (https://github.com/pi-apps/pi-platform-docs).
+// The SDK only works inside the Pi Browser; everywhere else the app runs as a
+// regular web app with anonymous Firebase sign-in.
+
+const PI_SDK_URL = 'https://sdk.minepi.com/pi-sdk.js';
+const PI_SDK_VERSION = '2.0';
+
+export const PI_SCOPES = ['username', 'payments'];
+
+export const isPiMockEnabled = () => process.env.REACT_APP_PI_MOCK === 'true';
+
+export const isPiBrowser = () => typeof navigator !== 'undefined' && /PiBrowser/i.test(navigator.userAgent);
+
+let sdkPromise = null;
+
+function injectSdkScript() {
+  return new Promise((resolve) => {
+    const script = document.createElement('script');
+    script.src = PI_SDK_URL;
+    script.async = true;
+    script.onload = () => {
+      if (!window.Pi) {
+        resolve(null);
+        return;
+      }
+      window.Pi.init({ version: PI_SDK_VERSION, sandbox: process.env.REACT_APP_PI_SANDBOX === 'true' });
+      resolve(window.Pi);
+    };
+    script.onerror = () => {
+      console.warn('Pi SDK failed to load.');
+      resolve(null);
+    };
+    document.head.appendChild(script);
+  });
+}
+
+// Resolves with the initialised SDK, the mock SDK when REACT_APP_PI_MOCK is
+// set, or null when the Pi SDK is not available. Loads the script only once.
+export function loadPiSdk() {
+  if (!sdkPromise) {
+    if (isPiMockEnabled()) {
+      sdkPromise = Promise.resolve(mockPiSdk);
+    } else if (isPiBrowser()) {
+      sdkPromise = injectSdkScript();
+    } else {
+      sdkPromise = Promise.resolve(null);
+    }
+  }
+  return sdkPromise;
+}
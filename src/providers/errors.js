@@ -0,0 +1,59 @@
+// Errors raised by LLM providers. Every provider maps its own failure shapes
+// (HTTP status, error body, network failure) onto these codes so the app can
+// react without knowing which backend answered.
+
+export const ERROR_CODES = {
+  AUTH: 'auth',
+  PLAN: 'plan', // The model isn't on the user's plan
+  QUOTA: 'quota',
+  INVALID_REQUEST: 'invalid_request',
+  SAFETY: 'safety', // The prompt or the reply was blocked by a safety filter
+  SERVER: 'server',
+  NETWORK: 'network',
+  BAD_RESPONSE: 'bad_response',
+  UNKNOWN: 'unknown',
+};
+
+export class ProviderError extends Error {
+  constructor(message, { code = ERROR_CODES.UNKNOWN, status, provider, cause, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+    this.provider = provider;
+    if (cause) this.cause = cause;
+    if (retryAfterMs !== undefined) this.retryAfterMs = retryAfterMs; // From the Retry-After header
+  }
+}
+
+export function codeForStatus(status) {
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH;
+  if (status === 429) return ERROR_CODES.QUOTA;
+  if (status === 400 || status === 404 || status === 413) return ERROR_CODES.INVALID_REQUEST;
+  if (status >= 500) return ERROR_CODES.SERVER;
+  return ERROR_CODES.UNKNOWN;
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Server hiccups and dropped connections are worth retrying; so is a rate
+// limit that resets within `maxWaitMs`. Everything else would fail again.
+export function isRetryable(error, maxWaitMs) {
+  if (!(error instanceof ProviderError)) return false;
+  if (error.code === ERROR_CODES.SERVER || error.code === ERROR_CODES.NETWORK) return true;
+  return error.code === ERROR_CODES.QUOTA && error.retryAfterMs !== undefined && error.retryAfterMs <= maxWaitMs;
+}
+
+// Shared part of every provider's mapError: aborts pass through untouched,
+// fetch failures become network errors and anything else is wrapped.
+export function mapCommonError(error, provider) {
+  if (isAbortError(error) || error instanceof ProviderError) return error;
+  if (error instanceof TypeError) {
+    return new ProviderError('Could not reach the AI service. Check your connection.', {
+      code: ERROR_CODES.NETWORK,
+      provider,
+      cause: error,
+    });
+  }
+  return new ProviderError(error?.message || 'Unexpected AI service error', { provider, cause: error });
+}
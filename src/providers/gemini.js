@@ -0,0 +1,145 @@
+import { ERROR_CODES, ProviderError, codeForStatus, mapCommonError } from './errors';
+import { createSseParser, idTokenOptions, postJson, readJson, readStream } from './http';
+
+// Google Gemini, reached through our chat proxy (server/chatProxy.mjs) so the
+// API key stays on the server. The proxy speaks Gemini's own request and
+// response format; `contents` is already in that shape.
+
+const CHAT_PROXY_URL = process.env.REACT_APP_CHAT_PROXY_URL || '/api/chat';
+
+// Joins the text parts of the first candidate, or returns '' if the response
+// chunk has none (e.g. a final chunk carrying only finishReason/usage).
+function parse(result) {
+  const parts = result?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) return '';
+  return parts.map((part) => (typeof part.text === 'string' ? part.text : '')).join('');
+}
+
+// The function calls in the first candidate, as { name, args }, with the
+// thoughtSignature Gemini wants back with them when there is one.
+function functionCalls(result) {
+  const parts = result?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) return [];
+  return parts
+    .filter((part) => typeof part?.functionCall?.name === 'string')
+    .map(({ functionCall, thoughtSignature }) => ({
+      name: functionCall.name,
+      args: functionCall.args || {},
+      ...(thoughtSignature && { thoughtSignature }),
+    }));
+}
+
+// Token counts from a response's usageMetadata, or null if it has none. In a
+// stream every chunk may carry it; the last one covers the whole reply.
+function tokenUsage(result) {
+  const metadata = result?.usageMetadata;
+  if (!metadata || typeof metadata !== 'object') return null;
+  const count = (value) => (Number.isFinite(value) ? value : 0);
+  const promptTokens = count(metadata.promptTokenCount);
+  // Thinking models bill their thoughts as output too
+  const responseTokens = count(metadata.candidatesTokenCount) + count(metadata.thoughtsTokenCount);
+  if (promptTokens === 0 && responseTokens === 0) return null;
+  return { promptTokens, responseTokens, totalTokens: count(metadata.totalTokenCount) || promptTokens + responseTokens };
+}
+
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+// A blocked prompt comes back as a 200 with `promptFeedback.blockReason` and no
+// candidates; a blocked reply as a candidate whose finishReason says why.
+function blockReason(result) {
+  if (result?.promptFeedback?.blockReason) return result.promptFeedback.blockReason;
+  const finishReason = result?.candidates?.[0]?.finishReason;
+  return BLOCKED_FINISH_REASONS.includes(finishReason) ? finishReason : null;
+}
+
+const safetyError = (reason) =>
+  new ProviderError(`Gemini blocked the response (${reason})`, { code: ERROR_CODES.SAFETY, provider: 'gemini' });
+
+function mapError({ status, body, error }) {
+  if (error) return mapCommonError(error, 'gemini');
+
+  const details = body?.error || {};
+  let code = codeForStatus(status);
+  if (details.status === 'RESOURCE_EXHAUSTED') code = ERROR_CODES.QUOTA;
+  // Gemini reports a bad key as 400 INVALID_ARGUMENT; the proxy's own token
+  // checks answer 401 UNAUTHENTICATED.
+  if (/api key/i.test(details.message || '')) code = ERROR_CODES.AUTH;
+  // The proxy refuses models outside the caller's plan with 403 PERMISSION_DENIED
+  if (status === 403 && /on your plan/i.test(details.message || '')) code = ERROR_CODES.PLAN;
+
+  return new ProviderError(details.message || `Gemini request failed with status ${status}`, {
+    code,
+    status,
+    provider: 'gemini',
+  });
+}
+
+// The proxy body: Gemini's request plus the model to use, and `purpose` for
+// requests the app makes on its own (see server/chatProxy.mjs).
+function requestBody({ model, purpose, contents, systemInstruction, generationConfig, safetySettings, tools, toolConfig }) {
+  return {
+    model,
+    ...(purpose && { purpose }),
+    contents,
+    ...(systemInstruction && { systemInstruction: { parts: [{ text: systemInstruction }] } }),
+    ...(generationConfig && { generationConfig }),
+    ...(safetySettings && { safetySettings }),
+    ...(tools && { tools }),
+    ...(toolConfig && { toolConfig }),
+  };
+}
+
+const gemini = {
+  id: 'gemini',
+  label: 'Gemini',
+  defaultModel: process.env.REACT_APP_GEMINI_MODEL || 'gemini-2.0-flash',
+  parse,
+  mapError,
+
+  // `onUsage` is called with { promptTokens, responseTokens, totalTokens }
+  // when Gemini reports them, `onFunctionCalls` with the calls the reply
+  // ends in when it asks for any.
+  async send({ model = this.defaultModel, signal, getIdToken, onUsage, onFunctionCalls, ...request }) {
+    const options = await idTokenOptions(this, getIdToken, signal);
+    const response = await postJson(this, CHAT_PROXY_URL, requestBody({ model, ...request }), options);
+    const result = await readJson(this, response);
+    if (tokenUsage(result)) onUsage?.(tokenUsage(result));
+    const text = parse(result);
+    const calls = functionCalls(result);
+    if (!text && calls.length === 0 && blockReason(result)) throw safetyError(blockReason(result));
+    if (calls.length > 0) onFunctionCalls?.(calls);
+    return text;
+  },
+
+  // Calls `onText` with the accumulated text after every chunk and resolves
+  // with the full text. Aborting `signal` rejects with an AbortError.
+  async stream({ model = this.defaultModel, signal, onText, onUsage, onFunctionCalls, getIdToken, ...request }) {
+    const options = await idTokenOptions(this, getIdToken, signal);
+    const body = { ...requestBody({ model, ...request }), stream: true };
+    const response = await postJson(this, CHAT_PROXY_URL, body, options);
+
+    let text = '';
+    let blocked = null;
+    let usage = null;
+    const calls = [];
+    await readStream(this, response, createSseParser, (event) => {
+      // Errors after the response has started arrive as an event of their own
+      if (event.error) throw mapError({ status: event.error.code || 500, body: event });
+      blocked = blockReason(event) || blocked;
+      usage = tokenUsage(event) || usage;
+      calls.push(...functionCalls(event));
+      const delta = parse(event);
+      if (delta) {
+        text += delta;
+        onText?.(text);
+      }
+    });
+    if (usage) onUsage?.(usage);
+    // Text that made it through before a block is kept
+    if (!text && calls.length === 0 && blocked) throw safetyError(blocked);
+    if (calls.length > 0) onFunctionCalls?.(calls);
+    return text;
+  },
+};
+
+export default gemini;
@@ -0,0 +1,152 @@
+import { ERROR_CODES, ProviderError, isAbortError, mapCommonError } from './errors';
+
+// Fetch and stream-reading helpers shared by the providers.
+
+// Returns a function that is fed raw chunks of a `text/event-stream` body and
+// returns the parsed JSON payloads of every event completed by that chunk.
+export function createSseParser() {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.replace(/\r\n/g, '\n');
+    const events = [];
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data !== '' && data !== '[DONE]') {
+        try {
+          events.push(JSON.parse(data));
+        } catch (error) {
+          console.warn('Skipping malformed stream event:', data);
+        }
+      }
+
+      boundary = buffer.indexOf('\n\n');
+    }
+
+    return events;
+  };
+}
+
+// Same as createSseParser, for newline-delimited JSON bodies (Ollama).
+export function createNdjsonParser() {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    return lines
+      .map((line) => line.trim())
+      .filter((line) => line !== '')
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          console.warn('Skipping malformed stream line:', line);
+          return [];
+        }
+      });
+  };
+}
+
+async function readErrorBody(response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// POSTs `body` as JSON and returns the response once it is known to be ok.
+// Failures of any kind are passed through `provider.mapError`.
+export async function postJson(provider, url, body, { headers = {}, signal } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    throw provider.mapError({ error });
+  }
+
+  if (!response.ok) {
+    const error = provider.mapError({ status: response.status, body: await readErrorBody(response) });
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    if (error instanceof ProviderError && retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+    throw error;
+  }
+  return response;
+}
+
+// Request options for our own proxies, which only serve signed-in users,
+// identified by their Firebase ID token.
+export async function idTokenOptions(provider, getIdToken, signal) {
+  let idToken;
+  try {
+    idToken = getIdToken ? await getIdToken() : null;
+  } catch (error) {
+    throw mapCommonError(error, provider.id);
+  }
+  if (!idToken) {
+    throw new ProviderError('You need to be signed in to chat.', { code: ERROR_CODES.AUTH, provider: provider.id });
+  }
+  return { signal, headers: { Authorization: `Bearer ${idToken}` } };
+}
+
+// Reads a non-streamed JSON response body.
+export async function readJson(provider, response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new ProviderError(`${provider.label} returned an unreadable response`, {
+      code: ERROR_CODES.BAD_RESPONSE,
+      provider: provider.id,
+      cause: error,
+    });
+  }
+}
+
+// Reads a streamed response body, handing every parsed event to `onEvent`.
+export async function readStream(provider, response, createParser, onEvent) {
+  if (!response.body) {
+    throw provider.mapError({ error: new Error('Streaming is not supported by this browser') });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parse = createParser();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parse(decoder.decode(value, { stream: true })).forEach(onEvent);
+    }
+  } catch (error) {
+    throw provider.mapError({ error });
+  }
+}
@@ -0,0 +1,47 @@
+import gemini from './gemini';
+import local from './local';
+import mock from './mock';
+import openai from './openai';
+
+// Every provider implements the same interface:
+//   id, label, defaultModel
+//   send({ contents, model, signal })           -> Promise<string>
+//   stream({ contents, model, signal, onText }) -> Promise<string>, onText(accumulatedText)
+//   parse(responseBody)                         -> string
+//   mapError({ status, body, error })           -> ProviderError (or the AbortError as-is)
+// `contents` is always in Gemini's shape; providers convert it as needed.
+// send/stream also take the persona's `systemInstruction` (a string),
+// `generationConfig` ({ temperature, maxOutputTokens }) and Gemini
+// `safetySettings`; providers map what they support and ignore the rest.
+// send/stream also accept `getIdToken`, an async function returning the
+// user's Firebase ID token, for providers that go through our own backend.
+// `purpose: 'memory'` marks the app's own memory extraction requests; only the
+// Gemini proxy looks at it.
+// Providers that report token counts call `onUsage({ promptTokens,
+// responseTokens, totalTokens })` once the reply is complete.
+// Providers that support function calling take Gemini's `tools` and
+// `toolConfig` and, once the reply is complete, call `onFunctionCalls([{ name,
+// args }])` if it asks for any (see src/tools); the others ignore them.
+
+const PROVIDERS = { gemini, openai, local, mock };
+
+// REACT_APP_LLM_PROVIDER picks the deployment's default provider and
+// REACT_APP_LLM_PROVIDERS (comma-separated) which ones users may switch to.
+export const DEFAULT_PROVIDER_ID = PROVIDERS[process.env.REACT_APP_LLM_PROVIDER]
+  ? process.env.REACT_APP_LLM_PROVIDER
+  : 'gemini';
+
+const enabledIds = (process.env.REACT_APP_LLM_PROVIDERS || DEFAULT_PROVIDER_ID)
+  .split(',')
+  .map((id) => id.trim())
+  .filter((id) => PROVIDERS[id]);
+
+export const availableProviders = [...new Set([DEFAULT_PROVIDER_ID, ...enabledIds])].map((id) => PROVIDERS[id]);
+
+// Falls back to the default for unknown or disabled ids, e.g. a conversation
+// created while a provider was enabled that has since been turned off.
+export function getProvider(id) {
+  return availableProviders.find((provider) => provider.id === id) || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+export { ERROR_CODES, ProviderError, isAbortError } from './errors';
@@ -0,0 +1,80 @@
+import { ProviderError, codeForStatus, mapCommonError } from './errors';
+import { createNdjsonParser, postJson, readJson, readStream } from './http';
+import { textOf } from './openai';
+
+// A model served from the developer's machine through Ollama's /api/chat
+// endpoint. Any stub server speaking the same protocol works too.
+
+const BASE_URL = (process.env.REACT_APP_LOCAL_LLM_URL || 'http://localhost:11434').replace(/\/$/, '');
+
+// Ollama takes a turn's images as a separate list of base64 strings.
+export function toOllamaMessages(contents, systemInstruction) {
+  const messages = contents.map((content) => {
+    const images = content.parts
+      .filter((part) => part.inlineData?.mimeType.startsWith('image/'))
+      .map((part) => part.inlineData.data);
+    return {
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: textOf(content),
+      ...(images.length > 0 && { images }),
+    };
+  });
+  return systemInstruction ? [{ role: 'system', content: systemInstruction }, ...messages] : messages;
+}
+
+function parse(result) {
+  const content = result?.message?.content;
+  return typeof content === 'string' ? content : '';
+}
+
+function mapError({ status, body, error }) {
+  if (error) return mapCommonError(error, 'local');
+
+  return new ProviderError(
+    typeof body?.error === 'string' ? body.error : `Local model request failed with status ${status}`,
+    { code: codeForStatus(status), status, provider: 'local' }
+  );
+}
+
+// Ollama calls the output token limit `num_predict`.
+const requestBody = ({ model, contents, systemInstruction, generationConfig = {} }, stream) => ({
+  model,
+  messages: toOllamaMessages(contents, systemInstruction),
+  stream,
+  options: {
+    ...(generationConfig.temperature !== undefined && { temperature: generationConfig.temperature }),
+    ...(generationConfig.maxOutputTokens && { num_predict: generationConfig.maxOutputTokens }),
+  },
+});
+
+const local = {
+  id: 'local',
+  label: 'Local (Ollama)',
+  defaultModel: process.env.REACT_APP_LOCAL_LLM_MODEL || 'llama3.2',
+  parse,
+  mapError,
+
+  async send({ model = this.defaultModel, signal, ...request }) {
+    const body = requestBody({ model, ...request }, false);
+    const response = await postJson(this, `${BASE_URL}/api/chat`, body, { signal });
+    return parse(await readJson(this, response));
+  },
+
+  async stream({ model = this.defaultModel, signal, onText, ...request }) {
+    const body = requestBody({ model, ...request }, true);
+    const response = await postJson(this, `${BASE_URL}/api/chat`, body, { signal });
+
+    let text = '';
+    await readStream(this, response, createNdjsonParser, (event) => {
+      if (event.error) throw mapError({ status: 500, body: event });
+      const delta = parse(event);
+      if (delta) {
+        text += delta;
+        onText?.(text);
+      }
+    });
+    return text;
+  },
+};
+
+export default local;
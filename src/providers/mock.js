@@ -0,0 +1,41 @@
+import { sleep } from './retry';
+
+// An in-browser provider that needs no server or key. It echoes the last user
+// message back word by word, which is enough to exercise streaming, Stop and
+// persistence during development and in tests.
+
+const WORD_DELAY_MS = 40;
+
+function replyTo(contents) {
+  const lastUserTurn = [...contents].reverse().find((content) => content.role === 'user');
+  const question = lastUserTurn ? lastUserTurn.parts.map((part) => part.text || '').join('') : '';
+  return `(mock reply) You said: ${question}`;
+}
+
+const mock = {
+  id: 'mock',
+  label: 'Mock (offline)',
+  defaultModel: 'echo',
+
+  parse: (result) => (typeof result?.text === 'string' ? result.text : ''),
+
+  mapError: ({ error }) => error,
+
+  async send({ contents, signal }) {
+    await sleep(WORD_DELAY_MS, signal);
+    return replyTo(contents);
+  },
+
+  async stream({ contents, signal, onText }) {
+    const words = replyTo(contents).match(/\S+\s*/g) || [];
+    let text = '';
+    for (const word of words) {
+      await sleep(WORD_DELAY_MS, signal);
+      text += word;
+      onText?.(text);
+    }
+    return text;
+  },
+};
+
+export default mock;
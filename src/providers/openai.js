@@ -0,0 +1,93 @@
+import { ERROR_CODES, ProviderError, codeForStatus, mapCommonError } from './errors';
+import { createSseParser, idTokenOptions, postJson, readJson, readStream } from './http';
+
+// Any OpenAI-compatible Chat Completions API (OpenAI, OpenRouter, Groq, vLLM,
+// LM Studio, ...), reached through our OpenAI proxy (server/openaiProxy.mjs)
+// so the API key stays on the server. The proxy's OPENAI_BASE_URL picks the API.
+
+const OPENAI_PROXY_URL = process.env.REACT_APP_OPENAI_PROXY_URL || '/api/openai';
+
+export const textOf = (content) => content.parts.map((part) => part.text || '').join('');
+
+// Images go in as data URLs; any other inline file can't be sent here.
+const toContentParts = (content) =>
+  content.parts
+    .map((part) => (part.inlineData
+      ? part.inlineData.mimeType.startsWith('image/') && {
+        type: 'image_url',
+        image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` },
+      }
+      : { type: 'text', text: part.text || '' }))
+    .filter(Boolean);
+
+// Converts Gemini-style `contents` to Chat Completions `messages`, led by the
+// system instruction if there is one. Turns with images use the content-parts
+// form; the rest stay plain strings.
+export function toOpenAiMessages(contents, systemInstruction) {
+  const messages = contents.map((content) => ({
+    role: content.role === 'model' ? 'assistant' : 'user',
+    content: content.parts.some((part) => part.inlineData) ? toContentParts(content) : textOf(content),
+  }));
+  return systemInstruction ? [{ role: 'system', content: systemInstruction }, ...messages] : messages;
+}
+
+// Safety settings are Gemini-only and ignored here.
+const requestBody = ({ model, contents, systemInstruction, generationConfig = {} }) => ({
+  model,
+  messages: toOpenAiMessages(contents, systemInstruction),
+  ...(generationConfig.temperature !== undefined && { temperature: generationConfig.temperature }),
+  ...(generationConfig.maxOutputTokens && { max_tokens: generationConfig.maxOutputTokens }),
+});
+
+function parse(result) {
+  const choice = result?.choices?.[0];
+  const content = choice?.message?.content ?? choice?.delta?.content;
+  return typeof content === 'string' ? content : '';
+}
+
+function mapError({ status, body, error }) {
+  if (error) return mapCommonError(error, 'openai');
+
+  const details = body?.error || {};
+  let code = codeForStatus(status);
+  if (details.code === 'insufficient_quota' || details.code === 'rate_limit_exceeded') code = ERROR_CODES.QUOTA;
+  if (details.code === 'invalid_api_key') code = ERROR_CODES.AUTH;
+
+  return new ProviderError(details.message || `Chat completion request failed with status ${status}`, {
+    code,
+    status,
+    provider: 'openai',
+  });
+}
+
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: process.env.REACT_APP_OPENAI_MODEL || 'gpt-4o-mini',
+  parse,
+  mapError,
+
+  async send({ model = this.defaultModel, signal, getIdToken, ...request }) {
+    const body = requestBody({ model, ...request });
+    const response = await postJson(this, OPENAI_PROXY_URL, body, await idTokenOptions(this, getIdToken, signal));
+    return parse(await readJson(this, response));
+  },
+
+  async stream({ model = this.defaultModel, signal, onText, getIdToken, ...request }) {
+    const body = { ...requestBody({ model, ...request }), stream: true };
+    const response = await postJson(this, OPENAI_PROXY_URL, body, await idTokenOptions(this, getIdToken, signal));
+
+    let text = '';
+    await readStream(this, response, createSseParser, (event) => {
+      if (event.error) throw mapError({ status: response.status, body: event });
+      const delta = parse(event);
+      if (delta) {
+        text += delta;
+        onText?.(text);
+      }
+    });
+    return text;
+  },
+};
+
+export default openai;
@@ -0,0 +1,189 @@
+import gemini from './gemini';
+import { createNdjsonParser, createSseParser, parseRetryAfter } from './http';
+import { toOllamaMessages } from './local';
+import mock from './mock';
+import openai, { toOpenAiMessages } from './openai';
+import { ERROR_CODES } from './errors';
+
+const chunk = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+test('parses SSE events split across chunks', () => {
+  const parse = createSseParser();
+
+  expect(parse(`data: ${JSON.stringify(chunk('Hel'))}\n\ndata: {"cand`)).toEqual([chunk('Hel')]);
+  expect(parse(`idates":[]}\r\n\r\n`)).toEqual([{ candidates: [] }]);
+});
+
+test('skips malformed and empty SSE events', () => {
+  const parse = createSseParser();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(parse('data: {oops\n\n: keep-alive\n\ndata: [DONE]\n\n')).toEqual([]);
+  console.warn.mockRestore();
+});
+
+test('parses newline-delimited JSON split across chunks', () => {
+  const parse = createNdjsonParser();
+
+  expect(parse('{"message":{"content":"a"}}\n{"mess')).toEqual([{ message: { content: 'a' } }]);
+  expect(parse('age":{"content":"b"}}\n')).toEqual([{ message: { content: 'b' } }]);
+});
+
+test('gemini parses text from the first candidate only', () => {
+  expect(gemini.parse(chunk('Hi'))).toBe('Hi');
+  expect(gemini.parse({ candidates: [{ finishReason: 'STOP' }] })).toBe('');
+  expect(gemini.parse({})).toBe('');
+});
+
+test('gemini maps quota, key and plan errors', () => {
+  const quota = gemini.mapError({ status: 429, body: { error: { status: 'RESOURCE_EXHAUSTED', message: 'Quota' } } });
+  const key = gemini.mapError({ status: 400, body: { error: { message: 'API key not valid.' } } });
+  const plan = gemini.mapError({
+    status: 403,
+    body: { error: { status: 'PERMISSION_DENIED', message: 'Model gemini-2.5-flash is not available on your plan' } },
+  });
+
+  expect(quota.code).toBe(ERROR_CODES.QUOTA);
+  expect(key.code).toBe(ERROR_CODES.AUTH);
+  expect(plan.code).toBe(ERROR_CODES.PLAN);
+});
+
+test('gemini sends the system instruction and generation settings to the proxy', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify(chunk('ok'))));
+
+  await gemini.send({
+    contents: [{ role: 'user', parts: [{ text: 'hi' }] }],
+    systemInstruction: 'Be brief.',
+    generationConfig: { temperature: 0.2, maxOutputTokens: 64 },
+    getIdToken: async () => 'id-token',
+  });
+
+  const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+  expect(body.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+  expect(body.generationConfig).toEqual({ temperature: 0.2, maxOutputTokens: 64 });
+  expect(body).not.toHaveProperty('safetySettings');
+  fetchMock.mockRestore();
+});
+
+// jsdom's Response has no readable body, so hand readStream a reader directly.
+const sseResponse = (events) => {
+  const chunks = events.map((event) => new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+  return {
+    ok: true,
+    status: 200,
+    body: { getReader: () => ({ read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) },
+  };
+};
+
+test('gemini reports a blocked reply as a safety error', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+    { promptFeedback: { blockReason: 'SAFETY' } },
+  ]));
+
+  await expect(gemini.stream({ contents: [], getIdToken: async () => 'id-token' }))
+    .rejects.toMatchObject({ code: ERROR_CODES.SAFETY });
+  fetchMock.mockRestore();
+});
+
+test('gemini keeps text that arrived before a block', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+    chunk('Partial'),
+    { candidates: [{ finishReason: 'SAFETY' }] },
+  ]));
+
+  await expect(gemini.stream({ contents: [], getIdToken: async () => 'id-token' })).resolves.toBe('Partial');
+  fetchMock.mockRestore();
+});
+
+test('gemini reports the tokens of the whole reply', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+    { ...chunk('Hello'), usageMetadata: { promptTokenCount: 12, totalTokenCount: 12 } },
+    { ...chunk(' there'), usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3, thoughtsTokenCount: 5, totalTokenCount: 20 } },
+  ]));
+  const reports = [];
+
+  await gemini.stream({ contents: [], getIdToken: async () => 'id-token', onUsage: (usage) => reports.push(usage) });
+
+  expect(reports).toEqual([{ promptTokens: 12, responseTokens: 8, totalTokens: 20 }]);
+  fetchMock.mockRestore();
+});
+
+test('gemini declares tools and reports the function calls a reply asks for', async () => {
+  const call = { functionCall: { name: 'calculate', args: { expression: '6*7' } }, thoughtSignature: 'sig' };
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(sseResponse([
+    { candidates: [{ content: { parts: [call] }, finishReason: 'STOP' }] },
+  ]));
+  const tools = [{ functionDeclarations: [{ name: 'calculate', description: 'Calculates', parameters: { type: 'object' } }] }];
+  const onFunctionCalls = jest.fn();
+
+  await expect(gemini.stream({ contents: [], tools, getIdToken: async () => 'id-token', onFunctionCalls })).resolves.toBe('');
+
+  expect(JSON.parse(fetchMock.mock.calls[0][1].body).tools).toEqual(tools);
+  expect(onFunctionCalls).toHaveBeenCalledWith([{ name: 'calculate', args: { expression: '6*7' }, thoughtSignature: 'sig' }]);
+  fetchMock.mockRestore();
+});
+
+test('attaches Retry-After to rate limit errors', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(
+    JSON.stringify({ error: { status: 'RESOURCE_EXHAUSTED', message: 'Too many messages.' } }),
+    { status: 429, headers: { 'Retry-After': '7' } }
+  ));
+
+  await expect(gemini.send({ contents: [], getIdToken: async () => 'id-token' }))
+    .rejects.toMatchObject({ code: ERROR_CODES.QUOTA, retryAfterMs: 7000 });
+  expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(10000);
+  expect(parseRetryAfter(null)).toBeUndefined();
+  fetchMock.mockRestore();
+});
+
+test('openai goes through the proxy with the ID token, never an API key', async () => {
+  const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }] })));
+
+  expect(await openai.send({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }], getIdToken: async () => 'id-token' })).toBe('ok');
+
+  const [url, init] = fetchMock.mock.calls[0];
+  expect(url).toBe('/api/openai');
+  expect(init.headers.Authorization).toBe('Bearer id-token');
+  await expect(openai.send({ contents: [] })).rejects.toMatchObject({ code: ERROR_CODES.AUTH });
+  fetchMock.mockRestore();
+});
+
+test('openai messages start with the system instruction', () => {
+  const contents = [{ role: 'user', parts: [{ text: 'hi' }] }, { role: 'model', parts: [{ text: 'hello' }] }];
+
+  expect(toOpenAiMessages(contents, 'Be brief.')).toEqual([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: 'hello' },
+  ]);
+  expect(toOpenAiMessages(contents)).toHaveLength(2);
+});
+
+test('images are passed on in each API\'s own form', () => {
+  const contents = [{
+    role: 'user',
+    parts: [{ inlineData: { mimeType: 'image/png', data: 'iVBOR' } }, { inlineData: { mimeType: 'application/pdf', data: 'JVBER' } }, { text: 'What is this?' }],
+  }];
+
+  expect(toOpenAiMessages(contents)).toEqual([{
+    role: 'user',
+    content: [
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBOR' } },
+      { type: 'text', text: 'What is this?' },
+    ],
+  }]);
+  expect(toOllamaMessages(contents)).toEqual([{ role: 'user', content: 'What is this?', images: ['iVBOR'] }]);
+});
+
+test('mock provider streams an echo and honours abort', async () => {
+  const contents = [{ role: 'user', parts: [{ text: 'hello there' }] }];
+  const updates = [];
+
+  await expect(mock.stream({ contents, onText: (text) => updates.push(text) }))
+    .resolves.toBe('(mock reply) You said: hello there');
+  expect(updates.length).toBeGreaterThan(1);
+
+  const controller = new AbortController();
+  controller.abort();
+  await expect(mock.stream({ contents, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+});
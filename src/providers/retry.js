@@ -0,0 +1,52 @@
+import { isRetryable } from './errors';
+
+// Retries transient provider failures with exponential backoff and jitter.
+
+const abortError = () => {
+  const error = new Error('The operation was aborted.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts.
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+
+// The wait before retry number `attempt + 1`: base * 2^attempt, halved at
+// random so clients that failed together don't retry together, and never less
+// than what the server asked for with Retry-After.
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs = 0, random = Math.random }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.max(retryAfterMs, Math.round(exponential * (0.5 + random() / 2)));
+}
+
+// Calls `run` until it succeeds, fails with a non-retryable error, runs out of
+// retries or `shouldRetry(error)` says no. The last error is rethrown.
+export async function withRetry(run, {
+  signal,
+  retries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 8000,
+  shouldRetry = () => true,
+  onRetry,
+  random,
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error, maxDelayMs) || !shouldRetry(error)) throw error;
+
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: error.retryAfterMs, random });
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay, signal);
+    }
+  }
+}
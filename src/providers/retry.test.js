@@ -0,0 +1,57 @@
+import { ERROR_CODES, ProviderError } from './errors';
+import { backoffDelay, withRetry } from './retry';
+
+const serverError = () => new ProviderError('Unavailable', { code: ERROR_CODES.SERVER, status: 503 });
+const fast = { baseDelayMs: 1, maxDelayMs: 4 };
+
+test('retries transient errors until the call succeeds', async () => {
+  const run = jest.fn()
+    .mockRejectedValueOnce(serverError())
+    .mockRejectedValueOnce(new ProviderError('Offline', { code: ERROR_CODES.NETWORK }))
+    .mockResolvedValue('ok');
+  const onRetry = jest.fn();
+
+  await expect(withRetry(run, { ...fast, onRetry })).resolves.toBe('ok');
+  expect(run).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+});
+
+test('gives up after the last retry and on errors that would fail again', async () => {
+  const alwaysDown = jest.fn().mockRejectedValue(serverError());
+  await expect(withRetry(alwaysDown, { ...fast, retries: 2 })).rejects.toMatchObject({ code: ERROR_CODES.SERVER });
+  expect(alwaysDown).toHaveBeenCalledTimes(3);
+
+  const badKey = jest.fn().mockRejectedValue(new ProviderError('Bad key', { code: ERROR_CODES.AUTH }));
+  await expect(withRetry(badKey, fast)).rejects.toMatchObject({ code: ERROR_CODES.AUTH });
+  expect(badKey).toHaveBeenCalledTimes(1);
+
+  const longLimit = new ProviderError('Slow down', { code: ERROR_CODES.QUOTA, retryAfterMs: 60000 });
+  const limited = jest.fn().mockRejectedValue(longLimit);
+  await expect(withRetry(limited, fast)).rejects.toBe(longLimit);
+  expect(limited).toHaveBeenCalledTimes(1);
+});
+
+test('does not retry when shouldRetry says no', async () => {
+  const run = jest.fn().mockRejectedValue(serverError());
+  await expect(withRetry(run, { ...fast, shouldRetry: () => false })).rejects.toMatchObject({ code: ERROR_CODES.SERVER });
+  expect(run).toHaveBeenCalledTimes(1);
+});
+
+test('stops waiting when aborted', async () => {
+  const controller = new AbortController();
+  const run = jest.fn().mockImplementation(async () => {
+    controller.abort();
+    throw serverError();
+  });
+
+  await expect(withRetry(run, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  expect(run).toHaveBeenCalledTimes(1);
+});
+
+test('backs off exponentially, capped, and never below Retry-After', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 8000, random: () => 1 };
+
+  expect([0, 1, 2, 3, 4].map((attempt) => backoffDelay(attempt, options))).toEqual([1000, 2000, 4000, 8000, 8000]);
+  expect(backoffDelay(0, { ...options, random: () => 0 })).toBe(500);
+  expect(backoffDelay(0, { ...options, retryAfterMs: 3000 })).toBe(3000);
+});
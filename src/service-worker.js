@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// Caches the app shell so the app opens, and can be installed, without a
+// network. Chat data comes from Firestore's own offline cache, and /api calls
+// are never cached. Built by react-scripts (InjectManifest) in production only.
+
+clientsClaim();
+
+// Every file the build emits; the list is injected at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with index.html, except for /api and files.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' && !url.pathname.startsWith('/api/') && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and other images from public/ that aren't part of the build
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
@@ -0,0 +1,24 @@
+// Registers the service worker built from src/service-worker.js. Only
+// production builds have one, so `npm start` never serves a stale shell.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker only controls pages under PUBLIC_URL, which must be on our origin.
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  // A new version waits until every tab is closed; the next visit gets it.
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error('Service worker registration failed:', error));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error(error.message));
+}
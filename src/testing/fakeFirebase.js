@@ -0,0 +1,443 @@
+/* eslint-env jest */
+// In-memory stand-ins for the parts of the Firebase SDK the app uses, for
+// tests that render whole features. Swap them in before anything imports
+// src/firebase.js:
+//
+//   jest.mock('firebase/app', () => require('./testing/fakeFirebase').appModule);
+//   jest.mock('firebase/auth', () => require('./testing/fakeFirebase').authModule);
+//   jest.mock('firebase/firestore', () => require('./testing/fakeFirebase').firestoreModule);
+//   jest.mock('firebase/storage', () => require('./testing/fakeFirebase').storageModule);
+//
+// and drive or inspect them through `fakeFirebase`; call `fakeFirebase.reset()`
+// between tests. Writes apply at once and listeners hear about them on the
+// next microtask, much like Firestore's latency compensation.
+//
+// Plain functions rather than jest.fn, since the test config resets mocks
+// before every test.
+
+const { Timestamp } = jest.requireActual('firebase/firestore');
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+const codedError = (code, message = code) => Object.assign(new Error(message), { code });
+const firestoreError = (code, message) => Object.assign(new Error(message), { code, name: 'FirebaseError' });
+
+const state = {
+  documents: new Map(), // path -> data
+  listeners: new Set(),
+  nextId: 0,
+  lastTimestamp: 0,
+  currentUser: null,
+  authListeners: new Set(),
+  nextUid: 0,
+  customTokens: new Map(), // token -> uid
+  anonymousSignInError: null,
+  files: new Map(), // storage path -> { blob, contentType }
+};
+
+// ---------------------------------------------------------------- App
+
+const appModule = {
+  initializeApp: (options = {}) => ({ name: '[DEFAULT]', options }),
+};
+
+// ---------------------------------------------------------------- Auth
+
+const auth = {
+  name: 'fake-auth',
+  get currentUser() {
+    return state.currentUser;
+  },
+};
+
+const makeUser = (uid, { isAnonymous = false, email = null, displayName = null, providerIds = [] } = {}) => ({
+  uid,
+  isAnonymous,
+  email,
+  displayName,
+  providerData: providerIds.map((providerId) => ({ providerId })),
+  getIdToken: async () => `id-token-${uid}`,
+});
+
+function setCurrentUser(user) {
+  state.currentUser = user;
+  state.authListeners.forEach((listener) => queueMicrotask(() => listener(user)));
+}
+
+const notSupported = (name) => async () => {
+  throw codedError('auth/operation-not-supported-in-this-environment', `${name} is not supported by the fake`);
+};
+
+class GoogleAuthProvider {
+  static credentialFromError() {
+    return null;
+  }
+}
+
+const authModule = {
+  getAuth: () => auth,
+  connectAuthEmulator: () => {},
+  onAuthStateChanged(_auth, listener) {
+    state.authListeners.add(listener);
+    queueMicrotask(() => state.authListeners.has(listener) && listener(state.currentUser));
+    return () => state.authListeners.delete(listener);
+  },
+  async signInAnonymously() {
+    if (state.anonymousSignInError) throw state.anonymousSignInError;
+    state.nextUid += 1;
+    const user = makeUser(`anon-${state.nextUid}`, { isAnonymous: true });
+    setCurrentUser(user);
+    return { user };
+  },
+  async signInWithCustomToken(_auth, token) {
+    if (!state.customTokens.has(token)) throw codedError('auth/invalid-custom-token');
+    const user = makeUser(state.customTokens.get(token));
+    setCurrentUser(user);
+    return { user };
+  },
+  async signOut() {
+    setCurrentUser(null);
+  },
+  GoogleAuthProvider,
+  EmailAuthProvider: { credential: (email, password) => ({ providerId: 'password', email, password }) },
+  linkWithPopup: notSupported('linkWithPopup'),
+  linkWithCredential: notSupported('linkWithCredential'),
+  signInWithCredential: notSupported('signInWithCredential'),
+};
+
+// ---------------------------------------------------------------- Firestore
+
+const db = { type: 'firestore' };
+
+const joinPath = (path, segments) => [path, ...segments].join('/').replace(/^\/+|\/+$/g, '');
+const parentPath = (path) => path.split('/').slice(0, -1).join('/');
+const lastSegment = (path) => path.split('/').pop();
+
+const collectionRef = (path) => ({
+  type: 'collection',
+  path,
+  id: lastSegment(path),
+  firestore: db,
+  // The document a subcollection belongs to; null for top-level collections
+  get parent() {
+    return path.includes('/') ? documentRef(parentPath(path)) : null;
+  },
+});
+const documentRef = (path) => ({
+  type: 'document',
+  path,
+  id: lastSegment(path),
+  firestore: db,
+  parent: collectionRef(parentPath(path)),
+});
+
+const autoId = () => {
+  state.nextId += 1;
+  return `doc${String(state.nextId).padStart(6, '0')}`;
+};
+
+// Server timestamps strictly increase, so documents written in the same
+// millisecond still sort in write order.
+function nextServerTimestamp() {
+  state.lastTimestamp = Math.max(Date.now(), state.lastTimestamp + 1);
+  return Timestamp.fromMillis(state.lastTimestamp);
+}
+
+const clone = (value) => {
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const resolveSentinels = (value) => {
+  if (value === SERVER_TIMESTAMP) return nextServerTimestamp();
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(resolveSentinels);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveSentinels(item)]));
+  }
+  return value;
+};
+
+function checkData(data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) throw firestoreError('invalid-argument', `Unsupported field value: undefined (found in field ${key})`);
+  });
+}
+
+// `a.b.c` paths, as updateDoc takes them
+function setField(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+const mergeDeep = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !(value instanceof Timestamp) && !Array.isArray(value)
+      && target[key] && typeof target[key] === 'object') {
+      mergeDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+// Applies one write to the store; returns nothing, throws like Firestore would.
+function applyWrite({ kind, ref, data, options }) {
+  const existing = state.documents.get(ref.path);
+  if (kind === 'delete') {
+    state.documents.delete(ref.path);
+    return;
+  }
+  checkData(data);
+  const resolved = resolveSentinels(data);
+  if (kind === 'set') {
+    state.documents.set(ref.path, options?.merge && existing ? mergeDeep(clone(existing), resolved) : resolved);
+  } else {
+    if (!existing) throw firestoreError('not-found', `No document to update: ${ref.path}`);
+    const updated = clone(existing);
+    Object.entries(resolved).forEach(([fieldPath, value]) => setField(updated, fieldPath, value));
+    state.documents.set(ref.path, updated);
+  }
+}
+
+function commit(writes) {
+  writes.forEach(applyWrite);
+  notifyListeners();
+  return Promise.resolve();
+}
+
+const write = (entry) => {
+  try {
+    return commit([entry]);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+};
+
+const documentSnapshot = (path) => {
+  const data = state.documents.get(path);
+  return {
+    id: lastSegment(path),
+    ref: documentRef(path),
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+    get: (field) => data?.[field],
+  };
+};
+
+const fieldValue = (data, fieldPath) => fieldPath.split('.').reduce((node, key) => node?.[key], data);
+
+const compareValues = (a, b) => {
+  const normalize = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+  const [x, y] = [normalize(a), normalize(b)];
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+// Document snapshots matching a collection reference or query, in order.
+function runQuery(target) {
+  const { collection, constraints = [] } = target.type === 'query' ? target : { collection: target };
+  const prefix = `${collection.path}/`;
+  let docs = [...state.documents.keys()]
+    .filter((path) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+    .map(documentSnapshot);
+
+  const orderings = constraints.filter((c) => c.kind === 'orderBy');
+  // Firestore leaves out documents that lack an ordered-by field
+  docs = docs.filter((snapshot) => orderings.every(({ field }) => fieldValue(snapshot.data(), field) !== undefined));
+  const compare = (a, b) => {
+    for (const { field, direction } of orderings) {
+      const result = compareValues(fieldValue(a.data(), field), fieldValue(b.data(), field));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+  docs.sort(compare);
+
+  constraints.forEach((constraint) => {
+    if (constraint.kind === 'startAt') docs = docs.filter((d) => compare(d, constraint.snapshot) >= 0);
+    if (constraint.kind === 'endBefore') docs = docs.filter((d) => compare(d, constraint.snapshot) < 0);
+  });
+  constraints.forEach((constraint) => {
+    if (constraint.kind === 'limit') docs = docs.slice(0, constraint.count);
+    if (constraint.kind === 'limitToLast') docs = docs.slice(-constraint.count);
+  });
+  return docs;
+}
+
+const querySnapshot = (docs) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  forEach: (callback) => docs.forEach(callback),
+});
+
+const snapshotOf = (target) =>
+  (target.type === 'document' ? documentSnapshot(target.path) : querySnapshot(runQuery(target)));
+
+function notifyListeners() {
+  state.listeners.forEach((listener) => queueMicrotask(() => {
+    if (state.listeners.has(listener)) listener.onNext(snapshotOf(listener.target));
+  }));
+}
+
+const firestoreModule = {
+  Timestamp,
+  initializeFirestore: () => db,
+  getFirestore: () => db,
+  persistentLocalCache: () => ({}),
+  persistentMultipleTabManager: () => ({}),
+  collection: (_parent, path, ...segments) => collectionRef(joinPath(path, segments)),
+  doc(parent, path, ...segments) {
+    if (parent.type === 'collection') return documentRef(`${parent.path}/${path === undefined ? autoId() : joinPath(path, segments)}`);
+    return documentRef(joinPath(path, segments));
+  },
+  query: (target, ...constraints) => ({
+    type: 'query',
+    collection: target.type === 'query' ? target.collection : target,
+    constraints: [...(target.constraints || []), ...constraints],
+  }),
+  orderBy: (field, direction = 'asc') => ({ kind: 'orderBy', field, direction }),
+  limit: (count) => ({ kind: 'limit', count }),
+  limitToLast: (count) => ({ kind: 'limitToLast', count }),
+  startAt: (snapshot) => ({ kind: 'startAt', snapshot }),
+  endBefore: (snapshot) => ({ kind: 'endBefore', snapshot }),
+  serverTimestamp: () => SERVER_TIMESTAMP,
+  getDoc: async (ref) => documentSnapshot(ref.path),
+  getDocs: async (target) => querySnapshot(runQuery(target)),
+  setDoc: (ref, data, options) => write({ kind: 'set', ref, data, options }),
+  updateDoc: (ref, data) => write({ kind: 'update', ref, data }),
+  deleteDoc: (ref) => write({ kind: 'delete', ref }),
+  writeBatch() {
+    const writes = [];
+    const batch = {
+      set: (ref, data, options) => writes.push({ kind: 'set', ref, data, options }) && batch,
+      update: (ref, data) => writes.push({ kind: 'update', ref, data }) && batch,
+      delete: (ref) => writes.push({ kind: 'delete', ref }) && batch,
+      commit: () => {
+        try {
+          return commit(writes);
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      },
+    };
+    return batch;
+  },
+  onSnapshot(target, onNext, onError) {
+    const listener = { target, onNext, onError };
+    state.listeners.add(listener);
+    queueMicrotask(() => state.listeners.has(listener) && onNext(snapshotOf(target)));
+    return () => state.listeners.delete(listener);
+  },
+};
+
+// ---------------------------------------------------------------- Storage
+
+const storage = { type: 'storage' };
+
+const storageModule = {
+  getStorage: () => storage,
+  ref: (_storage, path) => ({ fullPath: path, name: lastSegment(path) }),
+  async uploadBytes(ref, blob, metadata = {}) {
+    state.files.set(ref.fullPath, { blob, contentType: metadata.contentType });
+    return { ref, metadata };
+  },
+  async getDownloadURL(ref) {
+    if (!state.files.has(ref.fullPath)) throw codedError('storage/object-not-found');
+    return `https://storage.test/${encodeURIComponent(ref.fullPath)}`;
+  },
+  async getBytes(ref) {
+    const file = state.files.get(ref.fullPath);
+    if (!file) throw codedError('storage/object-not-found');
+    return file.blob.arrayBuffer();
+  },
+  // Only the files directly under `ref`; nothing here nests deeper
+  async listAll(ref) {
+    const items = [...state.files.keys()]
+      .filter((path) => path.startsWith(`${ref.fullPath}/`) && !path.slice(ref.fullPath.length + 1).includes('/'))
+      .map((path) => storageModule.ref(storage, path));
+    return { items, prefixes: [] };
+  },
+  async deleteObject(ref) {
+    if (!state.files.delete(ref.fullPath)) throw codedError('storage/object-not-found');
+  },
+};
+
+// ---------------------------------------------------------------- Control
+
+export const fakeFirebase = {
+  auth,
+  db,
+  storage,
+
+  // Forgets every document, file, listener and user.
+  reset() {
+    state.documents.clear();
+    state.listeners.clear();
+    state.authListeners.clear();
+    state.customTokens.clear();
+    state.files.clear();
+    state.currentUser = null;
+    state.anonymousSignInError = null;
+    state.nextId = 0;
+    state.nextUid = 0;
+  },
+
+  get currentUser() {
+    return state.currentUser;
+  },
+
+  // Makes signInWithCustomToken(token) sign in as `uid`; other tokens are rejected.
+  addCustomToken(token, uid) {
+    state.customTokens.set(token, uid);
+  },
+
+  // Makes signInAnonymously fail with `error` (null to succeed again).
+  failAnonymousSignIn(error = codedError('auth/operation-not-allowed')) {
+    state.anonymousSignInError = error;
+  },
+
+  // Signs in as `uid` right away, e.g. to start a test already signed in.
+  signIn(uid, options) {
+    setCurrentUser(makeUser(uid, options));
+  },
+
+  // The stored data at `path`, or undefined.
+  getDocument(path) {
+    const data = state.documents.get(path);
+    return data === undefined ? undefined : clone(data);
+  },
+
+  // [{ id, ...data }] of the documents directly under `collectionPath`,
+  // oldest `timestamp` first.
+  getDocuments(collectionPath) {
+    return runQuery(collectionRef(collectionPath))
+      .map((snapshot) => ({ id: snapshot.id, ...snapshot.data() }))
+      .sort((a, b) => compareValues(a.timestamp, b.timestamp));
+  },
+
+  // The storage paths of every uploaded file, sorted.
+  getFilePaths() {
+    return [...state.files.keys()].sort();
+  },
+
+  // Writes `data` at `path` as if another client had.
+  setDocument(path, data) {
+    return commit([{ kind: 'set', ref: documentRef(path), data }]);
+  },
+};
+
+export { appModule, authModule, firestoreModule, storageModule };
@@ -0,0 +1,171 @@
+// A stand-in for the chat proxy (server/chatProxy.mjs) and the Gemini API
+// behind it, answering the app's HTTP requests in Gemini's own format.
+// Install its `fetch` in place of the global one:
+//
+//   const gemini = createMockGemini();
+//   beforeEach(() => jest.spyOn(global, 'fetch').mockImplementation(gemini.fetch));
+//
+// Each request takes the next queued response, or `defaultReply` when none
+// is queued. `requests` records what was sent ({ url, headers, body }).
+// Memory requests (`purpose: 'memory'`, see src/chat/memories.js) are kept
+// apart in `memoryRequests` and answered with the facts given to `remember`,
+// or none.
+//
+// jsdom's Response has no readable body, so streamed responses hand the
+// provider a reader directly. A stream may be held open after its chunks
+// until the request is aborted, as a reply still being written would be.
+
+const encoder = new TextEncoder();
+
+// One Gemini response chunk carrying `text`.
+export const textChunk = (text, finishReason) => ({
+  candidates: [{ content: { role: 'model', parts: [{ text }] }, ...(finishReason && { finishReason }) }],
+});
+
+// One Gemini response chunk asking for a function call.
+export const functionCallChunk = (name, args = {}) => ({
+  candidates: [{ content: { role: 'model', parts: [{ functionCall: { name, args } }] }, finishReason: 'STOP' }],
+});
+
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+// Settles when `signal` aborts, failing like a fetch body read does
+const untilAborted = (signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) reject(abortError());
+  signal.addEventListener('abort', () => reject(abortError()));
+});
+
+const streamedBody = (payloads, holdUntilAborted) => {
+  const chunks = payloads.map((payload) => encoder.encode(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`));
+  return {
+    getReader: () => ({
+      read: async () => {
+        if (chunks.length > 0) return { done: false, value: chunks.shift() };
+        if (holdUntilAborted) await untilAborted(holdUntilAborted);
+        return { done: true, value: undefined };
+      },
+      releaseLock: () => {},
+      cancel: async () => {},
+    }),
+  };
+};
+
+const jsonResponse = (status, body, headers = {}) => {
+  const text = JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? headers[name.toLowerCase()] ?? null },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+    body: streamedBody([body]),
+  };
+};
+
+const streamResponse = (payloads, holdUntilAborted) => ({
+  ok: true,
+  status: 200,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'text/event-stream' : null) },
+  json: async () => {
+    throw new SyntaxError('A stream is not JSON');
+  },
+  body: streamedBody(payloads, holdUntilAborted),
+});
+
+const ERROR_STATUS = { 400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE' };
+
+// Joins streamed chunks into the single response a non-streamed call gets.
+const mergeChunks = (payloads) => {
+  if (payloads.length === 1) return payloads[0];
+  const text = payloads.map((payload) => payload?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('') || '').join('');
+  return textChunk(text, 'STOP');
+};
+
+export function createMockGemini({ defaultReply = 'Hello from the mock Gemini!' } = {}) {
+  const queue = []; // { payloads } | { status, body, headers } | { disconnect: true }
+  const requests = [];
+  const facts = []; // Answers to memory requests
+  const memoryRequests = [];
+
+  const server = {
+    requests,
+    memoryRequests,
+
+    // The reply to the next request, split into a few streamed chunks.
+    reply(text) {
+      const words = text.match(/\S+\s*/g) || [text];
+      const size = Math.ceil(words.length / 3);
+      const chunks = [];
+      for (let i = 0; i < words.length; i += size) chunks.push(textChunk(words.slice(i, i + size).join('')));
+      return server.replyWithChunks(chunks);
+    },
+
+    // Streams the start of a reply, then keeps the stream open until the
+    // request is aborted (the user pressing Stop).
+    replyUntilStopped(text) {
+      queue.push({ payloads: [textChunk(text)], hold: true });
+      return server;
+    },
+
+    // Streams these raw payloads as they are: objects are sent as JSON,
+    // strings verbatim (e.g. to send something that isn't JSON).
+    replyWithChunks(payloads) {
+      queue.push({ payloads });
+      return server;
+    },
+
+    // Fails the next request with an HTTP error in Gemini's error format.
+    fail(status, message = `Mock Gemini error ${status}`, headers = {}) {
+      queue.push({ status, headers, body: { error: { code: status, status: ERROR_STATUS[status] || 'UNKNOWN', message } } });
+      return server;
+    },
+
+    // Fails the next request before any response, like a dropped connection.
+    disconnect() {
+      queue.push({ disconnect: true });
+      return server;
+    },
+
+    // The facts ([{ category, text }]) the next memory request finds.
+    remember(found) {
+      facts.push(found);
+      return server;
+    },
+
+    // The `contents` of the most recent request.
+    get lastContents() {
+      return requests[requests.length - 1]?.body.contents;
+    },
+
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+      facts.length = 0;
+      memoryRequests.length = 0;
+    },
+
+    async fetch(url, init = {}) {
+      const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+      const body = init.body ? JSON.parse(init.body) : null;
+      const request = { url: String(url), method: init.method || 'GET', headers, body };
+      const isMemoryRequest = body?.purpose === 'memory';
+      (isMemoryRequest ? memoryRequests : requests).push(request);
+
+      if (init.signal?.aborted) throw abortError();
+      // What the proxy itself checks before calling Gemini
+      if (!headers.authorization?.startsWith('Bearer ')) {
+        return jsonResponse(401, { error: { code: 401, status: 'UNAUTHENTICATED', message: 'Missing Firebase ID token' } });
+      }
+
+      if (isMemoryRequest) return jsonResponse(200, textChunk(JSON.stringify(facts.shift() || []), 'STOP'));
+
+      const next = queue.shift() || { payloads: [textChunk(defaultReply, 'STOP')] };
+      if (next.disconnect) throw new TypeError('Failed to fetch');
+      if (next.status) return jsonResponse(next.status, next.body, next.headers);
+      if (!body?.stream) return jsonResponse(200, mergeChunks(next.payloads));
+      return streamResponse(next.payloads, next.hold && init.signal);
+    },
+  };
+
+  return server;
+}
@@ -0,0 +1,144 @@
+// Arithmetic without eval: + - * / % ^, parentheses, unary minus, the
+// constants pi and e and the functions below. Angles are in radians.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z]+)|(\S))/gy;
+
+function tokenize(expression) {
+  const source = expression.toLowerCase().replace(/\*\*/g, '^').replace(/×/g, '*').replace(/÷/g, '/');
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < source.length && (match = TOKEN_PATTERN.exec(source))) {
+    const [, number, name, symbol] = match;
+    if (number) tokens.push({ number: Number(number) });
+    else if (name) tokens.push({ name });
+    else if (symbol) tokens.push({ symbol });
+  }
+  return tokens;
+}
+
+// Recursive descent over
+//   sum     := product (('+' | '-') product)*
+//   product := unary (('*' | '/' | '%') unary)*
+//   unary   := ('+' | '-') unary | power
+//   power   := primary ('^' unary)?
+//   primary := number | constant | function '(' sum ')' | '(' sum ')'
+export function evaluate(expression) {
+  const tokens = tokenize(String(expression ?? ''));
+  let position = 0;
+
+  const peek = () => tokens[position]?.symbol;
+  const expect = (symbol) => {
+    if (peek() !== symbol) throw new Error(`Expected "${symbol}" in the expression`);
+    position += 1;
+  };
+
+  const primary = () => {
+    const token = tokens[position];
+    if (!token) throw new Error('The expression ends too early');
+    position += 1;
+    if (token.number !== undefined) return token.number;
+    if (token.symbol === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    if (token.name && hasOwn(CONSTANTS, token.name)) return CONSTANTS[token.name];
+    if (token.name && hasOwn(FUNCTIONS, token.name)) {
+      expect('(');
+      const value = FUNCTIONS[token.name](sum());
+      expect(')');
+      return value;
+    }
+    throw new Error(`Unexpected "${token.name || token.symbol}" in the expression`);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (peek() !== '^') return base;
+    position += 1;
+    return base ** unary();
+  };
+
+  const unary = () => {
+    if (peek() === '-' || peek() === '+') {
+      const operator = tokens[position].symbol;
+      position += 1;
+      return operator === '-' ? -unary() : unary();
+    }
+    return power();
+  };
+
+  const product = () => {
+    let value = unary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = tokens[position].symbol;
+      position += 1;
+      const right = unary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    while (peek() === '+' || peek() === '-') {
+      const operator = tokens[position].symbol;
+      position += 1;
+      value = operator === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  if (tokens.length === 0) throw new Error('The expression is empty');
+  const value = sum();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw new Error(`Unexpected "${token.name || token.symbol || token.number}" in the expression`);
+  }
+  if (!Number.isFinite(value)) throw new Error('The result is not a finite number');
+  // Hides binary rounding noise such as 0.1 + 0.2 = 0.30000000000000004
+  return Number(value.toPrecision(15));
+}
+
+const calculator = {
+  name: 'calculate',
+  label: 'Calculator',
+  description:
+    'Evaluates an arithmetic expression and returns the exact result. Use it for any calculation rather than working it out yourself. '
+    + 'Supports + - * / % ^, parentheses, pi, e and sqrt, cbrt, abs, round, floor, ceil, exp, ln, log (base 10), sin, cos, tan, asin, acos, atan (radians).',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'The expression, e.g. "(3.14 * 2^10) / 7"' },
+    },
+    required: ['expression'],
+  },
+  run: ({ expression }) => ({ expression, result: evaluate(expression) }),
+};
+
+export default calculator;
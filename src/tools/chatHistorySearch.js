@@ -0,0 +1,39 @@
+// Finds messages in the user's own conversations, through `searchChats` in
+// the tool context (see useChatTools), which queries chat/search.js.
+
+const MAX_RESULTS = 10;
+const DEFAULT_RESULTS = 5;
+// Enough of each message to answer from without filling the context
+const MAX_TEXT_LENGTH = 500;
+
+const dateOf = (timestamp) => (typeof timestamp?.toDate === 'function' ? timestamp.toDate().toISOString().slice(0, 10) : null);
+
+const chatHistorySearch = {
+  name: 'search_chat_history',
+  label: 'Chat history search',
+  description:
+    "Searches the user's earlier conversations with you for messages containing all of the given words (matched by prefix, "
+    + 'ignoring case and accents), newest first. Use it when the user refers to something discussed before.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'A few distinctive words to look for' },
+      limit: { type: 'integer', description: `How many messages to return, at most ${MAX_RESULTS}` },
+    },
+    required: ['query'],
+  },
+  async run({ query, limit = DEFAULT_RESULTS }, { searchChats } = {}) {
+    if (!searchChats) throw new Error('Chat history is not available');
+    const results = await searchChats(query, { limit: Math.min(Math.max(1, Math.floor(limit)), MAX_RESULTS) });
+    return {
+      results: results.map(({ conversationTitle, message }) => ({
+        conversation: conversationTitle || 'Untitled',
+        from: message.sender === 'ai' ? 'assistant' : 'user',
+        date: dateOf(message.timestamp),
+        text: message.text.length > MAX_TEXT_LENGTH ? `${message.text.slice(0, MAX_TEXT_LENGTH)}…` : message.text,
+      })),
+    };
+  },
+};
+
+export default chatHistorySearch;
@@ -0,0 +1,48 @@
+// The current date and time, in the user's time zone unless another is asked for.
+
+const part = (parts, type) => parts.find((p) => p.type === type)?.value;
+
+export function describeTime(now, timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'shortOffset',
+    });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+  const parts = format.formatToParts(now);
+  return {
+    timeZone: format.resolvedOptions().timeZone,
+    date: `${part(parts, 'year')}-${part(parts, 'month')}-${part(parts, 'day')}`,
+    weekday: part(parts, 'weekday'),
+    time: `${part(parts, 'hour')}:${part(parts, 'minute')}`,
+    utcOffset: part(parts, 'timeZoneName'),
+    iso: now.toISOString(),
+  };
+}
+
+const dateTime = {
+  name: 'get_current_time',
+  label: 'Date and time',
+  description:
+    "Returns the current date, weekday and time. Without a time zone it uses the user's own; "
+    + 'pass an IANA time zone such as "Asia/Tokyo" for the time somewhere else.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'IANA time zone name, e.g. "Europe/Paris" or "UTC"' },
+    },
+  },
+  run: ({ timeZone }, { now = new Date() } = {}) => describeTime(now, timeZone || undefined),
+};
+
+export default dateTime;
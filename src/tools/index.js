@@ -0,0 +1,123 @@
+import calculator from './calculator';
+import chatHistorySearch from './chatHistorySearch';
+import dateTime from './dateTime';
+import unitConversion from './unitConversion';
+
+// Tools the model can call while it replies (Gemini function calling). Every
+// tool implements:
+//   name, description  what the model sees; name in snake_case
+//   label              shown on the tool's card in the message list
+//   parameters         JSON schema of the arguments (Gemini's OpenAPI subset)
+//   run(args, context) -> result object (or a Promise of one); throws on bad input
+// `context` carries what tools need from the app: `now` (a Date) and
+// `searchChats(query, { limit })` over the user's messages (useChatTools).
+
+export const BUILT_IN_TOOLS = [calculator, dateTime, unitConversion, chatHistorySearch];
+
+// Model turns that may call tools before the reply; server/usage.mjs allows
+// as many per message (TOOL_ROUNDS_PER_MESSAGE).
+export const MAX_TOOL_ROUNDS = 4;
+// Calls kept with a reply (see firestore.rules)
+export const MAX_STORED_TOOL_CALLS = 20;
+
+// The last round may not call tools, so the model has to answer
+const NO_FUNCTION_CALLS = { functionCallingConfig: { mode: 'NONE' } };
+
+export const findTool = (tools, name) => tools.find((tool) => tool.name === name);
+
+export const toolLabel = (name) => findTool(BUILT_IN_TOOLS, name)?.label || name;
+
+// Gemini's `tools` request field declaring `tools`.
+export const functionDeclarations = (tools) => [{
+  functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+}];
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+// Why `args` don't fit the tool's top-level schema, or null if they do.
+export function argumentError(parameters, args) {
+  if (!TYPE_CHECKS.object(args)) return 'The arguments must be an object';
+  const missing = (parameters.required || []).find((name) => args[name] === undefined);
+  if (missing) return `Missing argument "${missing}"`;
+  for (const [name, value] of Object.entries(args)) {
+    const schema = parameters.properties?.[name];
+    if (!schema) return `Unknown argument "${name}"`;
+    const check = TYPE_CHECKS[String(schema.type).toLowerCase()];
+    if (check && !check(value)) return `Argument "${name}" must be a ${String(schema.type).toLowerCase()}`;
+  }
+  return null;
+}
+
+// Runs one function call from the model. Failures are answered as
+// { error } so the model can explain or try again. The result goes back to
+// the model as JSON and is stored with the reply, so it is made plain JSON.
+export async function runToolCall(tools, { name, args = {} }, context) {
+  const tool = findTool(tools, name);
+  let response;
+  try {
+    if (!tool) throw new Error(`There is no tool called "${name}"`);
+    const error = argumentError(tool.parameters, args);
+    if (error) throw new Error(error);
+    response = JSON.parse(JSON.stringify(await tool.run(args, context) ?? {}));
+  } catch (error) {
+    response = { error: error.message || String(error) };
+  }
+  return { name, args, response };
+}
+
+// Produces a reply that may call tools. `streamRound(request)` streams one
+// model turn for `request` ({ contents, tools, toolConfig, purpose, onText,
+// onFunctionCalls }) and resolves with its text. When a turn ends in function
+// calls they are run, the calls and their results added to the contents, and
+// the model asked again, up to MAX_TOOL_ROUNDS times. Later turns are marked
+// `purpose: 'tool'` for the proxy's quota.
+//
+// `onText` gets the text of every turn so far, `onToolCalls` the calls made
+// so far, without a `response` while they run. Resolves with
+// { text, toolCalls }.
+export async function replyWithTools(streamRound, { contents, tools = [], context, onText, onToolCalls }) {
+  const texts = [];
+  const toolCalls = [];
+  const joined = (text) => [...texts, text].filter(Boolean).join('\n\n');
+  let turns = contents;
+
+  for (let round = 0; ; round += 1) {
+    let calls = [];
+    const text = await streamRound({
+      contents: turns,
+      ...(tools.length > 0 && { tools: functionDeclarations(tools) }),
+      ...(tools.length > 0 && round === MAX_TOOL_ROUNDS && { toolConfig: NO_FUNCTION_CALLS }),
+      ...(round > 0 && { purpose: 'tool' }),
+      onText: (partial) => onText?.(joined(partial)),
+      onFunctionCalls: (found) => {
+        calls = found;
+      },
+    });
+    if (calls.length === 0 || round === MAX_TOOL_ROUNDS) return { text: joined(text), toolCalls };
+    texts.push(text);
+
+    onToolCalls?.([...toolCalls, ...calls.map(({ name, args }) => ({ name, args }))]);
+    const results = await Promise.all(calls.map((call) => runToolCall(tools, call, context)));
+    toolCalls.push(...results);
+    onToolCalls?.([...toolCalls]);
+
+    turns = [
+      ...turns,
+      {
+        role: 'model',
+        parts: [
+          ...(text ? [{ text }] : []),
+          ...calls.map(({ name, args, thoughtSignature }) => ({ functionCall: { name, args }, ...(thoughtSignature && { thoughtSignature }) })),
+        ],
+      },
+      { role: 'user', parts: results.map(({ name, response }) => ({ functionResponse: { name, response } })) },
+    ];
+  }
+}
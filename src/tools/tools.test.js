@@ -0,0 +1,165 @@
+import { Timestamp } from 'firebase/firestore';
+import { BUILT_IN_TOOLS, MAX_TOOL_ROUNDS, argumentError, findTool, functionDeclarations, replyWithTools, runToolCall } from '.';
+import chatHistorySearch from './chatHistorySearch';
+import { evaluate } from './calculator';
+import { describeTime } from './dateTime';
+import { convert } from './unitConversion';
+
+test('calculates with precedence, powers and functions', () => {
+  expect(evaluate('1 + 2 * 3')).toBe(7);
+  expect(evaluate('(1 + 2) * 3')).toBe(9);
+  expect(evaluate('2^3^2')).toBe(512);
+  expect(evaluate('-2^2')).toBe(-4);
+  expect(evaluate('2 ** -1')).toBe(0.5);
+  expect(evaluate('10 % 4 + sqrt(16) - abs(-1)')).toBe(5);
+  expect(evaluate('0.1 + 0.2')).toBe(0.3);
+  expect(evaluate('2 × pi ÷ pi')).toBe(2);
+  expect(evaluate('1.5e3 / .5')).toBe(3000);
+});
+
+test('refuses expressions it cannot evaluate', () => {
+  expect(() => evaluate('')).toThrow('empty');
+  expect(() => evaluate('2 +')).toThrow('ends too early');
+  expect(() => evaluate('(1 + 2')).toThrow('Expected ")"');
+  expect(() => evaluate('alert(1)')).toThrow('Unexpected "alert"');
+  expect(() => evaluate('constructor')).toThrow('Unexpected "constructor"');
+  expect(() => evaluate('1 / 0')).toThrow('not a finite number');
+  expect(() => evaluate('2 3')).toThrow('Unexpected "3"');
+});
+
+test('converts units of the same kind', () => {
+  expect(convert(5, 'miles', 'km')).toBe(8.04672);
+  expect(convert(1, 'lb', 'grams')).toBe(453.59237);
+  expect(convert(212, '°F', 'degrees Celsius')).toBe(100);
+  expect(convert(0, 'C', 'K')).toBe(273.15);
+  expect(convert(1, 'GiB', 'MB')).toBe(1073.741824);
+  expect(() => convert(1, 'kg', 'm')).toThrow("Can't convert mass (kg) to length (m)");
+  expect(() => convert(1, 'furlong', 'm')).toThrow('Unknown unit "furlong"');
+});
+
+test('tells the time in a time zone', () => {
+  const now = new Date('2026-03-14T22:30:00Z');
+
+  expect(describeTime(now, 'Asia/Tokyo')).toEqual({
+    timeZone: 'Asia/Tokyo',
+    date: '2026-03-15',
+    weekday: 'Sunday',
+    time: '07:30',
+    utcOffset: 'GMT+9',
+    iso: '2026-03-14T22:30:00.000Z',
+  });
+  expect(() => describeTime(now, 'Mars/Olympus')).toThrow('Unknown time zone "Mars/Olympus"');
+});
+
+test('searches the chat history through the context', async () => {
+  const searchChats = jest.fn().mockResolvedValue([
+    { conversationTitle: 'Mining', message: { sender: 'ai', text: 'x'.repeat(600), timestamp: Timestamp.fromMillis(Date.UTC(2026, 0, 2)) } },
+  ]);
+
+  const { results } = await chatHistorySearch.run({ query: 'mining', limit: 50 }, { searchChats });
+
+  expect(searchChats).toHaveBeenCalledWith('mining', { limit: 10 });
+  expect(results).toEqual([{ conversation: 'Mining', from: 'assistant', date: '2026-01-02', text: `${'x'.repeat(500)}…` }]);
+});
+
+test('declares every built-in tool with a schema', () => {
+  const [{ functionDeclarations: declarations }] = functionDeclarations(BUILT_IN_TOOLS);
+
+  expect(declarations.map((declaration) => declaration.name)).toEqual([
+    'calculate',
+    'get_current_time',
+    'convert_units',
+    'search_chat_history',
+  ]);
+  declarations.forEach((declaration) => {
+    expect(declaration.description).toEqual(expect.any(String));
+    expect(declaration.parameters.type).toBe('object');
+  });
+});
+
+test('checks arguments against the schema', () => {
+  const { parameters } = findTool(BUILT_IN_TOOLS, 'convert_units');
+
+  expect(argumentError(parameters, { value: 1, from: 'm', to: 'ft' })).toBeNull();
+  expect(argumentError(parameters, { value: 1, from: 'm' })).toBe('Missing argument "to"');
+  expect(argumentError(parameters, { value: '1', from: 'm', to: 'ft' })).toBe('Argument "value" must be a number');
+  expect(argumentError(parameters, { value: 1, from: 'm', to: 'ft', precise: true })).toBe('Unknown argument "precise"');
+  expect(argumentError(parameters, null)).toBe('The arguments must be an object');
+});
+
+test('answers failed calls with an error', async () => {
+  expect(await runToolCall(BUILT_IN_TOOLS, { name: 'calculate', args: { expression: '6 * 7' } })).toEqual({
+    name: 'calculate',
+    args: { expression: '6 * 7' },
+    response: { expression: '6 * 7', result: 42 },
+  });
+  expect((await runToolCall(BUILT_IN_TOOLS, { name: 'launch', args: {} })).response).toEqual({ error: 'There is no tool called "launch"' });
+  expect((await runToolCall(BUILT_IN_TOOLS, { name: 'calculate', args: {} })).response).toEqual({ error: 'Missing argument "expression"' });
+});
+
+test('runs the calls a turn asks for and asks the model again', async () => {
+  const requests = [];
+  const turns = [
+    { text: 'Let me check.', calls: [{ name: 'calculate', args: { expression: '2+2' }, thoughtSignature: 'sig' }] },
+    { text: 'It is 4.', calls: [] },
+  ];
+  const streamRound = async (request) => {
+    requests.push(request);
+    const turn = turns.shift();
+    request.onText(turn.text);
+    if (turn.calls.length > 0) request.onFunctionCalls(turn.calls);
+    return turn.text;
+  };
+  const shown = [];
+  const contents = [{ role: 'user', parts: [{ text: 'What is 2+2?' }] }];
+
+  const reply = await replyWithTools(streamRound, {
+    contents,
+    tools: BUILT_IN_TOOLS,
+    onText: (text) => shown.push(text),
+    onToolCalls: (calls) => shown.push(calls),
+  });
+
+  expect(reply).toEqual({
+    text: 'Let me check.\n\nIt is 4.',
+    toolCalls: [{ name: 'calculate', args: { expression: '2+2' }, response: { expression: '2+2', result: 4 } }],
+  });
+  expect(shown).toEqual([
+    'Let me check.',
+    [{ name: 'calculate', args: { expression: '2+2' } }],
+    reply.toolCalls,
+    'Let me check.\n\nIt is 4.',
+  ]);
+  expect(requests[0]).toMatchObject({ contents, tools: functionDeclarations(BUILT_IN_TOOLS) });
+  expect(requests[0]).not.toHaveProperty('purpose');
+  expect(requests[1].purpose).toBe('tool');
+  expect(requests[1].contents.slice(1)).toEqual([
+    {
+      role: 'model',
+      parts: [{ text: 'Let me check.' }, { functionCall: { name: 'calculate', args: { expression: '2+2' } }, thoughtSignature: 'sig' }],
+    },
+    { role: 'user', parts: [{ functionResponse: { name: 'calculate', response: { expression: '2+2', result: 4 } } }] },
+  ]);
+});
+
+test('makes the model answer after the last tool round', async () => {
+  const requests = [];
+  const streamRound = async (request) => {
+    requests.push(request);
+    request.onFunctionCalls([{ name: 'get_current_time', args: {} }]);
+    return '';
+  };
+
+  const reply = await replyWithTools(streamRound, { contents: [], tools: BUILT_IN_TOOLS });
+
+  expect(requests).toHaveLength(MAX_TOOL_ROUNDS + 1);
+  expect(requests[MAX_TOOL_ROUNDS].toolConfig).toEqual({ functionCallingConfig: { mode: 'NONE' } });
+  expect(reply.toolCalls).toHaveLength(MAX_TOOL_ROUNDS);
+});
+
+test('sends no tools when there are none', async () => {
+  const streamRound = jest.fn(async () => 'Hi');
+
+  expect(await replyWithTools(streamRound, { contents: [] })).toEqual({ text: 'Hi', toolCalls: [] });
+  expect(streamRound.mock.calls[0][0]).not.toHaveProperty('tools');
+});
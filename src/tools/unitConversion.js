@@ -0,0 +1,125 @@
+// Converts between units of the same kind. Each unit is its size in the base
+// unit of its kind (metre, kilogram, litre, ...) plus the names it goes by;
+// temperatures, which don't start at zero, are converted through kelvin.
+
+const unit = (kind, factor, names) => ({ kind, factor, names });
+
+const UNITS = [
+  unit('length', 0.001, ['mm', 'millimeter', 'millimetre']),
+  unit('length', 0.01, ['cm', 'centimeter', 'centimetre']),
+  unit('length', 1, ['m', 'meter', 'metre']),
+  unit('length', 1000, ['km', 'kilometer', 'kilometre']),
+  unit('length', 0.0254, ['in', 'inch', 'inches', '"']),
+  unit('length', 0.3048, ['ft', 'foot', 'feet', "'"]),
+  unit('length', 0.9144, ['yd', 'yard']),
+  unit('length', 1609.344, ['mi', 'mile']),
+  unit('length', 1852, ['nmi', 'nautical mile']),
+
+  unit('mass', 0.000001, ['mg', 'milligram']),
+  unit('mass', 0.001, ['g', 'gram', 'gramme']),
+  unit('mass', 1, ['kg', 'kilogram', 'kilo']),
+  unit('mass', 1000, ['t', 'tonne', 'metric ton']),
+  unit('mass', 0.028349523125, ['oz', 'ounce']),
+  unit('mass', 0.45359237, ['lb', 'lbs', 'pound']),
+  unit('mass', 6.35029318, ['st', 'stone']),
+
+  unit('volume', 0.001, ['ml', 'milliliter', 'millilitre']),
+  unit('volume', 0.01, ['cl', 'centiliter', 'centilitre']),
+  unit('volume', 1, ['l', 'liter', 'litre']),
+  unit('volume', 1000, ['m3', 'm³', 'cubic meter', 'cubic metre']),
+  unit('volume', 0.00492892159375, ['tsp', 'teaspoon']),
+  unit('volume', 0.01478676478125, ['tbsp', 'tablespoon']),
+  unit('volume', 0.0295735295625, ['fl oz', 'floz', 'fluid ounce']),
+  unit('volume', 0.2365882365, ['cup']),
+  unit('volume', 0.473176473, ['pt', 'pint']),
+  unit('volume', 0.946352946, ['qt', 'quart']),
+  unit('volume', 3.785411784, ['gal', 'gallon']),
+
+  unit('area', 0.0001, ['cm2', 'cm²', 'square centimeter', 'square centimetre']),
+  unit('area', 1, ['m2', 'm²', 'square meter', 'square metre']),
+  unit('area', 1000000, ['km2', 'km²', 'square kilometer', 'square kilometre']),
+  unit('area', 10000, ['ha', 'hectare']),
+  unit('area', 0.09290304, ['ft2', 'ft²', 'sq ft', 'square foot', 'square feet']),
+  unit('area', 4046.8564224, ['acre']),
+  unit('area', 2589988.110336, ['mi2', 'mi²', 'sq mi', 'square mile']),
+
+  unit('speed', 1, ['m/s', 'meters per second', 'metres per second']),
+  unit('speed', 1 / 3.6, ['km/h', 'kph', 'kmh', 'kilometers per hour', 'kilometres per hour']),
+  unit('speed', 0.44704, ['mph', 'miles per hour']),
+  unit('speed', 1852 / 3600, ['kn', 'kt', 'knot']),
+
+  unit('time', 0.001, ['ms', 'millisecond']),
+  unit('time', 1, ['s', 'sec', 'second']),
+  unit('time', 60, ['min', 'minute']),
+  unit('time', 3600, ['h', 'hr', 'hour']),
+  unit('time', 86400, ['d', 'day']),
+  unit('time', 604800, ['wk', 'week']),
+  unit('time', 31557600, ['yr', 'year']), // Julian year
+
+  unit('data', 0.125, ['bit']),
+  unit('data', 1, ['b', 'byte']),
+  unit('data', 1000, ['kb', 'kilobyte']),
+  unit('data', 1000 ** 2, ['mb', 'megabyte']),
+  unit('data', 1000 ** 3, ['gb', 'gigabyte']),
+  unit('data', 1000 ** 4, ['tb', 'terabyte']),
+  unit('data', 1024, ['kib', 'kibibyte']),
+  unit('data', 1024 ** 2, ['mib', 'mebibyte']),
+  unit('data', 1024 ** 3, ['gib', 'gibibyte']),
+  unit('data', 1024 ** 4, ['tib', 'tebibyte']),
+];
+
+const TEMPERATURES = {
+  celsius: { toKelvin: (value) => value + 273.15, fromKelvin: (kelvin) => kelvin - 273.15 },
+  fahrenheit: { toKelvin: (value) => ((value - 32) * 5) / 9 + 273.15, fromKelvin: (kelvin) => ((kelvin - 273.15) * 9) / 5 + 32 },
+  kelvin: { toKelvin: (value) => value, fromKelvin: (kelvin) => kelvin },
+};
+const TEMPERATURE_NAMES = {
+  c: 'celsius', '°c': 'celsius', celsius: 'celsius', centigrade: 'celsius',
+  f: 'fahrenheit', '°f': 'fahrenheit', fahrenheit: 'fahrenheit',
+  k: 'kelvin', kelvin: 'kelvin',
+};
+
+const BY_NAME = new Map(UNITS.flatMap((u) => u.names.map((name) => [name, u])));
+
+// The unit called `name`, ignoring case, "degrees" and plurals.
+function findUnit(name) {
+  const key = String(name ?? '').trim().toLowerCase().replace(/^degrees?\s+/, '').replace(/\s+/g, ' ');
+  const candidates = [key, key.replace(/s$/, ''), key.replace(/es$/, '')];
+  for (const candidate of candidates) {
+    if (TEMPERATURE_NAMES[candidate]) return { kind: 'temperature', scale: TEMPERATURES[TEMPERATURE_NAMES[candidate]] };
+    if (BY_NAME.has(candidate)) return BY_NAME.get(candidate);
+  }
+  throw new Error(`Unknown unit "${name}"`);
+}
+
+export function convert(value, from, to) {
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (source.kind !== target.kind) {
+    throw new Error(`Can't convert ${source.kind} (${from}) to ${target.kind} (${to})`);
+  }
+  const result = source.kind === 'temperature'
+    ? target.scale.fromKelvin(source.scale.toKelvin(value))
+    : (value * source.factor) / target.factor;
+  return Number(result.toPrecision(12));
+}
+
+const unitConversion = {
+  name: 'convert_units',
+  label: 'Unit conversion',
+  description:
+    'Converts a quantity between units of length, mass, volume, area, speed, time, data size or temperature, '
+    + 'e.g. 5 miles to km or 70 °F to °C. Units can be symbols ("km", "lb", "°F") or names ("kilometers", "pounds").',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The quantity to convert' },
+      from: { type: 'string', description: 'The unit it is in' },
+      to: { type: 'string', description: 'The unit to convert it to' },
+    },
+    required: ['value', 'from', 'to'],
+  },
+  run: ({ value, from, to }) => ({ value, from, to, result: convert(value, from, to) }),
+};
+
+export default unitConversion;
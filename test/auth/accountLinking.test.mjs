@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, suite, test } from 'node:test';
+import { deleteApp, initializeApp } from 'firebase/app';
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  connectAuthEmulator,
+  createUserWithEmailAndPassword,
+  getAuth,
+  linkWithCredential,
+  signInAnonymously,
+  signInWithCredential,
+  signOut,
+} from 'firebase/auth';
+
+// Checks what src/auth/accounts.js counts on from Firebase account linking,
+// against the Auth emulator: a linked guest keeps its uid, and a sign-in that
+// belongs to another account fails with one of its conflict codes and can be
+// switched to. `npm run test:auth` starts the emulator (Firebase CLI) and sets
+// FIREBASE_AUTH_EMULATOR_HOST.
+// (`suite` is node:test's `describe`; the app's Jest lint rules don't apply.)
+
+// The project `npm run test:auth` starts the emulator for
+const PROJECT_ID = 'demo-auth-test';
+
+// The emulator takes any ID token made of the claims it should contain
+const googleCredential = (sub, email) =>
+  GoogleAuthProvider.credential(JSON.stringify({ sub, email, email_verified: true }));
+
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => error.code === code);
+
+suite('account linking', { skip: !process.env.FIREBASE_AUTH_EMULATOR_HOST && 'needs the Auth emulator (npm run test:auth)' }, () => {
+  let app;
+  let auth;
+
+  // Signs in as a new guest, as the app does on a first visit
+  const guest = async () => {
+    await signOut(auth);
+    return (await signInAnonymously(auth)).user;
+  };
+
+  before(() => {
+    app = initializeApp({ apiKey: 'demo-key', projectId: PROJECT_ID });
+    auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+  });
+
+  afterEach(async () => {
+    await signOut(auth);
+    await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+  });
+
+  after(() => deleteApp(app));
+
+  test('linking email and password keeps the guest uid', async () => {
+    const { uid } = await guest();
+
+    const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential('ada@example.com', 'secret1'));
+
+    assert.equal(user.uid, uid);
+    assert.equal(user.isAnonymous, false);
+    assert.deepEqual(user.providerData.map((profile) => profile.providerId), ['password']);
+  });
+
+  test('linking Google keeps the guest uid', async () => {
+    const { uid } = await guest();
+
+    const { user } = await linkWithCredential(auth.currentUser, googleCredential('google-ada', 'ada@gmail.com'));
+
+    assert.equal(user.uid, uid);
+    assert.equal(user.email, 'ada@gmail.com');
+  });
+
+  test('an email that has an account conflicts, and signing in with it switches to that account', async () => {
+    const { user: existing } = await createUserWithEmailAndPassword(auth, 'ada@example.com', 'secret1');
+    await guest();
+    const credential = EmailAuthProvider.credential('ada@example.com', 'secret1');
+
+    await rejectsWithCode(linkWithCredential(auth.currentUser, credential), 'auth/email-already-in-use');
+
+    const { user } = await signInWithCredential(auth, credential);
+    assert.equal(user.uid, existing.uid);
+  });
+
+  // The emulator leaves out the OAuth tokens Google's popup puts in the error,
+  // which GoogleAuthProvider.credentialFromError reads, so this signs in with
+  // the same credential instead
+  test('a Google account that exists conflicts, and signing in with it switches to that account', async () => {
+    const { user: existing } = await signInWithCredential(auth, googleCredential('google-ada', 'ada@gmail.com'));
+    await guest();
+
+    await rejectsWithCode(linkWithCredential(auth.currentUser, googleCredential('google-ada', 'ada@gmail.com')), 'auth/credential-already-in-use');
+
+    const { user } = await signInWithCredential(auth, googleCredential('google-ada', 'ada@gmail.com'));
+    assert.equal(user.uid, existing.uid);
+  });
+
+  test('short passwords are refused', async () => {
+    await guest();
+
+    await rejectsWithCode(linkWithCredential(auth.currentUser, EmailAuthProvider.credential('ada@example.com', '123')), 'auth/weak-password');
+    assert.equal(auth.currentUser.isAnonymous, true);
+  });
+});
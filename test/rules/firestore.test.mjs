@@ -0,0 +1,275 @@
+import { readFileSync } from 'node:fs';
+import { after, afterEach, before, suite, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+// Runs firestore.rules against the Firestore emulator. `npm run test:rules`
+// starts the emulator (Firebase CLI) and sets FIRESTORE_EMULATOR_HOST.
+// (`suite` is node:test's `describe`; the app's Jest lint rules don't apply.)
+
+const APP_ID = 'test-app';
+const userPath = (uid) => `artifacts/${APP_ID}/users/${uid}`;
+const conversationPath = (uid, id = 'c1') => `${userPath(uid)}/conversations/${id}`;
+const messagePath = (uid, id = 'm1') => `${conversationPath(uid)}/messages/${id}`;
+
+const hoursAgo = (hours) => Timestamp.fromMillis(Date.now() - hours * 60 * 60 * 1000);
+const lastWeek = () => hoursAgo(7 * 24);
+
+const conversation = (fields = {}) => ({
+  title: 'New chat',
+  autoTitle: true,
+  createdAt: serverTimestamp(),
+  updatedAt: serverTimestamp(),
+  ...fields,
+});
+
+const message = (uid, fields = {}) => ({
+  parentId: null,
+  text: 'Hello',
+  sender: 'user',
+  timestamp: serverTimestamp(),
+  userId: uid,
+  ...fields,
+});
+
+suite('firestore.rules', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)' }, () => {
+  let testEnv;
+  const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  // Writes `data` at `path` as if by the server, bypassing the rules
+  const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-rules-test',
+      firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+  });
+
+  afterEach(() => testEnv.clearFirestore());
+
+  after(() => testEnv.cleanup());
+
+  test('users read and write only their own data', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), conversationPath('alice')), conversation()));
+    await assertSucceeds(setDoc(doc(as('alice'), messagePath('alice')), message('alice')));
+    await assertSucceeds(getDoc(doc(as('alice'), messagePath('alice'))));
+
+    await assertFails(getDoc(doc(as('bob'), messagePath('alice'))));
+    await assertFails(setDoc(doc(as('bob'), messagePath('alice', 'm2')), message('bob')));
+    await assertFails(deleteDoc(doc(as('bob'), conversationPath('alice'))));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), conversationPath('alice'))));
+  });
+
+  test('messages must belong to the signed-in user', async () => {
+    await assertFails(setDoc(doc(as('alice'), messagePath('alice')), message('bob')));
+    const { userId, ...anonymous } = message('alice');
+    await assertFails(setDoc(doc(as('alice'), messagePath('alice')), anonymous));
+  });
+
+  test('messages follow the schema', async () => {
+    const db = as('alice');
+
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'm1')), message('alice')));
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'ai')), message('alice', {
+      sender: 'ai',
+      parentId: 'm1',
+      usage: { promptTokens: 12, responseTokens: 30, totalTokens: 42 },
+      toolCalls: [{ name: 'calculate', args: { expression: '6*7' }, response: { result: 42 } }],
+      sources: [{ documentId: 'd1', title: 'Notes', heading: '', excerpt: 'Pi', score: 0.8 }],
+    })));
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'error')), message('alice', {
+      sender: 'system',
+      type: 'error',
+      errorCode: 'QUOTA',
+      text: 'Quota exceeded',
+    })));
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'image')), message('alice', { text: '', attachments: [{ name: 'a.jpg' }] })));
+
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm2')), message('alice', { sender: 'admin' })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm3')), message('alice', { sender: 'system' })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm4')), message('alice', { text: 'x'.repeat(100001) })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm5')), message('alice', { text: 42 })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm6')), message('alice', { role: 'admin' })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm7')), message('alice', { attachments: [1, 2, 3, 4, 5] })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm8')), message('alice', { usage: { cost: 0 } })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm9')), message('alice', { toolCalls: Array(21).fill({ name: 'calculate' }) })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm10')), message('alice', { sources: Array(9).fill({ title: 'Notes' }) })));
+  });
+
+  test('replies answer one of the user\'s messages', async () => {
+    await seed(messagePath('alice', 'm1'), message('alice', { timestamp: lastWeek() }));
+    await seed(messagePath('alice', 'r1'), message('alice', { sender: 'ai', parentId: 'm1', timestamp: lastWeek() }));
+    const db = as('alice');
+    const reply = (parentId) => message('alice', { sender: 'ai', parentId });
+
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'r2')), reply('m1')));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'r3')), reply(null)));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'r4')), reply('missing')));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'r5')), reply('r1')));
+  });
+
+  test('new messages carry the server time', async () => {
+    const db = as('alice');
+
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm1')), message('alice', { timestamp: lastWeek() })));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm2')), message('alice', { timestamp: Timestamp.now() })));
+    // `importedAt` alone doesn't allow backdating a message in an ordinary conversation
+    await seed(conversationPath('alice'), conversation({ createdAt: lastWeek(), updatedAt: lastWeek() }));
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm3')), message('alice', {
+      timestamp: lastWeek(),
+      importedAt: serverTimestamp(),
+    })));
+  });
+
+  test('imported conversations keep their messages\' times', async () => {
+    const db = as('alice');
+    const imported = (fields) => message('alice', { timestamp: lastWeek(), importedAt: serverTimestamp(), ...fields });
+
+    // As writeUserData writes them: the conversation, then its messages
+    const batch = writeBatch(db);
+    batch.set(doc(db, conversationPath('alice')), conversation({ importedAt: serverTimestamp() }));
+    batch.set(doc(db, messagePath('alice', 'm1')), imported());
+    batch.set(doc(db, messagePath('alice', 'm2')), imported({ sender: 'ai', parentId: 'm1' }));
+    await assertSucceeds(batch.commit());
+    // A later batch of the same import
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'm3')), imported({ parentId: 'm2' })));
+
+    await assertFails(setDoc(doc(db, messagePath('alice', 'm4')), imported({ timestamp: Timestamp.fromMillis(Date.now() + 60000) })));
+    await assertFails(updateDoc(doc(db, conversationPath('alice')), { importedAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(db, conversationPath('alice', 'c2')), conversation({ importedAt: lastWeek() })));
+
+    // An import stops taking messages after an hour
+    await seed(conversationPath('alice', 'old'), conversation({ createdAt: lastWeek(), updatedAt: lastWeek(), importedAt: hoursAgo(2) }));
+    await assertFails(setDoc(doc(db, `${conversationPath('alice', 'old')}/messages/m1`), imported()));
+  });
+
+  test('legacy messages move with their time and sender', async () => {
+    const legacyPath = (id) => `${userPath('alice')}/messages/${id}`;
+    const copyPath = (id) => `${conversationPath('alice', 'legacy')}/messages/${id}`;
+    const sentAt = lastWeek();
+    await seed(legacyPath('old1'), { text: 'Hi', sender: 'user', timestamp: sentAt, userId: 'alice' });
+    await seed(legacyPath('old2'), { text: 'Hello!', sender: 'ai', timestamp: sentAt, userId: 'alice' });
+    await seed(conversationPath('alice', 'legacy'), conversation({ createdAt: sentAt, updatedAt: sentAt }));
+    const db = as('alice');
+    const copy = (fields) => ({ timestamp: sentAt, userId: 'alice', importedAt: serverTimestamp(), ...fields });
+
+    // As migrateLegacyMessages does: copy and delete in one batch
+    const batch = writeBatch(db);
+    batch.set(doc(db, copyPath('old1')), copy({ text: 'Hi', sender: 'user' }));
+    batch.delete(doc(db, legacyPath('old1')));
+    await assertSucceeds(batch.commit());
+
+    // A copy that leaves the original, or changes its sender, is refused
+    await assertFails(setDoc(doc(db, copyPath('old2')), copy({ text: 'Hello!', sender: 'ai' })));
+    const forged = writeBatch(db);
+    forged.set(doc(db, copyPath('old2')), copy({ text: 'Hello!', sender: 'user' }));
+    forged.delete(doc(db, legacyPath('old2')));
+    await assertFails(forged.commit());
+  });
+
+  test('updates keep the original time and sender', async () => {
+    const sentAt = lastWeek();
+    await seed(messagePath('alice'), message('alice', { timestamp: sentAt, pending: true }));
+    await seed(messagePath('alice', 'error'), message('alice', { timestamp: sentAt, parentId: 'm1', sender: 'system', type: 'error', text: 'Failed' }));
+    await seed(messagePath('alice', 'reply'), message('alice', { timestamp: sentAt, parentId: 'm1', sender: 'ai' }));
+    const db = as('alice');
+
+    await assertSucceeds(updateDoc(doc(db, messagePath('alice')), { pending: false }));
+    // A retried reply takes its error's place
+    await assertSucceeds(setDoc(doc(db, messagePath('alice', 'error')), message('alice', { sender: 'ai', parentId: 'm1', timestamp: sentAt })));
+    await assertFails(updateDoc(doc(db, messagePath('alice')), { timestamp: Timestamp.fromMillis(0) }));
+    await assertFails(updateDoc(doc(db, messagePath('alice')), { timestamp: serverTimestamp() }));
+    await assertFails(updateDoc(doc(db, messagePath('alice')), { userId: 'bob' }));
+    await assertFails(updateDoc(doc(db, messagePath('alice')), { sender: 'ai' }));
+    await assertFails(updateDoc(doc(db, messagePath('alice', 'reply')), { sender: 'user' }));
+  });
+
+  test('conversations and personas follow the schema', async () => {
+    const db = as('alice');
+
+    await assertSucceeds(setDoc(doc(db, conversationPath('alice')), conversation({ provider: 'gemini', personaId: 'dhelios' })));
+    await assertSucceeds(updateDoc(doc(db, conversationPath('alice')), { 'branches.root': 'm1', updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(db, conversationPath('alice')), { title: 'x'.repeat(201) }));
+    await assertFails(updateDoc(doc(db, conversationPath('alice')), { owner: 'bob' }));
+
+    const persona = {
+      name: 'Tutor',
+      systemInstruction: 'Explain step by step.',
+      settings: { temperature: 0.7 },
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+    await assertSucceeds(setDoc(doc(db, `${userPath('alice')}/personas/p1`), persona));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/personas/p2`), { ...persona, name: 'x'.repeat(101) }));
+  });
+
+  test('memories follow the schema', async () => {
+    const db = as('alice');
+    const memory = (fields = {}) => ({
+      text: 'The user is called Alice.',
+      category: 'profile',
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      ...fields,
+    });
+
+    await assertSucceeds(setDoc(doc(db, `${userPath('alice')}/memories/m1`), memory()));
+    await assertSucceeds(updateDoc(doc(db, `${userPath('alice')}/memories/m1`), { text: 'The user is called Ali.', updatedAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/memories/m2`), memory({ category: 'secret' })));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/memories/m3`), memory({ text: '' })));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/memories/m4`), memory({ text: 'x'.repeat(301) })));
+    await assertFails(getDoc(doc(as('bob'), `${userPath('alice')}/memories/m1`)));
+  });
+
+  test('knowledge base documents and chunks follow the schema and are never edited', async () => {
+    const db = as('alice');
+    const documentPath = `${userPath('alice')}/knowledge/d1`;
+    const knowledgeDocument = (fields = {}) => ({
+      title: 'Mining notes',
+      fileName: 'mining.md',
+      size: 1200,
+      backend: 'local',
+      chunkCount: 1,
+      createdAt: serverTimestamp(),
+      ...fields,
+    });
+    const chunk = (fields = {}) => ({ index: 0, heading: 'Setup', text: 'Open the app every day.', embedding: [0.6, 0.8], ...fields });
+
+    await assertSucceeds(setDoc(doc(db, `${documentPath}/chunks/0`), chunk()));
+    await assertSucceeds(setDoc(doc(db, documentPath), knowledgeDocument()));
+    await assertSucceeds(getDoc(doc(db, `${documentPath}/chunks/0`)));
+    await assertFails(getDoc(doc(as('bob'), documentPath)));
+    await assertFails(getDoc(doc(as('bob'), `${documentPath}/chunks/0`)));
+    await assertFails(updateDoc(doc(db, documentPath), { title: 'Renamed' }));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/knowledge/d2`), knowledgeDocument({ backend: 'other' })));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/knowledge/d3`), knowledgeDocument({ chunkCount: 1001 })));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/knowledge/d4`), knowledgeDocument({ createdAt: lastWeek() })));
+    await assertFails(setDoc(doc(db, `${documentPath}/chunks/1`), chunk({ index: 1, text: 'x'.repeat(4001) })));
+    await assertFails(setDoc(doc(db, `${documentPath}/chunks/2`), chunk({ index: 2, embedding: Array(1025).fill(0) })));
+    await assertSucceeds(deleteDoc(doc(db, `${documentPath}/chunks/0`)));
+    await assertSucceeds(deleteDoc(doc(db, documentPath)));
+  });
+
+  test('entitlements and usage counts are read-only for their user', async () => {
+    await seed(`${userPath('alice')}/entitlements/current`, { tier: 'premium' });
+    await seed(`${userPath('alice')}/usage/2026-03-14`, { messages: 20, limit: 20 });
+
+    await assertSucceeds(getDoc(doc(as('alice'), `${userPath('alice')}/entitlements/current`)));
+    await assertFails(getDoc(doc(as('bob'), `${userPath('alice')}/entitlements/current`)));
+    await assertFails(setDoc(doc(as('alice'), `${userPath('alice')}/entitlements/current`), { tier: 'premium' }));
+
+    await assertSucceeds(getDoc(doc(as('alice'), `${userPath('alice')}/usage/2026-03-14`)));
+    await assertFails(getDoc(doc(as('bob'), `${userPath('alice')}/usage/2026-03-14`)));
+    await assertFails(updateDoc(doc(as('alice'), `${userPath('alice')}/usage/2026-03-14`), { messages: 0 }));
+  });
+
+  test('legacy messages can only be read and deleted', async () => {
+    await seed(`${userPath('alice')}/messages/old`, { text: 'Hi', sender: 'user', timestamp: lastWeek(), userId: 'alice' });
+    const db = as('alice');
+
+    await assertSucceeds(getDoc(doc(db, `${userPath('alice')}/messages/old`)));
+    await assertFails(setDoc(doc(db, `${userPath('alice')}/messages/new`), message('alice')));
+    await assertSucceeds(deleteDoc(doc(db, `${userPath('alice')}/messages/old`)));
+  });
+});